@@ -0,0 +1,54 @@
+/**
+ * 离线音频（由 workbox importScripts 引入 Service Worker）
+ * 下载到 Cache Storage 的音频（键为播放地址，见 src/utils/db.js 的 cacheAudio）在请求播放地址时直接从缓存返回，
+ * 支持 Range（206），跳转、上一集/下一集、锁屏控制都和在线播放一样；没有缓存时照常请求服务器
+ */
+// 与 src/utils/db.js 的 AUDIO_CACHE_NAME 一致
+const AUDIO_CACHE_NAME = 'audiooook-audio';
+// 播放地址 /api/audio/:bookId/:seasonId/:episodeId（不含 /transcode、/download）
+const AUDIO_PATH = /^\/api\/audio\/[^/]+\/[^/]+\/[^/]+$/;
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || !AUDIO_PATH.test(url.pathname)) return;
+  event.respondWith(respondAudio(request, url));
+});
+
+async function respondAudio(request, url) {
+  const cache = await caches.open(AUDIO_CACHE_NAME);
+  // 缓存键不含查询参数（?proxy=1 等）
+  const cached = await cache.match(url.origin + url.pathname);
+  if (!cached) return fetch(request);
+
+  const blob = await cached.blob();
+  const headers = {
+    'Content-Type': cached.headers.get('Content-Type') || 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+  };
+  const range = request.headers.get('Range');
+  if (!range) {
+    return new Response(blob, { status: 200, headers: { ...headers, 'Content-Length': String(blob.size) } });
+  }
+
+  // bytes=start-end / bytes=start- / bytes=-suffix（只支持单个范围）
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+  let start = match && match[1] !== '' ? Number(match[1]) : NaN;
+  let end = match && match[2] !== '' ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+  if (match && match[1] === '' && match[2] !== '') {
+    start = Math.max(0, blob.size - Number(match[2]));
+    end = blob.size - 1;
+  }
+  if (!(start >= 0) || start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      ...headers,
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Content-Length': String(end - start + 1),
+    },
+  });
+}
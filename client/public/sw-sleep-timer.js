@@ -0,0 +1,14 @@
+/**
+ * 睡眠定时通知处理（由 workbox importScripts 引入 Service Worker）
+ * 点击“延长”或通知本身时，通知页面延长定时
+ */
+self.addEventListener('notificationclick', (event) => {
+  if (event.notification.tag !== 'sleep-timer') return;
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      clients.forEach((client) => client.postMessage({ type: 'sleep-timer-extend' }));
+    })
+  );
+});
@@ -1,14 +1,49 @@
+import { useEffect } from 'react';
 import { Routes, Route } from 'react-router-dom';
 import { AnimatePresence } from 'framer-motion';
 import Bookshelf from './pages/Bookshelf';
 import BookDetail from './pages/BookDetail';
 import Favorites from './pages/Favorites';
 import Settings from './pages/Settings';
+import Stats from './pages/Stats';
+import Jobs from './pages/Jobs';
+import Login from './pages/Login';
 import Player from './components/Player';
 import BottomNav from './components/BottomNav';
 import MiniPlayer from './components/MiniPlayer';
+import SleepFadeOverlay from './components/SleepFadeOverlay';
+import useAuthStore from './stores/authStore';
+import useBookStore from './stores/bookStore';
 
 function App() {
+  const { user, checked, loginRequested, checkAuth } = useAuthStore();
+
+  useEffect(() => {
+    checkAuth();
+  }, []);
+
+  // 登录后订阅服务器推送，切换用户时重新连接
+  useEffect(() => {
+    if (!user) return;
+    return useBookStore.getState().subscribeLiveUpdates();
+  }, [user]);
+
+  if (!checked) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="w-8 h-8 border-2 border-primary-500/30 border-t-primary-500 rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  if (!user || loginRequested) {
+    return (
+      <div className="relative max-w-lg mx-auto min-h-screen">
+        <Login />
+      </div>
+    );
+  }
+
   return (
     <div className="relative max-w-lg mx-auto min-h-screen">
       <AnimatePresence mode="wait">
@@ -16,12 +51,15 @@ function App() {
           <Route path="/" element={<Bookshelf />} />
           <Route path="/book/:bookId" element={<BookDetail />} />
           <Route path="/favorites" element={<Favorites />} />
+          <Route path="/stats" element={<Stats />} />
           <Route path="/settings" element={<Settings />} />
+          <Route path="/jobs" element={<Jobs />} />
           <Route path="/player" element={<Player />} />
         </Routes>
       </AnimatePresence>
       <MiniPlayer />
       <BottomNav />
+      <SleepFadeOverlay />
     </div>
   );
 }
@@ -0,0 +1,337 @@
+import { useEffect, useState } from 'react';
+import {
+  HiOutlineUserCircle,
+  HiOutlineArrowRightOnRectangle,
+  HiOutlineUserPlus,
+  HiOutlineKey,
+  HiOutlinePencil,
+  HiOutlineUsers,
+  HiOutlineTrash,
+  HiChevronDown,
+  HiChevronUp,
+} from 'react-icons/hi2';
+import { authApi } from '../utils/api';
+import useAuthStore, { isAdmin } from '../stores/authStore';
+
+const inputClass = 'w-full bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-primary-500/50';
+
+const ROLE_LABELS = { admin: '管理员', listener: '收听者' };
+
+function ToggleRow({ label, description, checked, onChange }) {
+  return (
+    <label className="flex items-center justify-between gap-3 py-2.5 cursor-pointer">
+      <div>
+        <span className="text-dark-300">{label}</span>
+        <p className="text-[10px] text-dark-500 mt-0.5">{description}</p>
+      </div>
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+        className="w-4 h-4 accent-primary-500 flex-shrink-0"
+      />
+    </label>
+  );
+}
+
+/**
+ * 用户管理（管理员）：切换角色、删除用户
+ */
+function UserManagement({ currentUserId, onMessage }) {
+  const [users, setUsers] = useState(null);
+
+  const loadUsers = async () => {
+    try {
+      const res = await authApi.getUsers();
+      setUsers(res.data || []);
+    } catch (e) {
+      onMessage({ type: 'error', text: e.message });
+    }
+  };
+
+  useEffect(() => {
+    loadUsers();
+  }, []);
+
+  if (users === null) {
+    return <p className="text-xs text-dark-500 pb-3">加载中...</p>;
+  }
+
+  const handleRole = async (target) => {
+    try {
+      await authApi.updateUser(target.id, { role: target.role === 'admin' ? 'listener' : 'admin' });
+      await loadUsers();
+    } catch (e) {
+      onMessage({ type: 'error', text: e.message });
+    }
+  };
+
+  const handleDelete = async (target) => {
+    if (!confirm(`确定删除用户「${target.name}」？收藏、播放进度和书签将一并删除`)) return;
+    try {
+      await authApi.deleteUser(target.id);
+      await loadUsers();
+    } catch (e) {
+      onMessage({ type: 'error', text: e.message });
+    }
+  };
+
+  return (
+    <div className="space-y-2 pb-3">
+      {users.map((u) => (
+        <div key={u.id} className="flex items-center gap-2">
+          <div
+            className="w-7 h-7 rounded-full flex items-center justify-center text-xs font-bold text-dark-900 flex-shrink-0"
+            style={{ backgroundColor: u.avatarColor }}
+          >
+            {u.name.slice(0, 1).toUpperCase()}
+          </div>
+          <span className="flex-1 min-w-0 truncate text-dark-200">{u.name}</span>
+          <button
+            onClick={() => handleRole(u)}
+            className={`text-[10px] px-2 py-1 rounded-md ${u.role === 'admin' ? 'bg-primary-500/15 text-primary-500' : 'bg-dark-700 text-dark-400'}`}
+          >
+            {ROLE_LABELS[u.role]}
+          </button>
+          {u.id !== currentUserId && (
+            <button onClick={() => handleDelete(u)} className="p-1 text-dark-500 hover:text-red-400">
+              <HiOutlineTrash className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      ))}
+      <p className="text-[10px] text-dark-500">点击角色切换管理员 / 收听者；收听者不能修改书库和服务器设置</p>
+    </div>
+  );
+}
+
+/**
+ * 设置页：账号卡片
+ * 当前用户、切换用户/登出、修改用户名和密码
+ * 管理员：添加用户、用户管理、开放模式、登录页用户列表与注册开关
+ */
+export default function AccountCard() {
+  const {
+    user, anonymous, openMode, profilePicker, allowRegistration, logout, updateMe, deleteMe, updateAuthSettings,
+  } = useAuthStore();
+  const admin = isAdmin(user);
+  // null | 'name' | 'password' | 'create' | 'users'
+  const [panel, setPanel] = useState(null);
+  const [name, setName] = useState('');
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  if (!user) return null;
+
+  if (user.offline) {
+    return (
+      <div className="glass-card p-4">
+        <div className="flex items-center gap-3">
+          <HiOutlineUserCircle className="w-5 h-5 text-primary-500" />
+          <h2 className="font-semibold">账号</h2>
+        </div>
+        <p className="text-xs text-dark-500 mt-2">离线模式，连接服务器后可管理账号</p>
+      </div>
+    );
+  }
+
+  const openPanel = (next) => {
+    setPanel(panel === next ? null : next);
+    setName(next === 'name' ? user.name : '');
+    setCurrentPassword('');
+    setPassword('');
+    setMessage(null);
+  };
+
+  const submit = async (action, successText) => {
+    setSubmitting(true);
+    setMessage(null);
+    try {
+      await action();
+      setPanel(null);
+      setMessage({ type: 'success', text: successText });
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (panel === 'name') {
+      submit(() => updateMe({ name }), '用户名已修改');
+    } else if (panel === 'password') {
+      submit(() => updateMe({ password, currentPassword }), password ? '密码已更新' : '密码已移除');
+    } else if (panel === 'create') {
+      submit(() => authApi.createUser({ name, password: password || undefined }), `已添加收听者「${name.trim()}」`);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(`确定删除用户「${user.name}」？收藏、播放进度和书签将一并删除`)) return;
+    try {
+      await deleteMe(currentPassword);
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    }
+  };
+
+  const actions = [
+    { key: 'name', icon: HiOutlinePencil, label: '修改用户名' },
+    { key: 'password', icon: HiOutlineKey, label: user.hasPassword ? '修改密码' : '设置密码' },
+    // 关闭开放模式后只有管理员能添加用户
+    ...(admin ? [{ key: 'create', icon: HiOutlineUserPlus, label: '添加用户' }] : []),
+  ];
+
+  const handleAuthSetting = (data) => {
+    updateAuthSettings(data).catch(e => setMessage({ type: 'error', text: e.message }));
+  };
+
+  return (
+    <div className="glass-card p-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-3">
+          <HiOutlineUserCircle className="w-5 h-5 text-primary-500" />
+          <h2 className="font-semibold">账号</h2>
+        </div>
+        <button
+          onClick={logout}
+          className="flex items-center gap-1.5 text-xs text-primary-500 hover:text-primary-400 bg-primary-500/10 hover:bg-primary-500/20 px-3 py-1.5 rounded-lg transition-all active:scale-95"
+        >
+          <HiOutlineArrowRightOnRectangle className="w-4 h-4" />
+          {anonymous ? '登录' : profilePicker ? '切换用户' : '退出登录'}
+        </button>
+      </div>
+
+      <div className="flex items-center gap-3 mb-3">
+        <div
+          className="w-10 h-10 rounded-full flex items-center justify-center font-bold text-dark-900"
+          style={{ backgroundColor: user.avatarColor }}
+        >
+          {user.name.slice(0, 1).toUpperCase()}
+        </div>
+        <div className="min-w-0">
+          <p className="text-white font-medium truncate">{user.name}</p>
+          <p className="text-[10px] text-dark-500">
+            {ROLE_LABELS[user.role]} · {anonymous ? '开放模式（未登录）' : user.hasPassword ? '已设置密码' : '未设置密码'}
+          </p>
+        </div>
+      </div>
+
+      <div className="divide-y divide-dark-700/50 text-sm">
+        {actions.map(({ key, icon: Icon, label }) => (
+          <div key={key}>
+            <button
+              onClick={() => openPanel(key)}
+              className="w-full flex items-center justify-between py-2.5 text-left text-dark-300 hover:text-white"
+            >
+              <span className="flex items-center gap-2">
+                <Icon className="w-4 h-4" />
+                {label}
+              </span>
+              {panel === key ? <HiChevronUp className="w-4 h-4 text-dark-500" /> : <HiChevronDown className="w-4 h-4 text-dark-500" />}
+            </button>
+
+            {panel === key && (
+              <form onSubmit={handleSubmit} className="space-y-2 pb-3">
+                {(key === 'name' || key === 'create') && (
+                  <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="用户名"
+                    maxLength={32}
+                    className={inputClass}
+                  />
+                )}
+                {key === 'password' && user.hasPassword && (
+                  <input
+                    type="password"
+                    value={currentPassword}
+                    onChange={(e) => setCurrentPassword(e.target.value)}
+                    placeholder="当前密码"
+                    autoComplete="current-password"
+                    className={inputClass}
+                  />
+                )}
+                {(key === 'password' || key === 'create') && (
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder={key === 'create' ? '密码（可选）' : user.hasPassword ? '新密码（留空则移除密码）' : '新密码'}
+                    autoComplete="new-password"
+                    className={inputClass}
+                  />
+                )}
+                <button
+                  type="submit"
+                  disabled={submitting || (key !== 'password' && !name.trim()) || (key === 'password' && !user.hasPassword && !password)}
+                  className="btn-primary w-full py-2 text-sm disabled:opacity-50"
+                >
+                  {submitting ? '请稍候...' : '保存'}
+                </button>
+                {key === 'password' && (
+                  <button
+                    type="button"
+                    onClick={handleDelete}
+                    className="w-full text-xs text-red-400/80 hover:text-red-400 pt-1"
+                  >
+                    删除此用户{user.hasPassword ? '（需填写当前密码）' : ''}
+                  </button>
+                )}
+              </form>
+            )}
+          </div>
+        ))}
+
+        {admin && (
+          <>
+            <div>
+              <button
+                onClick={() => openPanel('users')}
+                className="w-full flex items-center justify-between py-2.5 text-left text-dark-300 hover:text-white"
+              >
+                <span className="flex items-center gap-2">
+                  <HiOutlineUsers className="w-4 h-4" />
+                  用户管理
+                </span>
+                {panel === 'users' ? <HiChevronUp className="w-4 h-4 text-dark-500" /> : <HiChevronDown className="w-4 h-4 text-dark-500" />}
+              </button>
+              {panel === 'users' && <UserManagement currentUserId={user.id} onMessage={setMessage} />}
+            </div>
+            <ToggleRow
+              label="开放模式"
+              description="无需登录即可以默认管理员身份使用全部功能，仅适合可信的局域网"
+              checked={openMode}
+              onChange={(checked) => handleAuthSetting({ openMode: checked })}
+            />
+            <ToggleRow
+              label="登录页显示用户列表"
+              description="适合家庭局域网，点头像即可切换用户；关闭开放模式后仍需输入密码"
+              checked={profilePicker}
+              onChange={(checked) => handleAuthSetting({ profilePicker: checked })}
+            />
+            {!openMode && (
+              <ToggleRow
+                label="允许注册"
+                description="登录页可自行注册收听者（必须设置密码）"
+                checked={allowRegistration}
+                onChange={(checked) => handleAuthSetting({ allowRegistration: checked })}
+              />
+            )}
+          </>
+        )}
+      </div>
+
+      {message && (
+        <p className={`text-xs mt-2 ${message.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import { useState } from 'react';
+import {
+  HiOutlineFolder,
+  HiOutlineCloud,
+  HiOutlineCircleStack,
+  HiOutlineServer,
+  HiChevronRight,
+} from 'react-icons/hi2';
+
+const inputClass = 'w-full bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 text-xs text-white focus:outline-none focus:border-primary-500/50';
+
+// 书库存储类型对应的图标
+export const SOURCE_ICONS = {
+  local: HiOutlineFolder,
+  oss: HiOutlineCloud,
+  s3: HiOutlineCircleStack,
+  webdav: HiOutlineServer,
+};
+
+const S3_FIELDS = [
+  { key: 'endpoint', placeholder: 'Endpoint（AWS 可留空），如 http://nas.local:9000' },
+  { key: 'region', placeholder: '地域，默认 us-east-1' },
+  { key: 'bucket', placeholder: 'Bucket 名称' },
+  { key: 'accessKeyId', placeholder: 'Access Key ID' },
+  { key: 'secretAccessKey', placeholder: 'Secret Access Key', type: 'password' },
+  { key: 'prefix', placeholder: '前缀，留空为整个存储桶' },
+];
+
+const WEBDAV_FIELDS = [
+  { key: 'url', placeholder: '地址，如 https://nas.local/dav/audiobooks' },
+  { key: 'username', placeholder: '用户名（可选）' },
+  { key: 'password', placeholder: '密码（可选）', type: 'password' },
+];
+
+/**
+ * 新书库表单的初始值
+ */
+export function createLibraryDraft(config) {
+  return {
+    name: '',
+    source: 'local',
+    path: '',
+    prefix: config?.oss?.prefix || '',
+    s3: { endpoint: '', region: '', bucket: '', accessKeyId: '', secretAccessKey: '', prefix: '', pathStyle: false, streamMode: 'proxy' },
+    webdav: { url: '', username: '', password: '' },
+  };
+}
+
+/**
+ * 由表单生成添加书库的请求体
+ */
+export function toLibraryPayload({ name, source, path, prefix, s3, webdav }) {
+  if (source === 'oss') return { name, source, prefix };
+  if (source === 's3') return { name, source, s3 };
+  if (source === 'webdav') return { name, source, webdav };
+  return { name, path };
+}
+
+function isComplete(draft) {
+  if (!draft.name.trim()) return false;
+  if (draft.source === 'local') return !!draft.path;
+  if (draft.source === 's3') return !!(draft.s3.bucket && draft.s3.accessKeyId && draft.s3.secretAccessKey);
+  if (draft.source === 'webdav') return !!draft.webdav.url;
+  return true;
+}
+
+/**
+ * 设置页：添加书库（服务器目录 / OSS / S3 兼容存储 / WebDAV）
+ * 非本地书库添加时服务端会先测试连接
+ */
+export default function AddLibraryForm({ value, onChange, config, onBrowse, onCancel, onSubmit }) {
+  const [busy, setBusy] = useState(false);
+
+  const sources = [
+    ['local', '服务器目录'],
+    ...(config.ossEnabled ? [['oss', 'OSS']] : []),
+    ['s3', 'S3'],
+    ['webdav', 'WebDAV'],
+  ];
+
+  const update = (key, val) => onChange({ ...value, [key]: val });
+  const updateGroup = (group, key, val) => onChange({ ...value, [group]: { ...value[group], [key]: val } });
+
+  const handleSubmit = async () => {
+    setBusy(true);
+    try {
+      await onSubmit(toLibraryPayload(value));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderFields = (group, fields) => fields.map(({ key, placeholder, type = 'text' }) => (
+    <input
+      key={key}
+      type={type}
+      value={value[group][key]}
+      onChange={(e) => updateGroup(group, key, e.target.value)}
+      placeholder={placeholder}
+      autoComplete={type === 'password' ? 'new-password' : 'off'}
+      className={inputClass}
+    />
+  ));
+
+  return (
+    <div className="bg-dark-700/60 border border-primary-500/30 rounded-xl p-3 space-y-2">
+      <input
+        type="text"
+        value={value.name}
+        onChange={(e) => update('name', e.target.value)}
+        placeholder="书库名称，如：儿童故事、播客"
+        maxLength={32}
+        className={inputClass}
+      />
+      <div className="flex gap-1">
+        {sources.map(([source, label]) => (
+          <button
+            key={source}
+            onClick={() => update('source', source)}
+            className={`flex-1 text-[10px] py-1.5 rounded-md ${value.source === source ? 'bg-primary-500/15 text-primary-500' : 'bg-dark-700 text-dark-400'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {value.source === 'local' && (
+        <div
+          onClick={onBrowse}
+          className="flex items-center gap-2 bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 cursor-pointer hover:bg-dark-600/60"
+        >
+          <HiOutlineFolder className="w-4 h-4 text-primary-500 flex-shrink-0" />
+          <span className={`text-xs truncate flex-1 ${value.path ? 'text-dark-200' : 'text-dark-500'}`}>
+            {value.path || '选择目录'}
+          </span>
+          <HiChevronRight className="w-4 h-4 text-dark-500 flex-shrink-0" />
+        </div>
+      )}
+
+      {value.source === 'oss' && (
+        <div className="flex items-center gap-2 bg-dark-700 border border-dark-600 rounded-lg px-3 py-2">
+          <span className="text-xs text-dark-500 flex-shrink-0">oss://{config.oss?.bucket}/</span>
+          <input
+            type="text"
+            value={value.prefix}
+            onChange={(e) => update('prefix', e.target.value)}
+            placeholder="前缀，留空为整个存储桶"
+            className="flex-1 min-w-0 bg-transparent text-xs text-white focus:outline-none"
+          />
+        </div>
+      )}
+
+      {value.source === 's3' && (
+        <>
+          {renderFields('s3', S3_FIELDS)}
+          <label className="flex items-center justify-between gap-3 py-1 cursor-pointer">
+            <div>
+              <span className="text-xs text-dark-300">路径形式访问</span>
+              <p className="text-[10px] text-dark-500 mt-0.5">MinIO 等自建服务通常需要开启</p>
+            </div>
+            <input
+              type="checkbox"
+              checked={value.s3.pathStyle}
+              onChange={(e) => updateGroup('s3', 'pathStyle', e.target.checked)}
+              className="w-4 h-4 accent-primary-500 flex-shrink-0"
+            />
+          </label>
+          <div className="flex items-center justify-between gap-3">
+            <span className="text-xs text-dark-300">播放方式</span>
+            <div className="flex gap-1">
+              {[['proxy', '服务器转发'], ['redirect', '签名直链']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  onClick={() => updateGroup('s3', 'streamMode', mode)}
+                  className={`text-[10px] px-2 py-1 rounded-md ${value.s3.streamMode === mode ? 'bg-primary-500/15 text-primary-500' : 'bg-dark-700 text-dark-400'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+
+      {value.source === 'webdav' && renderFields('webdav', WEBDAV_FIELDS)}
+
+      <div className="flex gap-2">
+        <button
+          onClick={onCancel}
+          className="flex-1 text-xs text-dark-300 bg-dark-700 hover:bg-dark-600 rounded-lg py-2"
+        >
+          取消
+        </button>
+        <button
+          onClick={handleSubmit}
+          disabled={busy || !isComplete(value)}
+          className="flex-1 text-xs text-dark-900 font-semibold bg-primary-500 hover:bg-primary-600 rounded-lg py-2 disabled:opacity-50"
+        >
+          {busy ? '正在连接...' : '添加并扫描'}
+        </button>
+      </div>
+    </div>
+  );
+}
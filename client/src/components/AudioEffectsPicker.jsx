@@ -0,0 +1,95 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import usePlayerStore from '../stores/playerStore';
+import { BOOST_OPTIONS } from '../utils/audioEffects';
+
+const TOGGLES = [
+  ['compressor', '动态压缩', '压低突然变大的声音、抬高轻声，适合嘈杂环境'],
+  ['voiceEq', '人声清晰', '削减低频轰鸣、提升人声的清晰度'],
+];
+
+/**
+ * 音效面板（底部弹出）：响度标准化、音量增强、动态压缩、人声清晰，按书记忆
+ */
+export default function AudioEffectsPicker({ open, onClose }) {
+  const { audioEffects, setAudioEffects, currentEpisode } = usePlayerStore();
+  const loudness = currentEpisode?.loudness;
+
+  const optionClass = (active) => `py-2.5 rounded-xl text-sm transition-colors ${
+    active ? 'bg-primary-500 text-dark-900 font-semibold' : 'bg-dark-800 text-dark-300 hover:bg-dark-700'
+  }`;
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-[60] bg-black/50"
+            onClick={onClose}
+          />
+          <motion.div
+            initial={{ y: '100%' }}
+            animate={{ y: 0 }}
+            exit={{ y: '100%' }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed bottom-0 left-0 right-0 z-[61] bg-dark-900 rounded-t-3xl"
+          >
+            <div className="max-w-lg mx-auto p-4 pb-safe">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold">音效</h3>
+                <button onClick={onClose} className="text-dark-400 text-sm">
+                  关闭
+                </button>
+              </div>
+
+              <button
+                onClick={() => setAudioEffects({ normalize: !audioEffects.normalize })}
+                className={`w-full ${optionClass(audioEffects.normalize)} mb-1`}
+              >
+                音量均衡
+              </button>
+              <p className="text-[10px] text-dark-500 mb-4">
+                {loudness
+                  ? `本集 ${loudness.integrated !== null ? `${loudness.integrated.toFixed(1)} LUFS，` : ''}调整 ${loudness.gain > 0 ? '+' : ''}${loudness.gain} dB`
+                  : '本集尚未分析响度（管理员可在设置中开启响度分析）'}
+              </p>
+
+              <p className="text-xs text-dark-500 mb-2">音量增强</p>
+              <div className="grid grid-cols-4 gap-2 mb-4">
+                {BOOST_OPTIONS.map((boost) => (
+                  <button
+                    key={boost}
+                    onClick={() => setAudioEffects({ boost })}
+                    className={optionClass(audioEffects.boost === boost)}
+                  >
+                    {boost === 0 ? '关' : `+${boost} dB`}
+                  </button>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-2 gap-2 mb-2">
+                {TOGGLES.map(([key, label]) => (
+                  <button
+                    key={key}
+                    onClick={() => setAudioEffects({ [key]: !audioEffects[key] })}
+                    className={optionClass(audioEffects[key])}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-[10px] text-dark-500 mb-3">
+                {TOGGLES.map(([, label, description]) => `${label}：${description}`).join('；')}。设置只对这本书生效
+              </p>
+              <p className="text-[10px] text-dark-500 mb-3">
+                开启任一音效后改由网页音频处理播放，刷新页面后才恢复；iOS 锁屏后可能会暂停
+              </p>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+}
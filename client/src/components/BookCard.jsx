@@ -2,12 +2,17 @@ import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { HiPlay } from 'react-icons/hi2';
 import { bookApi } from '../utils/api';
-import { formatTime, formatDate } from '../utils/format';
+import { formatTime, formatDate, formatDuration } from '../utils/format';
+import { getBookRemaining } from '../utils/progress';
 import usePlayerStore from '../stores/playerStore';
 
 export default function BookCard({ book, progress, index = 0 }) {
   const navigate = useNavigate();
-  const { resumeBook } = usePlayerStore();
+  const { resumeBook, defaultPlaybackRate, bookPlaybackRates } = usePlayerStore();
+
+  const totalDuration = book.totalDuration || progress?.totalDuration || 0;
+  const rate = bookPlaybackRates[book.id] || defaultPlaybackRate;
+  const remaining = progress ? getBookRemaining({ totalDuration }, progress, rate) : null;
 
   const handleResume = async (e) => {
     e.stopPropagation();
@@ -42,16 +47,22 @@ export default function BookCard({ book, progress, index = 0 }) {
           <h3 className="font-semibold text-sm text-white truncate">{book.name}</h3>
           <p className="text-xs text-dark-400 mt-1">
             {book.seasonCount > 1 ? `${book.seasonCount}季 · ` : ''}{book.totalEpisodes}集
+            {totalDuration > 0 && ` · 共${formatDuration(totalDuration)}`}
+            {remaining !== null && totalDuration > 0 && (
+              <span className="text-dark-500">，剩余{formatDuration(remaining)}</span>
+            )}
           </p>
         </div>
         
         {/* 格式转换进度 */}
-        {book.converting && book.converting.status === 'converting' && (
+        {book.converting && (book.converting.status === 'converting' || book.converting.status === 'paused') && (
           <div className="mt-1">
             <div className="flex items-center gap-1.5">
-              <div className="w-2.5 h-2.5 border border-amber-500/30 border-t-amber-500 rounded-full animate-spin" />
+              {book.converting.status === 'converting' && (
+                <div className="w-2.5 h-2.5 border border-amber-500/30 border-t-amber-500 rounded-full animate-spin" />
+              )}
               <span className="text-[10px] text-amber-400">
-                转换中 {book.converting.completed + (book.converting.failed || 0)}/{book.converting.total}
+                {book.converting.status === 'paused' ? '转换已暂停' : '转换中'} {book.converting.completed + (book.converting.failed || 0)}/{book.converting.total}
               </span>
             </div>
             <div className="h-1 bg-dark-700 rounded-full overflow-hidden mt-1">
@@ -69,7 +80,7 @@ export default function BookCard({ book, progress, index = 0 }) {
         )}
 
         {/* 播放进度 */}
-        {(!book.converting || book.converting.status === 'done' || book.converting.status === 'error') && progress && (
+        {(!book.converting || !['converting', 'paused'].includes(book.converting.status)) && progress && (
           <div className="mt-1">
             <p className="text-xs text-primary-500 truncate">
               {progress.seasonName && `${progress.seasonName} · `}
@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { HiBookmark, HiPencilSquare, HiOutlineTrash } from 'react-icons/hi2';
+import { formatTime } from '../utils/format';
+
+/**
+ * 书签列表（BookDetail 与播放器书签面板共用）
+ * 点击书签跳转播放，可编辑名称/笔记、删除
+ */
+export default function BookmarkList({ bookmarks, showSeason = false, onSelect, onUpdate, onDelete }) {
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState({ title: '', note: '' });
+
+  if (!bookmarks || bookmarks.length === 0) {
+    return <p className="text-xs text-dark-500 text-center py-4">暂无书签</p>;
+  }
+
+  const startEdit = (bookmark) => {
+    setEditingId(bookmark.id);
+    setForm({ title: bookmark.title || '', note: bookmark.note || '' });
+  };
+
+  const saveEdit = async (bookmark) => {
+    await onUpdate(bookmark, { title: form.title.trim() || bookmark.title, note: form.note.trim() });
+    setEditingId(null);
+  };
+
+  return (
+    <div className="divide-y divide-dark-700/50">
+      {bookmarks.map((bookmark) => (
+        <div key={bookmark.id} className="py-2.5">
+          {editingId === bookmark.id ? (
+            <div className="space-y-2">
+              <input
+                type="text"
+                value={form.title}
+                onChange={(e) => setForm({ ...form, title: e.target.value })}
+                placeholder="书签名称"
+                className="w-full bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-primary-500/50"
+              />
+              <textarea
+                value={form.note}
+                onChange={(e) => setForm({ ...form, note: e.target.value })}
+                placeholder="笔记（可选）"
+                rows={2}
+                className="w-full bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-primary-500/50 resize-none"
+              />
+              <div className="flex gap-2 justify-end">
+                <button onClick={() => setEditingId(null)} className="text-xs text-dark-400 px-3 py-1.5">
+                  取消
+                </button>
+                <button onClick={() => saveEdit(bookmark)} className="btn-primary text-xs px-3 py-1.5">
+                  保存
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="flex items-start gap-3">
+              <button
+                onClick={() => onSelect(bookmark)}
+                className="flex-1 min-w-0 text-left flex items-start gap-2"
+              >
+                <HiBookmark className="w-4 h-4 text-primary-500 flex-shrink-0 mt-0.5" />
+                <div className="min-w-0">
+                  <p className="text-sm text-white truncate">{bookmark.title}</p>
+                  <p className="text-[10px] text-dark-500 mt-0.5 truncate">
+                    {showSeason && bookmark.seasonName && `${bookmark.seasonName} · `}
+                    {bookmark.episodeName} · {formatTime(bookmark.time)}
+                  </p>
+                  {bookmark.note && (
+                    <p className="text-xs text-dark-400 mt-1 line-clamp-2 whitespace-pre-line">{bookmark.note}</p>
+                  )}
+                </div>
+              </button>
+              <button onClick={() => startEdit(bookmark)} className="text-dark-500 hover:text-white p-1">
+                <HiPencilSquare className="w-4 h-4" />
+              </button>
+              <button onClick={() => onDelete(bookmark)} className="text-dark-500 hover:text-red-400 p-1">
+                <HiOutlineTrash className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import { useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { HiPlus } from 'react-icons/hi2';
+import usePlayerStore from '../stores/playerStore';
+import useBookmarkStore from '../stores/bookmarkStore';
+import BookmarkList from './BookmarkList';
+import { formatTime } from '../utils/format';
+
+/**
+ * 播放器书签面板（底部弹出）：在当前位置添加书签，浏览并跳转本书书签
+ */
+export default function BookmarkPanel({ open, onClose }) {
+  const {
+    currentBook, currentSeason, currentEpisode,
+    currentSeasonIndex, currentEpisodeIndex, currentTime, bookDetail,
+    playBookmark,
+  } = usePlayerStore();
+  const { bookmarksByBook, addBookmark, updateBookmark, deleteBookmark } = useBookmarkStore();
+  // 打开面板时记录的位置，避免填写笔记期间时间继续走
+  const [markTime, setMarkTime] = useState(0);
+  const [title, setTitle] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setMarkTime(currentTime);
+      setTitle('');
+      setNote('');
+    }
+  }, [open]);
+
+  if (!currentBook || !currentEpisode) return null;
+
+  const bookmarks = bookmarksByBook[currentBook.id] || [];
+
+  const handleAdd = async () => {
+    setSaving(true);
+    try {
+      await addBookmark({
+        bookId: currentBook.id,
+        seasonId: currentSeason.id,
+        episodeId: currentEpisode.id,
+        seasonIndex: currentSeasonIndex,
+        episodeIndex: currentEpisodeIndex,
+        seasonName: currentSeason.name,
+        episodeName: currentEpisode.name,
+        time: Math.floor(markTime),
+        title: title.trim() || `${currentEpisode.name} ${formatTime(markTime)}`,
+        note: note.trim(),
+      });
+      setTitle('');
+      setNote('');
+    } catch (e) {
+      console.error('Failed to add bookmark:', e);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSelect = (bookmark) => {
+    playBookmark(currentBook, bookmark);
+    onClose();
+  };
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-[60] bg-black/50"
+            onClick={onClose}
+          />
+          <motion.div
+            initial={{ y: '100%' }}
+            animate={{ y: 0 }}
+            exit={{ y: '100%' }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed bottom-0 left-0 right-0 z-[61] bg-dark-900 rounded-t-3xl max-h-[75vh] flex flex-col"
+          >
+            <div className="max-w-lg mx-auto w-full p-4 pb-safe flex flex-col min-h-0">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="font-semibold">书签</h3>
+                <button onClick={onClose} className="text-dark-400 text-sm">
+                  关闭
+                </button>
+              </div>
+
+              {/* 添加书签 */}
+              <div className="bg-dark-800/60 rounded-xl p-3 space-y-2 mb-3">
+                <p className="text-xs text-dark-400 truncate">
+                  {currentEpisode.name} · <span className="text-primary-500">{formatTime(markTime)}</span>
+                </p>
+                <input
+                  type="text"
+                  value={title}
+                  onChange={(e) => setTitle(e.target.value)}
+                  placeholder="书签名称（可选）"
+                  className="w-full bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-primary-500/50"
+                />
+                <textarea
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  placeholder="笔记（可选）"
+                  rows={2}
+                  className="w-full bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-primary-500/50 resize-none"
+                />
+                <button
+                  onClick={handleAdd}
+                  disabled={saving}
+                  className="btn-primary w-full text-sm py-2 flex items-center justify-center gap-1.5 disabled:opacity-50"
+                >
+                  <HiPlus className="w-4 h-4" />
+                  添加书签
+                </button>
+              </div>
+
+              {/* 本书书签 */}
+              <div className="overflow-y-auto min-h-0">
+                <BookmarkList
+                  bookmarks={bookmarks}
+                  showSeason={bookDetail?.seasons.length > 1}
+                  onSelect={handleSelect}
+                  onUpdate={updateBookmark}
+                  onDelete={deleteBookmark}
+                />
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+}
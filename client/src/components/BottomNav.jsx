@@ -3,12 +3,14 @@ import { motion } from 'framer-motion';
 import { 
   HiOutlineBookOpen, 
   HiOutlineHeart, 
+  HiOutlineChartBar,
   HiOutlineCog6Tooth 
 } from 'react-icons/hi2';
 
 const navItems = [
   { path: '/', icon: HiOutlineBookOpen, label: '书架' },
   { path: '/favorites', icon: HiOutlineHeart, label: '收藏' },
+  { path: '/stats', icon: HiOutlineChartBar, label: '统计' },
   { path: '/settings', icon: HiOutlineCog6Tooth, label: '设置' },
 ];
 
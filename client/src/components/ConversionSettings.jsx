@@ -0,0 +1,153 @@
+import { useState } from 'react';
+import { HiOutlineArrowPath, HiChevronDown, HiChevronUp } from 'react-icons/hi2';
+import { configApi } from '../utils/api';
+import { describeProfile } from './ReconvertForm';
+
+const inputClass = 'w-full bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 text-xs text-white focus:outline-none focus:border-primary-500/50';
+
+const POLICIES = [
+  ['delete', '删除原文件', '转换完成后删除 WMA/APE 原文件'],
+  ['keep', '保留原文件', '转换结果写在原文件旁边，书中只显示一集'],
+  ['cache', '单独目录', '转换结果写到缓存目录，书库目录保持不变'],
+];
+
+const chipClass = (active) => `text-[10px] px-2 py-1 rounded-md ${active ? 'bg-primary-500/15 text-primary-500' : 'bg-dark-700 text-dark-400'}`;
+
+/**
+ * 设置页：WMA/APE 格式转换（管理员可编辑）
+ * 原文件的处理方式，以及默认和各本地书库使用的转换配置（配置本身在 config.json 中定义）
+ */
+export default function ConversionSettings({ config, libraries = [], editable, onSaved }) {
+  const [form, setForm] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const conversion = config.conversion || { policy: 'delete', cacheDir: '', profiles: {}, defaultProfile: 'voice', libraryProfiles: {} };
+  const profileNames = Object.keys(conversion.profiles || {});
+  const localLibraries = libraries.filter(lib => lib.source === 'local');
+  const current = POLICIES.find(([policy]) => policy === conversion.policy) || POLICIES[0];
+
+  const openForm = () => {
+    if (form) {
+      setForm(null);
+      return;
+    }
+    setForm({
+      policy: conversion.policy,
+      cacheDir: conversion.cacheDir || '',
+      defaultProfile: conversion.defaultProfile,
+      libraryProfiles: Object.fromEntries(localLibraries.map(lib => [lib.id, conversion.libraryProfiles?.[lib.id] || ''])),
+    });
+    setMessage(null);
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const res = await configApi.updateConfig({ conversion: form });
+      onSaved(res.data);
+      setMessage({ type: 'success', text: '已保存，之后的转换按新设置处理' });
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div>
+      <div
+        onClick={() => editable && openForm()}
+        className={`flex justify-between items-center ${editable ? 'cursor-pointer' : ''}`}
+      >
+        <span className="text-dark-400 flex items-center gap-2">
+          <HiOutlineArrowPath className="w-4 h-4" />
+          格式转换
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="text-dark-300">{current[1]} · {conversion.defaultProfile}</span>
+          {editable && (form
+            ? <HiChevronUp className="w-4 h-4 text-dark-500" />
+            : <HiChevronDown className="w-4 h-4 text-dark-500" />)}
+        </span>
+      </div>
+
+      {form && (
+        <div className="space-y-2 mt-2">
+          <div className="flex gap-1">
+            {POLICIES.map(([policy, label]) => (
+              <button
+                key={policy}
+                onClick={() => setForm(prev => ({ ...prev, policy }))}
+                className={`flex-1 text-[10px] py-1.5 rounded-md ${form.policy === policy ? 'bg-primary-500/15 text-primary-500' : 'bg-dark-700 text-dark-400'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <p className="text-[10px] text-dark-500">
+            {POLICIES.find(([policy]) => policy === form.policy)[2]}
+          </p>
+          {form.policy === 'cache' && (
+            <input
+              type="text"
+              value={form.cacheDir}
+              onChange={(e) => setForm(prev => ({ ...prev, cacheDir: e.target.value }))}
+              placeholder="缓存目录（服务器上的绝对路径）"
+              className={inputClass}
+            />
+          )}
+
+          <div className="flex items-center justify-between gap-3 pt-1">
+            <span className="text-xs text-dark-300">默认转换配置</span>
+            <div className="flex flex-wrap justify-end gap-1">
+              {profileNames.map(name => (
+                <button
+                  key={name}
+                  onClick={() => setForm(prev => ({ ...prev, defaultProfile: name }))}
+                  className={chipClass(form.defaultProfile === name)}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+          </div>
+          <p className="text-[10px] text-dark-500">
+            {conversion.profiles?.[form.defaultProfile] && describeProfile(conversion.profiles[form.defaultProfile])}
+          </p>
+          {localLibraries.length > 1 && localLibraries.map(lib => (
+            <div key={lib.id} className="flex items-center justify-between gap-3">
+              <span className="text-xs text-dark-400 truncate">{lib.name}</span>
+              <div className="flex flex-wrap justify-end gap-1">
+                {[['', '默认'], ...profileNames.map(name => [name, name])].map(([name, label]) => (
+                  <button
+                    key={name || 'default'}
+                    onClick={() => setForm(prev => ({ ...prev, libraryProfiles: { ...prev.libraryProfiles, [lib.id]: name } }))}
+                    className={chipClass(form.libraryProfiles[lib.id] === name)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          <button
+            onClick={handleSave}
+            disabled={busy}
+            className="btn-primary w-full py-2 text-xs disabled:opacity-50"
+          >
+            {busy ? '请稍候...' : '保存'}
+          </button>
+        </div>
+      )}
+
+      {message && (
+        <p className={`text-xs mt-1.5 ${message.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -3,8 +3,8 @@ import { HiPlay, HiSpeakerWave, HiArrowDownTray } from 'react-icons/hi2';
 import usePlayerStore from '../stores/playerStore';
 import { formatTime } from '../utils/format';
 import { useState } from 'react';
-import { cacheAudio, getCachedAudio } from '../utils/db';
-import { bookApi } from '../utils/api';
+import { getCachedAudio, getAudioCacheKey } from '../utils/db';
+import { downloadAudio } from '../stores/downloadStore';
 
 export default function EpisodeList({ book, season, seasonIndex, onPlay }) {
   const { currentEpisode, isPlaying } = usePlayerStore();
@@ -16,8 +16,7 @@ export default function EpisodeList({ book, season, seasonIndex, onPlay }) {
     (async () => {
       const cached = new Set();
       for (const ep of season.episodes) {
-        const key = `${book.id}_${season.id}_${ep.id}`;
-        const c = await getCachedAudio(key);
+        const c = await getCachedAudio(getAudioCacheKey(book.id, season.id, ep));
         if (c) cached.add(ep.id);
       }
       setCachedEpisodes(cached);
@@ -31,18 +30,23 @@ export default function EpisodeList({ book, season, seasonIndex, onPlay }) {
     
     setDownloadingId(episode.id);
     try {
-      const url = bookApi.getDownloadUrl(book.id, season.id, episode.id);
-      const response = await fetch(url);
-      const blob = await response.blob();
-      
-      const key = `${book.id}_${season.id}_${episode.id}`;
-      await cacheAudio(key, book.id, blob, {
-        episodeName: episode.name,
-        seasonName: season.name,
-        bookName: book.name,
+      // 内嵌章节展开的集下载的是整个文件，同一文件的各章都已缓存
+      const sameFile = episode.fileEpisodeId
+        ? season.episodes.filter(ep => ep.fileEpisodeId === episode.fileEpisodeId)
+        : [episode];
+      await downloadAudio({
+        key: getAudioCacheKey(book.id, season.id, episode),
+        bookId: book.id,
+        seasonId: season.id,
+        episodeId: episode.fileEpisodeId || episode.id,
+        metadata: {
+          episodeName: episode.fileEpisodeId ? episode.fileName : episode.name,
+          seasonName: season.name,
+          bookName: book.name,
+        },
       });
       
-      setCachedEpisodes(prev => new Set([...prev, episode.id]));
+      setCachedEpisodes(prev => new Set([...prev, ...sameFile.map(ep => ep.id)]));
     } catch (e) {
       console.error('Download failed:', e);
     } finally {
@@ -93,6 +97,11 @@ export default function EpisodeList({ book, season, seasonIndex, onPlay }) {
                     已缓存
                   </span>
                 )}
+                {episode.duration > 0 && (
+                  <span className="text-[10px] text-dark-500">
+                    {formatTime(episode.duration)}
+                  </span>
+                )}
                 {episode.format && (
                   <span className="text-[10px] text-dark-500 uppercase">
                     {episode.format.replace('.', '')}
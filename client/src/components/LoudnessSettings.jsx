@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { HiOutlineSpeakerWave, HiChevronDown, HiChevronUp } from 'react-icons/hi2';
+import { configApi } from '../utils/api';
+
+// 常用目标响度（LUFS）：-23 广播（EBU R128）、-18 有声书、-16 播客、-14 流媒体音乐
+const TARGETS = [-23, -18, -16, -14];
+
+const chipClass = (active) => `flex-1 text-[10px] py-1.5 rounded-md ${active ? 'bg-primary-500/15 text-primary-500' : 'bg-dark-700 text-dark-400'}`;
+
+/**
+ * 设置页：响度分析（管理员可编辑）
+ * 开启后服务器在后台测量每集的响度，播放时按目标响度调整音量
+ */
+export default function LoudnessSettings({ config, editable, onSaved }) {
+  const [form, setForm] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loudness = config.loudness || { enabled: false, target: -16 };
+
+  const openForm = () => {
+    setForm(form ? null : { enabled: loudness.enabled, target: loudness.target });
+    setMessage(null);
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const res = await configApi.updateConfig({ loudness: form });
+      onSaved(res.data);
+      setMessage({ type: 'success', text: form.enabled ? '已保存，刷新书架后未分析的集加入后台任务' : '已保存' });
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div>
+      <div
+        onClick={() => editable && openForm()}
+        className={`flex justify-between items-center ${editable ? 'cursor-pointer' : ''}`}
+      >
+        <span className="text-dark-400 flex items-center gap-2">
+          <HiOutlineSpeakerWave className="w-4 h-4" />
+          响度分析
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="text-dark-300">{loudness.enabled ? `开启 · ${loudness.target} LUFS` : '关闭'}</span>
+          {editable && (form
+            ? <HiChevronUp className="w-4 h-4 text-dark-500" />
+            : <HiChevronDown className="w-4 h-4 text-dark-500" />)}
+        </span>
+      </div>
+
+      {form && (
+        <div className="space-y-2 mt-2">
+          <div className="flex gap-1">
+            {[[true, '自动分析'], [false, '关闭']].map(([enabled, label]) => (
+              <button
+                key={label}
+                onClick={() => setForm(prev => ({ ...prev, enabled }))}
+                className={chipClass(form.enabled === enabled)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <p className="text-[10px] text-dark-500">
+            在后台测量本地书库每集的响度（EBU R128），其他书库可在书籍详情中手动分析
+          </p>
+
+          <div className="flex items-center justify-between gap-3 pt-1">
+            <span className="text-xs text-dark-300">目标响度</span>
+            <div className="flex gap-1">
+              {TARGETS.map(target => (
+                <button
+                  key={target}
+                  onClick={() => setForm(prev => ({ ...prev, target }))}
+                  className={`text-[10px] px-2 py-1 rounded-md ${form.target === target ? 'bg-primary-500/15 text-primary-500' : 'bg-dark-700 text-dark-400'}`}
+                >
+                  {target}
+                </button>
+              ))}
+            </div>
+          </div>
+          <p className="text-[10px] text-dark-500">单位 LUFS，越大越响；修改后已分析的集不需要重新分析</p>
+
+          <button
+            onClick={handleSave}
+            disabled={busy}
+            className="btn-primary w-full py-2 text-xs disabled:opacity-50"
+          >
+            {busy ? '请稍候...' : '保存'}
+          </button>
+        </div>
+      )}
+
+      {message && (
+        <p className={`text-xs mt-1.5 ${message.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -3,16 +3,19 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { HiPlay, HiPause, HiForward } from 'react-icons/hi2';
 import usePlayerStore from '../stores/playerStore';
 import { bookApi } from '../utils/api';
-import { formatTime } from '../utils/format';
+import { formatRate } from '../utils/format';
+import SpeedPicker from './SpeedPicker';
+import { useState } from 'react';
 
 export default function MiniPlayer() {
   const navigate = useNavigate();
   const location = useLocation();
   const { 
     currentBook, currentEpisode, currentSeason,
-    isPlaying, currentTime, duration, isLoading,
-    togglePlay, playNext 
+    isPlaying, currentTime, duration, isLoading, playbackRate,
+    togglePlay, playNext, setPlaybackRate,
   } = usePlayerStore();
+  const [showSpeed, setShowSpeed] = useState(false);
 
   // 不在播放器页面且有正在播放的内容时显示
   if (!currentBook || location.pathname === '/player') return null;
@@ -20,72 +23,89 @@ export default function MiniPlayer() {
   const progress = duration > 0 ? (currentTime / duration) * 100 : 0;
 
   return (
-    <AnimatePresence>
-      <motion.div
-        initial={{ y: 80 }}
-        animate={{ y: 0 }}
-        exit={{ y: 80 }}
-        className="fixed bottom-14 left-0 right-0 z-30"
-      >
-        <div className="max-w-lg mx-auto px-2">
-          <div 
-            className="bg-dark-800/95 backdrop-blur-xl border border-dark-700/50 rounded-2xl mx-1 overflow-hidden shadow-xl shadow-black/30"
-            onClick={() => navigate('/player')}
-          >
-            {/* 进度条 */}
-            <div className="h-0.5 bg-dark-700">
-              <div 
-                className="h-full bg-primary-500 transition-all duration-300"
-                style={{ width: `${progress}%` }}
-              />
-            </div>
-            
-            <div className="flex items-center gap-3 p-3">
-              {/* 封面 */}
-              <div className="w-10 h-10 rounded-lg overflow-hidden flex-shrink-0 bg-dark-700">
-                <img
-                  src={bookApi.getCoverUrl(currentBook.id)}
-                  alt=""
-                  className={`w-full h-full object-cover ${isPlaying ? 'animate-pulse-soft' : ''}`}
+    <>
+      <AnimatePresence>
+        <motion.div
+          initial={{ y: 80 }}
+          animate={{ y: 0 }}
+          exit={{ y: 80 }}
+          className="fixed bottom-14 left-0 right-0 z-30"
+        >
+          <div className="max-w-lg mx-auto px-2">
+            <div 
+              className="bg-dark-800/95 backdrop-blur-xl border border-dark-700/50 rounded-2xl mx-1 overflow-hidden shadow-xl shadow-black/30"
+              onClick={() => navigate('/player')}
+            >
+              {/* 进度条 */}
+              <div className="h-0.5 bg-dark-700">
+                <div 
+                  className="h-full bg-primary-500 transition-all duration-300"
+                  style={{ width: `${progress}%` }}
                 />
               </div>
               
-              {/* 信息 */}
-              <div className="flex-1 min-w-0">
-                <p className="text-sm font-medium text-white truncate">
-                  {currentEpisode?.name || '未知'}
-                </p>
-                <p className="text-xs text-dark-400 truncate mt-0.5">
-                  {currentBook.name}
-                  {currentSeason && ` · ${currentSeason.name}`}
-                </p>
-              </div>
-              
-              {/* 控制按钮 */}
-              <div className="flex items-center gap-1" onClick={(e) => e.stopPropagation()}>
-                <button
-                  onClick={togglePlay}
-                  className="w-10 h-10 flex items-center justify-center rounded-full bg-primary-500 text-dark-900 active:scale-90 transition-transform"
-                >
-                  {isLoading ? (
-                    <div className="w-5 h-5 border-2 border-dark-900/30 border-t-dark-900 rounded-full animate-spin" />
-                  ) : isPlaying ? (
-                    <HiPause className="w-5 h-5" />
-                  ) : (
-                    <HiPlay className="w-5 h-5 ml-0.5" />
-                  )}
-                </button>
-                <button
-                  onClick={playNext}
-                  className="w-10 h-10 flex items-center justify-center text-dark-300 active:scale-90 transition-transform"
-                >
-                  <HiForward className="w-5 h-5" />
-                </button>
+              <div className="flex items-center gap-3 p-3">
+                {/* 封面 */}
+                <div className="w-10 h-10 rounded-lg overflow-hidden flex-shrink-0 bg-dark-700">
+                  <img
+                    src={bookApi.getCoverUrl(currentBook.id)}
+                    alt=""
+                    className={`w-full h-full object-cover ${isPlaying ? 'animate-pulse-soft' : ''}`}
+                  />
+                </div>
+                
+                {/* 信息 */}
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-white truncate">
+                    {currentEpisode?.name || '未知'}
+                  </p>
+                  <p className="text-xs text-dark-400 truncate mt-0.5">
+                    {currentBook.name}
+                    {currentSeason && ` · ${currentSeason.name}`}
+                  </p>
+                </div>
+                
+                {/* 控制按钮 */}
+                <div className="flex items-center gap-1" onClick={(e) => e.stopPropagation()}>
+                  <button
+                    onClick={() => setShowSpeed(true)}
+                    className={`h-10 px-1.5 text-xs font-semibold active:scale-90 transition-transform ${
+                      playbackRate !== 1 ? 'text-primary-500' : 'text-dark-400'
+                    }`}
+                  >
+                    {formatRate(playbackRate)}
+                  </button>
+                  <button
+                    onClick={togglePlay}
+                    className="w-10 h-10 flex items-center justify-center rounded-full bg-primary-500 text-dark-900 active:scale-90 transition-transform"
+                  >
+                    {isLoading ? (
+                      <div className="w-5 h-5 border-2 border-dark-900/30 border-t-dark-900 rounded-full animate-spin" />
+                    ) : isPlaying ? (
+                      <HiPause className="w-5 h-5" />
+                    ) : (
+                      <HiPlay className="w-5 h-5 ml-0.5" />
+                    )}
+                  </button>
+                  <button
+                    onClick={playNext}
+                    className="w-10 h-10 flex items-center justify-center text-dark-300 active:scale-90 transition-transform"
+                  >
+                    <HiForward className="w-5 h-5" />
+                  </button>
+                </div>
               </div>
             </div>
           </div>
-        </div>
-      </motion.div>
-    </AnimatePresence>
+        </motion.div>
+      </AnimatePresence>
+
+      <SpeedPicker
+        open={showSpeed}
+        value={playbackRate}
+        onChange={setPlaybackRate}
+        onClose={() => setShowSpeed(false)}
+      />
+    </>
   );
 }
@@ -0,0 +1,148 @@
+import { useState } from 'react';
+import { HiOutlineCloud, HiChevronDown, HiChevronUp } from 'react-icons/hi2';
+import { configApi } from '../utils/api';
+
+const inputClass = 'w-full bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 text-xs text-white focus:outline-none focus:border-primary-500/50';
+
+const FIELDS = [
+  { key: 'region', placeholder: '地域，如 oss-cn-hangzhou' },
+  { key: 'endpoint', placeholder: 'Endpoint（可选），如 http://localhost:9000' },
+  { key: 'bucket', placeholder: 'Bucket 名称' },
+  { key: 'accessKeyId', placeholder: 'AccessKey ID' },
+  { key: 'prefix', placeholder: '默认前缀，如 audiobooks/' },
+];
+
+/**
+ * 设置页：OSS 存储状态与连接配置（管理员可编辑）
+ * AccessKey Secret 不会返回给客户端，留空表示保持原值
+ */
+export default function OSSSettings({ config, editable, onSaved }) {
+  const [form, setForm] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const openForm = () => {
+    if (form) {
+      setForm(null);
+      return;
+    }
+    const oss = config.oss || {};
+    setForm({
+      region: oss.region || '',
+      endpoint: oss.endpoint || '',
+      bucket: oss.bucket || '',
+      accessKeyId: oss.accessKeyId || '',
+      accessKeySecret: '',
+      prefix: oss.prefix || '',
+      pathStyle: !!oss.pathStyle,
+      streamMode: oss.streamMode || 'proxy',
+    });
+    setMessage(null);
+  };
+
+  const update = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const handleSave = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const res = await configApi.updateConfig({ oss: form });
+      onSaved(res.data);
+      setForm(prev => ({ ...prev, accessKeySecret: '' }));
+      if (res.data.ossEnabled) {
+        await configApi.testOSS();
+        setMessage({ type: 'success', text: '已保存，连接成功' });
+      } else {
+        setMessage({ type: 'success', text: '已保存，配置尚不完整' });
+      }
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div>
+      <div
+        onClick={() => editable && openForm()}
+        className={`flex justify-between items-center ${editable ? 'cursor-pointer' : ''}`}
+      >
+        <span className="text-dark-400 flex items-center gap-2">
+          <HiOutlineCloud className="w-4 h-4" />
+          OSS存储
+        </span>
+        <span className="flex items-center gap-1">
+          <span className={config.ossEnabled ? 'text-green-500' : 'text-dark-500'}>
+            {config.ossEnabled ? config.oss?.bucket || '已启用' : '未配置'}
+          </span>
+          {editable && (form
+            ? <HiChevronUp className="w-4 h-4 text-dark-500" />
+            : <HiChevronDown className="w-4 h-4 text-dark-500" />)}
+        </span>
+      </div>
+
+      {form && (
+        <div className="space-y-2 mt-2">
+          {FIELDS.map(({ key, placeholder }) => (
+            <input
+              key={key}
+              type="text"
+              value={form[key]}
+              onChange={(e) => update(key, e.target.value)}
+              placeholder={placeholder}
+              className={inputClass}
+            />
+          ))}
+          <input
+            type="password"
+            value={form.accessKeySecret}
+            onChange={(e) => update('accessKeySecret', e.target.value)}
+            placeholder={config.oss?.hasSecret ? 'AccessKey Secret（留空保持不变）' : 'AccessKey Secret'}
+            autoComplete="new-password"
+            className={inputClass}
+          />
+          <label className="flex items-center justify-between gap-3 py-1 cursor-pointer">
+            <div>
+              <span className="text-xs text-dark-300">路径形式访问</span>
+              <p className="text-[10px] text-dark-500 mt-0.5">本地兼容服务（如 MinIO）通常需要开启</p>
+            </div>
+            <input
+              type="checkbox"
+              checked={form.pathStyle}
+              onChange={(e) => update('pathStyle', e.target.checked)}
+              className="w-4 h-4 accent-primary-500 flex-shrink-0"
+            />
+          </label>
+          <div className="flex items-center justify-between gap-3">
+            <span className="text-xs text-dark-300">播放方式</span>
+            <div className="flex gap-1">
+              {[['proxy', '服务器转发'], ['redirect', '签名直链']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  onClick={() => update('streamMode', mode)}
+                  className={`text-[10px] px-2 py-1 rounded-md ${form.streamMode === mode ? 'bg-primary-500/15 text-primary-500' : 'bg-dark-700 text-dark-400'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <button
+            onClick={handleSave}
+            disabled={busy}
+            className="btn-primary w-full py-2 text-xs disabled:opacity-50"
+          >
+            {busy ? '请稍候...' : '保存并测试连接'}
+          </button>
+        </div>
+      )}
+
+      {message && (
+        <p className={`text-xs mt-1.5 ${message.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -7,11 +7,19 @@ import {
   HiArrowUturnLeft, HiArrowUturnRight,
   HiQueueList,
   HiHeart, HiOutlineHeart,
+  HiMoon,
+  HiOutlineBookmark,
+  HiOutlineAdjustmentsHorizontal,
 } from 'react-icons/hi2';
 import usePlayerStore from '../stores/playerStore';
 import useBookStore from '../stores/bookStore';
+import useBookmarkStore from '../stores/bookmarkStore';
 import { bookApi } from '../utils/api';
-import { formatTime } from '../utils/format';
+import { formatTime, formatRate } from '../utils/format';
+import SpeedPicker from './SpeedPicker';
+import SleepTimerPicker from './SleepTimerPicker';
+import BookmarkPanel from './BookmarkPanel';
+import AudioEffectsPicker from './AudioEffectsPicker';
 import { useState, useEffect, useRef } from 'react';
 
 export default function Player() {
@@ -19,14 +27,19 @@ export default function Player() {
   const {
     currentBook, currentSeason, currentEpisode,
     currentSeasonIndex, currentEpisodeIndex,
-    isPlaying, currentTime, duration, isLoading, bookDetail,
+    isPlaying, currentTime, duration, isLoading, bookDetail, playbackRate, sleepTimer, audioEffects,
     togglePlay, seekTo, seekRelative, playNext, playPrev,
-    playEpisode,
+    playEpisode, setPlaybackRate,
   } = usePlayerStore();
   
   const { checkFavorite, toggleFavorite } = useBookStore();
+  const { bookmarksByBook, loadBookmarks } = useBookmarkStore();
   const [isFav, setIsFav] = useState(false);
   const [showEpisodes, setShowEpisodes] = useState(false);
+  const [showSpeed, setShowSpeed] = useState(false);
+  const [showSleepTimer, setShowSleepTimer] = useState(false);
+  const [showBookmarks, setShowBookmarks] = useState(false);
+  const [showEffects, setShowEffects] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
   const [dragTime, setDragTime] = useState(0);
   const progressRef = useRef(null);
@@ -34,6 +47,7 @@ export default function Player() {
   useEffect(() => {
     if (currentBook) {
       checkFavorite(currentBook.id).then(setIsFav);
+      loadBookmarks(currentBook.id);
     }
   }, [currentBook]);
 
@@ -59,6 +73,9 @@ export default function Player() {
     }
   };
 
+  // 当前集的书签，显示在进度条上
+  const episodeBookmarks = (bookmarksByBook[currentBook.id] || []).filter(b => b.episodeId === currentEpisode.id);
+
   const displayTime = isDragging ? dragTime : currentTime;
   const progress = duration > 0 ? (displayTime / duration) * 100 : 0;
 
@@ -189,6 +206,20 @@ export default function Player() {
                 className="absolute left-0 top-0 h-full bg-primary-500 rounded-full transition-all"
                 style={{ width: `${progress}%`, transition: isDragging ? 'none' : 'width 0.3s' }}
               />
+              {/* 书签标记（点击跳转） */}
+              {duration > 0 && episodeBookmarks.map((bookmark) => (
+                <button
+                  key={bookmark.id}
+                  title={bookmark.title}
+                  onMouseDown={(e) => e.stopPropagation()}
+                  onTouchStart={(e) => e.stopPropagation()}
+                  onClick={(e) => { e.stopPropagation(); seekTo(bookmark.time); }}
+                  className="absolute -top-2.5 w-3 h-6 -ml-1.5 flex justify-center"
+                  style={{ left: `${Math.min(100, (bookmark.time / duration) * 100)}%` }}
+                >
+                  <span className="w-0.5 h-full bg-sky-400 rounded-full" />
+                </button>
+              ))}
               {/* 拖拽指示器 */}
               <div 
                 className={`absolute top-1/2 -translate-y-1/2 w-4 h-4 rounded-full bg-primary-500 shadow-lg shadow-primary-500/30 transition-all ${isDragging ? 'scale-150' : ''}`}
@@ -198,7 +229,8 @@ export default function Player() {
           </div>
           <div className="flex justify-between text-xs text-dark-500 -mt-1">
             <span>{formatTime(displayTime)}</span>
-            <span>{formatTime(duration)}</span>
+            {/* 剩余时间按当前倍速换算为实际收听时间 */}
+            <span>-{formatTime(Math.max(0, duration - displayTime) / playbackRate)}</span>
           </div>
         </div>
 
@@ -255,14 +287,56 @@ export default function Player() {
           </div>
         </div>
 
-        {/* 集列表按钮 */}
-        <div className="px-8 mb-8">
+        {/* 倍速 / 睡眠定时 / 音效 / 书签 / 集列表按钮 */}
+        <div className="px-8 mb-8 flex items-center">
+          <button
+            onClick={() => setShowSpeed(true)}
+            className={`flex-1 flex flex-col items-center gap-1 py-2 transition-colors ${
+              playbackRate !== 1 ? 'text-primary-500' : 'text-dark-400 hover:text-white'
+            }`}
+          >
+            <span className="h-5 text-sm font-semibold leading-5">{formatRate(playbackRate)}</span>
+            <span className="text-xs">倍速</span>
+          </button>
+          <button
+            onClick={() => setShowSleepTimer(true)}
+            className={`flex-1 flex flex-col items-center gap-1 py-2 transition-colors ${
+              sleepTimer ? 'text-primary-500' : 'text-dark-400 hover:text-white'
+            }`}
+          >
+            <HiMoon className="w-5 h-5" />
+            <span className="text-xs">
+              {!sleepTimer
+                ? '定时'
+                : sleepTimer.mode === 'duration'
+                  ? formatTime(sleepTimer.remaining)
+                  : sleepTimer.episodesLeft === 1 ? '本集结束' : `剩 ${sleepTimer.episodesLeft} 集`}
+            </span>
+          </button>
+          <button
+            onClick={() => setShowEffects(true)}
+            className={`flex-1 flex flex-col items-center gap-1 py-2 transition-colors ${
+              audioEffects.boost > 0 || audioEffects.compressor || audioEffects.voiceEq
+                ? 'text-primary-500'
+                : 'text-dark-400 hover:text-white'
+            }`}
+          >
+            <HiOutlineAdjustmentsHorizontal className="w-5 h-5" />
+            <span className="text-xs">音效</span>
+          </button>
+          <button
+            onClick={() => setShowBookmarks(true)}
+            className="flex-1 flex flex-col items-center gap-1 text-dark-400 hover:text-white py-2 transition-colors"
+          >
+            <HiOutlineBookmark className="w-5 h-5" />
+            <span className="text-xs">书签</span>
+          </button>
           <button
             onClick={() => setShowEpisodes(!showEpisodes)}
-            className="w-full flex items-center justify-center gap-2 text-dark-400 hover:text-white py-2 transition-colors"
+            className="flex-1 flex flex-col items-center gap-1 text-dark-400 hover:text-white py-2 transition-colors"
           >
             <HiQueueList className="w-5 h-5" />
-            <span className="text-sm">播放列表</span>
+            <span className="text-xs">播放列表</span>
           </button>
         </div>
       </div>
@@ -320,6 +394,19 @@ export default function Player() {
           </div>
         </motion.div>
       )}
+
+      <SpeedPicker
+        open={showSpeed}
+        value={playbackRate}
+        onChange={setPlaybackRate}
+        onClose={() => setShowSpeed(false)}
+      />
+
+      <SleepTimerPicker open={showSleepTimer} onClose={() => setShowSleepTimer(false)} />
+
+      <AudioEffectsPicker open={showEffects} onClose={() => setShowEffects(false)} />
+
+      <BookmarkPanel open={showBookmarks} onClose={() => setShowBookmarks(false)} />
     </motion.div>
   );
 }
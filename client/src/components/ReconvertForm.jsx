@@ -0,0 +1,75 @@
+import { useEffect, useState } from 'react';
+import { bookApi, configApi } from '../utils/api';
+
+/**
+ * 转换配置的简要说明，如 AAC 64k · 单声道
+ */
+export function describeProfile({ codec, bitrate, channels, loudnorm }) {
+  return [
+    `${codec.toUpperCase()} ${bitrate}`,
+    channels === 1 ? '单声道' : '立体声',
+    ...(loudnorm ? ['响度标准化'] : []),
+  ].join(' · ');
+}
+
+/**
+ * 书籍详情（编辑书籍信息）：选择转换配置并重新转换这本书
+ * 只在这本书仍保留 WMA/APE 原文件时显示
+ */
+export default function ReconvertForm({ book, onStarted }) {
+  const [profiles, setProfiles] = useState(null);
+  const [selected, setSelected] = useState(book.conversionProfile);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    configApi.getConfig()
+      .then((res) => {
+        const conversion = res.data.conversion;
+        setProfiles(conversion.profiles);
+        setSelected(prev => prev || conversion.libraryProfiles?.[book.libraryId] || conversion.defaultProfile);
+      })
+      .catch(() => setProfiles({}));
+  }, [book.id]);
+
+  const handleReconvert = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await bookApi.reconvertBook(book.id, selected);
+      onStarted();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!profiles) return null;
+
+  return (
+    <div>
+      <label className="text-xs text-dark-400 mb-1 block">格式转换配置</label>
+      <div className="space-y-1">
+        {Object.entries(profiles).map(([name, profile]) => (
+          <button
+            key={name}
+            onClick={() => setSelected(name)}
+            className={`w-full flex justify-between items-center text-xs px-3 py-2 rounded-lg ${selected === name ? 'bg-primary-500/15 text-primary-500' : 'bg-dark-700 text-dark-300'}`}
+          >
+            <span>{name}</span>
+            <span className="text-[10px] text-dark-500">{describeProfile(profile)}</span>
+          </button>
+        ))}
+      </div>
+      <button
+        onClick={handleReconvert}
+        disabled={busy || !selected}
+        className="w-full text-xs text-dark-300 bg-dark-700 hover:bg-dark-600 rounded-lg py-2 mt-2 disabled:opacity-50"
+      >
+        {busy ? '请稍候...' : '用此配置重新转换'}
+      </button>
+      {error && <p className="text-xs text-red-400 mt-1.5">{error}</p>}
+    </div>
+  );
+}
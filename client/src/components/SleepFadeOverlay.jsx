@@ -0,0 +1,36 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { HiMoon } from 'react-icons/hi2';
+import usePlayerStore, { SLEEP_EXTEND_MINUTES } from '../stores/playerStore';
+
+/**
+ * 睡眠定时淡出阶段的全屏提示，轻触任意位置延长
+ */
+export default function SleepFadeOverlay() {
+  const { sleepTimer, sleepFading, extendSleepTimer, cancelSleepTimer } = usePlayerStore();
+
+  return (
+    <AnimatePresence>
+      {sleepTimer && sleepFading && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          onClick={extendSleepTimer}
+          className="fixed inset-0 z-[70] bg-dark-950/80 backdrop-blur-sm flex flex-col items-center justify-center text-center px-8"
+        >
+          <HiMoon className="w-12 h-12 text-primary-500 mb-4 animate-pulse-soft" />
+          <p className="text-white font-semibold">即将停止播放</p>
+          <p className="text-sm text-dark-400 mt-2">
+            轻触屏幕或摇一摇{sleepTimer.mode === 'duration' ? `延长 ${SLEEP_EXTEND_MINUTES} 分钟` : '再听一集'}
+          </p>
+          <button
+            onClick={(e) => { e.stopPropagation(); cancelSleepTimer(); }}
+            className="mt-8 text-xs text-dark-500 underline"
+          >
+            关闭定时，继续播放
+          </button>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,96 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import usePlayerStore, { SLEEP_FADE_SECONDS } from '../stores/playerStore';
+import { requestSleepTimerPermissions } from '../utils/sleepTimer';
+
+const DURATION_OPTIONS = [15, 30, 45, 60, 90];
+const EPISODE_OPTIONS = [2, 3, 5];
+
+/**
+ * 睡眠定时选择面板（底部弹出）
+ */
+export default function SleepTimerPicker({ open, onClose }) {
+  const { sleepTimer, setSleepTimer, cancelSleepTimer } = usePlayerStore();
+
+  const choose = (options) => {
+    requestSleepTimerPermissions();
+    setSleepTimer(options);
+    onClose();
+  };
+
+  // 按集数定时时高亮剩余集数对应的选项
+  const activeEpisodes = sleepTimer?.mode === 'episodes' ? sleepTimer.episodesLeft : null;
+
+  const optionClass = (active) => `py-2.5 rounded-xl text-sm transition-colors ${
+    active ? 'bg-primary-500 text-dark-900 font-semibold' : 'bg-dark-800 text-dark-300 hover:bg-dark-700'
+  }`;
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-[60] bg-black/50"
+            onClick={onClose}
+          />
+          <motion.div
+            initial={{ y: '100%' }}
+            animate={{ y: 0 }}
+            exit={{ y: '100%' }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed bottom-0 left-0 right-0 z-[61] bg-dark-900 rounded-t-3xl"
+          >
+            <div className="max-w-lg mx-auto p-4 pb-safe">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold">睡眠定时</h3>
+                <button onClick={onClose} className="text-dark-400 text-sm">
+                  关闭
+                </button>
+              </div>
+
+              <p className="text-xs text-dark-500 mb-2">按时长</p>
+              <div className="grid grid-cols-3 gap-2 mb-4">
+                {DURATION_OPTIONS.map((minutes) => (
+                  <button key={minutes} onClick={() => choose({ minutes })} className={optionClass(false)}>
+                    {minutes} 分钟
+                  </button>
+                ))}
+              </div>
+
+              <p className="text-xs text-dark-500 mb-2">按集数</p>
+              <div className="grid grid-cols-3 gap-2 mb-4">
+                <button onClick={() => choose({ episodes: 1 })} className={optionClass(activeEpisodes === 1)}>
+                  本集结束
+                </button>
+                {EPISODE_OPTIONS.map((episodes) => (
+                  <button
+                    key={episodes}
+                    onClick={() => choose({ episodes })}
+                    className={optionClass(activeEpisodes === episodes)}
+                  >
+                    播完 {episodes} 集
+                  </button>
+                ))}
+              </div>
+
+              <p className="text-[10px] text-dark-500 mb-3">
+                停止前 {SLEEP_FADE_SECONDS} 秒逐渐降低音量，期间摇一摇、轻触屏幕或点击通知可延长
+              </p>
+
+              {sleepTimer && (
+                <button
+                  onClick={() => { cancelSleepTimer(); onClose(); }}
+                  className="w-full py-2.5 rounded-xl text-sm text-red-400 bg-red-500/10 hover:bg-red-500/20 transition-colors"
+                >
+                  关闭定时
+                </button>
+              )}
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,88 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { HiMinus, HiPlus } from 'react-icons/hi2';
+import { MIN_PLAYBACK_RATE, MAX_PLAYBACK_RATE } from '../stores/playerStore';
+import { formatRate } from '../utils/format';
+
+const PRESET_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+const STEP = 0.05;
+
+/**
+ * 倍速选择面板（底部弹出）
+ */
+export default function SpeedPicker({ open, value, onChange, onClose, title = '播放速度' }) {
+  const step = (delta) => {
+    const next = Math.round((value + delta) * 100) / 100;
+    onChange(Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, next)));
+  };
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-[60] bg-black/50"
+            onClick={onClose}
+          />
+          <motion.div
+            initial={{ y: '100%' }}
+            animate={{ y: 0 }}
+            exit={{ y: '100%' }}
+            transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+            className="fixed bottom-0 left-0 right-0 z-[61] bg-dark-900 rounded-t-3xl"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="max-w-lg mx-auto p-4 pb-safe">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold">{title}</h3>
+                <button onClick={onClose} className="text-dark-400 text-sm">
+                  关闭
+                </button>
+              </div>
+
+              {/* 微调 */}
+              <div className="flex items-center justify-center gap-6 mb-4">
+                <button
+                  onClick={() => step(-STEP)}
+                  disabled={value <= MIN_PLAYBACK_RATE}
+                  className="w-10 h-10 rounded-full bg-dark-800 flex items-center justify-center text-dark-300 active:scale-90 transition-transform disabled:opacity-30"
+                >
+                  <HiMinus className="w-5 h-5" />
+                </button>
+                <span className="text-2xl font-bold text-primary-500 w-20 text-center">
+                  {formatRate(value)}
+                </span>
+                <button
+                  onClick={() => step(STEP)}
+                  disabled={value >= MAX_PLAYBACK_RATE}
+                  className="w-10 h-10 rounded-full bg-dark-800 flex items-center justify-center text-dark-300 active:scale-90 transition-transform disabled:opacity-30"
+                >
+                  <HiPlus className="w-5 h-5" />
+                </button>
+              </div>
+
+              {/* 预设 */}
+              <div className="grid grid-cols-3 gap-2 mb-2">
+                {PRESET_RATES.map((rate) => (
+                  <button
+                    key={rate}
+                    onClick={() => onChange(rate)}
+                    className={`py-2.5 rounded-xl text-sm transition-colors ${
+                      rate === value
+                        ? 'bg-primary-500 text-dark-900 font-semibold'
+                        : 'bg-dark-800 text-dark-300 hover:bg-dark-700'
+                    }`}
+                  >
+                    {formatRate(rate)}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </motion.div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -3,10 +3,6 @@ import ReactDOM from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import App from './App';
 import './index.css';
-import { syncFromServer } from './utils/db';
-
-// 应用启动时从服务端同步用户数据（收藏、进度、设置）
-syncFromServer();
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
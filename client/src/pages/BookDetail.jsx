@@ -4,21 +4,30 @@ import { motion } from 'framer-motion';
 import { 
   HiArrowLeft, HiPlay, HiHeart, HiOutlineHeart, 
   HiPencilSquare, HiArrowDownTray,
-  HiChevronDown, HiChevronUp, HiCamera
+  HiChevronDown, HiChevronUp, HiCamera, HiOutlineBookmark
 } from 'react-icons/hi2';
-import { bookApi } from '../utils/api';
+import { bookApi, jobsApi } from '../utils/api';
+import { subscribe } from '../utils/liveEvents';
 import usePlayerStore from '../stores/playerStore';
 import useBookStore from '../stores/bookStore';
-import useDownloadStore from '../stores/downloadStore';
+import useDownloadStore, { AUTO_DOWNLOAD_OPTIONS } from '../stores/downloadStore';
+import useBookmarkStore from '../stores/bookmarkStore';
+import useAuthStore, { isAdmin } from '../stores/authStore';
 import EpisodeList from '../components/EpisodeList';
+import BookmarkList from '../components/BookmarkList';
+import ReconvertForm from '../components/ReconvertForm';
 import { getPlayProgress } from '../utils/db';
-import { formatTime } from '../utils/format';
+import { formatTime, formatDuration, formatRate } from '../utils/format';
+import { getBookRemaining } from '../utils/progress';
 
 export default function BookDetail() {
   const { bookId } = useParams();
   const navigate = useNavigate();
-  const { playEpisode, resumeBook, currentBook, invalidateBookDetail } = usePlayerStore();
+  const { playEpisode, resumeBook, playBookmark, currentBook, invalidateBookDetail, defaultPlaybackRate, bookPlaybackRates } = usePlayerStore();
   const { toggleFavorite, checkFavorite, favorites } = useBookStore();
+  const { bookmarksByBook, loadBookmarks, updateBookmark, deleteBookmark } = useBookmarkStore();
+  // 编辑书籍信息、更换封面需要管理员
+  const admin = isAdmin(useAuthStore((s) => s.user));
   
   const [book, setBook] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -27,7 +36,10 @@ export default function BookDetail() {
   const [expandedSeason, setExpandedSeason] = useState(0);
   const [showMetaEdit, setShowMetaEdit] = useState(false);
   const [metaForm, setMetaForm] = useState({});
-  const { isDownloading, tasks: downloadTasks, completedCount, totalCount, downloadSeason, cancelDownload } = useDownloadStore();
+  const {
+    isDownloading, tasks: downloadTasks, completedCount, totalCount, downloadSeason, cancelDownload,
+    autoDownload, loadAutoDownload, setAutoDownload,
+  } = useDownloadStore();
   const [uploading, setUploading] = useState(false);
   const coverInputRef = useRef(null);
   const [coverKey, setCoverKey] = useState(0);
@@ -37,26 +49,50 @@ export default function BookDetail() {
     loadBook();
     loadFav();
     loadProgress();
+    loadBookmarks(bookId);
+    loadAutoDownload();
   }, [bookId]);
 
-  // 轮询格式转换进度
+  // 服务器推送：格式转换进度，转换结束或书籍被重新扫描时重新加载详情
   useEffect(() => {
-    if (!conversion || conversion.status !== 'converting') return;
-    const timer = setInterval(async () => {
-      try {
-        const res = await bookApi.getConversionStatus(bookId);
-        if (res.data) {
-          setConversion(res.data);
-          if (res.data.status === 'done' || res.data.status === 'error') {
-            loadBook();
-          }
-        } else {
-          setConversion(null);
+    const unsubscribes = [
+      subscribe('conversion', (data) => {
+        if (data.bookId !== bookId) return;
+        setConversion(data.conversion);
+        if (data.conversion?.status === 'done' || data.conversion?.status === 'error') {
+          loadBook();
         }
-      } catch {}
-    }, 2000);
-    return () => clearInterval(timer);
-  }, [conversion?.status, bookId]);
+      }),
+      subscribe('books', ({ updated }) => {
+        if (updated.includes(bookId)) loadBook();
+      }),
+      // 断线期间的进度已丢失
+      subscribe('reconnect', loadBook),
+    ];
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [bookId]);
+
+  // 分析这本书未分析的集的响度（管理员），在后台任务中执行
+  const [loudnessMessage, setLoudnessMessage] = useState(null);
+  const handleAnalyzeLoudness = async () => {
+    try {
+      const res = await bookApi.analyzeLoudness(bookId);
+      setLoudnessMessage(res.data.count > 0 ? `已加入 ${res.data.count} 个分析任务` : '没有需要分析的集');
+    } catch (e) {
+      setLoudnessMessage(e.message);
+    }
+  };
+
+  // 失败的文件重新加入任务队列（管理员）
+  const handleRetryConversion = async () => {
+    try {
+      await jobsApi.bookAction(bookId, 'retry');
+      const res = await bookApi.getConversionStatus(bookId);
+      setConversion(res.data);
+    } catch (e) {
+      console.error('Failed to retry conversion:', e);
+    }
+  };
 
   const loadBook = async () => {
     try {
@@ -71,7 +107,7 @@ export default function BookDetail() {
       // 加载格式转换进度
       try {
         const convRes = await bookApi.getConversionStatus(bookId);
-        if (convRes.data) setConversion(convRes.data);
+        setConversion(convRes.data);
       } catch {}
     } catch (e) {
       console.error('Failed to load book:', e);
@@ -114,6 +150,14 @@ export default function BookDetail() {
     }
   };
 
+  // 跳转到书签位置（可跨季）
+  const handlePlayBookmark = async (bookmark) => {
+    if (book) {
+      await playBookmark(book, bookmark);
+      navigate('/player');
+    }
+  };
+
   const handleSaveMeta = async () => {
     try {
       await bookApi.updateMetadata(bookId, metaForm);
@@ -182,6 +226,10 @@ export default function BookDetail() {
     );
   }
 
+  // 本书倍速（未单独设置时使用全局默认），剩余时间按倍速换算
+  const playbackRate = bookPlaybackRates[book.id] || defaultPlaybackRate;
+  const bookmarks = bookmarksByBook[book.id] || [];
+
   return (
     <motion.div
       initial={{ opacity: 0 }}
@@ -201,17 +249,19 @@ export default function BookDetail() {
             <HiOutlineHeart className="w-6 h-6" />
           )}
         </button>
-        <button onClick={() => setShowMetaEdit(!showMetaEdit)} className="btn-ghost p-2">
-          <HiPencilSquare className="w-5 h-5" />
-        </button>
+        {admin && (
+          <button onClick={() => setShowMetaEdit(!showMetaEdit)} className="btn-ghost p-2">
+            <HiPencilSquare className="w-5 h-5" />
+          </button>
+        )}
       </div>
 
       {/* 书籍信息头部 */}
       <div className="glass-card p-4 mb-4">
         <div className="flex gap-4">
           <div
-            className="w-28 h-28 rounded-xl overflow-hidden flex-shrink-0 bg-dark-700 relative group cursor-pointer"
-            onClick={() => coverInputRef.current?.click()}
+            className={`w-28 h-28 rounded-xl overflow-hidden flex-shrink-0 bg-dark-700 relative group ${admin ? 'cursor-pointer' : ''}`}
+            onClick={() => admin && coverInputRef.current?.click()}
           >
             <img
               src={`${bookApi.getCoverUrl(book.id)}${coverKey ? `?v=${coverKey}` : ''}`}
@@ -219,18 +269,20 @@ export default function BookDetail() {
               className="w-full h-full object-cover"
             />
             {/* 上传遮罩层 */}
-            <div className={`absolute inset-0 bg-black/50 flex flex-col items-center justify-center transition-opacity ${
-              uploading ? 'opacity-100' : 'opacity-0 group-hover:opacity-100 group-active:opacity-100'
-            }`}>
-              {uploading ? (
-                <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-              ) : (
-                <>
-                  <HiCamera className="w-6 h-6 text-white/90" />
-                  <span className="text-[10px] text-white/70 mt-1">更换封面</span>
-                </>
-              )}
-            </div>
+            {admin && (
+              <div className={`absolute inset-0 bg-black/50 flex flex-col items-center justify-center transition-opacity ${
+                uploading ? 'opacity-100' : 'opacity-0 group-hover:opacity-100 group-active:opacity-100'
+              }`}>
+                {uploading ? (
+                  <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                ) : (
+                  <>
+                    <HiCamera className="w-6 h-6 text-white/90" />
+                    <span className="text-[10px] text-white/70 mt-1">更换封面</span>
+                  </>
+                )}
+              </div>
+            )}
             <input
               ref={coverInputRef}
               type="file"
@@ -242,12 +294,20 @@ export default function BookDetail() {
           <div className="flex-1 flex flex-col justify-between">
             <div>
               <h2 className="text-lg font-bold">{book.name}</h2>
+              {(book.artist || book.narrator) && (
+                <p className="text-xs text-dark-400 mt-0.5 truncate">
+                  {book.artist}
+                  {book.artist && book.narrator && ' · '}
+                  {book.narrator && `演播 ${book.narrator}`}
+                </p>
+              )}
               {book.description && (
                 <p className="text-sm text-dark-400 mt-1 line-clamp-2">{book.description}</p>
               )}
               <p className="text-xs text-dark-500 mt-2">
                 {book.seasons.length > 1 ? `${book.seasons.length}季 · ` : ''}
                 共{book.totalEpisodes}集
+                {book.totalDuration > 0 && ` · ${formatDuration(book.totalDuration)}`}
               </p>
             </div>
             <button
@@ -271,6 +331,12 @@ export default function BookDetail() {
                 {progress.currentTime > 0 && ` · ${formatTime(progress.currentTime)}`}
               </span>
             </p>
+            {book.totalDuration > 0 && (
+              <p className="text-xs text-dark-500 mt-1">
+                共 {formatDuration(book.totalDuration)}，剩余 {formatDuration(getBookRemaining(book, progress, playbackRate))}
+                {playbackRate !== 1 && `（${formatRate(playbackRate)}）`}
+              </p>
+            )}
           </div>
         )}
 
@@ -340,6 +406,31 @@ export default function BookDetail() {
                 />
               </div>
             </div>
+            {book.loudnessAnalysis && (
+              <div>
+                <div className="flex items-center justify-between">
+                  <label className="text-xs text-dark-400">
+                    响度分析：{book.loudnessAnalysis.analyzed} / {book.loudnessAnalysis.total} 集
+                  </label>
+                  {book.loudnessAnalysis.analyzed < book.loudnessAnalysis.total && (
+                    <button onClick={handleAnalyzeLoudness} className="text-xs text-primary-500">
+                      分析
+                    </button>
+                  )}
+                </div>
+                {loudnessMessage && <p className="text-[10px] text-dark-500 mt-0.5">{loudnessMessage}</p>}
+              </div>
+            )}
+            {book.canReconvert && (
+              <ReconvertForm
+                book={book}
+                onStarted={async () => {
+                  setShowMetaEdit(false);
+                  const res = await bookApi.getConversionStatus(bookId);
+                  setConversion(res.data);
+                }}
+              />
+            )}
             <div className="flex gap-2">
               <button onClick={handleSaveMeta} className="btn-primary text-sm py-2 flex-1">
                 保存
@@ -353,20 +444,22 @@ export default function BookDetail() {
       )}
 
       {/* 格式转换进度 */}
-      {conversion && conversion.status === 'converting' && (
+      {conversion && (conversion.status === 'converting' || conversion.status === 'paused') && (
         <div className="glass-card p-3 mb-4">
           <div className="flex items-center gap-2 mb-2">
-            <div className="w-3.5 h-3.5 border-2 border-amber-500/30 border-t-amber-500 rounded-full animate-spin" />
+            {conversion.status === 'converting' && (
+              <div className="w-3.5 h-3.5 border-2 border-amber-500/30 border-t-amber-500 rounded-full animate-spin" />
+            )}
             <span className="text-xs text-dark-300">
-              正在转换格式 {conversion.completed + (conversion.failed || 0)}/{conversion.total}
+              {conversion.status === 'paused' ? '格式转换已暂停' : '正在转换格式'} {conversion.completed + (conversion.failed || 0)}/{conversion.total}
               {conversion.failed > 0 && <span className="text-red-400 ml-1">({conversion.failed} 失败)</span>}
             </span>
-            <span className="text-[10px] text-dark-500 ml-auto">WMA/APE → M4A</span>
+            <span className="text-[10px] text-dark-500 ml-auto">WMA/APE → {conversion.format || 'M4A'}</span>
           </div>
           <div className="h-2 bg-dark-700 rounded-full overflow-hidden">
             <div
               className="h-full bg-amber-500 rounded-full transition-all duration-500"
-              style={{ width: `${conversion.total > 0 ? ((conversion.completed + (conversion.failed || 0)) / conversion.total) * 100 : 0}%` }}
+              style={{ width: `${conversion.total > 0 ? ((conversion.completed + (conversion.failed || 0) + (conversion.fileProgress || 0)) / conversion.total) * 100 : 0}%` }}
             />
           </div>
           {conversion.currentFile && (
@@ -388,6 +481,14 @@ export default function BookDetail() {
               ))}
             </div>
           )}
+          {admin && (
+            <button
+              onClick={handleRetryConversion}
+              className="w-full text-xs text-dark-300 bg-dark-700 hover:bg-dark-600 rounded-lg py-2 mt-2"
+            >
+              重试失败的文件
+            </button>
+          )}
         </div>
       )}
       {conversion && conversion.status === 'done' && conversion.failed === 0 && conversion.completed > 0 && (
@@ -442,6 +543,45 @@ export default function BookDetail() {
         </div>
       )}
 
+      {/* 书签 */}
+      {bookmarks.length > 0 && (
+        <div className="glass-card p-4 mb-4">
+          <div className="flex items-center gap-2 mb-1">
+            <HiOutlineBookmark className="w-4 h-4 text-primary-500" />
+            <h3 className="text-sm font-semibold">书签</h3>
+            <span className="text-xs text-dark-500">{bookmarks.length}</span>
+          </div>
+          <BookmarkList
+            bookmarks={bookmarks}
+            showSeason={book.seasons.length > 1}
+            onSelect={handlePlayBookmark}
+            onUpdate={updateBookmark}
+            onDelete={deleteBookmark}
+          />
+        </div>
+      )}
+
+      {/* 自动下载 */}
+      <div className="glass-card p-3 mb-4">
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <span className="text-xs text-dark-300">自动下载后面几集</span>
+            <p className="text-[10px] text-dark-500 mt-0.5">播放时缓存接下来的集，听完的自动删除</p>
+          </div>
+          <div className="flex gap-1 flex-shrink-0">
+            {AUTO_DOWNLOAD_OPTIONS.map(count => (
+              <button
+                key={count}
+                onClick={() => setAutoDownload(book.id, count)}
+                className={`text-[10px] px-2 py-1 rounded-md ${(autoDownload[book.id] || 0) === count ? 'bg-primary-500/15 text-primary-500' : 'bg-dark-700 text-dark-400'}`}
+              >
+                {count === 0 ? '关' : `${count}集`}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
       {/* 季和集列表 */}
       <div className="space-y-3">
         {book.seasons.map((season, sIndex) => (
@@ -453,7 +593,10 @@ export default function BookDetail() {
             >
               <div className="flex-1 min-w-0">
                 <h3 className="font-semibold text-sm truncate">{season.name}</h3>
-                <p className="text-xs text-dark-400 mt-0.5">{season.episodes.length}集</p>
+                <p className="text-xs text-dark-400 mt-0.5">
+                  {season.episodes.length}集
+                  {season.totalDuration > 0 && ` · ${formatDuration(season.totalDuration)}`}
+                </p>
               </div>
               <div className="flex items-center gap-2">
                 <button
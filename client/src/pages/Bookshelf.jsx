@@ -14,7 +14,10 @@ const SORT_MODES = [
 ];
 
 export default function Bookshelf() {
-  const { books, isLoading, error, searchQuery, setSearchQuery, fetchBooks, getFilteredBooks } = useBookStore();
+  const {
+    isLoading, error, searchQuery, setSearchQuery, fetchBooks, rescanLibrary, getFilteredBooks,
+    libraries, currentLibrary, fetchLibraries, setCurrentLibrary, getLibraryBooks,
+  } = useBookStore();
   const { initPlayer } = usePlayerStore();
   const [progressMap, setProgressMap] = useState({});
   const [showSearch, setShowSearch] = useState(false);
@@ -23,6 +26,7 @@ export default function Bookshelf() {
   useEffect(() => {
     initPlayer();
     fetchBooks();
+    fetchLibraries();
     loadProgress();
     loadSortMode();
   }, []);
@@ -48,6 +52,7 @@ export default function Bookshelf() {
     setProgressMap(map);
   };
 
+  const libraryBooks = getLibraryBooks();
   const filteredBooks = getFilteredBooks();
 
   // 排序
@@ -78,7 +83,7 @@ export default function Bookshelf() {
         <div>
           <h1 className="text-2xl font-bold text-white">书架</h1>
           <p className="text-sm text-dark-400 mt-1">
-            共 {books.length} 本有声书
+            共 {libraryBooks.length} 本有声书
             <span className="text-dark-500 ml-2 text-xs">
               · {SORT_MODES.find(m => m.key === sortMode)?.label}
             </span>
@@ -97,7 +102,7 @@ export default function Bookshelf() {
             )}
           </button>
           <button
-            onClick={() => { fetchBooks(); loadProgress(); }}
+            onClick={() => { rescanLibrary(); fetchLibraries(); loadProgress(); }}
             className="btn-ghost"
             title="刷新书库"
           >
@@ -112,6 +117,25 @@ export default function Bookshelf() {
         </div>
       </div>
 
+      {/* 书库切换（多个书库时显示） */}
+      {libraries.length > 1 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {[{ id: null, name: '全部' }, ...libraries].map((lib) => (
+            <button
+              key={lib.id || 'all'}
+              onClick={() => setCurrentLibrary(lib.id)}
+              className={`text-xs px-3 py-1.5 rounded-full transition-colors ${
+                currentLibrary === lib.id
+                  ? 'bg-primary-500 text-dark-900 font-medium'
+                  : 'bg-dark-800 text-dark-300 hover:bg-dark-700'
+              }`}
+            >
+              {lib.name}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* 搜索栏 */}
       {showSearch && (
         <motion.div
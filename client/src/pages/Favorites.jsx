@@ -30,6 +30,7 @@ export default function Favorites() {
     hasCover: f.hasCover,
     seasonCount: f.seasonCount,
     totalEpisodes: f.totalEpisodes,
+    totalDuration: f.totalDuration,
   }));
 
   return (
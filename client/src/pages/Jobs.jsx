@@ -0,0 +1,269 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import {
+  HiArrowLeft,
+  HiOutlinePause,
+  HiOutlinePlay,
+  HiOutlineXMark,
+  HiOutlineArrowPath,
+  HiOutlineArrowUp,
+  HiOutlineTrash,
+} from 'react-icons/hi2';
+import { jobsApi } from '../utils/api';
+import { subscribe } from '../utils/liveEvents';
+import { formatDate } from '../utils/format';
+import useAuthStore, { isAdmin } from '../stores/authStore';
+
+// 任务变化推送很密集（进度），合并为一次刷新
+const REFRESH_DELAY = 500;
+
+const STATUS_LABELS = {
+  queued: ['排队中', 'text-dark-400'],
+  running: ['执行中', 'text-primary-500'],
+  done: ['完成', 'text-green-400'],
+  failed: ['失败', 'text-red-400'],
+  cancelled: ['已取消', 'text-dark-500'],
+};
+
+// 任务类型（格式转换之外的类型在文件名前标出）
+const TYPE_LABELS = {
+  loudness: '响度分析',
+};
+
+/**
+ * 按书分组（保持任务顺序）
+ */
+function groupByBook(jobs) {
+  const groups = new Map();
+  for (const job of jobs) {
+    if (!groups.has(job.bookId)) groups.set(job.bookId, { bookId: job.bookId, bookName: job.bookName, jobs: [] });
+    groups.get(job.bookId).jobs.push(job);
+  }
+  return [...groups.values()];
+}
+
+function JobRow({ job, onCancel, onRetry }) {
+  const [label, color] = STATUS_LABELS[job.status] || [job.status, 'text-dark-400'];
+  return (
+    <div className="py-1.5">
+      <div className="flex items-center gap-2">
+        <span className="text-xs text-dark-200 truncate flex-1">
+          {TYPE_LABELS[job.type] && <span className="text-dark-500 mr-1">{TYPE_LABELS[job.type]}</span>}
+          {job.file}
+        </span>
+        {job.priority !== 0 && job.status === 'queued' && (
+          <span className="text-[10px] text-primary-500">P{job.priority}</span>
+        )}
+        <span className={`text-[10px] flex-shrink-0 ${color}`}>
+          {label}{job.attempts > 1 ? ` · 第 ${job.attempts} 次` : ''}
+        </span>
+        {onCancel && (
+          <button onClick={onCancel} className="text-dark-500 hover:text-red-400 flex-shrink-0" title="取消">
+            <HiOutlineXMark className="w-4 h-4" />
+          </button>
+        )}
+        {onRetry && (
+          <button onClick={onRetry} className="text-dark-500 hover:text-primary-500 flex-shrink-0" title="重试">
+            <HiOutlineArrowPath className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+      {job.status === 'running' && (
+        <div className="w-full bg-dark-700 rounded-full h-1 mt-1">
+          <div
+            className="bg-primary-500 h-1 rounded-full transition-all duration-500"
+            style={{ width: `${Math.round((job.progress || 0) * 100)}%` }}
+          />
+        </div>
+      )}
+      {job.error && <p className="text-[10px] text-red-400/80 mt-0.5 break-all">{job.error}</p>}
+    </div>
+  );
+}
+
+/**
+ * 后台任务队列（管理员）：格式转换、响度分析任务的进度、暂停/恢复、优先级、取消、重试和历史
+ */
+export default function Jobs() {
+  const navigate = useNavigate();
+  const admin = isAdmin(useAuthStore((s) => s.user));
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadJobs = async () => {
+    try {
+      const res = await jobsApi.getJobs(50);
+      setData(res.data);
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  useEffect(() => {
+    if (!admin) return;
+    loadJobs();
+    let timer = null;
+    const refresh = () => {
+      if (timer) return;
+      timer = setTimeout(() => {
+        timer = null;
+        loadJobs();
+      }, REFRESH_DELAY);
+    };
+    const unsubscribes = [subscribe('jobs', refresh), subscribe('reconnect', refresh)];
+    return () => {
+      clearTimeout(timer);
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+    };
+  }, [admin]);
+
+  // 操作后立即刷新列表
+  const run = async (action) => {
+    try {
+      await action();
+    } catch (e) {
+      setError(e.message);
+    }
+    loadJobs();
+  };
+
+  if (!admin) {
+    return (
+      <div className="page-container text-center py-20">
+        <p className="text-dark-400">只有管理员可以管理后台任务</p>
+      </div>
+    );
+  }
+
+  const groups = data ? groupByBook(data.active) : [];
+  const topPriority = data ? Math.max(0, ...data.active.map(job => job.priority)) : 0;
+  const counts = data?.counts;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="page-container"
+    >
+      <div className="flex items-center gap-3 mb-6">
+        <button onClick={() => navigate(-1)} className="btn-ghost p-2">
+          <HiArrowLeft className="w-6 h-6" />
+        </button>
+        <div className="flex-1">
+          <h1 className="text-2xl font-bold text-white">后台任务</h1>
+          {counts && (
+            <p className="text-sm text-dark-400 mt-1">
+              {counts.running} 个执行中 · {counts.queued} 个排队 · {counts.failed} 个失败
+            </p>
+          )}
+        </div>
+        {data && (
+          <button
+            onClick={() => run(data.paused ? jobsApi.resumeAll : jobsApi.pauseAll)}
+            className="btn-ghost p-2"
+            title={data.paused ? '继续全部' : '暂停全部'}
+          >
+            {data.paused ? <HiOutlinePlay className="w-6 h-6 text-primary-500" /> : <HiOutlinePause className="w-6 h-6" />}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-xs text-red-400 mb-3">{error}</p>}
+
+      {!data ? (
+        <div className="flex justify-center py-20">
+          <div className="w-8 h-8 border-2 border-primary-500/30 border-t-primary-500 rounded-full animate-spin" />
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {data.paused && (
+            <div className="glass-card p-3">
+              <p className="text-xs text-amber-400">队列已暂停，恢复后继续执行排队中的任务</p>
+            </div>
+          )}
+
+          {groups.length === 0 && (
+            <div className="glass-card p-4">
+              <p className="text-sm text-dark-500">没有排队中的任务</p>
+            </div>
+          )}
+
+          {groups.map(({ bookId, bookName, jobs }) => {
+            const paused = data.pausedBooks.includes(bookId);
+            return (
+              <div key={bookId} className="glass-card p-4">
+                <div className="flex items-center gap-2 mb-1">
+                  <button
+                    onClick={() => navigate(`/book/${bookId}`)}
+                    className="font-semibold text-sm text-left truncate flex-1"
+                  >
+                    {bookName}
+                  </button>
+                  {paused && <span className="text-[10px] text-amber-400">已暂停</span>}
+                  <button
+                    onClick={() => run(() => jobsApi.bookAction(bookId, paused ? 'resume' : 'pause'))}
+                    className="text-dark-400 hover:text-white"
+                    title={paused ? '继续' : '暂停'}
+                  >
+                    {paused ? <HiOutlinePlay className="w-4 h-4" /> : <HiOutlinePause className="w-4 h-4" />}
+                  </button>
+                  <button
+                    onClick={() => run(() => jobsApi.setBookPriority(bookId, topPriority + 1))}
+                    className="text-dark-400 hover:text-white"
+                    title="优先执行"
+                  >
+                    <HiOutlineArrowUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => run(() => jobsApi.bookAction(bookId, 'cancel'))}
+                    className="text-dark-400 hover:text-red-400"
+                    title="取消全部"
+                  >
+                    <HiOutlineXMark className="w-4 h-4" />
+                  </button>
+                </div>
+                <div className="divide-y divide-dark-700/50">
+                  {jobs.map(job => (
+                    <JobRow key={job.id} job={job} onCancel={() => run(() => jobsApi.cancelJob(job.id))} />
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+
+          {data.history.length > 0 && (
+            <div className="glass-card p-4">
+              <div className="flex items-center justify-between mb-1">
+                <h2 className="font-semibold text-sm">历史</h2>
+                <button
+                  onClick={() => run(jobsApi.clearHistory)}
+                  className="flex items-center gap-1 text-[10px] text-dark-400 hover:text-red-400"
+                >
+                  <HiOutlineTrash className="w-3.5 h-3.5" />
+                  清空
+                </button>
+              </div>
+              <div className="divide-y divide-dark-700/50">
+                {data.history.map(job => (
+                  <div key={job.id}>
+                    <JobRow
+                      job={job}
+                      onRetry={job.status === 'failed' || job.status === 'cancelled'
+                        ? () => run(() => jobsApi.retryJob(job.id))
+                        : null}
+                    />
+                    <p className="text-[10px] text-dark-500 -mt-1 pb-1 truncate">
+                      {job.bookName} · {formatDate(job.finishedAt)}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+}
@@ -0,0 +1,190 @@
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { HiOutlineLockClosed, HiOutlinePlus, HiOutlineArrowLeft, HiXMark } from 'react-icons/hi2';
+import { authApi } from '../utils/api';
+import useAuthStore from '../stores/authStore';
+
+const inputClass = 'w-full bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-primary-500/50';
+
+function Avatar({ user, size = 'w-16 h-16 text-2xl' }) {
+  return (
+    <div
+      className={`${size} rounded-full flex items-center justify-center font-bold text-dark-900`}
+      style={{ backgroundColor: user.avatarColor }}
+    >
+      {user.name.slice(0, 1).toUpperCase()}
+    </div>
+  );
+}
+
+/**
+ * 登录页
+ * - 用户列表（家庭局域网快速切换）：点击可免密码的用户直接进入，否则输入密码
+ * - 用户名 + 密码登录
+ * - 新建用户（开放模式下，或管理员允许注册时；关闭开放模式时必须设置密码）
+ * - 开放模式下从设置页进入时可关闭，回到默认用户
+ */
+export default function Login() {
+  const { profilePicker, registration, openMode, anonymous, login, register, cancelLogin } = useAuthStore();
+  const [profiles, setProfiles] = useState([]);
+  // 'pick' | 'password' | 'account' | 'create'
+  const [mode, setMode] = useState(profilePicker ? 'pick' : 'account');
+  const [selected, setSelected] = useState(null);
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!profilePicker) return;
+    authApi.getProfiles()
+      .then(res => setProfiles(res.data || []))
+      .catch(e => console.error('Failed to load profiles:', e));
+  }, [profilePicker]);
+
+  const switchMode = (next) => {
+    setMode(next);
+    setError('');
+    setPassword('');
+  };
+
+  const submit = async (action) => {
+    setSubmitting(true);
+    setError('');
+    try {
+      await action();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handlePick = (user) => {
+    if (!user.passwordless) {
+      setSelected(user);
+      switchMode('password');
+    } else {
+      submit(() => login({ userId: user.id }));
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (mode === 'password') submit(() => login({ userId: selected.id, password }));
+    else if (mode === 'account') submit(() => login({ name, password }));
+    else if (mode === 'create') submit(() => register({ name, password: password || undefined }));
+  };
+
+  const backButton = profilePicker && (
+    <button type="button" onClick={() => switchMode('pick')} className="btn-ghost p-2 -ml-2">
+      <HiOutlineArrowLeft className="w-5 h-5" />
+    </button>
+  );
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="min-h-screen flex flex-col justify-center px-6 py-12 relative"
+    >
+      {anonymous && (
+        <button onClick={cancelLogin} className="btn-ghost p-2 absolute top-4 right-4">
+          <HiXMark className="w-6 h-6" />
+        </button>
+      )}
+      <div className="text-center mb-8">
+        <div className="text-5xl mb-3">🎧</div>
+        <h1 className="text-2xl font-bold text-white">
+          {mode === 'pick' ? '谁在听？' : mode === 'create' ? '新建用户' : '登录'}
+        </h1>
+      </div>
+
+      {mode === 'pick' ? (
+        <div>
+          <div className="grid grid-cols-3 gap-4">
+            {profiles.map((user) => (
+              <button
+                key={user.id}
+                onClick={() => handlePick(user)}
+                disabled={submitting}
+                className="flex flex-col items-center gap-2 p-2 rounded-xl hover:bg-dark-800/60 active:scale-95 transition-all"
+              >
+                <Avatar user={user} />
+                <span className="text-sm text-dark-200 truncate max-w-full flex items-center gap-1">
+                  {user.name}
+                  {!user.passwordless && <HiOutlineLockClosed className="w-3 h-3 text-dark-500 flex-shrink-0" />}
+                </span>
+              </button>
+            ))}
+            {registration && (
+              <button
+                onClick={() => switchMode('create')}
+                className="flex flex-col items-center gap-2 p-2 rounded-xl hover:bg-dark-800/60 active:scale-95 transition-all"
+              >
+                <div className="w-16 h-16 rounded-full border-2 border-dashed border-dark-600 flex items-center justify-center text-dark-400">
+                  <HiOutlinePlus className="w-6 h-6" />
+                </div>
+                <span className="text-sm text-dark-400">新建用户</span>
+              </button>
+            )}
+          </div>
+          {error && <p className="text-sm text-red-400 text-center mt-4">{error}</p>}
+          <button
+            onClick={() => switchMode('account')}
+            className="w-full text-center text-sm text-dark-400 hover:text-dark-200 mt-8"
+          >
+            使用用户名和密码登录
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="glass-card p-5 space-y-4">
+          {backButton}
+
+          {mode === 'password' ? (
+            <div className="flex items-center gap-3">
+              <Avatar user={selected} size="w-10 h-10 text-base" />
+              <span className="font-semibold text-white">{selected.name}</span>
+            </div>
+          ) : (
+            <div>
+              <label className="text-xs text-dark-400 mb-1 block">用户名</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                autoComplete="username"
+                maxLength={32}
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          <div>
+            <label className="text-xs text-dark-400 mb-1 block">
+              密码{mode === 'create' && openMode ? '（可选，不设置则在用户列表中直接进入）' : ''}
+            </label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete={mode === 'create' ? 'new-password' : 'current-password'}
+              autoFocus={mode === 'password'}
+              className={inputClass}
+            />
+          </div>
+
+          {error && <p className="text-sm text-red-400">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={submitting || (mode !== 'password' && !name.trim()) || (mode === 'create' && !openMode && !password)}
+            className="btn-primary w-full disabled:opacity-50"
+          >
+            {submitting ? '请稍候...' : mode === 'create' ? '创建并进入' : '登录'}
+          </button>
+        </form>
+      )}
+    </motion.div>
+  );
+}
@@ -1,15 +1,16 @@
 import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   HiOutlineTrash,
   HiOutlineServerStack,
   HiOutlineFolderOpen,
-  HiOutlineCloud,
   HiOutlineFolder,
   HiOutlinePlayCircle,
   HiOutlineArrowDownTray,
   HiOutlineArrowUpTray,
   HiOutlineMusicalNote,
+  HiOutlineQueueList,
   HiChevronRight,
   HiChevronDown,
   HiChevronUp,
@@ -17,12 +18,22 @@ import {
   HiArrowPath,
   HiCheck,
   HiXMark,
+  HiPlus,
 } from 'react-icons/hi2';
-import { configApi, uploadApi } from '../utils/api';
+import { configApi, uploadApi, libraryApi } from '../utils/api';
+import { subscribe } from '../utils/liveEvents';
 import useBookStore from '../stores/bookStore';
 import useDownloadStore from '../stores/downloadStore';
+import usePlayerStore, { TRANSCODE_QUALITY_OPTIONS } from '../stores/playerStore';
+import SpeedPicker from '../components/SpeedPicker';
+import AccountCard from '../components/AccountCard';
+import OSSSettings from '../components/OSSSettings';
+import ConversionSettings from '../components/ConversionSettings';
+import LoudnessSettings from '../components/LoudnessSettings';
+import AddLibraryForm, { SOURCE_ICONS, createLibraryDraft } from '../components/AddLibraryForm';
+import useAuthStore, { isAdmin } from '../stores/authStore';
 import { getCacheSize, getAllCachedAudio, removeCachedAudio, getCachedAudioByBook, setSetting, getSetting } from '../utils/db';
-import { formatSize } from '../utils/format';
+import { formatSize, formatDate, formatRate } from '../utils/format';
 
 export default function Settings() {
   const [config, setConfig] = useState(null);
@@ -30,9 +41,18 @@ export default function Settings() {
   const [cachedCount, setCachedCount] = useState(0);
   const [cacheLimitMB, setCacheLimitMB] = useState(300);
   const [clearing, setClearing] = useState(false);
-  const [showBrowser, setShowBrowser] = useState(false);
+  // 目录浏览器：null | 'path'（默认书库路径）| 'add'（新书库路径）
+  const [showBrowser, setShowBrowser] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
   const [resumeRewindSeconds, setResumeRewindSeconds] = useState(3);
+  const [transcodeQuality, setTranscodeQuality] = useState('auto');
+  const [showSpeedPicker, setShowSpeedPicker] = useState(false);
+  const { defaultPlaybackRate, setDefaultPlaybackRate } = usePlayerStore();
+  const [libraryStatus, setLibraryStatus] = useState(null);
+  // 添加书库表单（见 AddLibraryForm），null 为收起
+  const [newLibrary, setNewLibrary] = useState(null);
+  const [libraryMessage, setLibraryMessage] = useState(null);
+  const [rescanningId, setRescanningId] = useState(null);
   // 上架图书
   const [uploadMode, setUploadMode] = useState('files');
   const [uploadBookName, setUploadBookName] = useState('');
@@ -40,6 +60,7 @@ export default function Settings() {
   const [uploadFiles, setUploadFiles] = useState([]);
   const [uploadRelativePaths, setUploadRelativePaths] = useState([]);
   const [diskSpace, setDiskSpace] = useState(null);
+  const [uploadLibraryId, setUploadLibraryId] = useState('default');
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [uploadResult, setUploadResult] = useState(null);
@@ -47,19 +68,36 @@ export default function Settings() {
   const [cachedBooks, setCachedBooks] = useState([]);
   const [showCachedDetail, setShowCachedDetail] = useState(null);
   const [deletingKeys, setDeletingKeys] = useState(new Set());
-  const { fetchBooks } = useBookStore();
-  const { isDownloading: dlActive, tasks: dlTasks, completedCount: dlCompleted, totalCount: dlTotal, cancelDownload } = useDownloadStore();
+  const { fetchBooks, fetchLibraries, rescanLibrary } = useBookStore();
+  const navigate = useNavigate();
+  const admin = isAdmin(useAuthStore((s) => s.user));
+  const {
+    isDownloading: dlActive, tasks: dlTasks, completedCount: dlCompleted, totalCount: dlTotal, cancelDownload,
+    autoDownloadWifiOnly, loadAutoDownload, setAutoDownloadWifiOnly,
+  } = useDownloadStore();
 
   useEffect(() => {
     loadConfig();
     loadCacheInfo();
     loadLocalSettings();
-    loadDiskSpace();
+    loadAutoDownload();
+    if (admin) loadDiskSpace();
+    loadLibraryStatus();
   }, []);
 
-  const loadDiskSpace = async () => {
+  // 扫描完成（包括其他设备触发的扫描）后更新书库状态
+  useEffect(() => subscribe('scan', loadLibraryStatus), []);
+
+  const loadLibraryStatus = async () => {
+    try {
+      const res = await libraryApi.getStatus();
+      if (res.success) setLibraryStatus(res.data);
+    } catch { /* ignore */ }
+  };
+
+  const loadDiskSpace = async (libraryId = uploadLibraryId) => {
     try {
-      const res = await uploadApi.getUploadPath();
+      const res = await uploadApi.getUploadPath(libraryId);
       if (res.success && res.data) setDiskSpace(res.data);
     } catch { /* ignore */ }
   };
@@ -104,6 +142,7 @@ export default function Settings() {
     setCacheLimitMB(limit);
     const rw = await getSetting('resumeRewindSeconds', 3);
     setResumeRewindSeconds(rw);
+    setTranscodeQuality(await getSetting('transcodeQuality', 'auto'));
   };
 
   const handleClearCache = async () => {
@@ -124,6 +163,7 @@ export default function Settings() {
     const mb = Math.max(50, Math.min(5000, parseInt(value) || 300));
     setCacheLimitMB(mb);
     await setSetting('cacheLimitMB', mb);
+    if (!admin) return;
     try {
       await configApi.updateConfig({ cacheSizeMB: mb });
     } catch (e) {
@@ -136,20 +176,74 @@ export default function Settings() {
       const res = await configApi.updateConfig({ audiobookPath: newPath });
       if (res.success) {
         setConfig(prev => ({ ...prev, audiobookPath: newPath }));
-        setShowBrowser(false);
+        setShowBrowser(null);
         // 自动刷新书架
         await fetchBooks();
+        loadLibraryStatus();
       }
     } catch (e) {
       console.error('Failed to update path:', e);
     }
   };
 
+  const handleBrowserSelect = (dirPath) => {
+    if (showBrowser === 'add') {
+      setNewLibrary(prev => ({ ...prev, path: dirPath }));
+      setShowBrowser(null);
+    } else {
+      handlePathSelected(dirPath);
+    }
+  };
+
+  // 书库列表变化后刷新书架
+  const afterLibraryChange = async () => {
+    await loadLibraryStatus();
+    await fetchBooks();
+    fetchLibraries();
+  };
+
+  const handleAddLibrary = async (payload) => {
+    setLibraryMessage(null);
+    try {
+      await libraryApi.addLibrary(payload);
+      setNewLibrary(null);
+      await afterLibraryChange();
+    } catch (e) {
+      setLibraryMessage(e.message);
+    }
+  };
+
+  const handleRemoveLibrary = async (lib) => {
+    if (!confirm(`确定删除书库「${lib.name}」？只会从书库列表中移除，不会删除服务器上的文件`)) return;
+    setLibraryMessage(null);
+    try {
+      await libraryApi.removeLibrary(lib.id);
+      await afterLibraryChange();
+    } catch (e) {
+      setLibraryMessage(e.message);
+    }
+  };
+
+  const handleRescanLibrary = async (libraryId) => {
+    if (rescanningId) return;
+    setRescanningId(libraryId);
+    setLibraryMessage(null);
+    try {
+      await libraryApi.rescan(true, libraryId);
+      await afterLibraryChange();
+    } catch (e) {
+      setLibraryMessage(e.message);
+    } finally {
+      setRescanningId(null);
+    }
+  };
+
   const handleRefreshBooks = async () => {
     if (refreshing) return;
     setRefreshing(true);
     try {
-      await fetchBooks();
+      await rescanLibrary();
+      await loadLibraryStatus();
     } finally {
       setTimeout(() => setRefreshing(false), 600);
     }
@@ -211,6 +305,7 @@ export default function Settings() {
     try {
       const formData = new FormData();
       formData.append('mode', uploadMode);
+      formData.append('library', uploadLibraryId);
       if (uploadBookName.trim()) formData.append('bookName', uploadBookName.trim());
       if (uploadMode === 'files' && uploadSeasonName.trim()) {
         formData.append('seasonName', uploadSeasonName.trim());
@@ -253,6 +348,9 @@ export default function Settings() {
       </div>
 
       <div className="space-y-4">
+        {/* 账号 */}
+        <AccountCard />
+
         {/* 服务器信息 */}
         <div className="glass-card p-4">
           <div className="flex items-center justify-between mb-3">
@@ -275,29 +373,118 @@ export default function Settings() {
                 <div className="flex justify-between items-center mb-1">
                   <span className="text-dark-400 flex items-center gap-2">
                     <HiOutlineFolderOpen className="w-4 h-4" />
-                    有声书路径
+                    书库
                   </span>
+                  {admin && !newLibrary && (
+                    <button
+                      onClick={() => {
+                        setNewLibrary(createLibraryDraft(config));
+                        setLibraryMessage(null);
+                      }}
+                      className="flex items-center gap-1 text-xs text-primary-500 hover:text-primary-400"
+                    >
+                      <HiPlus className="w-3.5 h-3.5" />
+                      添加书库
+                    </button>
+                  )}
                 </div>
-                <div
-                  onClick={() => setShowBrowser(true)}
-                  className="flex items-center gap-2 bg-dark-700/60 hover:bg-dark-700 border border-dark-600 rounded-xl px-3 py-2.5 cursor-pointer transition-colors active:scale-[0.98]"
-                >
-                  <HiOutlineFolder className="w-4 h-4 text-primary-500 flex-shrink-0" />
-                  <span className="text-dark-200 text-xs truncate flex-1">
-                    {config.audiobookPath}
-                  </span>
-                  <HiChevronRight className="w-4 h-4 text-dark-500 flex-shrink-0" />
+                <div className="space-y-2">
+                  {(libraryStatus?.libraries || []).map((lib) => {
+                    const SourceIcon = SOURCE_ICONS[lib.source] || HiOutlineFolder;
+                    return (
+                      <div key={lib.id} className="bg-dark-700/60 border border-dark-600 rounded-xl px-3 py-2.5">
+                        <div className="flex items-center gap-2">
+                          <SourceIcon className="w-4 h-4 text-primary-500 flex-shrink-0" />
+                          <span className="text-dark-200 text-xs font-medium truncate flex-1">{lib.name}</span>
+                          {admin && (
+                            <button
+                              onClick={() => handleRescanLibrary(lib.id)}
+                              disabled={!!rescanningId}
+                              className="p-1 text-dark-400 hover:text-white disabled:opacity-50"
+                              title="重新扫描"
+                            >
+                              <HiArrowPath className={`w-4 h-4 ${rescanningId === lib.id ? 'animate-spin' : ''}`} />
+                            </button>
+                          )}
+                          {admin && lib.id !== 'default' && (
+                            <button
+                              onClick={() => handleRemoveLibrary(lib)}
+                              className="p-1 text-dark-500 hover:text-red-400"
+                              title="删除书库"
+                            >
+                              <HiOutlineTrash className="w-4 h-4" />
+                            </button>
+                          )}
+                        </div>
+                        {/* 根目录、监听状态和扫描错误只返回给管理员（GET /api/library/status） */}
+                        {admin && (
+                          <div
+                            onClick={() => lib.id === 'default' && setShowBrowser('path')}
+                            className={`flex items-center gap-1 mt-1 ${lib.id === 'default' ? 'cursor-pointer hover:text-dark-300' : ''}`}
+                          >
+                            <span className="text-[10px] text-dark-400 truncate flex-1">{lib.rootPath}</span>
+                            {lib.id === 'default' && <HiChevronRight className="w-3.5 h-3.5 text-dark-500 flex-shrink-0" />}
+                          </div>
+                        )}
+                        <p className="text-[10px] text-dark-500 mt-0.5">
+                          {lib.bookCount} 本 · {lib.episodeCount} 集
+                          {lib.lastScanAt && ` · 上次扫描 ${formatDate(lib.lastScanAt)}`}
+                          {admin && lib.source === 'local' && !lib.watching && ' · 未监听目录变动'}
+                        </p>
+                        {lib.error && <p className="text-[10px] text-red-400 mt-0.5 truncate">扫描失败：{lib.error}</p>}
+                      </div>
+                    );
+                  })}
+
+                  {newLibrary && (
+                    <AddLibraryForm
+                      value={newLibrary}
+                      onChange={setNewLibrary}
+                      config={config}
+                      onBrowse={() => setShowBrowser('add')}
+                      onCancel={() => { setNewLibrary(null); setLibraryMessage(null); }}
+                      onSubmit={handleAddLibrary}
+                    />
+                  )}
                 </div>
+                {libraryMessage && <p className="text-xs text-red-400 mt-1.5 px-1">{libraryMessage}</p>}
               </div>
-              <div className="flex justify-between items-center">
-                <span className="text-dark-400 flex items-center gap-2">
-                  <HiOutlineCloud className="w-4 h-4" />
-                  OSS存储
-                </span>
-                <span className={config.ossEnabled ? 'text-green-500' : 'text-dark-500'}>
-                  {config.ossEnabled ? '已启用' : '未配置'}
-                </span>
-              </div>
+              {/* 存储和转换配置只返回给管理员（GET /api/config） */}
+              {admin && (
+                <>
+                  <OSSSettings
+                    config={config}
+                    editable
+                    onSaved={(data) => {
+                      setConfig(prev => ({ ...prev, ...data }));
+                      loadLibraryStatus();
+                    }}
+                  />
+                  <ConversionSettings
+                    config={config}
+                    libraries={libraryStatus?.libraries}
+                    editable
+                    onSaved={(data) => setConfig(prev => ({ ...prev, ...data }))}
+                  />
+                </>
+              )}
+              <LoudnessSettings
+                config={config}
+                editable={admin}
+                onSaved={(data) => setConfig(prev => ({ ...prev, ...data }))}
+              />
+              {admin && (
+                <button
+                  onClick={() => navigate('/jobs')}
+                  className="w-full flex justify-between items-center text-left"
+                >
+                  <span className="text-dark-400 flex items-center gap-2">
+                    <HiOutlineQueueList className="w-4 h-4" />
+                    后台任务
+                  </span>
+                  <HiChevronRight className="w-4 h-4 text-dark-500" />
+                </button>
+              )}
 
             </div>
           ) : (
@@ -305,164 +492,181 @@ export default function Settings() {
           )}
         </div>
 
-        {/* 上架图书 */}
-        <div className="glass-card p-4">
-          <div className="flex items-center gap-3 mb-3">
-            <HiOutlineArrowUpTray className="w-5 h-5 text-primary-500" />
-            <h2 className="font-semibold">上架图书</h2>
-          </div>
-          <p className="text-[10px] text-dark-500 mb-1">
-            上传音频到服务器，WMA/APE 格式会自动转换为 M4A
-          </p>
-          {diskSpace && (
-            <p className={`text-[10px] mb-3 ${diskSpace.availableBytes >= 0 && diskSpace.availableBytes < 500 * 1024 * 1024 ? 'text-red-400' : 'text-dark-500'}`}>
-              存储路径：{diskSpace.path} ·
-              可用空间：{diskSpace.availableFormatted}
-              {diskSpace.availableBytes >= 0 && diskSpace.availableBytes < 500 * 1024 * 1024 && ' ⚠ 空间不足'}
+        {/* 上架图书（管理员） */}
+        {admin && (
+          <div className="glass-card p-4">
+            <div className="flex items-center gap-3 mb-3">
+              <HiOutlineArrowUpTray className="w-5 h-5 text-primary-500" />
+              <h2 className="font-semibold">上架图书</h2>
+            </div>
+            <p className="text-[10px] text-dark-500 mb-1">
+              上传音频到服务器，WMA/APE 格式会自动转换为 M4A
             </p>
-          )}
+            {diskSpace && (
+              <p className={`text-[10px] mb-3 ${diskSpace.availableBytes >= 0 && diskSpace.availableBytes < 500 * 1024 * 1024 ? 'text-red-400' : 'text-dark-500'}`}>
+                存储路径：{diskSpace.path}
+                {diskSpace.availableBytes >= 0 && ` · 可用空间：${diskSpace.availableFormatted}`}
+                {diskSpace.availableBytes >= 0 && diskSpace.availableBytes < 500 * 1024 * 1024 && ' ⚠ 空间不足'}
+              </p>
+            )}
 
-          {/* 模式切换 */}
-          <div className="flex gap-1 mb-3 bg-dark-800 rounded-lg p-0.5">
-            {[
-              { key: 'files', label: '文件' },
-              { key: 'folder', label: '文件夹' },
-              { key: 'archive', label: '压缩包' },
-            ].map(m => (
-              <button
-                key={m.key}
-                onClick={() => { setUploadMode(m.key); resetUpload(); }}
-                className={`flex-1 text-xs py-2 rounded-md transition-all ${
-                  uploadMode === m.key
-                    ? 'bg-primary-500 text-dark-900 font-medium'
-                    : 'text-dark-400 hover:text-dark-200'
-                }`}
-              >
-                {m.label}
-              </button>
-            ))}
-          </div>
+            {/* 目标书库 */}
+            {(libraryStatus?.libraries || []).length > 1 && (
+              <div className="flex flex-wrap gap-1 mb-3">
+                {libraryStatus.libraries.map(lib => (
+                  <button
+                    key={lib.id}
+                    onClick={() => { setUploadLibraryId(lib.id); loadDiskSpace(lib.id); }}
+                    className={`text-[10px] px-2 py-1 rounded-md ${uploadLibraryId === lib.id ? 'bg-primary-500/15 text-primary-500' : 'bg-dark-700 text-dark-400'}`}
+                  >
+                    {lib.name}
+                  </button>
+                ))}
+              </div>
+            )}
 
-          <div className="space-y-3">
-            {/* 书名 */}
-            <div>
-              <label className="text-xs text-dark-400 mb-1 block">
-                书名{uploadMode === 'files' ? ' *' : '（可选，自动识别）'}
-              </label>
-              <input
-                type="text"
-                value={uploadBookName}
-                onChange={(e) => setUploadBookName(e.target.value)}
-                placeholder={uploadMode === 'archive' ? '默认取压缩包名称' : uploadMode === 'folder' ? '默认取文件夹名称' : '输入小说名称'}
-                className="w-full bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-primary-500/50"
-              />
+            {/* 模式切换 */}
+            <div className="flex gap-1 mb-3 bg-dark-800 rounded-lg p-0.5">
+              {[
+                { key: 'files', label: '文件' },
+                { key: 'folder', label: '文件夹' },
+                { key: 'archive', label: '压缩包' },
+              ].map(m => (
+                <button
+                  key={m.key}
+                  onClick={() => { setUploadMode(m.key); resetUpload(); }}
+                  className={`flex-1 text-xs py-2 rounded-md transition-all ${
+                    uploadMode === m.key
+                      ? 'bg-primary-500 text-dark-900 font-medium'
+                      : 'text-dark-400 hover:text-dark-200'
+                  }`}
+                >
+                  {m.label}
+                </button>
+              ))}
             </div>
 
-            {/* 季/章节 — only for file mode */}
-            {uploadMode === 'files' && (
+            <div className="space-y-3">
+              {/* 书名 */}
               <div>
-                <label className="text-xs text-dark-400 mb-1 block">季/章节（可选）</label>
+                <label className="text-xs text-dark-400 mb-1 block">
+                  书名{uploadMode === 'files' ? ' *' : '（可选，自动识别）'}
+                </label>
                 <input
                   type="text"
-                  value={uploadSeasonName}
-                  onChange={(e) => setUploadSeasonName(e.target.value)}
-                  placeholder="如：第一季、七星鲁王宫"
+                  value={uploadBookName}
+                  onChange={(e) => setUploadBookName(e.target.value)}
+                  placeholder={uploadMode === 'archive' ? '默认取压缩包名称' : uploadMode === 'folder' ? '默认取文件夹名称' : '输入小说名称'}
                   className="w-full bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-primary-500/50"
                 />
               </div>
-            )}
-
-            {/* File picker */}
-            <div>
-              <label className="text-xs text-dark-400 mb-1.5 block">
-                {uploadMode === 'archive' ? '压缩包文件' : uploadMode === 'folder' ? '选择文件夹' : '音频文件'}
-              </label>
 
+              {/* 季/章节 — only for file mode */}
               {uploadMode === 'files' && (
-                <label className="flex flex-col items-center justify-center gap-2 border-2 border-dashed border-dark-600 hover:border-primary-500/50 rounded-xl p-4 cursor-pointer transition-colors">
-                  <HiOutlineMusicalNote className="w-8 h-8 text-dark-500" />
-                  <span className="text-xs text-dark-400">
-                    {uploadFiles.length > 0 ? `已选择 ${uploadFiles.length} 个音频文件` : '点击选择音频文件'}
-                  </span>
-                  {uploadFiles.length > 0 && (
-                    <span className="text-[10px] text-dark-500">
-                      {(uploadFiles.reduce((s, f) => s + f.size, 0) / 1024 / 1024).toFixed(1)} MB
-                    </span>
-                  )}
-                  <input type="file" accept={audioExts} multiple onChange={handleFilesSelect} className="hidden" />
-                </label>
+                <div>
+                  <label className="text-xs text-dark-400 mb-1 block">季/章节（可选）</label>
+                  <input
+                    type="text"
+                    value={uploadSeasonName}
+                    onChange={(e) => setUploadSeasonName(e.target.value)}
+                    placeholder="如：第一季、七星鲁王宫"
+                    className="w-full bg-dark-700 border border-dark-600 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-primary-500/50"
+                  />
+                </div>
               )}
 
-              {uploadMode === 'folder' && (
-                <label className="flex flex-col items-center justify-center gap-2 border-2 border-dashed border-dark-600 hover:border-primary-500/50 rounded-xl p-4 cursor-pointer transition-colors">
-                  <HiOutlineFolderOpen className="w-8 h-8 text-dark-500" />
-                  <span className="text-xs text-dark-400">
-                    {uploadFiles.length > 0 ? `已选择 ${uploadFiles.length} 个音频文件` : '点击选择有声书文件夹'}
-                  </span>
-                  {uploadFiles.length > 0 && (
-                    <span className="text-[10px] text-dark-500">
-                      {(uploadFiles.reduce((s, f) => s + f.size, 0) / 1024 / 1024).toFixed(1)} MB
-                    </span>
-                  )}
-                  {/* webkitdirectory triggers folder selection */}
-                  <input type="file" webkitdirectory="" directory="" multiple onChange={handleFolderSelect} className="hidden" />
+              {/* File picker */}
+              <div>
+                <label className="text-xs text-dark-400 mb-1.5 block">
+                  {uploadMode === 'archive' ? '压缩包文件' : uploadMode === 'folder' ? '选择文件夹' : '音频文件'}
                 </label>
-              )}
 
-              {uploadMode === 'archive' && (
-                <label className="flex flex-col items-center justify-center gap-2 border-2 border-dashed border-dark-600 hover:border-primary-500/50 rounded-xl p-4 cursor-pointer transition-colors">
-                  <HiOutlineArrowDownTray className="w-8 h-8 text-dark-500" />
-                  <span className="text-xs text-dark-400">
-                    {uploadFiles.length > 0 ? uploadFiles[0].name : '支持 ZIP / 7Z / RAR / TAR.GZ'}
-                  </span>
-                  {uploadFiles.length > 0 && (
-                    <span className="text-[10px] text-dark-500">
-                      {(uploadFiles[0].size / 1024 / 1024).toFixed(1)} MB
+                {uploadMode === 'files' && (
+                  <label className="flex flex-col items-center justify-center gap-2 border-2 border-dashed border-dark-600 hover:border-primary-500/50 rounded-xl p-4 cursor-pointer transition-colors">
+                    <HiOutlineMusicalNote className="w-8 h-8 text-dark-500" />
+                    <span className="text-xs text-dark-400">
+                      {uploadFiles.length > 0 ? `已选择 ${uploadFiles.length} 个音频文件` : '点击选择音频文件'}
                     </span>
-                  )}
-                  <input type="file" accept={archiveExts} onChange={handleArchiveSelect} className="hidden" />
-                </label>
-              )}
-            </div>
+                    {uploadFiles.length > 0 && (
+                      <span className="text-[10px] text-dark-500">
+                        {(uploadFiles.reduce((s, f) => s + f.size, 0) / 1024 / 1024).toFixed(1)} MB
+                      </span>
+                    )}
+                    <input type="file" accept={audioExts} multiple onChange={handleFilesSelect} className="hidden" />
+                  </label>
+                )}
 
-            {/* 上传进度 */}
-            {uploading && (
-              <div>
-                <div className="flex justify-between text-xs mb-1">
-                  <span className="text-dark-400">{uploadMode === 'archive' ? '上传并解压中...' : '上传中...'}</span>
-                  <span className="text-primary-500">{uploadProgress}%</span>
-                </div>
-                <div className="h-2 bg-dark-700 rounded-full overflow-hidden">
-                  <div className="h-full bg-primary-500 rounded-full transition-all duration-300" style={{ width: `${uploadProgress}%` }} />
-                </div>
-              </div>
-            )}
+                {uploadMode === 'folder' && (
+                  <label className="flex flex-col items-center justify-center gap-2 border-2 border-dashed border-dark-600 hover:border-primary-500/50 rounded-xl p-4 cursor-pointer transition-colors">
+                    <HiOutlineFolderOpen className="w-8 h-8 text-dark-500" />
+                    <span className="text-xs text-dark-400">
+                      {uploadFiles.length > 0 ? `已选择 ${uploadFiles.length} 个音频文件` : '点击选择有声书文件夹'}
+                    </span>
+                    {uploadFiles.length > 0 && (
+                      <span className="text-[10px] text-dark-500">
+                        {(uploadFiles.reduce((s, f) => s + f.size, 0) / 1024 / 1024).toFixed(1)} MB
+                      </span>
+                    )}
+                    {/* webkitdirectory triggers folder selection */}
+                    <input type="file" webkitdirectory="" directory="" multiple onChange={handleFolderSelect} className="hidden" />
+                  </label>
+                )}
 
-            {/* 上传结果 */}
-            {uploadResult && (
-              <div className={`text-xs px-3 py-2 rounded-lg ${
-                uploadResult.type === 'success' ? 'bg-green-500/10 text-green-400' : 'bg-red-500/10 text-red-400'
-              }`}>
-                {uploadResult.message}
+                {uploadMode === 'archive' && (
+                  <label className="flex flex-col items-center justify-center gap-2 border-2 border-dashed border-dark-600 hover:border-primary-500/50 rounded-xl p-4 cursor-pointer transition-colors">
+                    <HiOutlineArrowDownTray className="w-8 h-8 text-dark-500" />
+                    <span className="text-xs text-dark-400">
+                      {uploadFiles.length > 0 ? uploadFiles[0].name : '支持 ZIP / 7Z / RAR / TAR.GZ'}
+                    </span>
+                    {uploadFiles.length > 0 && (
+                      <span className="text-[10px] text-dark-500">
+                        {(uploadFiles[0].size / 1024 / 1024).toFixed(1)} MB
+                      </span>
+                    )}
+                    <input type="file" accept={archiveExts} onChange={handleArchiveSelect} className="hidden" />
+                  </label>
+                )}
               </div>
-            )}
 
-            <button
-              onClick={handleUpload}
-              disabled={uploading || uploadFiles.length === 0 || (uploadMode === 'files' && !uploadBookName.trim())}
-              className="w-full flex items-center justify-center gap-2 bg-primary-500 hover:bg-primary-600 text-dark-900 py-3 rounded-xl transition-all active:scale-[0.98] disabled:opacity-40 disabled:cursor-not-allowed"
-            >
-              {uploading ? (
-                <div className="w-4 h-4 border-2 border-dark-900/30 border-t-dark-900 rounded-full animate-spin" />
-              ) : (
-                <HiOutlineArrowUpTray className="w-5 h-5" />
+              {/* 上传进度 */}
+              {uploading && (
+                <div>
+                  <div className="flex justify-between text-xs mb-1">
+                    <span className="text-dark-400">{uploadMode === 'archive' ? '上传并解压中...' : '上传中...'}</span>
+                    <span className="text-primary-500">{uploadProgress}%</span>
+                  </div>
+                  <div className="h-2 bg-dark-700 rounded-full overflow-hidden">
+                    <div className="h-full bg-primary-500 rounded-full transition-all duration-300" style={{ width: `${uploadProgress}%` }} />
+                  </div>
+                </div>
               )}
-              <span className="text-sm font-medium">
-                {uploading ? '上传中...' : uploadMode === 'archive' ? '上传并解压' : '上传到服务器'}
-              </span>
-            </button>
+
+              {/* 上传结果 */}
+              {uploadResult && (
+                <div className={`text-xs px-3 py-2 rounded-lg ${
+                  uploadResult.type === 'success' ? 'bg-green-500/10 text-green-400' : 'bg-red-500/10 text-red-400'
+                }`}>
+                  {uploadResult.message}
+                </div>
+              )}
+
+              <button
+                onClick={handleUpload}
+                disabled={uploading || uploadFiles.length === 0 || (uploadMode === 'files' && !uploadBookName.trim())}
+                className="w-full flex items-center justify-center gap-2 bg-primary-500 hover:bg-primary-600 text-dark-900 py-3 rounded-xl transition-all active:scale-[0.98] disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                {uploading ? (
+                  <div className="w-4 h-4 border-2 border-dark-900/30 border-t-dark-900 rounded-full animate-spin" />
+                ) : (
+                  <HiOutlineArrowUpTray className="w-5 h-5" />
+                )}
+                <span className="text-sm font-medium">
+                  {uploading ? '上传中...' : uploadMode === 'archive' ? '上传并解压' : '上传到服务器'}
+                </span>
+              </button>
+            </div>
           </div>
-        </div>
+        )}
 
         {/* 播放设置 */}
         <div className="glass-card p-4">
@@ -497,6 +701,39 @@ export default function Settings() {
                 <span>30秒</span>
               </div>
             </div>
+            <button
+              onClick={() => setShowSpeedPicker(true)}
+              className="w-full flex justify-between items-center text-left"
+            >
+              <div>
+                <span className="text-dark-300">默认倍速</span>
+                <p className="text-[10px] text-dark-500 mt-0.5">未单独设置倍速的书籍使用此倍速</p>
+              </div>
+              <span className="flex items-center gap-1 text-primary-500 text-sm font-medium">
+                {formatRate(defaultPlaybackRate)}
+                <HiChevronRight className="w-4 h-4 text-dark-500" />
+              </span>
+            </button>
+            <div className="flex justify-between items-center gap-3">
+              <div>
+                <span className="text-dark-300">转码音质</span>
+                <p className="text-[10px] text-dark-500 mt-0.5">WMA/APE 等格式转换完成前实时转码播放</p>
+              </div>
+              <div className="flex gap-1 flex-shrink-0">
+                {TRANSCODE_QUALITY_OPTIONS.map(([quality, label]) => (
+                  <button
+                    key={quality}
+                    onClick={async () => {
+                      setTranscodeQuality(quality);
+                      await setSetting('transcodeQuality', quality);
+                    }}
+                    className={`text-[10px] px-2 py-1 rounded-md ${transcodeQuality === quality ? 'bg-primary-500/15 text-primary-500' : 'bg-dark-700 text-dark-400'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
           </div>
         </div>
 
@@ -589,6 +826,24 @@ export default function Settings() {
             </div>
           </div>
 
+          <div className="flex justify-between items-center gap-3 mb-4">
+            <div>
+              <span className="text-sm text-dark-300">自动下载仅限 Wi-Fi</span>
+              <p className="text-[10px] text-dark-500 mt-0.5">在书籍详情中开启自动下载后面几集，达到缓存限制时停止</p>
+            </div>
+            <div className="flex gap-1 flex-shrink-0">
+              {[[true, '开'], [false, '关']].map(([wifiOnly, label]) => (
+                <button
+                  key={label}
+                  onClick={() => setAutoDownloadWifiOnly(wifiOnly)}
+                  className={`text-[10px] px-2 py-1 rounded-md ${autoDownloadWifiOnly === wifiOnly ? 'bg-primary-500/15 text-primary-500' : 'bg-dark-700 text-dark-400'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
           <button
             onClick={handleClearCache}
             disabled={clearing || cacheSize === 0}
@@ -712,32 +967,43 @@ export default function Settings() {
       <AnimatePresence>
         {showBrowser && (
           <DirBrowser
-            currentPath={config?.audiobookPath || ''}
-            onSelect={handlePathSelected}
-            onClose={() => setShowBrowser(false)}
+            currentPath={showBrowser === 'add' ? newLibrary?.path || '' : config?.audiobookPath || ''}
+            onSelect={handleBrowserSelect}
+            onClose={() => setShowBrowser(null)}
           />
         )}
       </AnimatePresence>
+
+      {/* 默认倍速选择 */}
+      <SpeedPicker
+        open={showSpeedPicker}
+        value={defaultPlaybackRate}
+        onChange={setDefaultPlaybackRate}
+        onClose={() => setShowSpeedPicker(false)}
+        title="默认倍速"
+      />
     </motion.div>
   );
 }
 
 // ===== 目录浏览器组件 =====
+// 只能浏览服务端允许的根目录（browsePath 为 '' 时显示根目录列表）
 function DirBrowser({ currentPath, onSelect, onClose }) {
   const [browsePath, setBrowsePath] = useState(currentPath || '');
   const [entries, setEntries] = useState([]);
   const [parentPath, setParentPath] = useState(null);
-  const [drives, setDrives] = useState(null);
+  const [roots, setRoots] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [inputPath, setInputPath] = useState('');
   const [showInput, setShowInput] = useState(false);
 
   useEffect(() => {
-    loadDir(browsePath);
+    // 从当前有声书目录开始，不在允许范围内时回到根目录列表
+    loadDir(browsePath, true);
   }, []);
 
-  const loadDir = async (dirPath) => {
+  const loadDir = async (dirPath, fallbackToRoots = false) => {
     setLoading(true);
     setError('');
     try {
@@ -746,10 +1012,14 @@ function DirBrowser({ currentPath, onSelect, onClose }) {
         setBrowsePath(res.data.current);
         setEntries(res.data.entries || []);
         setParentPath(res.data.parent);
-        setDrives(res.data.drives);
+        setRoots(res.data.roots || []);
         setInputPath(res.data.current);
       }
     } catch (e) {
+      if (fallbackToRoots && dirPath) {
+        await loadDir('');
+        return;
+      }
       const msg = e?.error || e?.message || '无法读取目录';
       setError(msg.includes('无法读取') || msg.includes('不存在') || msg.includes('不是目录')
         ? msg
@@ -838,14 +1108,14 @@ function DirBrowser({ currentPath, onSelect, onClose }) {
               className="text-xs text-dark-400 truncate cursor-pointer hover:text-dark-200 transition-colors py-1"
               title="点击手动输入路径"
             >
-              {browsePath || '/'}
+              {browsePath || '允许浏览的目录'}
             </div>
           )}
         </div>
 
         {/* 导航按钮 */}
         <div className="flex items-center gap-2 px-4 py-2 border-b border-dark-700/30">
-          {parentPath && (
+          {parentPath !== null && (
             <button
               onClick={() => handleGoTo(parentPath)}
               className="flex items-center gap-1 text-xs text-dark-300 hover:text-white bg-dark-700/50 hover:bg-dark-700 px-3 py-1.5 rounded-lg transition-colors"
@@ -854,15 +1124,15 @@ function DirBrowser({ currentPath, onSelect, onClose }) {
               上级目录
             </button>
           )}
-          {drives && drives.length > 0 && (
-            <div className="flex gap-1 flex-wrap">
-              {drives.map((d) => (
+          {roots.length > 1 && (
+            <div className="flex gap-1 flex-wrap min-w-0">
+              {roots.map((root) => (
                 <button
-                  key={d.path}
-                  onClick={() => handleGoTo(d.path)}
-                  className="text-xs text-dark-300 hover:text-white bg-dark-700/50 hover:bg-dark-700 px-2.5 py-1.5 rounded-lg transition-colors"
+                  key={root}
+                  onClick={() => handleGoTo(root)}
+                  className="text-xs text-dark-300 hover:text-white bg-dark-700/50 hover:bg-dark-700 px-2.5 py-1.5 rounded-lg transition-colors truncate max-w-[10rem]"
                 >
-                  {d.name}
+                  {root}
                 </button>
               ))}
             </div>
@@ -920,7 +1190,7 @@ function DirBrowser({ currentPath, onSelect, onClose }) {
         {/* 底部确认 */}
         <div className="p-4 border-t border-dark-700/50 space-y-2">
           <p className="text-xs text-dark-500 truncate">
-            选中：{browsePath}
+            选中：{browsePath || '请进入一个目录'}
           </p>
           <div className="flex gap-3">
             <button
@@ -931,7 +1201,8 @@ function DirBrowser({ currentPath, onSelect, onClose }) {
             </button>
             <button
               onClick={handleConfirm}
-              className="flex-1 py-3 rounded-xl text-sm font-medium text-dark-900 bg-primary-500 hover:bg-primary-600 active:scale-[0.98] transition-all flex items-center justify-center gap-2"
+              disabled={!browsePath}
+              className="flex-1 py-3 rounded-xl text-sm font-medium text-dark-900 bg-primary-500 hover:bg-primary-600 active:scale-[0.98] transition-all flex items-center justify-center gap-2 disabled:opacity-50"
             >
               <HiCheck className="w-5 h-5" />
               确认选择
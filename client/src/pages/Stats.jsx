@@ -0,0 +1,213 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { HiOutlineFire, HiOutlineClock, HiOutlineCalendarDays, HiOutlineCheckBadge } from 'react-icons/hi2';
+import { userApi, bookApi } from '../utils/api';
+import { formatDuration, formatDate, formatRate } from '../utils/format';
+
+const DAILY_DAYS = 14;
+const WEEKLY_WEEKS = 8;
+
+/**
+ * 柱状图（每日/每周收听时长），最后一根（今天/本周）高亮，标签隔一个显示
+ */
+function BarChart({ items }) {
+  const max = Math.max(1, ...items.map(i => i.seconds));
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-24">
+        {items.map((item, index) => (
+          <div key={item.label} className="flex-1 h-full flex flex-col justify-end" title={`${item.label} ${formatDuration(item.seconds)}`}>
+            <div
+              className={`rounded-t ${index === items.length - 1 ? 'bg-primary-500' : 'bg-primary-500/40'}`}
+              style={{ height: `${item.seconds > 0 ? Math.max(4, (item.seconds / max) * 100) : 0}%` }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-1">
+        {items.map((item, index) => (
+          <span key={item.label} className="flex-1 text-center text-[9px] text-dark-500">
+            {(items.length - 1 - index) % 2 === 0 ? item.shortLabel : ''}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function Stats() {
+  const navigate = useNavigate();
+  const [stats, setStats] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadStats();
+  }, []);
+
+  const loadStats = async () => {
+    try {
+      const [statsRes, sessionsRes] = await Promise.all([userApi.getStats(), userApi.getSessions(20)]);
+      setStats(statsRes.data);
+      setSessions(sessionsRes.data || []);
+    } catch (e) {
+      console.error('Failed to load stats:', e);
+      setError('加载统计失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="page-container flex items-center justify-center min-h-[60vh]">
+        <div className="w-8 h-8 border-2 border-primary-500/30 border-t-primary-500 rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  if (error || !stats) {
+    return (
+      <div className="page-container text-center py-20">
+        <p className="text-dark-400">{error || '暂无数据'}</p>
+      </div>
+    );
+  }
+
+  const daily = stats.daily.slice(-DAILY_DAYS).map(d => ({
+    label: d.date,
+    shortLabel: `${Number(d.date.slice(8))}`,
+    seconds: d.seconds,
+  }));
+  const weekly = stats.weekly.slice(-WEEKLY_WEEKS).map(w => ({
+    label: w.weekStart,
+    shortLabel: `${Number(w.weekStart.slice(5, 7))}/${Number(w.weekStart.slice(8))}`,
+    seconds: w.seconds,
+  }));
+
+  const summary = [
+    { icon: HiOutlineClock, label: '今日', value: formatDuration(stats.todaySeconds) },
+    { icon: HiOutlineCalendarDays, label: '本周', value: formatDuration(stats.thisWeekSeconds) },
+    { icon: HiOutlineFire, label: '连续收听', value: `${stats.streak.current}天`, sub: `最长 ${stats.streak.longest} 天` },
+    { icon: HiOutlineCheckBadge, label: '听完', value: `${stats.booksFinishedCount}本` },
+  ];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="page-container"
+    >
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-white">收听统计</h1>
+        <p className="text-sm text-dark-400 mt-1">
+          累计 {formatDuration(stats.totalSeconds)} · {stats.sessionCount} 次收听
+        </p>
+      </div>
+
+      <div className="space-y-4">
+        {/* 概览 */}
+        <div className="grid grid-cols-2 gap-3">
+          {summary.map(({ icon: Icon, label, value, sub }) => (
+            <div key={label} className="glass-card p-3">
+              <div className="flex items-center gap-1.5 text-dark-400 text-xs">
+                <Icon className="w-4 h-4 text-primary-500" />
+                {label}
+              </div>
+              <p className="text-lg font-bold text-white mt-1">{value}</p>
+              {sub && <p className="text-[10px] text-dark-500">{sub}</p>}
+            </div>
+          ))}
+        </div>
+
+        {/* 每日 */}
+        <div className="glass-card p-4">
+          <h2 className="font-semibold text-sm mb-3">最近 {DAILY_DAYS} 天</h2>
+          <BarChart items={daily} />
+        </div>
+
+        {/* 每周 */}
+        <div className="glass-card p-4">
+          <h2 className="font-semibold text-sm mb-3">最近 {WEEKLY_WEEKS} 周</h2>
+          <BarChart items={weekly} />
+        </div>
+
+        {/* 每本书 */}
+        {stats.books.length > 0 && (
+          <div className="glass-card p-4">
+            <h2 className="font-semibold text-sm mb-3">每本书收听时长</h2>
+            <div className="space-y-3">
+              {stats.books.map((book) => {
+                const finished = stats.booksFinished.some(f => f.bookId === book.bookId);
+                return (
+                  <button
+                    key={book.bookId}
+                    onClick={() => navigate(`/book/${book.bookId}`)}
+                    className="w-full flex items-center gap-3 text-left"
+                  >
+                    <div className="w-10 h-10 rounded-lg overflow-hidden flex-shrink-0 bg-dark-700">
+                      <img
+                        src={bookApi.getCoverUrl(book.bookId)}
+                        alt=""
+                        className="w-full h-full object-cover"
+                        loading="lazy"
+                        onError={(e) => { e.target.style.display = 'none'; }}
+                      />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm text-white truncate">
+                        {book.bookName || book.bookId}
+                        {finished && <span className="ml-1.5 text-[10px] text-green-400">已听完</span>}
+                      </p>
+                      <div className="h-1 bg-dark-700 rounded-full mt-1.5 overflow-hidden">
+                        <div
+                          className="h-full bg-primary-500 rounded-full"
+                          style={{ width: `${(book.seconds / stats.books[0].seconds) * 100}%` }}
+                        />
+                      </div>
+                    </div>
+                    <span className="text-xs text-dark-400 flex-shrink-0">{formatDuration(book.seconds)}</span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* 收听记录 */}
+        {sessions.length > 0 && (
+          <div className="glass-card p-4">
+            <h2 className="font-semibold text-sm mb-3">最近收听</h2>
+            <div className="divide-y divide-dark-700/50">
+              {sessions.map((s) => (
+                <div key={s.id} className="py-2 flex items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm text-dark-200 truncate">{s.bookName}</p>
+                    <p className="text-[10px] text-dark-500 truncate mt-0.5">
+                      {s.episodeName}
+                      {s.playbackRate !== 1 && ` · ${formatRate(s.playbackRate)}`}
+                    </p>
+                  </div>
+                  <div className="text-right flex-shrink-0">
+                    <p className="text-xs text-dark-300">{formatDuration(s.duration)}</p>
+                    <p className="text-[10px] text-dark-500">{formatDate(s.startedAt)}</p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {stats.sessionCount === 0 && (
+          <div className="text-center py-12">
+            <div className="text-6xl mb-4">📊</div>
+            <p className="text-dark-400">还没有收听记录</p>
+            <p className="text-dark-500 text-sm mt-2">开始听书后这里会显示统计</p>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,115 @@
+/**
+ * 登录状态 Store
+ * 启动时检查登录状态，登录后切换本地数据并从服务端同步
+ */
+import { create } from 'zustand';
+import { authApi } from '../utils/api';
+import { setLocalUser, syncFromServer, flushListeningSessions } from '../utils/db';
+
+async function enterUser(user) {
+  await setLocalUser(user.id);
+  syncFromServer();
+}
+
+const useAuthStore = create((set, get) => ({
+  // 当前用户 { id, name, role, avatarColor, hasPassword, createdAt }
+  user: null,
+  // 开放模式下未登录（以默认管理员身份使用）
+  anonymous: false,
+  // 开放模式：无需登录
+  openMode: false,
+  // 登录页是否显示用户列表
+  profilePicker: true,
+  // 关闭开放模式时是否允许在登录页注册（管理员设置）/ 登录页当前能否注册
+  allowRegistration: false,
+  registration: false,
+  // 开放模式下主动打开登录页（切换用户）
+  loginRequested: false,
+  // 是否已完成启动时的登录检查
+  checked: false,
+
+  // 启动时检查登录状态
+  checkAuth: async () => {
+    try {
+      const res = await authApi.getMe();
+      const { user, anonymous, openMode, profilePicker, allowRegistration, registration } = res.data;
+      if (user) await enterUser(user);
+      set({ user, anonymous, openMode, profilePicker, allowRegistration, registration, checked: true });
+    } catch (e) {
+      // 服务端不可用（离线）：沿用上次登录的本地数据
+      console.warn('[Auth] 登录状态检查失败:', e.message);
+      set({ checked: true, user: e.status ? null : { id: 'offline', name: '离线', role: 'listener', offline: true } });
+    }
+  },
+
+  // 登录 { userId } 或 { name, password }；切换到其他用户时刷新页面以清空播放器等内存状态
+  login: async (credentials) => {
+    const previous = get().user;
+    const res = await authApi.login(credentials);
+    await enterUser(res.data);
+    if (previous && previous.id !== res.data.id) {
+      window.location.replace('/');
+      return;
+    }
+    set({ user: res.data, anonymous: false, loginRequested: false });
+  },
+
+  // 在登录页创建用户（创建后自动登录）
+  register: async (data) => {
+    const previous = get().user;
+    const res = await authApi.createUser({ ...data, login: true });
+    await enterUser(res.data);
+    if (previous) {
+      window.location.replace('/');
+      return;
+    }
+    set({ user: res.data, anonymous: false, loginRequested: false });
+  },
+
+  // 开放模式下打开/关闭登录页
+  requestLogin: () => set({ loginRequested: true }),
+  cancelLogin: () => set({ loginRequested: false }),
+
+  // 登出：先补传收听记录，再刷新页面以清空播放器等内存状态
+  logout: async () => {
+    if (get().anonymous) {
+      set({ loginRequested: true });
+      return;
+    }
+    await flushListeningSessions();
+    try {
+      await authApi.logout();
+    } catch (e) {
+      console.error('Failed to logout:', e);
+    }
+    window.location.replace('/');
+  },
+
+  // 修改用户名/密码
+  updateMe: async (data) => {
+    const res = await authApi.updateMe(data);
+    set({ user: res.data });
+  },
+
+  // 删除当前用户
+  deleteMe: async (currentPassword) => {
+    await authApi.deleteMe(currentPassword);
+    window.location.replace('/');
+  },
+
+  // 开放模式 / 登录页用户列表 / 允许注册（管理员）
+  updateAuthSettings: async (data) => {
+    const res = await authApi.updateSettings(data);
+    const { openMode, profilePicker, allowRegistration, registration } = res.data;
+    set({ openMode, profilePicker, allowRegistration, registration });
+  },
+}));
+
+/**
+ * 当前用户是否为管理员
+ */
+export function isAdmin(user) {
+  return user?.role === 'admin';
+}
+
+export default useAuthStore;
@@ -2,8 +2,13 @@
  * 书籍状态管理
  */
 import { create } from 'zustand';
-import { bookApi } from '../utils/api';
-import { getAllFavorites, addFavorite, removeFavorite, isFavorite } from '../utils/db';
+import { bookApi, libraryApi } from '../utils/api';
+import { getAllFavorites, addFavorite, removeFavorite, isFavorite, getSetting, setSetting } from '../utils/db';
+import { subscribe } from '../utils/liveEvents';
+import useAuthStore, { isAdmin } from './authStore';
+
+// 连续的书籍变化合并为一次刷新
+const LIVE_REFRESH_DELAY = 300;
 
 const useBookStore = create((set, get) => ({
   books: [],
@@ -11,17 +16,89 @@ const useBookStore = create((set, get) => ({
   isLoading: false,
   error: null,
   searchQuery: '',
+  // 书库列表 [{ id, name, bookCount }] 与书架当前显示的书库（null 为全部）
+  libraries: [],
+  currentLibrary: null,
 
-  // 获取书籍列表
-  fetchBooks: async () => {
-    set({ isLoading: true, error: null });
+  // 获取书籍列表（silent：服务器推送触发的刷新，不显示加载状态）
+  fetchBooks: async ({ silent = false } = {}) => {
+    if (!silent) set({ isLoading: true, error: null });
     try {
       const res = await bookApi.getBooks();
       set({ books: res.data, isLoading: false });
     } catch (e) {
       console.error('Failed to fetch books:', e);
-      set({ error: '加载书籍列表失败', isLoading: false });
+      if (!silent) set({ error: '加载书籍列表失败', isLoading: false });
+    }
+  },
+
+  // 订阅服务器推送：书籍增删、上传完成后刷新书架，转换进度直接更新对应的书；返回取消订阅的函数
+  subscribeLiveUpdates: () => {
+    let timer = null;
+    const refresh = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        get().fetchBooks({ silent: true });
+        get().fetchLibraries();
+      }, LIVE_REFRESH_DELAY);
+    };
+    const onConversion = ({ bookId, conversion }) => {
+      const { books } = get();
+      if (!books.some(b => b.id === bookId)) return;
+      set({
+        books: books.map(b => b.id !== bookId ? b : {
+          ...b,
+          converting: conversion ? {
+            status: conversion.status,
+            total: conversion.total,
+            completed: conversion.completed,
+            failed: conversion.failed || 0,
+          } : null,
+        }),
+      });
+    };
+
+    const unsubscribes = [
+      subscribe('books', refresh),
+      subscribe('upload', refresh),
+      subscribe('reconnect', refresh),
+      subscribe('conversion', onConversion),
+    ];
+    return () => {
+      clearTimeout(timer);
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+    };
+  },
+
+  // 重新扫描书库后刷新列表（重新扫描需要管理员，收听者只刷新列表）
+  rescanLibrary: async () => {
+    set({ isLoading: true, error: null });
+    if (isAdmin(useAuthStore.getState().user)) {
+      try {
+        await libraryApi.rescan();
+      } catch (e) {
+        console.error('Failed to rescan library:', e);
+      }
     }
+    await get().fetchBooks();
+  },
+
+  // 获取书库列表，恢复上次选择的书库（已删除时回到全部）
+  fetchLibraries: async () => {
+    try {
+      const res = await libraryApi.getLibraries();
+      const libraries = res.data || [];
+      const saved = await getSetting('bookshelfLibrary', null);
+      set({ libraries, currentLibrary: libraries.some(l => l.id === saved) ? saved : null });
+    } catch (e) {
+      console.error('Failed to fetch libraries:', e);
+    }
+  },
+
+  // 切换书架显示的书库
+  setCurrentLibrary: async (libraryId) => {
+    set({ currentLibrary: libraryId });
+    await setSetting('bookshelfLibrary', libraryId);
   },
 
   // 搜索书籍
@@ -29,9 +106,17 @@ const useBookStore = create((set, get) => ({
     set({ searchQuery: query });
   },
 
-  // 获取过滤后的书籍
+  // 当前书库的书籍
+  getLibraryBooks: () => {
+    const { books, currentLibrary } = get();
+    if (!currentLibrary) return books;
+    return books.filter(b => b.libraryId === currentLibrary);
+  },
+
+  // 获取过滤后的书籍（当前书库 + 搜索）
   getFilteredBooks: () => {
-    const { books, searchQuery } = get();
+    const { searchQuery } = get();
+    const books = get().getLibraryBooks();
     if (!searchQuery.trim()) return books;
     const q = searchQuery.toLowerCase();
     return books.filter(b => 
@@ -63,6 +148,7 @@ const useBookStore = create((set, get) => ({
           hasCover: book.hasCover,
           seasonCount: book.seasonCount,
           totalEpisodes: book.totalEpisodes,
+          totalDuration: book.totalDuration,
         });
       }
       // 刷新收藏列表
@@ -0,0 +1,60 @@
+/**
+ * 书签 Store
+ * 按书籍缓存书签列表，BookDetail 与 Player 共用
+ */
+import { create } from 'zustand';
+import { saveBookmark, removeBookmark, getBookmarksByBook } from '../utils/db';
+
+function generateBookmarkId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+const useBookmarkStore = create((set, get) => ({
+  // { [bookId]: bookmark[] }
+  // bookmark: { id, bookId, seasonId, episodeId, seasonIndex, episodeIndex, seasonName, episodeName, time, title, note, createdAt, updatedAt }
+  bookmarksByBook: {},
+
+  // 加载某本书的书签
+  loadBookmarks: async (bookId) => {
+    try {
+      const list = await getBookmarksByBook(bookId);
+      set({ bookmarksByBook: { ...get().bookmarksByBook, [bookId]: list } });
+    } catch (e) {
+      console.error('Failed to load bookmarks:', e);
+    }
+  },
+
+  // 添加书签
+  addBookmark: async (bookmark) => {
+    const saved = await saveBookmark({ ...bookmark, id: generateBookmarkId() });
+    const list = get().bookmarksByBook[saved.bookId] || [];
+    set({ bookmarksByBook: { ...get().bookmarksByBook, [saved.bookId]: [...list, saved] } });
+    return saved;
+  },
+
+  // 修改书签名称/笔记
+  updateBookmark: async (bookmark, updates) => {
+    const saved = await saveBookmark({ ...bookmark, ...updates });
+    const list = get().bookmarksByBook[saved.bookId] || [];
+    set({
+      bookmarksByBook: {
+        ...get().bookmarksByBook,
+        [saved.bookId]: list.map(b => (b.id === saved.id ? saved : b)),
+      },
+    });
+  },
+
+  // 删除书签
+  deleteBookmark: async (bookmark) => {
+    await removeBookmark(bookmark.id);
+    const list = get().bookmarksByBook[bookmark.bookId] || [];
+    set({
+      bookmarksByBook: {
+        ...get().bookmarksByBook,
+        [bookmark.bookId]: list.filter(b => b.id !== bookmark.id),
+      },
+    });
+  },
+}));
+
+export default useBookmarkStore;
@@ -1,10 +1,131 @@
 /**
  * 下载管理 Store
- * 跟踪下载进度，支持取消下载
+ * 跟踪下载进度，支持取消下载；按书设置的自动下载在播放时缓存后面几集
  */
 import { create } from 'zustand';
 import { bookApi } from '../utils/api';
-import { cacheAudio, getCachedAudio } from '../utils/db';
+import {
+  cacheAudio, getCachedAudio, getAudioCacheKey, getCachedAudioByBook, removeCachedAudio,
+  getCacheSize, getSetting, setSetting,
+} from '../utils/db';
+
+// 自动下载的集数档位（0 为关闭）
+export const AUTO_DOWNLOAD_OPTIONS = [0, 3, 5, 10];
+
+/**
+ * 下载一集到离线缓存（边下载边写入，见 utils/db.js 的 cacheAudio），返回写入的记录
+ * episodeId 为音频文件的集 ID（内嵌章节为 fileEpisodeId）；onProgress(0-100)（可选）在有 Content-Length 时报告进度
+ * maxBytes（可选）为剩余的缓存空间：Content-Length 超过时不下载，没有 Content-Length 时下载超过即中止，都不写入缓存并返回 null
+ */
+export async function downloadAudio({ key, bookId, seasonId, episodeId, metadata, signal, onProgress, maxBytes = Infinity }) {
+  // S3/OSS/WebDAV 书库的签名直链跨域，fetch 读不到，统一由服务器转发
+  const response = await fetch(bookApi.getDownloadUrl(bookId, seasonId, episodeId, { proxy: true }), { signal });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const contentLength = response.headers.get('Content-Length');
+  const total = contentLength ? parseInt(contentLength) : 0;
+  if (total > maxBytes) {
+    response.body?.cancel().catch(() => {});
+    return null;
+  }
+  let body = response.body;
+  let received = 0;
+  if (body && ((total > 0 && onProgress) || maxBytes < Infinity)) {
+    // 使用 ReadableStream 跟踪进度和已下载的大小
+    body = body.pipeThrough(new TransformStream({
+      transform(chunk, controller) {
+        received += chunk.length;
+        if (received > maxBytes) {
+          // 流出错时 Cache Storage 不会写入这一集
+          controller.error(new Error('缓存空间不足'));
+          return;
+        }
+        if (total > 0 && onProgress) onProgress(Math.round((received / total) * 100));
+        controller.enqueue(chunk);
+      },
+    }));
+  }
+  const audioUrl = bookApi.getAudioUrl(bookId, seasonId, episodeId);
+  try {
+    return await cacheAudio(key, bookId, audioUrl, new Response(body, { headers: response.headers }), metadata);
+  } catch (e) {
+    if (received > maxBytes) return null;
+    throw e;
+  }
+}
+
+// 只在 Wi-Fi 下自动下载时，当前网络是否允许：能判断网络类型时只允许 Wi-Fi/有线，
+// 省流量模式不允许；浏览器不提供网络类型（桌面端、iOS）时允许
+function isAutoDownloadNetwork(wifiOnly) {
+  const conn = navigator.connection;
+  if (!wifiOnly || !conn) return true;
+  if (conn.saveData) return false;
+  return !conn.type || conn.type === 'wifi' || conn.type === 'ethernet';
+}
+
+// 自动下载达到缓存大小限制时的 { limit, size }（字节）：之后每次播放不再重复下载，直到缓存变小或限制调大
+let cacheFull = null;
+
+/**
+ * 自动下载一本书当前集后面的 N 集，并删除自动下载的已听完的集
+ */
+async function runAutoDownload(bookDetail, seasonIndex, episodeIndex) {
+  const count = ((await getSetting('autoDownload', {})) || {})[bookDetail.id] || 0;
+  if (count <= 0) return;
+
+  // 全书按顺序排列的集，内嵌章节展开的集按所在文件合并（共用一个缓存）
+  const items = [];
+  bookDetail.seasons.forEach((season, sIndex) => {
+    season.episodes.forEach((ep, eIndex) => {
+      const key = getAudioCacheKey(bookDetail.id, season.id, ep);
+      const before = sIndex < seasonIndex || (sIndex === seasonIndex && eIndex < episodeIndex);
+      const last = items[items.length - 1];
+      if (last?.key === key) last.before = before;
+      else items.push({ key, season, episode: ep, before });
+    });
+  });
+  const current = items.findIndex(item => !item.before);
+  if (current < 0) return;
+  const ahead = items.slice(current + 1, current + 1 + count);
+
+  // 删除已听完的集
+  const finished = new Set(items.slice(0, current).map(item => item.key));
+  for (const cached of await getCachedAudioByBook(bookDetail.id)) {
+    if (cached.auto && finished.has(cached.key)) await removeCachedAudio(cached.key);
+  }
+
+  if (!isAutoDownloadNetwork(await getSetting('autoDownloadWifiOnly', true))) return;
+  const limit = (await getSetting('cacheLimitMB', 300)) * 1024 * 1024;
+  // 上次已经放不下：缓存没有变小、限制也没有调大时不再尝试
+  if (cacheFull && limit <= cacheFull.limit && await getCacheSize() >= cacheFull.size) return;
+  cacheFull = null;
+
+  for (const { key, season, episode } of ahead) {
+    if (await getCachedAudio(key)) continue;
+    const size = await getCacheSize();
+    const record = size < limit && await downloadAudio({
+      key,
+      bookId: bookDetail.id,
+      seasonId: season.id,
+      episodeId: episode.fileEpisodeId || episode.id,
+      metadata: {
+        episodeName: episode.fileEpisodeId ? episode.fileName : episode.name,
+        seasonName: season.name,
+        bookName: bookDetail.name,
+        auto: true,
+      },
+      maxBytes: limit - size,
+    });
+    if (!record) {
+      cacheFull = { limit, size };
+      return;
+    }
+  }
+}
+
+// 自动下载进行中；期间再次触发时记下最新的一次，结束后再执行
+let autoDownloadRunning = false;
+let autoDownloadPending = null;
 
 const useDownloadStore = create((set, get) => ({
   // 当前下载任务列表
@@ -30,10 +151,12 @@ const useDownloadStore = create((set, get) => ({
     const tasks = [];
     for (let i = 0; i < season.episodes.length; i++) {
       const ep = season.episodes[i];
-      const key = `${book.id}_${season.id}_${ep.id}`;
+      const key = getAudioCacheKey(book.id, season.id, ep);
+      // 内嵌章节展开的集共用一个文件，只下载一次
+      if (tasks.some(t => t.id === key)) continue;
       // 检查是否已缓存
       const cached = await getCachedAudio(key);
-      if (cached && cached.blob) continue; // 已缓存跳过
+      if (cached) continue; // 已缓存跳过
 
       tasks.push({
         id: key,
@@ -41,8 +164,8 @@ const useDownloadStore = create((set, get) => ({
         bookName: book.name,
         seasonId: season.id,
         seasonName: season.name,
-        episodeId: ep.id,
-        episodeName: ep.name,
+        episodeId: ep.fileEpisodeId || ep.id,
+        episodeName: ep.fileEpisodeId ? ep.fileName : ep.name,
         status: 'pending',
         progress: 0,
       });
@@ -81,50 +204,25 @@ const useDownloadStore = create((set, get) => ({
         const abortController = new AbortController();
         set({ _abortController: abortController });
 
-        const url = bookApi.getDownloadUrl(task.bookId, task.seasonId, task.episodeId);
-        const response = await fetch(url, { signal: abortController.signal });
-
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-
-        const contentLength = response.headers.get('Content-Length');
-        const total = contentLength ? parseInt(contentLength) : 0;
-
-        if (total > 0 && response.body) {
-          // 使用 ReadableStream 跟踪进度
-          const reader = response.body.getReader();
-          const chunks = [];
-          let received = 0;
-
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            chunks.push(value);
-            received += value.length;
-            const progress = Math.round((received / total) * 100);
-
+        await downloadAudio({
+          key: task.id,
+          bookId: task.bookId,
+          seasonId: task.seasonId,
+          episodeId: task.episodeId,
+          metadata: {
+            episodeName: task.episodeName,
+            seasonName: task.seasonName,
+            bookName: task.bookName,
+          },
+          signal: abortController.signal,
+          onProgress: (progress) => {
             set(state => ({
               tasks: state.tasks.map(t =>
                 t.id === task.id ? { ...t, progress } : t
               ),
             }));
-          }
-
-          const blob = new Blob(chunks);
-          await cacheAudio(task.id, task.bookId, blob, {
-            episodeName: task.episodeName,
-            seasonName: task.seasonName,
-            bookName: task.bookName,
-          });
-        } else {
-          // fallback: 无 Content-Length，直接获取 blob
-          const blob = await response.blob();
-          await cacheAudio(task.id, task.bookId, blob, {
-            episodeName: task.episodeName,
-            seasonName: task.seasonName,
-            bookName: task.bookName,
-          });
-        }
+          },
+        });
 
         set(state => ({
           tasks: state.tasks.map(t =>
@@ -170,6 +268,63 @@ const useDownloadStore = create((set, get) => ({
   clearTasks: () => {
     set({ tasks: [], completedCount: 0, totalCount: 0 });
   },
+
+  // ========== 自动下载 ==========
+
+  // 每本书自动下载后面几集（用户设置 autoDownload: { [bookId]: 集数 }，同步到服务端）
+  autoDownload: {},
+  // 只在 Wi-Fi 下自动下载（用户设置 autoDownloadWifiOnly）
+  autoDownloadWifiOnly: true,
+
+  /**
+   * 读取自动下载设置
+   */
+  loadAutoDownload: async () => {
+    set({
+      autoDownload: (await getSetting('autoDownload', {})) || {},
+      autoDownloadWifiOnly: await getSetting('autoDownloadWifiOnly', true),
+    });
+  },
+
+  /**
+   * 设置一本书自动下载的集数（0 为关闭）
+   */
+  setAutoDownload: async (bookId, count) => {
+    const autoDownload = { ...(await getSetting('autoDownload', {})) };
+    if (count > 0) autoDownload[bookId] = count;
+    else delete autoDownload[bookId];
+    set({ autoDownload });
+    await setSetting('autoDownload', autoDownload);
+  },
+
+  setAutoDownloadWifiOnly: async (wifiOnly) => {
+    set({ autoDownloadWifiOnly: wifiOnly });
+    await setSetting('autoDownloadWifiOnly', wifiOnly);
+  },
+
+  /**
+   * 播放到某一集时（由 playerStore.playEpisode 调用）：缓存后面 N 集，删除自动下载的已听完的集
+   * 只删除自动下载的缓存（auto: true），手动下载的保留；达到缓存大小限制时不再下载
+   */
+  syncAutoDownload: async (bookDetail, seasonIndex, episodeIndex) => {
+    if (autoDownloadRunning) {
+      autoDownloadPending = [bookDetail, seasonIndex, episodeIndex];
+      return;
+    }
+    autoDownloadRunning = true;
+    try {
+      await runAutoDownload(bookDetail, seasonIndex, episodeIndex);
+    } catch (e) {
+      console.error('Auto download failed:', e);
+    } finally {
+      autoDownloadRunning = false;
+    }
+    if (autoDownloadPending) {
+      const pending = autoDownloadPending;
+      autoDownloadPending = null;
+      await get().syncAutoDownload(...pending);
+    }
+  },
 }));
 
 export default useDownloadStore;
@@ -4,19 +4,239 @@
  */
 import { create } from 'zustand';
 import { bookApi } from '../utils/api';
-import { savePlayProgress, getPlayProgress, getCachedAudio, getSetting } from '../utils/db';
+import {
+  savePlayProgress, getPlayProgress, getCachedAudio, getCachedAudioBlob, getAudioCacheKey, getSetting, setSetting, recordListeningSession,
+} from '../utils/db';
+import { getBookElapsed } from '../utils/progress';
+import {
+  DEFAULT_AUDIO_EFFECTS, applyAudioEffects, isAudioEffectsActive, resumeAudioEffects,
+} from '../utils/audioEffects';
+import {
+  watchShake, showSleepNotification, closeSleepNotification, onNotificationExtend,
+} from '../utils/sleepTimer';
+import useDownloadStore from './downloadStore';
 
-// 全局 Audio 实例
-let audioElement = null;
+// 全局 Audio 实例：两个轮流使用，一个正在播放，另一个在当前集快结束时预加载下一集（见「预加载」）
+const audioElements = [];
+let activeAudioIndex = 0;
 
+function createAudio() {
+  const audio = new Audio();
+  audio.preload = 'auto';
+  // 变速不变调
+  audio.preservesPitch = true;
+  audio.mozPreservesPitch = true;
+  audio.webkitPreservesPitch = true;
+  return audio;
+}
+
+// 正在播放的音频元素
 function getAudio() {
-  if (!audioElement) {
-    audioElement = new Audio();
-    audioElement.preload = 'auto';
+  if (audioElements.length === 0) audioElements.push(createAudio(), createAudio());
+  return audioElements[activeAudioIndex];
+}
+
+// 备用的音频元素（预加载下一集）
+function getStandbyAudio() {
+  getAudio();
+  return audioElements[1 - activeAudioIndex];
+}
+
+// 在两个音频元素上监听事件，只处理正在播放的那个的事件
+function onActiveAudio(type, handler) {
+  getAudio();
+  for (const audio of audioElements) {
+    audio.addEventListener(type, (e) => {
+      if (audio === getAudio()) handler(e);
+    });
+  }
+}
+
+// 倍速范围
+export const MIN_PLAYBACK_RATE = 0.5;
+export const MAX_PLAYBACK_RATE = 3;
+
+function clampRate(rate) {
+  const r = Number(rate) || 1;
+  return Math.round(Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, r)) * 100) / 100;
+}
+
+// audio.load() 会把 playbackRate 重置为 defaultPlaybackRate，两者需同时设置
+function applyPlaybackRate(rate) {
+  const audio = getAudio();
+  audio.defaultPlaybackRate = rate;
+  audio.playbackRate = rate;
+}
+
+// ========== 每本书的倍速 ==========
+
+// 用户设置 bookPlaybackRates: { [bookId]: 倍速 }（同步到服务端），未设置的书使用全局默认倍速
+async function loadBookPlaybackRates() {
+  return (await getSetting('bookPlaybackRates', {})) || {};
+}
+
+// ========== 音效 ==========
+
+// 每本书的音效设置（用户设置 audioEffects: { [bookId]: effects }，同步到服务端）
+async function loadBookAudioEffects(bookId) {
+  const saved = await getSetting('audioEffects', {});
+  return { ...DEFAULT_AUDIO_EFFECTS, ...(saved?.[bookId] || {}) };
+}
+
+async function saveBookAudioEffects(bookId, effects) {
+  const saved = await getSetting('audioEffects', {});
+  await setSetting('audioEffects', { ...(saved || {}), [bookId]: effects });
+}
+
+// ========== 实时转码 ==========
+
+// 转码音质档位（auto：移动网络或省流量模式下用低音质）
+export const TRANSCODE_QUALITY_OPTIONS = [
+  ['auto', '自动'],
+  ['high', '高'],
+  ['medium', '标准'],
+  ['low', '低'],
+];
+
+function resolveTranscodeQuality(setting) {
+  if (setting && setting !== 'auto') return setting;
+  const conn = navigator.connection;
+  if (conn && (conn.saveData || conn.type === 'cellular' || /^(slow-)?[23]g$/.test(conn.effectiveType || ''))) {
+    return 'low';
+  }
+  return 'medium';
+}
+
+// 当前的转码流：{ offset, getUrl(start) }，非转码播放时为 null
+// 转码流从 offset 秒开始且不支持 Range，audio.currentTime 从 0 计时；跳转时带上新的 start 重新请求
+let transcodeStream = null;
+
+// ========== 内嵌章节 ==========
+
+// 当前集在音频文件中的范围 { start, end }（秒），一个文件一集时为 null
+// 内嵌章节展开的集（见 server/services/chapters.js）播放整个文件，位置、时长和跳转都相对章节开头
+let chapterRange = null;
+
+// 音频文件中的播放位置（秒）
+function getFileTime() {
+  return (transcodeStream ? transcodeStream.offset : 0) + getAudio().currentTime;
+}
+
+// 当前集内的播放位置（秒）
+function getPosition() {
+  return getFileTime() - (chapterRange ? chapterRange.start : 0);
+}
+
+// 一集的章节范围（内嵌章节展开的集），其余为 null
+function getChapterRange(episode) {
+  return episode.fileEpisodeId ? { start: episode.start, end: episode.end } : null;
+}
+
+// 跳转到当前集内的指定位置
+function setPosition(time) {
+  const audio = getAudio();
+  const fileTime = time + (chapterRange ? chapterRange.start : 0);
+  if (!transcodeStream) {
+    audio.currentTime = fileTime;
+    return;
+  }
+  const wasPlaying = !audio.paused;
+  transcodeStream.offset = fileTime;
+  audio.src = transcodeStream.getUrl(fileTime);
+  if (wasPlaying) audio.play().catch(console.error);
+}
+
+// ========== 音频来源 ==========
+
+// 一集的音频来源 { src, transcodeStream, sameOrigin }：离线缓存 > 实时转码 > 在线播放
+// start 为从集内的哪个位置开始（秒），只用于实时转码；sameOrigin 为 Web Audio 音效能否处理
+async function resolveSource(bookId, season, episode, start) {
+  // 检查是否有离线缓存：Service Worker 接管页面时直接用播放地址（由它按 Range 从缓存返回），
+  // 否则（首次打开、非 HTTPS、旧版本的缓存）读出 Blob 播放
+  const cached = await getCachedAudio(getAudioCacheKey(bookId, season.id, episode));
+  if (cached?.url && navigator.serviceWorker?.controller) {
+    return { src: cached.url, transcodeStream: null, sameOrigin: true };
+  }
+  const blob = cached && await getCachedAudioBlob(cached);
+  if (blob) {
+    return { src: URL.createObjectURL(blob), transcodeStream: null, sameOrigin: true };
+  }
+
+  // 内嵌章节展开的集：音频地址按所在文件
+  const audioEpisodeId = episode.fileEpisodeId || episode.id;
+  if (episode.needsTranscode || episode.cueSheet) {
+    // 浏览器无法播放的格式（后台转换尚未完成）、CUE 分轨（只截取这一轨）：服务端实时转码，直接从 start 开始
+    const quality = resolveTranscodeQuality(await getSetting('transcodeQuality', 'auto'));
+    const offset = start + (episode.fileEpisodeId ? episode.start : 0);
+    const stream = {
+      offset,
+      getUrl: (t) => bookApi.getTranscodeUrl(bookId, season.id, audioEpisodeId, { start: t, quality }),
+    };
+    return { src: stream.getUrl(offset), transcodeStream: stream, sameOrigin: true };
+  }
+
+  // 在线播放
+  const proxy = isAudioEffectsActive();
+  return { src: bookApi.getAudioUrl(bookId, season.id, audioEpisodeId, { proxy }), transcodeStream: null, sameOrigin: proxy };
+}
+
+// 下一集的位置 { seasonIndex, episodeIndex }（跨季），已是最后一集时返回 null
+function getNextPosition(bookDetail, seasonIndex, episodeIndex) {
+  const season = bookDetail?.seasons[seasonIndex];
+  if (!season) return null;
+  if (episodeIndex < season.episodes.length - 1) return { seasonIndex, episodeIndex: episodeIndex + 1 };
+  if (seasonIndex < bookDetail.seasons.length - 1) return { seasonIndex: seasonIndex + 1, episodeIndex: 0 };
+  return null;
+}
+
+// ========== 预加载 ==========
+
+// 当前集剩余多少秒（按倍速折算的实际时间）时预加载下一集
+const PRELOAD_SECONDS = 30;
+
+// 已在备用音频元素中预加载的下一集：{ key: 书/季/集 ID, transcodeStream, sameOrigin }
+// 播放这一集（从片头开始）时直接换到备用元素，不用等待加载，两集之间没有停顿
+let preloaded = null;
+let preloading = false;
+
+function preloadKey(bookId, seasonId, episodeId) {
+  return `${bookId}/${seasonId}/${episodeId}`;
+}
+
+// 放弃预加载的下一集（跳到别处、片头设置变化、接入 Web Audio 后地址需要改为同源）
+function discardPreload() {
+  preloaded = null;
+  const standby = getStandbyAudio();
+  if (standby.getAttribute('src')) {
+    standby.removeAttribute('src');
+    standby.load();
   }
-  return audioElement;
 }
 
+// ========== 睡眠定时 ==========
+
+// 最后 N 秒逐渐降低音量
+export const SLEEP_FADE_SECONDS = 30;
+// 按时长定时：每次延长的分钟数
+export const SLEEP_EXTEND_MINUTES = 10;
+
+let playerInitialized = false;
+// 自动续播进行中（片尾检查在 timeupdate 中会连续触发，避免重复计数）
+let autoAdvancing = false;
+let sleepTicker = null;
+let sleepLastTick = 0;
+let stopShakeWatch = null;
+
+// ========== 收听记录 ==========
+
+// 不足 5 秒的片段不记录
+const MIN_SESSION_SECONDS = 5;
+// 连续播放超过 15 分钟时分段上报，避免页面崩溃/被杀时丢失整段记录
+const SESSION_CHECKPOINT_MS = 15 * 60 * 1000;
+
+// 当前这一段连续播放
+let listeningSession = null;
+
 const usePlayerStore = create((set, get) => ({
   // 当前播放状态
   isPlaying: false,
@@ -40,65 +260,117 @@ const usePlayerStore = create((set, get) => ({
   skipIntro: 0,
   skipOutro: 0,
 
-  // 初始化播放器
+  // 倍速：当前倍速 / 全局默认倍速 / 每本书记忆的倍速（用户设置，同步到服务端）
+  playbackRate: 1,
+  defaultPlaybackRate: 1,
+  bookPlaybackRates: {},
+
+  // 当前书籍的音效（响度标准化、音量增强、动态压缩、人声清晰），按书记忆
+  audioEffects: DEFAULT_AUDIO_EFFECTS,
+
+  // 睡眠定时：null 或 { mode: 'duration', remaining(秒) } / { mode: 'episodes', episodesLeft }
+  sleepTimer: null,
+  // 是否处于最后的淡出阶段（可摇一摇/轻触/通知延长）
+  sleepFading: false,
+
+  // 初始化播放器（只执行一次，避免重复注册事件监听）
   initPlayer: () => {
-    const audio = getAudio();
+    if (playerInitialized) return;
+    playerInitialized = true;
+
+    onNotificationExtend(() => get().extendSleepTimer());
+
+    getSetting('defaultPlaybackRate', 1).then((rate) => {
+      const defaultPlaybackRate = clampRate(rate);
+      set({ defaultPlaybackRate });
+      if (!get().currentBook) set({ playbackRate: defaultPlaybackRate });
+    });
+    loadBookPlaybackRates().then(bookPlaybackRates => set({ bookPlaybackRates }));
     
-    audio.addEventListener('timeupdate', () => {
+    onActiveAudio('timeupdate', () => {
       const state = get();
-      const currentTime = audio.currentTime;
+      const currentTime = getPosition();
       set({ currentTime });
       
-      // 跳过片尾检查
-      if (state.skipOutro > 0 && state.duration > 0) {
+      // 跳过片尾、章节结尾检查（暂停后不再触发，避免睡眠定时停止后又自动续播）
+      if (state.isPlaying && (state.skipOutro > 0 || chapterRange) && state.duration > 0) {
         if (currentTime >= state.duration - state.skipOutro) {
-          get().playNext();
+          get().autoAdvance();
           return;
         }
       }
       
+      // 快结束时预加载下一集
+      if (state.isPlaying && state.duration > 0 && !preloaded
+        && (state.duration - state.skipOutro - currentTime) / state.playbackRate <= PRELOAD_SECONDS) {
+        get().preloadNext();
+      }
+      
       // 每10秒自动保存进度
       if (state.currentBook && Math.floor(currentTime) % 10 === 0) {
         get().saveProgress();
       }
+
+      // 长时间连续播放时分段记录
+      if (listeningSession && Date.now() - listeningSession.startedAt > SESSION_CHECKPOINT_MS) {
+        get().endListeningSession();
+        get().startListeningSession();
+      }
+    });
+
+    // 收听记录：开始播放时开始一段，暂停/结束时结束
+    onActiveAudio('playing', () => get().startListeningSession());
+    onActiveAudio('pause', () => get().endListeningSession());
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden' && listeningSession) {
+        get().endListeningSession();
+        if (!getAudio().paused) get().startListeningSession();
+      }
     });
     
-    audio.addEventListener('loadedmetadata', () => {
-      const dur = audio.duration;
-      if (isFinite(dur) && dur > 0) {
+    onActiveAudio('loadedmetadata', () => {
+      // 转码流的 duration 只是已转出的部分，使用服务端计算的时长
+      if (transcodeStream) {
+        set({ isLoading: false });
+        return;
+      }
+
+      // 章节的时长同样使用服务端计算的值
+      const dur = getAudio().duration;
+      if (!chapterRange && isFinite(dur) && dur > 0) {
         set({ duration: dur, isLoading: false });
       }
       
-      // 跳过片头
-      const state = get();
-      if (state.skipIntro > 0 && audio.currentTime < state.skipIntro) {
-        audio.currentTime = state.skipIntro;
+      // 跳过片头（章节从章节开头算起，同时跳到章节开头）
+      if (getPosition() < get().skipIntro) {
+        setPosition(get().skipIntro);
       }
     });
 
     // 有些格式的 duration 在 loadedmetadata 时还不可用，会在 durationchange 中更新
-    audio.addEventListener('durationchange', () => {
-      const dur = audio.duration;
-      if (isFinite(dur) && dur > 0) {
+    onActiveAudio('durationchange', () => {
+      const dur = getAudio().duration;
+      if (!transcodeStream && !chapterRange && isFinite(dur) && dur > 0) {
         set({ duration: dur });
       }
     });
     
-    audio.addEventListener('waiting', () => set({ isLoading: true }));
-    audio.addEventListener('canplay', () => set({ isLoading: false }));
+    onActiveAudio('waiting', () => set({ isLoading: true }));
+    onActiveAudio('canplay', () => set({ isLoading: false }));
     
-    audio.addEventListener('ended', () => {
-      get().playNext();
+    onActiveAudio('ended', () => {
+      get().autoAdvance();
     });
     
-    audio.addEventListener('error', (e) => {
+    onActiveAudio('error', (e) => {
       console.error('Audio error:', e);
       set({ error: '音频加载失败', isLoading: false, isPlaying: false });
     });
     
-    audio.addEventListener('progress', () => {
+    onActiveAudio('progress', () => {
+      const audio = getAudio();
       if (audio.buffered.length > 0) {
-        const buffered = audio.buffered.end(audio.buffered.length - 1);
+        const buffered = getPosition() - audio.currentTime + audio.buffered.end(audio.buffered.length - 1);
         set({ buffered });
       }
     });
@@ -116,7 +388,8 @@ const usePlayerStore = create((set, get) => ({
 
   // 播放指定书籍的指定集
   playEpisode: async (book, seasonIndex, episodeIndex, seekTime = 0) => {
-    const audio = getAudio();
+    // 切换集之前结束上一集的收听记录
+    get().endListeningSession();
     set({ isLoading: true, error: null });
     
     try {
@@ -133,23 +406,50 @@ const usePlayerStore = create((set, get) => ({
       
       const episode = season.episodes[episodeIndex];
       if (!episode) throw new Error('集不存在');
-      
-      // 检查是否有离线缓存
-      const cacheKey = `${book.id}_${season.id}_${episode.id}`;
-      const cached = await getCachedAudio(cacheKey);
-      
-      if (cached && cached.blob) {
-        // 使用缓存的音频
-        const url = URL.createObjectURL(cached.blob);
-        audio.src = url;
-      } else {
-        // 在线播放
-        audio.src = bookApi.getAudioUrl(book.id, season.id, episode.id);
-      }
-      
+
+      // 先应用音效：接入 Web Audio 后在线播放需要同源地址
+      const audioEffects = get().currentBook?.id === book.id
+        ? get().audioEffects
+        : await loadBookAudioEffects(book.id);
+      const gain = episode.loudness?.gain || 0;
+      applyAudioEffects(getAudio(), audioEffects, gain);
+
       // 使用 bookDetail 的 skipIntro/skipOutro（始终最新），而非 book 参数（可能过时）
       const skipIntro = bookDetail.skipIntro || 0;
       const skipOutro = bookDetail.skipOutro || 0;
+
+      // 内嵌章节展开的集：同一文件内换章时不重新加载，直接跳转
+      const range = getChapterRange(episode);
+      const { currentBook: prevBook, currentSeason: prevSeason, currentEpisode: prevEpisode } = get();
+      const sameFile = !!range && !!getAudio().getAttribute('src') && prevBook?.id === book.id
+        && prevSeason?.id === season.id && prevEpisode?.fileEpisodeId === episode.fileEpisodeId;
+      // 从片头开始播放已预加载好的下一集：换到备用音频元素，不用等待加载
+      const usePreloaded = !sameFile && seekTime === 0 && !getStandbyAudio().error
+        && preloaded?.key === preloadKey(book.id, season.id, episode.id)
+        && (preloaded.sameOrigin || !isAudioEffectsActive());
+
+      if (usePreloaded) {
+        const previous = getAudio();
+        activeAudioIndex = 1 - activeAudioIndex;
+        getAudio().volume = previous.volume;
+        previous.pause();
+        previous.removeAttribute('src');
+        previous.load();
+        transcodeStream = preloaded.transcodeStream;
+        preloaded = null;
+        applyAudioEffects(getAudio(), audioEffects, gain);
+      } else if (!sameFile) {
+        discardPreload();
+        // 实时转码直接从续播位置/片头之后开始
+        const source = await resolveSource(book.id, season, episode, seekTime > 0 ? seekTime : skipIntro);
+        transcodeStream = source.transcodeStream;
+        getAudio().src = source.src;
+      }
+      const audio = getAudio();
+      chapterRange = range;
+      // 本书记忆的倍速优先，否则使用全局默认倍速
+      const bookPlaybackRates = await loadBookPlaybackRates();
+      const playbackRate = clampRate(bookPlaybackRates[book.id] || get().defaultPlaybackRate);
       
       set({
         currentBook: book,
@@ -157,22 +457,40 @@ const usePlayerStore = create((set, get) => ({
         currentEpisode: episode,
         currentSeasonIndex: seasonIndex,
         currentEpisodeIndex: episodeIndex,
+        // 服务端已计算的时长，loadedmetadata 触发前即可显示
+        duration: episode.duration || 0,
         skipIntro,
         skipOutro,
+        playbackRate,
+        bookPlaybackRates,
+        audioEffects,
         isPlaying: true,
       });
+      // 自动下载后面几集（本书开启时）
+      useDownloadStore.getState().syncAutoDownload(bookDetail, seasonIndex, episodeIndex);
       
-      audio.load();
+      if (sameFile) {
+        setPosition(seekTime > 0 ? seekTime : skipIntro);
+      } else if (usePreloaded) {
+        // 预加载时已跳过片头；加载过程中的事件在备用时没有处理，这里补上时长和缓冲状态
+        const dur = audio.duration;
+        if (!transcodeStream && !chapterRange && isFinite(dur) && dur > 0) set({ duration: dur });
+        set({ isLoading: audio.readyState < HTMLMediaElement.HAVE_FUTURE_DATA });
+      } else {
+        audio.load();
+      }
+      applyPlaybackRate(playbackRate);
       
       // 如果有恢复进度，优先恢复到上次位置（不再跳过片头，因为用户已经听过了）
       // 如果没有恢复进度但有跳过片头设置，会由 loadedmetadata 全局监听器处理
-      if (seekTime > 0) {
+      if (seekTime > 0 && !transcodeStream && !sameFile) {
         audio.addEventListener('loadedmetadata', function onLoaded() {
-          audio.currentTime = seekTime;
+          audio.currentTime = seekTime + (range ? range.start : 0);
           audio.removeEventListener('loadedmetadata', onLoaded);
         });
       }
       
+      resumeAudioEffects();
       await audio.play();
       
       // 更新媒体会话信息
@@ -191,6 +509,51 @@ const usePlayerStore = create((set, get) => ({
     }
   },
 
+  // 预加载下一集（跨季）到备用音频元素，当前集快结束时由 timeupdate 调用
+  // 同一文件中的下一章不需要预加载；按集数的睡眠定时将在本集结束后停止时也不预加载
+  preloadNext: async () => {
+    const { currentBook, currentSeason, currentEpisode, bookDetail, currentSeasonIndex, currentEpisodeIndex, sleepTimer } = get();
+    if (preloading || preloaded || !currentBook || !bookDetail) return;
+    if (sleepTimer?.mode === 'episodes' && sleepTimer.episodesLeft <= 1) return;
+
+    const next = getNextPosition(bookDetail, currentSeasonIndex, currentEpisodeIndex);
+    if (!next) return;
+    const season = bookDetail.seasons[next.seasonIndex];
+    const episode = season.episodes[next.episodeIndex];
+    if (!episode) return;
+    if (episode.fileEpisodeId && season.id === currentSeason?.id
+      && episode.fileEpisodeId === currentEpisode?.fileEpisodeId) return;
+
+    preloading = true;
+    try {
+      const skipIntro = bookDetail.skipIntro || 0;
+      const source = await resolveSource(currentBook.id, season, episode, skipIntro);
+      // 等待期间已换了别的集
+      if (get().currentEpisode !== currentEpisode) return;
+
+      const standby = getStandbyAudio();
+      standby.src = source.src;
+      standby.load();
+      // 从片头之后开始（章节从章节开头算起）；实时转码已从 skipIntro 开始
+      const range = getChapterRange(episode);
+      const start = skipIntro + (range ? range.start : 0);
+      if (!source.transcodeStream && start > 0) {
+        standby.addEventListener('loadedmetadata', () => {
+          if (standby.getAttribute('src') === source.src) standby.currentTime = start;
+        }, { once: true });
+      }
+      preloaded = {
+        key: preloadKey(currentBook.id, season.id, episode.id),
+        transcodeStream: source.transcodeStream,
+        sameOrigin: source.sameOrigin,
+      };
+    } catch (e) {
+      console.error('Failed to preload next episode:', e);
+    } finally {
+      preloading = false;
+    }
+  },
+
   // 从上次进度恢复播放（自动回退 N 秒）
   resumeBook: async (book) => {
     const progress = await getPlayProgress(book.id);
@@ -208,6 +571,38 @@ const usePlayerStore = create((set, get) => ({
     }
   },
 
+  // 跳转到书签位置（可跨季/集），按 seasonId/episodeId 定位，找不到时使用保存的序号
+  playBookmark: async (book, bookmark) => {
+    let { bookDetail } = get();
+    if (!bookDetail || bookDetail.id !== book.id) {
+      try {
+        const res = await bookApi.getBook(book.id);
+        bookDetail = res.data;
+        set({ bookDetail });
+      } catch (e) {
+        console.error('Failed to load book for bookmark:', e);
+        return;
+      }
+    }
+
+    let seasonIndex = bookDetail.seasons.findIndex(s => s.id === bookmark.seasonId);
+    let episodeIndex = seasonIndex >= 0
+      ? bookDetail.seasons[seasonIndex].episodes.findIndex(ep => ep.id === bookmark.episodeId)
+      : -1;
+    if (seasonIndex < 0 || episodeIndex < 0) {
+      seasonIndex = bookmark.seasonIndex || 0;
+      episodeIndex = bookmark.episodeIndex || 0;
+    }
+
+    const { currentBook, currentSeasonIndex, currentEpisodeIndex, isPlaying } = get();
+    if (currentBook?.id === book.id && currentSeasonIndex === seasonIndex && currentEpisodeIndex === episodeIndex) {
+      get().seekTo(bookmark.time);
+      if (!isPlaying) get().togglePlay();
+      return;
+    }
+    await get().playEpisode(book, seasonIndex, episodeIndex, bookmark.time);
+  },
+
   // 播放/暂停
   togglePlay: () => {
     const audio = getAudio();
@@ -217,6 +612,7 @@ const usePlayerStore = create((set, get) => ({
       audio.pause();
       get().saveProgress();
     } else {
+      resumeAudioEffects();
       audio.play().catch(console.error);
     }
     set({ isPlaying: !isPlaying });
@@ -225,21 +621,80 @@ const usePlayerStore = create((set, get) => ({
   // 相对跳转（快进/快退）
   seekRelative: (seconds) => {
     const audio = getAudio();
-    const maxTime = isFinite(audio.duration) ? audio.duration : get().duration || 0;
+    const maxTime = !transcodeStream && !chapterRange && isFinite(audio.duration) ? audio.duration : get().duration || 0;
     if (maxTime <= 0) return;
-    const newTime = Math.max(0, Math.min(maxTime, audio.currentTime + seconds));
-    audio.currentTime = newTime;
+    const newTime = Math.max(0, Math.min(maxTime, getPosition() + seconds));
+    setPosition(newTime);
     set({ currentTime: newTime });
   },
 
   // 跳转到指定时间
   seekTo: (time) => {
-    const audio = getAudio();
     if (!isFinite(time) || isNaN(time) || time < 0) return;
-    audio.currentTime = time;
+    setPosition(time);
     set({ currentTime: time });
   },
 
+  // 设置倍速，并记忆为当前书籍的倍速（用户设置）
+  setPlaybackRate: async (rate) => {
+    const playbackRate = clampRate(rate);
+    // 收听记录按倍速分段
+    const restartSession = !!listeningSession;
+    get().endListeningSession();
+    applyPlaybackRate(playbackRate);
+    set({ playbackRate });
+    if (restartSession) get().startListeningSession();
+
+    const { currentBook } = get();
+    if (!currentBook) return;
+    try {
+      const bookPlaybackRates = { ...(await loadBookPlaybackRates()), [currentBook.id]: playbackRate };
+      set({ bookPlaybackRates });
+      await setSetting('bookPlaybackRates', bookPlaybackRates);
+    } catch (e) {
+      console.error('Failed to save playback rate:', e);
+    }
+  },
+
+  // 设置全局默认倍速（未单独设置倍速的书籍使用）
+  setDefaultPlaybackRate: async (rate) => {
+    const defaultPlaybackRate = clampRate(rate);
+    set({ defaultPlaybackRate });
+    await setSetting('defaultPlaybackRate', defaultPlaybackRate);
+  },
+
+  // 修改当前书籍的音效并记忆（patch: { normalize, boost, compressor, voiceEq }）
+  setAudioEffects: async (patch) => {
+    const { currentBook, currentEpisode } = get();
+    const audioEffects = { ...get().audioEffects, ...patch };
+    const wasActive = isAudioEffectsActive();
+    applyAudioEffects(getAudio(), audioEffects, currentEpisode?.loudness?.gain || 0);
+    resumeAudioEffects();
+    set({ audioEffects });
+
+    // 刚接入 Web Audio：跳转到签名直链的音频没有声音，改为服务器转发后从当前位置继续
+    const audio = getAudio();
+    if (!wasActive && isAudioEffectsActive() && currentBook && currentEpisode && !transcodeStream
+      && !audio.src.startsWith('blob:')) {
+      const fileTime = getFileTime();
+      const wasPlaying = !audio.paused;
+      const audioEpisodeId = currentEpisode.fileEpisodeId || currentEpisode.id;
+      audio.src = bookApi.getAudioUrl(currentBook.id, get().currentSeason.id, audioEpisodeId, { proxy: true });
+      audio.addEventListener('loadedmetadata', function onLoaded() {
+        audio.currentTime = fileTime;
+        audio.removeEventListener('loadedmetadata', onLoaded);
+      });
+      if (wasPlaying) audio.play().catch(console.error);
+    }
+
+    if (!currentBook) return;
+    try {
+      await saveBookAudioEffects(currentBook.id, audioEffects);
+    } catch (e) {
+      console.error('Failed to save audio effects:', e);
+    }
+  },
+
   // 播放下一集
   playNext: async () => {
     const { currentBook, bookDetail, currentSeasonIndex, currentEpisodeIndex } = get();
@@ -248,13 +703,10 @@ const usePlayerStore = create((set, get) => ({
     const season = bookDetail.seasons[currentSeasonIndex];
     if (!season) return;
     
-    // 还有下一集
-    if (currentEpisodeIndex < season.episodes.length - 1) {
-      await get().playEpisode(currentBook, currentSeasonIndex, currentEpisodeIndex + 1);
-    }
-    // 还有下一季
-    else if (currentSeasonIndex < bookDetail.seasons.length - 1) {
-      await get().playEpisode(currentBook, currentSeasonIndex + 1, 0);
+    // 还有下一集或下一季（已预加载时无缝切换）
+    const next = getNextPosition(bookDetail, currentSeasonIndex, currentEpisodeIndex);
+    if (next) {
+      await get().playEpisode(currentBook, next.seasonIndex, next.episodeIndex);
     }
     // 全部播放完毕
     else {
@@ -265,6 +717,158 @@ const usePlayerStore = create((set, get) => ({
     }
   },
 
+  // 当前集播放完毕（自然结束或到达片尾）时自动续播，睡眠定时按集数计数
+  autoAdvance: async () => {
+    if (autoAdvancing) return;
+    autoAdvancing = true;
+    try {
+      const { sleepTimer } = get();
+      if (sleepTimer?.mode === 'episodes') {
+        if (sleepTimer.episodesLeft <= 1) {
+          await get().stopBySleepTimer();
+          return;
+        }
+        set({ sleepTimer: { ...sleepTimer, episodesLeft: sleepTimer.episodesLeft - 1 } });
+      }
+      await get().playNext();
+    } finally {
+      autoAdvancing = false;
+    }
+  },
+
+  // 设置睡眠定时：{ minutes } 按时长，{ episodes } 播完 N 集后停止（1 = 本集结束）
+  setSleepTimer: ({ minutes, episodes }) => {
+    get().cancelSleepTimer();
+
+    const sleepTimer = minutes
+      ? { mode: 'duration', remaining: minutes * 60 }
+      : { mode: 'episodes', episodesLeft: Math.max(1, episodes || 1) };
+    set({ sleepTimer, sleepFading: false });
+
+    sleepLastTick = Date.now();
+    sleepTicker = setInterval(() => get().tickSleepTimer(), 1000);
+    stopShakeWatch = watchShake(() => {
+      if (get().sleepFading) get().extendSleepTimer();
+    });
+  },
+
+  // 取消睡眠定时并恢复音量
+  cancelSleepTimer: () => {
+    if (sleepTicker) clearInterval(sleepTicker);
+    sleepTicker = null;
+    if (stopShakeWatch) stopShakeWatch();
+    stopShakeWatch = null;
+    getAudio().volume = 1;
+    closeSleepNotification();
+    set({ sleepTimer: null, sleepFading: false });
+  },
+
+  // 延长睡眠定时：按时长定时加 10 分钟，按集数定时多播一集
+  extendSleepTimer: () => {
+    const { sleepTimer } = get();
+    if (!sleepTimer) return;
+
+    getAudio().volume = 1;
+    closeSleepNotification();
+    set({
+      sleepFading: false,
+      sleepTimer: sleepTimer.mode === 'duration'
+        ? { ...sleepTimer, remaining: Math.max(0, sleepTimer.remaining) + SLEEP_EXTEND_MINUTES * 60 }
+        : { ...sleepTimer, episodesLeft: sleepTimer.episodesLeft + 1 },
+    });
+  },
+
+  // 每秒计时：只在播放时倒计时，最后阶段淡出音量
+  tickSleepTimer: () => {
+    const now = Date.now();
+    const delta = (now - sleepLastTick) / 1000;
+    sleepLastTick = now;
+
+    const { sleepTimer, sleepFading, isPlaying, duration, skipOutro, playbackRate } = get();
+    if (!sleepTimer || !isPlaying) return;
+
+    // 距离停止还剩多少秒（实际收听时间）
+    let secondsLeft;
+    if (sleepTimer.mode === 'duration') {
+      const remaining = sleepTimer.remaining - delta;
+      set({ sleepTimer: { ...sleepTimer, remaining } });
+      if (remaining <= 0) {
+        get().stopBySleepTimer();
+        return;
+      }
+      secondsLeft = remaining;
+    } else {
+      if (sleepTimer.episodesLeft > 1 || !duration) return;
+      secondsLeft = (duration - skipOutro - getPosition()) / playbackRate;
+    }
+
+    if (secondsLeft <= SLEEP_FADE_SECONDS) {
+      getAudio().volume = Math.max(0, Math.min(1, secondsLeft / SLEEP_FADE_SECONDS));
+      if (!sleepFading) {
+        set({ sleepFading: true });
+        showSleepNotification(
+          '即将停止播放，摇一摇或点击延长',
+          sleepTimer.mode === 'duration' ? `延长 ${SLEEP_EXTEND_MINUTES} 分钟` : '再听一集',
+          () => get().extendSleepTimer()
+        );
+      }
+    }
+  },
+
+  // 睡眠定时结束：暂停并保存进度
+  stopBySleepTimer: async () => {
+    getAudio().pause();
+    set({ isPlaying: false });
+    get().cancelSleepTimer();
+    await get().saveProgress();
+  },
+
+  // 开始一段收听记录
+  startListeningSession: () => {
+    const { currentBook, currentSeason, currentEpisode, playbackRate } = get();
+    if (listeningSession || !currentBook || !currentEpisode) return;
+    listeningSession = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      bookId: currentBook.id,
+      bookName: currentBook.name,
+      seasonId: currentSeason?.id,
+      episodeId: currentEpisode.id,
+      episodeName: currentEpisode.name,
+      startPosition: getPosition(),
+      startedAt: Date.now(),
+      playbackRate,
+    };
+  },
+
+  // 结束当前收听记录并上报
+  endListeningSession: () => {
+    const session = listeningSession;
+    if (!session) return;
+    listeningSession = null;
+
+    const endedAt = Date.now();
+    const duration = (endedAt - session.startedAt) / 1000;
+    if (duration < MIN_SESSION_SECONDS) return;
+
+    const audio = getAudio();
+    const { bookDetail, currentSeasonIndex, currentEpisodeIndex, duration: episodeDuration, skipOutro } = get();
+    const endPosition = getPosition();
+    // 听到了最后一集的结尾（自然结束、到达片尾跳过点或章节结尾）即视为听完全书
+    const reachedEnd = audio.ended
+      || ((skipOutro > 0 || chapterRange) && episodeDuration > 0 && endPosition >= episodeDuration - skipOutro - 1);
+    const isLastEpisode = !!bookDetail
+      && currentSeasonIndex === bookDetail.seasons.length - 1
+      && currentEpisodeIndex === bookDetail.seasons[currentSeasonIndex].episodes.length - 1;
+
+    recordListeningSession({
+      ...session,
+      endPosition,
+      endedAt,
+      duration,
+      completedBook: reachedEnd && isLastEpisode && session.episodeId === get().currentEpisode?.id,
+    }).catch((e) => console.error('Failed to record listening session:', e));
+  },
+
   // 播放上一集
   playPrev: async () => {
     const { currentBook, bookDetail, currentSeasonIndex, currentEpisodeIndex, currentTime } = get();
@@ -293,7 +897,7 @@ const usePlayerStore = create((set, get) => ({
 
   // 保存播放进度
   saveProgress: async () => {
-    const { currentBook, currentSeasonIndex, currentEpisodeIndex, currentTime, currentSeason, currentEpisode } = get();
+    const { currentBook, bookDetail, currentSeasonIndex, currentEpisodeIndex, currentTime, currentSeason, currentEpisode } = get();
     if (!currentBook) return;
     
     await savePlayProgress(currentBook.id, {
@@ -305,6 +909,9 @@ const usePlayerStore = create((set, get) => ({
       episodeName: currentEpisode?.name,
       currentTime,
       bookName: currentBook.name,
+      // 全书已听时长 / 总时长（书架卡片据此显示剩余时间）
+      elapsed: getBookElapsed(bookDetail, currentSeasonIndex, currentEpisodeIndex, currentTime),
+      totalDuration: bookDetail?.totalDuration || 0,
     });
   },
 
@@ -313,6 +920,8 @@ const usePlayerStore = create((set, get) => ({
     const { currentBook, bookDetail } = get();
     // 如果正在播放的书就是被更新的书，重新获取 bookDetail
     if (currentBook && currentBook.id === bookId) {
+      // 集列表或跳过片头可能已变化，预加载的下一集作废
+      discardPreload();
       try {
         const res = await bookApi.getBook(bookId);
         const newDetail = res.data;
@@ -334,8 +943,12 @@ const usePlayerStore = create((set, get) => ({
   // 清除播放器状态
   clearPlayer: () => {
     const audio = getAudio();
+    get().cancelSleepTimer();
     audio.pause();
     audio.src = '';
+    discardPreload();
+    transcodeStream = null;
+    chapterRange = null;
     set({
       isPlaying: false,
       currentBook: null,
@@ -10,7 +10,11 @@ async function request(url, options = {}) {
   });
   
   if (!response.ok) {
-    throw new Error(`HTTP ${response.status}`);
+    // 优先使用服务端返回的错误信息（如登录失败原因）
+    const body = await response.json().catch(() => null);
+    const error = new Error(body?.error || `HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
   }
   
   return response.json();
@@ -42,20 +46,64 @@ export const bookApi = {
     }).then(res => res.json());
   },
   
-  // 获取音频流URL
-  getAudioUrl: (bookId, seasonId, episodeId) =>
-    `${API_BASE}/audio/${bookId}/${seasonId}/${episodeId}`,
+  // 获取音频流URL（proxy：不跳转到存储的签名直链，Web Audio 音效需要同源音频）
+  getAudioUrl: (bookId, seasonId, episodeId, { proxy = false } = {}) =>
+    `${API_BASE}/audio/${bookId}/${seasonId}/${episodeId}${proxy ? '?proxy=1' : ''}`,
   
-  // 获取音频下载URL
-  getDownloadUrl: (bookId, seasonId, episodeId) =>
-    `${API_BASE}/audio/download/${bookId}/${seasonId}/${episodeId}`,
+  // 获取实时转码流URL（浏览器无法播放的格式），start 为开始位置（秒）
+  getTranscodeUrl: (bookId, seasonId, episodeId, { start = 0, quality = 'medium' } = {}) =>
+    `${API_BASE}/audio/transcode/${bookId}/${seasonId}/${episodeId}?start=${start}&quality=${quality}`,
+
+  // 获取音频下载URL（proxy 时由服务器转发，不跳转到跨域的签名直链）
+  getDownloadUrl: (bookId, seasonId, episodeId, { proxy = false } = {}) =>
+    `${API_BASE}/audio/download/${bookId}/${seasonId}/${episodeId}${proxy ? '?proxy=1' : ''}`,
 
   // 获取格式转换进度
   getConversionStatus: (bookId) =>
     request(`/books/${bookId}/conversion-status`),
+
+  // 用指定的转换配置重新转换（管理员）
+  reconvertBook: (bookId, profile) => request(`/books/${bookId}/reconvert`, {
+    method: 'POST',
+    body: JSON.stringify({ profile }),
+  }),
+
+  // 分析这本书未分析的集的响度（管理员）
+  analyzeLoudness: (bookId) => request(`/books/${bookId}/loudness`, { method: 'POST' }),
+};
+
+// 书库索引API
+export const libraryApi = {
+  // 书库状态（书籍数、上次扫描时间）
+  getStatus: () => request('/library/status'),
+  // 重新扫描书库（full: 忽略目录签名全部重扫；libraryId 为空时扫描所有书库）
+  rescan: (full = false, libraryId) => request('/library/rescan', {
+    method: 'POST',
+    body: JSON.stringify({ full, libraryId }),
+  }),
+  // 书库列表（书架切换）
+  getLibraries: () => request('/library/libraries'),
+  // 添加 / 删除书库（管理员）
+  addLibrary: (data) => request('/library/libraries', { method: 'POST', body: JSON.stringify(data) }),
+  removeLibrary: (libraryId) => request(`/library/libraries/${libraryId}`, { method: 'DELETE' }),
 };
 
-// 用户数据API（服务端持久化：收藏、播放进度、用户设置）
+// 账号API（登录、用户列表、创建/修改用户；用户管理与开放模式需要管理员）
+export const authApi = {
+  getMe: () => request('/auth/me'),
+  getProfiles: () => request('/auth/profiles'),
+  login: (data) => request('/auth/login', { method: 'POST', body: JSON.stringify(data) }),
+  logout: () => request('/auth/logout', { method: 'POST' }),
+  createUser: (data) => request('/auth/users', { method: 'POST', body: JSON.stringify(data) }),
+  updateMe: (data) => request('/auth/users/me', { method: 'PUT', body: JSON.stringify(data) }),
+  deleteMe: (currentPassword) => request('/auth/users/me', { method: 'DELETE', body: JSON.stringify({ currentPassword }) }),
+  updateSettings: (data) => request('/auth/settings', { method: 'PUT', body: JSON.stringify(data) }),
+  getUsers: () => request('/auth/users'),
+  updateUser: (userId, data) => request(`/auth/users/${userId}`, { method: 'PUT', body: JSON.stringify(data) }),
+  deleteUser: (userId) => request(`/auth/users/${userId}`, { method: 'DELETE' }),
+};
+
+// 用户数据API（服务端持久化，按登录用户隔离：收藏、播放进度、用户设置）
 export const userApi = {
   // 收藏
   getFavorites: () => request('/user/favorites'),
@@ -67,6 +115,14 @@ export const userApi = {
   // 用户设置
   getSettings: () => request('/user/settings'),
   saveSettings: (data) => request(`/user/settings`, { method: 'PUT', body: JSON.stringify(data) }),
+  // 书签
+  getBookmarks: (bookId) => request(bookId ? `/user/bookmarks?bookId=${encodeURIComponent(bookId)}` : '/user/bookmarks'),
+  saveBookmark: (bookmarkId, data) => request(`/user/bookmarks/${bookmarkId}`, { method: 'PUT', body: JSON.stringify(data) }),
+  removeBookmark: (bookmarkId) => request(`/user/bookmarks/${bookmarkId}`, { method: 'DELETE' }),
+  // 收听记录与统计
+  addSessions: (sessions) => request('/user/sessions', { method: 'POST', body: JSON.stringify({ sessions }) }),
+  getSessions: (limit = 50) => request(`/user/sessions?limit=${limit}`),
+  getStats: () => request(`/user/stats?tz=${new Date().getTimezoneOffset()}`),
 };
 
 // 上传API
@@ -91,7 +147,23 @@ export const uploadApi = {
       xhr.send(formData);
     });
   },
-  getUploadPath: () => request('/upload/path'),
+  getUploadPath: (libraryId = 'default') => request(`/upload/path?library=${encodeURIComponent(libraryId)}`),
+};
+
+// 后台任务队列API（管理员）
+export const jobsApi = {
+  getJobs: (limit = 100) => request(`/jobs?limit=${limit}`),
+  pauseAll: () => request('/jobs/pause', { method: 'POST' }),
+  resumeAll: () => request('/jobs/resume', { method: 'POST' }),
+  clearHistory: () => request('/jobs/history', { method: 'DELETE' }),
+  // action: pause | resume | retry | cancel
+  bookAction: (bookId, action) => request(`/jobs/books/${bookId}/${action}`, { method: 'POST' }),
+  setBookPriority: (bookId, priority) => request(`/jobs/books/${bookId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ priority }),
+  }),
+  retryJob: (jobId) => request(`/jobs/${jobId}/retry`, { method: 'POST' }),
+  cancelJob: (jobId) => request(`/jobs/${jobId}/cancel`, { method: 'POST' }),
 };
 
 // 配置相关API
@@ -103,4 +175,6 @@ export const configApi = {
   }),
   // 浏览服务器目录
   browseDir: (dirPath) => request(`/config/browse?path=${encodeURIComponent(dirPath || '')}`),
+  // 用已保存的 OSS 配置测试连接（管理员）
+  testOSS: () => request('/config/oss/test', { method: 'POST' }),
 };
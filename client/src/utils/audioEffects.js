@@ -0,0 +1,88 @@
+/**
+ * 播放音效（Web Audio）
+ * 音频元素 → 增益（响度标准化 + 音量增强）→ 动态压缩 → 人声 EQ（低切 + 临场感提升）→ 输出
+ *
+ * 第一次需要时才接入 Web Audio：接入后音频元素只能经过这条链路输出（直到刷新页面），关闭的效果改为不起作用的参数。
+ * iOS 锁屏后会挂起 AudioContext，所以所有效果（包括响度标准化）默认关闭，由用户按书开启
+ * 链路只能处理同源音频，接入后签名直链改由服务器转发（bookApi.getAudioUrl 的 proxy）
+ * 播放器的两个音频元素（当前集和预加载的下一集）共用这条链路，各自在播放前接入
+ * 移动端浏览器的 AudioContext 需要在用户操作后 resume，否则没有声音
+ */
+
+// 音量增强档位（dB）
+export const BOOST_OPTIONS = [0, 3, 6, 9];
+
+export const DEFAULT_AUDIO_EFFECTS = {
+  // 按服务端分析的响度调整音量（见 GET /api/books/:bookId 的 loudness.gain）
+  normalize: false,
+  boost: 0,
+  compressor: false,
+  voiceEq: false,
+};
+
+let graph = null;
+
+function createGraph() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  const context = new AudioContextClass();
+  const gain = context.createGain();
+  const compressor = context.createDynamicsCompressor();
+  const lowCut = context.createBiquadFilter();
+  lowCut.type = 'highpass';
+  const presence = context.createBiquadFilter();
+  presence.type = 'peaking';
+  presence.frequency.value = 3000;
+  presence.Q.value = 1;
+  gain.connect(compressor).connect(lowCut).connect(presence).connect(context.destination);
+  return { context, gain, compressor, lowCut, presence, elements: new WeakSet() };
+}
+
+// 音频元素接入链路（每个元素只能接入一次）
+function connectElement(audio) {
+  if (graph.elements.has(audio)) return;
+  graph.context.createMediaElementSource(audio).connect(graph.gain);
+  graph.elements.add(audio);
+}
+
+/**
+ * 是否已接入 Web Audio
+ */
+export function isAudioEffectsActive() {
+  return !!graph;
+}
+
+/**
+ * 应用音效，gain 为当前集的响度标准化增益（dB，未分析时为 0）
+ * 所有效果都不起作用且尚未接入时不接入 Web Audio
+ */
+export function applyAudioEffects(audio, effects, gain = 0) {
+  const gainDb = (effects.normalize ? gain : 0) + (effects.boost || 0);
+  if (!graph) {
+    if (gainDb === 0 && !effects.compressor && !effects.voiceEq) return;
+    graph = createGraph();
+    if (!graph) return;
+  }
+  connectElement(audio);
+
+  const { context, compressor, lowCut, presence } = graph;
+  // 平滑过渡，避免切换时的爆音
+  graph.gain.gain.setTargetAtTime(Math.pow(10, gainDb / 20), context.currentTime, 0.05);
+  // ratio 为 1 时不压缩
+  compressor.threshold.value = effects.compressor ? -28 : 0;
+  compressor.knee.value = effects.compressor ? 12 : 0;
+  compressor.ratio.value = effects.compressor ? 4 : 1;
+  compressor.attack.value = 0.005;
+  compressor.release.value = 0.25;
+  lowCut.frequency.value = effects.voiceEq ? 120 : 10;
+  presence.gain.value = effects.voiceEq ? 5 : 0;
+}
+
+/**
+ * 播放前恢复 AudioContext（浏览器的自动播放限制会让它处于 suspended）
+ */
+export function resumeAudioEffects() {
+  if (graph && graph.context.state === 'suspended') {
+    graph.context.resume().catch(() => {});
+  }
+}
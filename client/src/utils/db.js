@@ -5,13 +5,19 @@
  * 服务端 user-data.json 作为持久化源（重部署/换设备不丢失）
  *
  * 写操作：同时写 IndexedDB + 服务端（服务端失败不阻塞）
- * 读操作：优先 IndexedDB（快），应用启动时从服务端同步一次
+ * 读操作：优先 IndexedDB（快），登录后从服务端同步一次
+ *
+ * 收藏/进度/书签/设置属于当前登录用户，切换用户时清空本地副本；离线音频缓存按设备共享
  */
 import { openDB } from 'idb';
 import { userApi } from './api';
 
 const DB_NAME = 'audiooook';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
+// 本地数据所属的用户 ID
+const LOCAL_USER_KEY = 'audiooook_local_user';
+// 按用户隔离的 store
+const USER_STORES = ['playProgress', 'favorites', 'settings', 'bookmarks', 'pendingSessions'];
 
 let dbPromise = null;
 
@@ -41,6 +47,17 @@ function getDB() {
         if (!db.objectStoreNames.contains('settings')) {
           db.createObjectStore('settings', { keyPath: 'key' });
         }
+
+        // 书签（v2）
+        if (!db.objectStoreNames.contains('bookmarks')) {
+          const store = db.createObjectStore('bookmarks', { keyPath: 'id' });
+          store.createIndex('bookId', 'bookId');
+        }
+
+        // 待上报的收听记录（v3，上报成功后删除）
+        if (!db.objectStoreNames.contains('pendingSessions')) {
+          db.createObjectStore('pendingSessions', { keyPath: 'id' });
+        }
       },
     });
   }
@@ -96,17 +113,49 @@ export async function getAllFavorites() {
 }
 
 // ===== 离线缓存 =====
+// 音频存在 Cache Storage 中，键为播放地址（/api/audio/书/季/集），由 Service Worker 按 Range 返回
+// （public/sw-audio-cache.js），audioCache 只记录 url、size 等信息。
+// 不支持 Cache Storage 时（非 HTTPS 访问）整个音频存为 Blob（blob 字段），旧版本下载的缓存也是这样
+
+// 与 public/sw-audio-cache.js 一致
+export const AUDIO_CACHE_NAME = 'audiooook-audio';
+
+const hasCacheStorage = () => typeof caches !== 'undefined';
+
+// 缓存键：书 + 季 + 集；内嵌章节展开的集共用所在文件的缓存
+export function getAudioCacheKey(bookId, seasonId, episode) {
+  return `${bookId}_${seasonId}_${episode.fileEpisodeId || episode.id}`;
+}
+
+/**
+ * 缓存下载的音频：response 为下载请求的响应（边下载边写入），url 为这一集的播放地址
+ * 返回写入的记录（含 size）
+ */
+export async function cacheAudio(key, bookId, url, response, metadata) {
+  let stored;
+  if (hasCacheStorage() && response.body) {
+    let size = 0;
+    const body = response.body.pipeThrough(new TransformStream({
+      transform(chunk, controller) {
+        size += chunk.length;
+        controller.enqueue(chunk);
+      },
+    }));
+    const cacheUrl = new URL(url, location.origin).href;
+    const cache = await caches.open(AUDIO_CACHE_NAME);
+    await cache.put(cacheUrl, new Response(body, {
+      headers: { 'Content-Type': response.headers.get('Content-Type') || 'application/octet-stream' },
+    }));
+    stored = { url: cacheUrl, size };
+  } else {
+    const blob = await response.blob();
+    stored = { blob, size: blob.size };
+  }
 
-export async function cacheAudio(key, bookId, audioBlob, metadata) {
+  const record = { key, bookId, ...stored, ...metadata, cachedAt: Date.now() };
   const db = await getDB();
-  await db.put('audioCache', {
-    key,
-    bookId,
-    blob: audioBlob,
-    size: audioBlob.size,
-    ...metadata,
-    cachedAt: Date.now(),
-  });
+  await db.put('audioCache', record);
+  return record;
 }
 
 export async function getCachedAudio(key) {
@@ -114,8 +163,22 @@ export async function getCachedAudio(key) {
   return db.get('audioCache', key);
 }
 
+/**
+ * 缓存的音频 Blob（Service Worker 未接管页面时播放用），Cache Storage 中已没有时返回 null
+ */
+export async function getCachedAudioBlob(record) {
+  if (record.blob) return record.blob;
+  if (!record.url || !hasCacheStorage()) return null;
+  const response = await caches.match(record.url, { cacheName: AUDIO_CACHE_NAME });
+  return response ? response.blob() : null;
+}
+
 export async function removeCachedAudio(key) {
   const db = await getDB();
+  const record = await db.get('audioCache', key);
+  if (record?.url && hasCacheStorage()) {
+    await (await caches.open(AUDIO_CACHE_NAME)).delete(record.url);
+  }
   await db.delete('audioCache', key);
 }
 
@@ -147,7 +210,7 @@ export async function clearOldCache(maxSizeBytes) {
   // 删除最老的缓存直到低于限制
   for (const item of all) {
     if (totalSize <= maxSizeBytes) break;
-    await db.delete('audioCache', item.key);
+    await removeCachedAudio(item.key);
     totalSize -= item.size || 0;
   }
 }
@@ -167,10 +230,80 @@ export async function getSetting(key, defaultValue = null) {
   return item ? item.value : defaultValue;
 }
 
-// ===== 服务端同步（应用启动时调用一次） =====
+// ===== 书签 =====
+
+export async function saveBookmark(bookmark) {
+  const data = { ...bookmark, createdAt: bookmark.createdAt || Date.now(), updatedAt: Date.now() };
+  const db = await getDB();
+  await db.put('bookmarks', data);
+  // 同步到服务端
+  userApi.saveBookmark(data.id, data).catch(() => {});
+  return data;
+}
+
+export async function removeBookmark(bookmarkId) {
+  const db = await getDB();
+  await db.delete('bookmarks', bookmarkId);
+  // 同步到服务端
+  userApi.removeBookmark(bookmarkId).catch(() => {});
+}
+
+export async function getBookmarksByBook(bookId) {
+  const db = await getDB();
+  const list = await db.getAllFromIndex('bookmarks', 'bookId', bookId);
+  return list.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// ===== 收听记录 =====
 
 /**
- * 从服务端拉取用户数据并合并到本地 IndexedDB
+ * 记录一段收听：先存入本地待上报队列，上报成功后删除（离线时下次同步补传）
+ */
+export async function recordListeningSession(session) {
+  const db = await getDB();
+  await db.put('pendingSessions', session);
+  try {
+    await userApi.addSessions([session]);
+    await db.delete('pendingSessions', session.id);
+  } catch { /* 离线，等待下次同步 */ }
+}
+
+async function flushPendingSessions(db) {
+  const pending = await db.getAll('pendingSessions');
+  if (pending.length === 0) return;
+  await userApi.addSessions(pending);
+  for (const s of pending) await db.delete('pendingSessions', s.id);
+}
+
+/**
+ * 补传未上报的收听记录（登出前调用，避免记到下一个用户名下）
+ */
+export async function flushListeningSessions() {
+  try {
+    await flushPendingSessions(await getDB());
+  } catch { /* 离线，记录随用户切换丢弃 */ }
+}
+
+// ===== 用户切换 =====
+
+/**
+ * 设置本地数据所属用户；与上次登录的用户不同时清空按用户隔离的本地数据
+ */
+export async function setLocalUser(userId) {
+  const previous = localStorage.getItem(LOCAL_USER_KEY);
+  if (previous === userId) return;
+  // 首次升级到多用户：原有本地数据属于默认用户
+  if (previous !== null || userId !== 'default') {
+    const db = await getDB();
+    for (const name of USER_STORES) await db.clear(name);
+  }
+  localStorage.setItem(LOCAL_USER_KEY, userId);
+}
+
+// ===== 服务端同步（登录后调用一次） =====
+
+/**
+ * 从服务端拉取用户数据（收藏、进度、书签、设置）并合并到本地 IndexedDB，补传未上报的收听记录
  * 策略：服务端有而本地没有的 → 写入本地
  *       两边都有的 → 取 updatedAt/addedAt 更新的那个
  *       本地有而服务端没有的 → 推送到服务端
@@ -217,6 +350,24 @@ export async function syncFromServer() {
       userApi.saveProgress(bookId, localProgMap[bookId]).catch(() => {});
     }
 
+    // === 同步书签 ===
+    const serverBmRes = await userApi.getBookmarks();
+    const serverBms = serverBmRes.data || [];
+    const localBms = await db.getAll('bookmarks');
+    const localBmMap = {};
+    for (const b of localBms) localBmMap[b.id] = b;
+
+    for (const sb of serverBms) {
+      const lb = localBmMap[sb.id];
+      if (!lb || (sb.updatedAt || 0) > (lb.updatedAt || 0)) {
+        await db.put('bookmarks', sb);
+      }
+      delete localBmMap[sb.id];
+    }
+    for (const id in localBmMap) {
+      userApi.saveBookmark(id, localBmMap[id]).catch(() => {});
+    }
+
     // === 同步用户设置 ===
     const serverSettingsRes = await userApi.getSettings();
     const serverSettings = serverSettingsRes.data || {};
@@ -238,6 +389,9 @@ export async function syncFromServer() {
       userApi.saveSettings(toSync).catch(() => {});
     }
 
+    // === 补传离线期间的收听记录 ===
+    await flushPendingSessions(db);
+
     console.log('[Sync] 服务端数据同步完成');
   } catch (e) {
     console.warn('[Sync] 服务端同步失败（离线模式，使用本地数据）:', e.message);
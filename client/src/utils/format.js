@@ -19,6 +19,28 @@ export function formatTime(seconds) {
   return `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
 }
 
+/**
+ * 格式化总时长（秒 -> 12小时40分 / 35分）
+ */
+export function formatDuration(seconds) {
+  if (!seconds || !isFinite(seconds) || seconds <= 0) return '0分';
+
+  const totalMinutes = Math.round(seconds / 60);
+  const h = Math.floor(totalMinutes / 60);
+  const m = totalMinutes % 60;
+
+  if (h > 0) return `${h}小时${String(m).padStart(2, '0')}分`;
+  return `${Math.max(1, m)}分`;
+}
+
+/**
+ * 格式化倍速（1 -> 1.0x，1.25 -> 1.25x）
+ */
+export function formatRate(rate) {
+  const r = Number(rate) || 1;
+  return `${Number.isInteger(r) ? r.toFixed(1) : r}x`;
+}
+
 /**
  * 格式化文件大小
  */
@@ -0,0 +1,71 @@
+/**
+ * 服务器推送（SSE，GET /api/events）
+ * 整个应用共用一个 EventSource 连接：有订阅时连接，最后一个订阅取消时断开；断线后浏览器自动重连
+ * 事件：books、scan、conversion、upload、jobs（仅管理员），数据见 server/services/liveEvents.js
+ * 另有 reconnect：断线重连成功后触发，订阅者应重新拉取数据（断线期间的事件已丢失）
+ */
+
+const EVENTS_URL = '/api/events';
+
+// type -> Set(handler)
+const listeners = new Map();
+let source = null;
+// 当前连接上已监听的事件类型
+let registered = new Set();
+let dropped = false;
+
+function dispatch(type, data) {
+  for (const handler of listeners.get(type) || []) {
+    try {
+      handler(data);
+    } catch (e) {
+      console.error(`Live event handler failed (${type}):`, e);
+    }
+  }
+}
+
+function listen(type) {
+  if (type === 'reconnect' || registered.has(type)) return;
+  registered.add(type);
+  source.addEventListener(type, (e) => {
+    let data = null;
+    try { data = JSON.parse(e.data); } catch { return; }
+    dispatch(type, data);
+  });
+}
+
+function connect() {
+  source = new EventSource(EVENTS_URL);
+  registered = new Set();
+  dropped = false;
+  source.onopen = () => {
+    if (dropped) dispatch('reconnect', null);
+    dropped = false;
+  };
+  source.onerror = () => {
+    dropped = true;
+  };
+  for (const type of listeners.keys()) listen(type);
+}
+
+/**
+ * 订阅事件，返回取消订阅的函数
+ */
+export function subscribe(type, handler) {
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(handler);
+
+  if (!source) connect();
+  else listen(type);
+
+  return () => {
+    const set = listeners.get(type);
+    if (!set) return;
+    set.delete(handler);
+    if (set.size === 0) listeners.delete(type);
+    if (listeners.size === 0 && source) {
+      source.close();
+      source = null;
+    }
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * 收听进度计算
+ * 基于服务端返回的每集时长，计算全书已听时长和剩余时长
+ */
+
+/**
+ * 计算在全书中已经听过的时长（之前所有集的时长 + 当前集位置）
+ * book 需要包含 seasons/episodes（书籍详情）
+ */
+export function getBookElapsed(book, seasonIndex, episodeIndex, currentTime = 0) {
+  if (!book?.seasons) return 0;
+
+  let elapsed = 0;
+  for (let s = 0; s < book.seasons.length; s++) {
+    const season = book.seasons[s];
+    if (s < seasonIndex) {
+      elapsed += season.totalDuration || 0;
+      continue;
+    }
+    if (s === seasonIndex) {
+      for (let e = 0; e < episodeIndex && e < season.episodes.length; e++) {
+        elapsed += season.episodes[e].duration || 0;
+      }
+    }
+    break;
+  }
+  return elapsed + (currentTime || 0);
+}
+
+/**
+ * 根据播放进度记录计算剩余时长
+ * 书籍详情可用时按集精确计算，否则使用进度记录中保存的 elapsed
+ * rate 为播放倍速，返回按该倍速实际需要的收听时间
+ */
+export function getBookRemaining(book, progress, rate = 1) {
+  const total = book?.totalDuration || progress?.totalDuration || 0;
+  if (!total) return null;
+  if (!progress) return total / rate;
+
+  const elapsed = book?.seasons
+    ? getBookElapsed(book, progress.seasonIndex || 0, progress.episodeIndex || 0, progress.currentTime)
+    : progress.elapsed;
+  if (elapsed === undefined || elapsed === null) return null;
+
+  return Math.max(0, total - elapsed) / rate;
+}
@@ -0,0 +1,97 @@
+/**
+ * 睡眠定时辅助：摇一摇检测、系统通知（带“延长”按钮）
+ * 定时器本身的状态与计时在 playerStore 中
+ */
+
+const NOTIFICATION_TAG = 'sleep-timer';
+const SHAKE_THRESHOLD = 15; // m/s²，去除重力后的加速度
+const SHAKE_COOLDOWN_MS = 1500;
+
+/**
+ * 请求摇一摇（iOS 需用户手势触发）和通知权限
+ * 必须在点击事件中同步调用
+ */
+export function requestSleepTimerPermissions() {
+  try {
+    if (typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
+      DeviceMotionEvent.requestPermission().catch(() => {});
+    }
+    if ('Notification' in window && Notification.permission === 'default') {
+      Notification.requestPermission().catch(() => {});
+    }
+  } catch { /* ignore */ }
+}
+
+/**
+ * 监听摇一摇，返回取消监听的函数
+ */
+export function watchShake(onShake) {
+  if (typeof window === 'undefined' || !('DeviceMotionEvent' in window)) return () => {};
+
+  let lastShake = 0;
+  const handler = (e) => {
+    const a = e.acceleration;
+    if (!a || a.x === null) return;
+    const magnitude = Math.sqrt(a.x * a.x + a.y * a.y + a.z * a.z);
+    const now = Date.now();
+    if (magnitude > SHAKE_THRESHOLD && now - lastShake > SHAKE_COOLDOWN_MS) {
+      lastShake = now;
+      onShake();
+    }
+  };
+  window.addEventListener('devicemotion', handler);
+  return () => window.removeEventListener('devicemotion', handler);
+}
+
+/**
+ * 显示“即将停止播放”通知
+ * 有 Service Worker 时带“延长”按钮（点击由 sw-sleep-timer.js 转发回页面），否则点击通知本身即延长
+ */
+export async function showSleepNotification(body, actionTitle, onExtend) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+  try {
+    const registration = 'serviceWorker' in navigator
+      ? await navigator.serviceWorker.getRegistration()
+      : null;
+    if (registration) {
+      await registration.showNotification('睡眠定时', {
+        body,
+        tag: NOTIFICATION_TAG,
+        silent: true,
+        actions: [{ action: 'extend', title: actionTitle }],
+      });
+    } else {
+      const notification = new Notification('睡眠定时', { body, tag: NOTIFICATION_TAG, silent: true });
+      notification.onclick = () => {
+        notification.close();
+        onExtend();
+      };
+    }
+  } catch (e) {
+    console.warn('Failed to show sleep timer notification:', e);
+  }
+}
+
+/**
+ * 关闭睡眠定时通知
+ */
+export async function closeSleepNotification() {
+  try {
+    if (!('serviceWorker' in navigator)) return;
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration) return;
+    const notifications = await registration.getNotifications({ tag: NOTIFICATION_TAG });
+    notifications.forEach(n => n.close());
+  } catch { /* ignore */ }
+}
+
+/**
+ * 监听 Service Worker 转发的通知“延长”操作
+ */
+export function onNotificationExtend(callback) {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (e.data?.type === 'sleep-timer-extend') callback();
+  });
+}
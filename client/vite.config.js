@@ -30,6 +30,8 @@ export default defineConfig({
         ],
       },
       workbox: {
+        // 睡眠定时通知的“延长”操作；离线音频按 Range 从缓存返回
+        importScripts: ['sw-sleep-timer.js', 'sw-audio-cache.js'],
         runtimeCaching: [
           {
             urlPattern: /^https?:\/\/.*\/api\/books/,
@@ -26,7 +26,15 @@ const booksRouter = require('./routes/books');
 const audioRouter = require('./routes/audio');
 const configRouter = require('./routes/config');
 const userRouter = require('./routes/user');
+const authRouter = require('./routes/auth');
 const uploadRouter = require('./routes/upload');
+const libraryRouter = require('./routes/library');
+const jobsRouter = require('./routes/jobs');
+const eventsRouter = require('./routes/events');
+const library = require('./services/library');
+const jobQueue = require('./services/jobQueue');
+const { analyzeAllBooks } = require('./services/loudness');
+const { attachUser, requireUser, requireAdmin } = require('./services/auth');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -34,13 +42,21 @@ const PORT = process.env.PORT || 5001;
 // 中间件
 app.use(cors());
 app.use(express.json());
+// 解析登录 Cookie / Bearer token → req.user（开放模式下未登录视为默认管理员）
+app.use(attachUser);
 
 // API路由
-app.use('/api/books', booksRouter);
-app.use('/api/audio', audioRouter);
-app.use('/api/config', configRouter);
+// 收听类接口需要登录；书库管理（配置修改、目录浏览、上传、元数据、封面、重新扫描）需要管理员，
+// 具体接口在各路由中用 requireAdmin 控制
+app.use('/api/auth', authRouter);
+app.use('/api/books', requireUser, booksRouter);
+app.use('/api/audio', requireUser, audioRouter);
+app.use('/api/config', requireUser, configRouter);
 app.use('/api/user', userRouter);
-app.use('/api/upload', uploadRouter);
+app.use('/api/upload', requireAdmin, uploadRouter);
+app.use('/api/library', requireUser, libraryRouter);
+app.use('/api/jobs', requireAdmin, jobsRouter);
+app.use('/api/events', requireUser, eventsRouter);
 
 // 生产环境：提供前端静态文件
 const clientDistPath = path.join(__dirname, '..', 'client', 'dist');
@@ -59,4 +75,12 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`📁 Audiobook path: ${process.env.AUDIOBOOK_PATH || path.join(__dirname, '..', 'audiobooks')}`);
   console.log(`📄 Config: ${CONFIG_FILE}`);
   console.log(`📄 Metadata: ${METADATA_FILE}`);
+
+  // 启动时加载书库索引（无索引时全量扫描）并开始监听目录
+  // 开启响度分析时把未分析的集加入任务队列（之后由书籍变化触发）
+  library.ensureIndex()
+    .then(() => analyzeAllBooks())
+    .catch(e => console.error('[Library] 初始化失败:', e.message));
+  // 继续执行上次退出时未完成的后台任务
+  jobQueue.start();
 });
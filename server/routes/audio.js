@@ -1,37 +1,108 @@
 const express = require('express');
 const router = express.Router();
-const fs = require('fs');
-const path = require('path');
-const { getBookDetail } = require('../services/scanner');
+const library = require('../services/library');
 const { getExtension } = require('../utils/parser');
+const { storageError } = require('../services/storage/utils');
+const { spawnTranscode, getQualityName } = require('../services/transcoder');
 
-function findEpisode(bookId, seasonId, episodeId) {
-  const book = getBookDetail(bookId);
-  if (!book) return { error: '书籍不存在' };
+/**
+ * 解析 Range 请求头（bytes=start-end / bytes=start- / bytes=-suffix），无效时返回 null
+ */
+function parseRange(header) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (!match[1] && !match[2])) return null;
+  if (!match[1]) return { suffix: parseInt(match[2], 10) };
+  return { start: parseInt(match[1], 10), end: match[2] ? parseInt(match[2], 10) : undefined };
+}
+
+/**
+ * CUE 分轨对应的章节（由 FFmpeg 截取），其余（包括内嵌章节）返回 null
+ */
+function getCueTrack(result) {
+  return result.episode.cue ? result.chapter : null;
+}
+
+/**
+ * CUE 分轨下载时的文件名（轨道标题，没有时为「文件名-序号」）
+ */
+function getTrackFileName(episode, track) {
+  const title = track.title || `${episode.fileName.replace(/\.[^.]+$/, '')}-${episode.chapters.indexOf(track) + 1}`;
+  return `${title.replace(/[\\/:*?"<>|]/g, '_')}.mp3`;
+}
 
-  const season = book.seasons.find(s => s.id === seasonId);
-  if (!season) return { error: '季不存在' };
+/**
+ * 经由书库的存储驱动读取音频，支持 Range 请求
+ * 驱动提供签名直链（播放方式为 redirect）时直接跳转；
+ * query 带 proxy 时仍由服务器转发（客户端的 Web Audio 音效只能处理同源音频）
+ * CUE 分轨只输出这一轨（实时转码，不支持 Range）
+ */
+async function sendEpisode(req, res, { download = false } = {}) {
+  const { bookId, seasonId, episodeId } = req.params;
+  const result = await library.findEpisode(bookId, seasonId, episodeId);
+  if (result.error) {
+    return res.status(404).json({ success: false, error: result.error });
+  }
+  if (getCueTrack(result)) return sendTranscoded(req, res, { result, download });
 
-  const episode = season.episodes.find(e => e.id === episodeId);
-  if (!episode) return { error: '集不存在' };
+  const { book, storage: driver, key, fileName } = result;
+  if (!driver) {
+    return res.status(404).json({ success: false, error: '书库不存在' });
+  }
 
-  if (!fs.existsSync(episode.filePath)) return { error: '音频文件不存在' };
+  const filename = download ? fileName : null;
+  const redirectUrl = driver.getRedirectUrl && !req.query.proxy ? await driver.getRedirectUrl(key, { filename }) : null;
+  if (redirectUrl) return res.redirect(redirectUrl);
 
-  return { book, season, episode };
+  let range = download ? null : parseRange(req.headers.range);
+  let file;
+  try {
+    if (range?.suffix !== undefined) {
+      // 末尾若干字节：需要先知道文件大小
+      const info = await driver.stat(key);
+      if (!info) throw storageError('ENOENT', `文件不存在: ${key}`);
+      range = { start: Math.max(0, info.size - range.suffix) };
+    }
+    file = await driver.read(key, range || {});
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      // 文件已被移动/转换，索引过期：重新扫描这本书
+      library.refreshBook(book.folderName, book.libraryId).catch(() => {});
+      return res.status(404).json({ success: false, error: '音频文件不存在' });
+    }
+    if (e.code === 'ERANGE') {
+      return res.status(416).end();
+    }
+    throw e;
+  }
+
+  const { stream, size, start, end } = file;
+  const headers = {
+    'Content-Type': getMimeType(getExtension(fileName)),
+    'Content-Length': end - start + 1,
+    'Accept-Ranges': 'bytes',
+  };
+  if (range) headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+  if (download) headers['Content-Disposition'] = `attachment; filename="${encodeURIComponent(fileName)}"`;
+
+  res.writeHead(range ? 206 : 200, headers);
+  // 客户端中断（拖动进度条）时关闭到存储的连接
+  res.on('close', () => stream.destroy());
+  // 读取中途失败（远程存储断开、返回错误）：响应头已发出，只能断开连接
+  stream.on('error', (err) => {
+    console.error('Audio stream error:', err.message);
+    res.destroy();
+  });
+  stream.pipe(res);
 }
 
 /**
  * GET /api/audio/:bookId/:seasonId/:episodeId
- * 流式传输音频文件，支持 Range 请求
+ * 流式传输音频文件，支持 Range 请求（CUE 分轨为这一轨的实时转码，同 /transcode）
+ * query: proxy - 不跳转到签名直链
  */
-router.get('/:bookId/:seasonId/:episodeId', (req, res) => {
+router.get('/:bookId/:seasonId/:episodeId', async (req, res) => {
   try {
-    const { bookId, seasonId, episodeId } = req.params;
-    const result = findEpisode(bookId, seasonId, episodeId);
-    if (result.error) {
-      return res.status(404).json({ success: false, error: result.error });
-    }
-    streamFile(result.episode.filePath, req, res);
+    await sendEpisode(req, res);
   } catch (e) {
     console.error('Audio streaming error:', e);
     res.status(500).json({ success: false, error: '音频流错误' });
@@ -40,60 +111,127 @@ router.get('/:bookId/:seasonId/:episodeId', (req, res) => {
 
 /**
  * GET /api/audio/download/:bookId/:seasonId/:episodeId
- * 下载音频文件
+ * 下载音频文件（CUE 分轨为截取出的这一轨 MP3）
+ * query: proxy - 不跳转到签名直链（客户端离线下载用 fetch 读取，跨域直链读不到）
  */
-router.get('/download/:bookId/:seasonId/:episodeId', (req, res) => {
+router.get('/download/:bookId/:seasonId/:episodeId', async (req, res) => {
   try {
+    await sendEpisode(req, res, { download: true });
+  } catch (e) {
+    console.error('Audio download error:', e);
+    res.status(500).json({ success: false, error: '下载失败' });
+  }
+});
+
+/**
+ * 实时转码为 MP3 输出（见 services/transcoder.js）
+ * 本地文件由 FFmpeg 直接读取，其余存储经由驱动读取后写入 FFmpeg 的 stdin
+ * 第一块数据产生后才发送响应头，FFmpeg 启动失败时仍能返回错误
+ * CUE 分轨：start 相对这一轨的开头，只输出到这一轨结尾；download 时以附件形式输出整轨（默认高音质）
+ */
+async function sendTranscoded(req, res, { result = null, download = false } = {}) {
+  if (!result) {
     const { bookId, seasonId, episodeId } = req.params;
-    const result = findEpisode(bookId, seasonId, episodeId);
+    result = await library.findEpisode(bookId, seasonId, episodeId);
     if (result.error) {
       return res.status(404).json({ success: false, error: result.error });
     }
+  }
 
-    const { episode } = result;
-    const stat = fs.statSync(episode.filePath);
-    const mimeType = getMimeType(getExtension(episode.filePath));
-
-    res.setHeader('Content-Type', mimeType);
-    res.setHeader('Content-Length', stat.size);
-    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(episode.fileName)}"`);
+  const { book, storage: driver, key } = result;
+  if (!driver) {
+    return res.status(404).json({ success: false, error: '书库不存在' });
+  }
 
-    fs.createReadStream(episode.filePath).pipe(res);
+  const track = getCueTrack(result);
+  const start = download ? 0 : Math.max(0, parseFloat(req.query.start) || 0);
+  const quality = getQualityName(req.query.quality || (download ? 'high' : undefined));
+  const offset = track ? track.start : 0;
+  const duration = track && track.end !== null ? track.end - track.start - start : null;
+  let source = null;
+  try {
+    if (driver.local) {
+      if (!(await driver.stat(key))) throw storageError('ENOENT', `文件不存在: ${key}`);
+    } else {
+      source = (await driver.read(key)).stream;
+    }
   } catch (e) {
-    console.error('Audio download error:', e);
-    res.status(500).json({ success: false, error: '下载失败' });
+    if (e.code === 'ENOENT') {
+      library.refreshBook(book.folderName, book.libraryId).catch(() => {});
+      return res.status(404).json({ success: false, error: '音频文件不存在' });
+    }
+    throw e;
   }
-});
 
-function streamFile(filePath, req, res) {
-  const stat = fs.statSync(filePath);
-  const fileSize = stat.size;
-  const mimeType = getMimeType(getExtension(filePath));
-  const range = req.headers.range;
-
-  if (range) {
-    const parts = range.replace(/bytes=/, '').split('-');
-    const start = parseInt(parts[0], 10);
-    const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-    const chunkSize = end - start + 1;
-
-    res.writeHead(206, {
-      'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-      'Accept-Ranges': 'bytes',
-      'Content-Length': chunkSize,
-      'Content-Type': mimeType,
-    });
-    fs.createReadStream(filePath, { start, end }).pipe(res);
-  } else {
-    res.writeHead(200, {
-      'Content-Length': fileSize,
-      'Content-Type': mimeType,
-      'Accept-Ranges': 'bytes',
+  const ffmpeg = spawnTranscode(source ? null : driver.resolve(key), { start: offset + start, duration, quality });
+  const stderrChunks = [];
+  ffmpeg.stderr.on('data', chunk => stderrChunks.push(chunk));
+  if (source) {
+    // 客户端拖动进度后 FFmpeg 被结束，此时写 stdin 会报 EPIPE
+    ffmpeg.stdin.on('error', () => {});
+    // 读取失败时结束 FFmpeg：还没有输出时返回 500（见 close），否则响应随 FFmpeg 的输出结束
+    source.on('error', (err) => {
+      console.error('Transcode source error:', err.message);
+      ffmpeg.stdin.destroy();
+      if (ffmpeg.exitCode === null) ffmpeg.kill('SIGKILL');
     });
-    fs.createReadStream(filePath).pipe(res);
+    source.pipe(ffmpeg.stdin);
   }
+
+  const headers = {
+    'Content-Type': 'audio/mpeg',
+    'Cache-Control': 'no-store',
+    'Accept-Ranges': 'none',
+    'X-Transcode-Start': String(start),
+  };
+  if (download) {
+    headers['Content-Disposition'] = `attachment; filename="${encodeURIComponent(getTrackFileName(result.episode, track))}"`;
+  }
+
+  ffmpeg.stdout.once('data', (chunk) => {
+    res.writeHead(200, headers);
+    res.write(chunk);
+    ffmpeg.stdout.pipe(res);
+  });
+
+  ffmpeg.on('error', (err) => {
+    console.error('Failed to start ffmpeg:', err.message);
+    if (!res.headersSent) res.status(500).json({ success: false, error: '转码失败：无法启动 FFmpeg' });
+  });
+
+  ffmpeg.on('close', (code) => {
+    if (res.headersSent) return;
+    if (code === 0) {
+      // start 超过结尾：没有输出
+      res.writeHead(200, headers);
+      return res.end();
+    }
+    const detail = Buffer.concat(stderrChunks).toString().trim().split('\n').pop();
+    console.error(`[Transcode] FFmpeg exit code ${code}${detail ? ': ' + detail : ''}`);
+    res.status(500).json({ success: false, error: '转码失败' });
+  });
+
+  // 客户端断开（拖动进度、切换集）时结束转码
+  res.on('close', () => {
+    if (source) source.destroy();
+    if (ffmpeg.exitCode === null) ffmpeg.kill('SIGKILL');
+  });
 }
 
+/**
+ * GET /api/audio/transcode/:bookId/:seasonId/:episodeId
+ * 实时转码为 MP3（WMA/APE 等浏览器无法播放的格式，以及 CUE 分轨），不支持 Range
+ * query: start - 开始位置（秒，拖动进度时重新请求）；quality - high | medium | low（默认 medium）
+ */
+router.get('/transcode/:bookId/:seasonId/:episodeId', async (req, res) => {
+  try {
+    await sendTranscoded(req, res);
+  } catch (e) {
+    console.error('Audio transcode error:', e);
+    if (!res.headersSent) res.status(500).json({ success: false, error: '转码失败' });
+  }
+});
+
 function getMimeType(ext) {
   const mimeTypes = {
     '.mp3': 'audio/mpeg',
@@ -102,8 +240,9 @@ function getMimeType(ext) {
     '.flac': 'audio/flac',
     '.aac': 'audio/aac',
     '.m4a': 'audio/mp4',
+    '.m4b': 'audio/mp4',
     '.wma': 'audio/x-ms-wma',
-    '.opus': 'audio/opus',
+    '.opus': 'audio/ogg',
     '.ape': 'audio/ape',
   };
   return mimeTypes[ext] || 'audio/mpeg';
@@ -0,0 +1,229 @@
+/**
+ * 账号 API
+ * 登录/登出、用户列表（快速切换）、创建用户、修改用户名密码
+ * 管理员：用户管理（角色、重置密码、删除）、开放模式、用户列表与注册开关
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../services/auth');
+const { deleteUserData } = require('../services/userData');
+
+// ========== 登录状态 ==========
+
+/**
+ * GET /api/auth/me
+ * 当前用户（未登录时为 null；开放模式下未登录时为默认管理员，anonymous 为 true）
+ * registration 为登录页能否注册（开放模式或 allowRegistration）
+ */
+router.get('/me', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      user: req.user ? auth.toPublicUser(req.user) : null,
+      anonymous: req.anonymous,
+      openMode: auth.isOpenMode(),
+      profilePicker: auth.isProfilePickerEnabled(),
+      allowRegistration: auth.getAllowRegistration(),
+      registration: auth.isRegistrationAllowed(),
+    },
+  });
+});
+
+/**
+ * GET /api/auth/profiles
+ * 登录页的用户列表（关闭快速切换时返回空列表）
+ * passwordless 表示可直接进入
+ */
+router.get('/profiles', (req, res) => {
+  const list = auth.isProfilePickerEnabled()
+    ? auth.getUsers().map(u => ({ ...auth.toPublicUser(u), passwordless: !u.passwordHash && auth.canLoginWithoutPassword(u) }))
+    : [];
+  res.json({ success: true, data: list });
+});
+
+/**
+ * POST /api/auth/login
+ * 登录 { userId | name, password, tokenAuth }
+ * tokenAuth 为 true 时在响应中返回 token，供脚本等客户端通过 Authorization: Bearer 使用
+ */
+router.post('/login', (req, res) => {
+  const { userId, name, password, tokenAuth } = req.body || {};
+  const user = userId ? auth.findUser(userId) : auth.findUserByName(name);
+
+  // 无密码用户只能在开启用户列表时登录；关闭开放模式后管理员必须有密码
+  if (!user || (!user.passwordHash && !auth.canLoginWithoutPassword(user)) || !auth.verifyPassword(user, password)) {
+    return res.status(401).json({ success: false, error: '用户名或密码错误' });
+  }
+
+  const token = auth.createSession(user.id);
+  auth.setSessionCookie(res, token);
+  res.json({ success: true, data: { ...auth.toPublicUser(user), ...(tokenAuth ? { token } : {}) } });
+});
+
+/**
+ * POST /api/auth/logout
+ */
+router.post('/logout', (req, res) => {
+  auth.destroySession(auth.getRequestToken(req));
+  auth.clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+// ========== 当前用户 ==========
+
+/**
+ * POST /api/auth/users
+ * 创建用户 { name, password?, role?, login? }
+ * - 管理员可创建用户并指定角色
+ * - login 为 true（登录页注册）时创建收听者并自动登录：开放模式下或管理员开启注册时才可以，
+ *   关闭开放模式时必须设置密码
+ */
+router.post('/users', (req, res) => {
+  const { name, password, role, login } = req.body || {};
+  const register = !req.user || !!login;
+  if (register && !auth.isRegistrationAllowed()) {
+    return res.status(403).json({ success: false, error: '未开放注册，请联系管理员' });
+  }
+  if (!register && !auth.isAdmin(req.user)) {
+    return res.status(403).json({ success: false, error: '需要管理员权限' });
+  }
+  if (register && !auth.isOpenMode() && !password) {
+    return res.status(400).json({ success: false, error: '请设置密码' });
+  }
+
+  try {
+    const user = auth.createUser({
+      name,
+      password,
+      role: register ? undefined : role,
+    });
+    if (register) {
+      auth.setSessionCookie(res, auth.createSession(user.id));
+    }
+    res.json({ success: true, data: auth.toPublicUser(user) });
+  } catch (e) {
+    res.status(400).json({ success: false, error: e.message });
+  }
+});
+
+/**
+ * PUT /api/auth/users/me
+ * 修改当前用户 { name?, password?, currentPassword }
+ * 已设置密码时需要提供当前密码；password 为空字符串表示取消密码
+ */
+router.put('/users/me', auth.requireUser, (req, res) => {
+  const { name, password, currentPassword } = req.body || {};
+  if (password !== undefined && !auth.verifyPassword(req.user, currentPassword)) {
+    return res.status(403).json({ success: false, error: '当前密码错误' });
+  }
+  if (password === '' && auth.isAdmin(req.user) && !auth.isOpenMode()) {
+    return res.status(400).json({ success: false, error: '关闭开放模式时管理员必须设置密码' });
+  }
+
+  try {
+    const user = auth.updateUser(req.user.id, { name, password });
+    res.json({ success: true, data: auth.toPublicUser(user) });
+  } catch (e) {
+    res.status(400).json({ success: false, error: e.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/users/me
+ * 删除当前用户及其收藏/进度/设置/书签 { currentPassword }
+ */
+router.delete('/users/me', auth.requireUser, (req, res) => {
+  if (!auth.verifyPassword(req.user, (req.body || {}).currentPassword)) {
+    return res.status(403).json({ success: false, error: '当前密码错误' });
+  }
+
+  try {
+    auth.deleteUser(req.user.id);
+    deleteUserData(req.user.id);
+    auth.clearSessionCookie(res);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(400).json({ success: false, error: e.message });
+  }
+});
+
+// ========== 用户管理（管理员） ==========
+
+/**
+ * GET /api/auth/users
+ * 所有用户
+ */
+router.get('/users', auth.requireAdmin, (req, res) => {
+  res.json({ success: true, data: auth.getUsers().map(auth.toPublicUser) });
+});
+
+/**
+ * PUT /api/auth/users/:userId
+ * 修改其他用户 { role?, password? }（password 为重置后的新密码，空字符串表示取消密码）
+ */
+router.put('/users/:userId', auth.requireAdmin, (req, res) => {
+  const { role, password } = req.body || {};
+  // 同 PUT /users/me：关闭开放模式时不能取消管理员的密码，也不能把没有密码的用户设为管理员
+  const target = auth.findUser(req.params.userId);
+  if (target && !auth.isOpenMode()) {
+    const willBeAdmin = auth.isAdmin({ role: role !== undefined ? role : target.role });
+    const willHavePassword = password !== undefined ? !!password : !!target.passwordHash;
+    if (willBeAdmin && !willHavePassword) {
+      return res.status(400).json({ success: false, error: '关闭开放模式时管理员必须设置密码' });
+    }
+  }
+  try {
+    const user = auth.updateUser(req.params.userId, { role, password });
+    res.json({ success: true, data: auth.toPublicUser(user) });
+  } catch (e) {
+    res.status(400).json({ success: false, error: e.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/users/:userId
+ * 删除其他用户及其数据
+ */
+router.delete('/users/:userId', auth.requireAdmin, (req, res) => {
+  try {
+    auth.deleteUser(req.params.userId);
+    deleteUserData(req.params.userId);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(400).json({ success: false, error: e.message });
+  }
+});
+
+// ========== 设置（管理员） ==========
+
+/**
+ * PUT /api/auth/settings
+ * { openMode?: boolean, profilePicker?: boolean, allowRegistration?: boolean }
+ * - openMode：开放模式，未登录也能以默认管理员身份使用全部功能
+ * - profilePicker：登录页是否显示用户列表，关闭后未设置密码的用户无法登录
+ * - allowRegistration：关闭开放模式时，登录页可自行注册收听者
+ * 关闭任一项前，当前管理员必须已登录且设置了密码，避免把自己锁在外面
+ */
+router.put('/settings', auth.requireAdmin, (req, res) => {
+  const { openMode, profilePicker, allowRegistration } = req.body || {};
+  const turningOff = openMode === false || profilePicker === false;
+  if (turningOff && (req.anonymous || !req.user.passwordHash)) {
+    return res.status(400).json({ success: false, error: '请先以设置了密码的管理员身份登录' });
+  }
+  if (typeof openMode === 'boolean') auth.setOpenMode(openMode);
+  if (typeof profilePicker === 'boolean') auth.setProfilePicker(profilePicker);
+  if (typeof allowRegistration === 'boolean') auth.setAllowRegistration(allowRegistration);
+
+  res.json({
+    success: true,
+    data: {
+      openMode: auth.isOpenMode(),
+      profilePicker: auth.isProfilePickerEnabled(),
+      allowRegistration: auth.getAllowRegistration(),
+      registration: auth.isRegistrationAllowed(),
+    },
+  });
+});
+
+module.exports = router;
@@ -3,27 +3,40 @@ const router = express.Router();
 const path = require('path');
 const fs = require('fs');
 const {
-  scanAudiobooks,
-  getBookDetail,
   getCoverPath,
   updateBookMetadata,
-  getBookMetadata,
 } = require('../services/scanner');
+const library = require('../services/library');
+const { getEmbeddedCoverPath } = require('../services/tags');
+const { expandChapters } = require('../services/chapters');
 const {
   startBookConversion,
   getConversionProgress,
+  getConversionStatus,
   bookNeedsConversion,
+  collectFilesToConvert,
+  getConversionConfig,
+  isConverting,
 } = require('../services/converter');
+const { PRIORITY } = require('../services/jobQueue');
+const {
+  getLoudnessConfig,
+  getEpisodeLoudness,
+  getBookAnalysis,
+  startBookAnalysis,
+} = require('../services/loudness');
 const { COVERS_DIR } = require('../utils/paths');
+const { requireAdmin } = require('../services/auth');
 
 /**
  * GET /api/books
  * 获取所有有声书列表
- * 检测到 WMA/APE 文件时自动触发后台转换
+ * query: library - 只返回指定书库的书籍
+ * 检测到 WMA/APE 文件时自动触发后台转换（响度分析在书籍变化时触发，见 services/loudness.js）
  */
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
   try {
-    const books = scanAudiobooks();
+    const books = await library.getBooks({ libraryId: req.query.library || null });
 
     for (const book of books) {
       if (bookNeedsConversion(book)) {
@@ -37,12 +50,16 @@ router.get('/', (req, res) => {
         id: book.id,
         name: book.name,
         folderName: book.folderName,
+        libraryId: book.libraryId,
         description: book.description,
-        hasCover: book.hasCoverFile || !!book.cover,
+        artist: book.artist || null,
+        narrator: book.narrator || null,
+        hasCover: book.hasCoverFile || !!book.cover || !!book.embeddedCoverFile,
         skipIntro: book.skipIntro,
         skipOutro: book.skipOutro,
         seasonCount: book.seasons.length,
         totalEpisodes: book.totalEpisodes,
+        totalDuration: book.totalDuration || 0,
         converting: progress ? {
           status: progress.status,
           total: progress.total,
@@ -61,24 +78,43 @@ router.get('/', (req, res) => {
 /**
  * GET /api/books/:bookId
  * 获取单本书详情
+ * 每集附带 loudness（{ gain, integrated, truePeak, lra }，未分析为 null），客户端按 gain 调整音量
  */
-router.get('/:bookId', (req, res) => {
+router.get('/:bookId', async (req, res) => {
   try {
-    const book = getBookDetail(req.params.bookId);
+    const book = await library.getBook(req.params.bookId);
     if (!book) {
       return res.status(404).json({ success: false, error: '书籍不存在' });
     }
 
+    const { target } = getLoudnessConfig();
     const safeBook = {
       ...book,
       path: undefined,
+      signature: undefined,
+      embeddedCoverFile: undefined,
+      coverKey: undefined,
+      hasCover: book.hasCoverFile || !!book.cover || !!book.embeddedCoverFile,
+      // 仍保留 WMA/APE 原文件，可以换转换配置重新转换
+      canReconvert: collectFilesToConvert(book, { reconvert: true }).length > 0,
+      loudnessAnalysis: getBookAnalysis(book),
       seasons: book.seasons.map(s => ({
         ...s,
         path: undefined,
-        episodes: s.episodes.map(e => ({
+        // 内嵌章节、CUE 分轨展开为多集（同一文件的各章共用响度）
+        episodes: s.episodes.flatMap(e => expandChapters({
           ...e,
           filePath: undefined,
-        })),
+          key: undefined,
+          etag: undefined,
+          converted: undefined,
+          fingerprint: undefined,
+          tags: undefined,
+          fileNameDerived: undefined,
+          chapters: undefined,
+          cue: undefined,
+          loudness: getEpisodeLoudness(book.id, e, target),
+        }, e)),
       })),
     };
 
@@ -91,33 +127,114 @@ router.get('/:bookId', (req, res) => {
 
 /**
  * GET /api/books/:bookId/conversion-status
- * 获取书籍的格式转换进度
+ * 获取书籍最近一批格式转换任务的进度
+ * status: converting | paused（队列或这本书已暂停）| done | error | cancelled
+ * 进度变化也通过 conversion 事件推送（GET /api/events）
  */
 router.get('/:bookId/conversion-status', (req, res) => {
-  const progress = getConversionProgress(req.params.bookId);
-  if (progress) {
-    res.json({
-      success: true,
-      data: {
-        status: progress.status,
-        total: progress.total,
-        completed: progress.completed,
-        failed: progress.failed || 0,
-        failedFiles: progress.failedFiles || [],
-        currentFile: progress.currentFile || '',
-      },
-    });
-  } else {
-    res.json({ success: true, data: null });
+  res.json({ success: true, data: getConversionStatus(req.params.bookId) });
+});
+
+/**
+ * POST /api/books/:bookId/reconvert（管理员）
+ * 用指定的转换配置重新转换这本书：body { profile }
+ * 记住为这本书的转换配置，仍保留原文件（WMA/APE）的集全部重新转换，旧副本被覆盖或替换
+ */
+router.post('/:bookId/reconvert', requireAdmin, async (req, res) => {
+  try {
+    const book = await library.getBook(req.params.bookId);
+    if (!book) {
+      return res.status(404).json({ success: false, error: '书籍不存在' });
+    }
+    const { profile } = req.body;
+    if (!getConversionConfig().profiles[profile]) {
+      return res.status(400).json({ success: false, error: `转换配置不存在: ${profile}` });
+    }
+    if (isConverting(book.id)) {
+      return res.status(409).json({ success: false, error: '这本书正在转换中' });
+    }
+    if (collectFilesToConvert(book, { reconvert: true }).length === 0) {
+      return res.status(400).json({ success: false, error: '这本书没有保留 WMA/APE 原文件，无法重新转换' });
+    }
+
+    updateBookMetadata(book.id, { conversionProfile: profile });
+    const count = startBookConversion(book, { reconvert: true, priority: PRIORITY.high });
+    res.json({ success: true, data: { profile, convertingCount: count } });
+  } catch (e) {
+    console.error('Failed to reconvert book:', e);
+    res.status(500).json({ success: false, error: '重新转换失败' });
   }
 });
 
+/**
+ * POST /api/books/:bookId/loudness（管理员）
+ * 分析这本书所有未分析（或文件已变化）的集的响度，包括上次失败的集和非本地书库
+ * 返回 { count }：加入任务队列的集数
+ */
+router.post('/:bookId/loudness', requireAdmin, async (req, res) => {
+  try {
+    const book = await library.getBook(req.params.bookId);
+    if (!book) {
+      return res.status(404).json({ success: false, error: '书籍不存在' });
+    }
+    const count = startBookAnalysis(book, { manual: true, priority: PRIORITY.high });
+    res.json({ success: true, data: { count } });
+  } catch (e) {
+    console.error('Failed to start loudness analysis:', e);
+    res.status(500).json({ success: false, error: '响度分析失败' });
+  }
+});
+
+const COVER_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.bmp': 'image/bmp',
+};
+
+/**
+ * 读取书籍目录中的封面图片，读取失败时返回 null
+ */
+async function readCover(book) {
+  const driver = library.getStorage(book.libraryId);
+  if (!driver) return null;
+  try {
+    return (await driver.read(book.coverKey)).stream;
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error('Failed to read cover:', e.message);
+    return null;
+  }
+}
+
 /**
  * GET /api/books/:bookId/cover
+ * 优先级：自定义封面 > 目录中的图片（经由书库的存储驱动读取）> 音频内嵌封面 > 默认 SVG
  */
-router.get('/:bookId/cover', (req, res) => {
+router.get('/:bookId/cover', async (req, res) => {
   try {
-    const coverPath = getCoverPath(req.params.bookId);
+    const book = await library.getBook(req.params.bookId);
+    const customCover = book?.cover;
+    if (customCover && fs.existsSync(customCover)) {
+      return res.sendFile(customCover);
+    }
+    if (book?.coverKey) {
+      const stream = await readCover(book);
+      if (stream) {
+        res.setHeader('Content-Type', COVER_MIME_TYPES[path.extname(book.coverKey).toLowerCase()] || 'image/jpeg');
+        res.setHeader('Cache-Control', 'public, max-age=3600');
+        res.on('close', () => stream.destroy());
+        stream.on('error', (err) => {
+          console.error('Failed to read cover:', err.message);
+          if (res.headersSent) return res.destroy();
+          res.removeHeader('Cache-Control');
+          res.status(500).type('json').json({ success: false, error: '获取封面失败' });
+        });
+        return stream.pipe(res);
+      }
+    }
+    const coverPath = getCoverPath(book) || await getEmbeddedCoverPath(book);
     if (coverPath && fs.existsSync(coverPath)) {
       return res.sendFile(coverPath);
     }
@@ -133,17 +250,25 @@ router.get('/:bookId/cover', (req, res) => {
 });
 
 /**
- * PUT /api/books/:bookId/metadata
+ * PUT /api/books/:bookId/metadata（管理员）
+ * 每本书的倍速属于各用户，保存在用户设置 bookPlaybackRates 中，不在这里修改
  */
-router.put('/:bookId/metadata', (req, res) => {
+router.put('/:bookId/metadata', requireAdmin, (req, res) => {
   try {
-    const { customName, description, skipIntro, skipOutro, customCover } = req.body;
+    const { customName, description, skipIntro, skipOutro, customCover, conversionProfile } = req.body;
     const updates = {};
     if (customName !== undefined) updates.customName = customName;
     if (description !== undefined) updates.description = description;
     if (skipIntro !== undefined) updates.skipIntro = Number(skipIntro) || 0;
     if (skipOutro !== undefined) updates.skipOutro = Number(skipOutro) || 0;
     if (customCover !== undefined) updates.customCover = customCover;
+    if (conversionProfile !== undefined) {
+      // null 表示改回书库/全局的转换配置
+      if (conversionProfile !== null && !getConversionConfig().profiles[conversionProfile]) {
+        return res.status(400).json({ success: false, error: `转换配置不存在: ${conversionProfile}` });
+      }
+      updates.conversionProfile = conversionProfile;
+    }
 
     const meta = updateBookMetadata(req.params.bookId, updates);
     res.json({ success: true, data: meta });
@@ -154,9 +279,9 @@ router.put('/:bookId/metadata', (req, res) => {
 });
 
 /**
- * POST /api/books/:bookId/cover
+ * POST /api/books/:bookId/cover（管理员）
  */
-router.post('/:bookId/cover', express.raw({ type: 'image/*', limit: '5mb' }), (req, res) => {
+router.post('/:bookId/cover', requireAdmin, express.raw({ type: 'image/*', limit: '5mb' }), (req, res) => {
   try {
     const contentType = req.headers['content-type'] || 'image/jpeg';
     const ext = contentType.split('/')[1] === 'jpeg' ? 'jpg' : (contentType.split('/')[1] || 'jpg');
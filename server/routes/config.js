@@ -2,9 +2,15 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const fs = require('fs');
-const { isOSSConfigured, getOSSConfig } = require('../services/oss');
+const { isOSSConfigured, getPublicOSSConfig, testConnection } = require('../services/oss');
 const { getAudiobookPath, setAudiobookPath } = require('../services/scanner');
+const library = require('../services/library');
 const { CONFIG_FILE } = require('../utils/paths');
+const { requireAdmin, isAdmin } = require('../services/auth');
+const { getBrowseRoots, findRoot, isAllowedPath } = require('../services/browseRoots');
+const { findOverlappingLibrary, getLibrary, DEFAULT_LIBRARY_ID } = require('../services/libraries');
+const { CONVERSION_POLICIES, getConversionConfig } = require('../services/converter');
+const { TARGET_RANGE, getLoudnessConfig, analyzeAllBooks } = require('../services/loudness');
 
 function loadConfig() {
   try {
@@ -33,30 +39,176 @@ function getDefaultConfig() {
   };
 }
 
+const OSS_FIELDS = ['region', 'endpoint', 'accessKeyId', 'accessKeySecret', 'bucket', 'prefix'];
+const OSS_STREAM_MODES = ['proxy', 'redirect'];
+
+/**
+ * 合并设置页提交的 OSS 配置；AccessKey Secret 留空时保留原值
+ */
+function mergeOSSConfig(current = {}, updates = {}) {
+  const merged = { ...current };
+  for (const field of OSS_FIELDS) {
+    if (updates[field] === undefined) continue;
+    const value = String(updates[field] || '').trim();
+    if (field === 'accessKeySecret' && !value) continue;
+    merged[field] = value;
+  }
+  if (updates.pathStyle !== undefined) merged.pathStyle = !!updates.pathStyle;
+  if (OSS_STREAM_MODES.includes(updates.streamMode)) merged.streamMode = updates.streamMode;
+  return merged;
+}
+
+/**
+ * 返回给客户端的配置（OSS 配置不含 AccessKey Secret；书库列表含 S3/WebDAV 凭据，不返回，见 /api/library/status）
+ */
+function toPublicConfig(config) {
+  return {
+    ...config,
+    libraries: undefined,
+    ossEnabled: isOSSConfigured(),
+    oss: getPublicOSSConfig(),
+    conversion: getConversionConfig(),
+    loudness: getLoudnessConfig(),
+    audiobookPath: getAudiobookPath(),
+  };
+}
+
+/**
+ * 返回给普通听众的配置：只含播放端用到的字段，不含存储、转换和目录信息
+ */
+function toListenerConfig(config) {
+  return {
+    cacheSizeMB: config.cacheSizeMB,
+    loudness: getLoudnessConfig(),
+  };
+}
+
+/**
+ * 路径本身或最近的已存在上级目录
+ */
+function nearestExistingDir(targetPath) {
+  let current = targetPath;
+  while (!fs.existsSync(current)) {
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+  return current;
+}
+
+/**
+ * 校验并合并格式转换配置（原文件处理方式、缓存目录、默认/各书库的转换配置），出错时抛出
+ * 转换配置本身（profiles）在 config.json 中编辑
+ */
+function mergeConversionConfig(current = {}, updates = {}) {
+  const merged = { ...current };
+  const { profiles } = getConversionConfig();
+  if (updates.policy !== undefined) {
+    if (!CONVERSION_POLICIES.includes(updates.policy)) throw new Error('不支持的原文件处理方式');
+    merged.policy = updates.policy;
+  }
+  if (updates.defaultProfile !== undefined) {
+    if (!profiles[updates.defaultProfile]) throw new Error(`转换配置不存在: ${updates.defaultProfile}`);
+    merged.defaultProfile = updates.defaultProfile;
+  }
+  if (updates.libraryProfiles !== undefined) {
+    if (!updates.libraryProfiles || typeof updates.libraryProfiles !== 'object') throw new Error('书库转换配置格式错误');
+    const libraryProfiles = { ...(merged.libraryProfiles || {}) };
+    for (const [libraryId, name] of Object.entries(updates.libraryProfiles)) {
+      if (!getLibrary(libraryId)) throw new Error(`书库不存在: ${libraryId}`);
+      // 为空时改回默认转换配置
+      if (!name) {
+        delete libraryProfiles[libraryId];
+        continue;
+      }
+      if (!profiles[name]) throw new Error(`转换配置不存在: ${name}`);
+      libraryProfiles[libraryId] = name;
+    }
+    merged.libraryProfiles = libraryProfiles;
+  }
+  if (updates.cacheDir !== undefined) {
+    const value = String(updates.cacheDir || '').trim();
+    if (!value) {
+      delete merged.cacheDir;
+      return merged;
+    }
+    if (!path.isAbsolute(value)) throw new Error('缓存目录必须是绝对路径');
+    const resolved = path.resolve(value);
+    const overlapping = findOverlappingLibrary(resolved);
+    if (overlapping) throw new Error(`缓存目录与书库「${overlapping.name}」的目录重叠`);
+    // 目录可能还不存在：先检查最近的已存在上级目录，避免在允许范围外创建目录
+    if (!isAllowedPath(nearestExistingDir(resolved))) {
+      throw new Error('缓存目录不在允许的目录范围内: ' + resolved);
+    }
+    try {
+      fs.mkdirSync(resolved, { recursive: true });
+      fs.accessSync(resolved, fs.constants.W_OK);
+    } catch {
+      throw new Error('缓存目录不可写: ' + resolved);
+    }
+    // 创建后再按真实路径检查一次（上级目录可能是指向范围外的符号链接）
+    if (!isAllowedPath(resolved)) throw new Error('缓存目录不在允许的目录范围内: ' + resolved);
+    merged.cacheDir = resolved;
+  }
+  return merged;
+}
+
+/**
+ * 校验并合并响度分析配置（是否自动分析、目标响度），出错时抛出
+ */
+function mergeLoudnessConfig(current = {}, updates = {}) {
+  const merged = { ...current };
+  if (updates.enabled !== undefined) merged.enabled = !!updates.enabled;
+  if (updates.target !== undefined) {
+    const target = Number(updates.target);
+    if (!(target >= TARGET_RANGE[0] && target <= TARGET_RANGE[1])) {
+      throw new Error(`目标响度必须在 ${TARGET_RANGE[0]} ~ ${TARGET_RANGE[1]} LUFS 之间`);
+    }
+    merged.target = target;
+  }
+  return merged;
+}
+
+/**
+ * 目录是否可读（可进入）
+ */
+function isReadableDir(dirPath) {
+  try {
+    fs.accessSync(dirPath, fs.constants.R_OK | fs.constants.X_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * GET /api/config
- * 获取服务端配置
+ * 获取服务端配置（存储、转换、目录等完整配置只返回给管理员，听众只拿到播放端用到的字段）
  */
 router.get('/', (req, res) => {
   const config = loadConfig();
+  if (!isAdmin(req.user)) {
+    return res.json({ success: true, data: toListenerConfig(config) });
+  }
   res.json({
     success: true,
     data: {
-      ...config,
-      ossEnabled: isOSSConfigured(),
-      audiobookPath: getAudiobookPath(),
+      ...toPublicConfig(config),
+      browseRoots: getBrowseRoots().map(r => r.path),
     },
   });
 });
 
 /**
  * PUT /api/config
- * 更新服务端配置
+ * 更新服务端配置（管理员）
  */
-router.put('/', (req, res) => {
+router.put('/', requireAdmin, async (req, res) => {
   try {
     const currentConfig = loadConfig();
-    const { cacheSizeMB, audiobookPath } = req.body;
+    const previousCacheDir = getConversionConfig().cacheDir;
+    const wasAnalyzing = getLoudnessConfig().enabled;
+    const { cacheSizeMB, audiobookPath, oss, conversion, loudness } = req.body;
 
     if (cacheSizeMB !== undefined) {
       currentConfig.cacheSizeMB = Math.max(50, Math.min(5000, Number(cacheSizeMB)));
@@ -70,34 +222,112 @@ router.put('/', (req, res) => {
       if (!fs.statSync(resolved).isDirectory()) {
         return res.status(400).json({ success: false, error: '路径不是目录: ' + resolved });
       }
+      if (!isAllowedPath(resolved)) {
+        return res.status(403).json({ success: false, error: '路径不在允许的目录范围内: ' + resolved });
+      }
+      const overlapping = findOverlappingLibrary(resolved, DEFAULT_LIBRARY_ID);
+      if (overlapping) {
+        return res.status(400).json({ success: false, error: `与书库「${overlapping.name}」的目录重叠` });
+      }
       currentConfig.audiobookPath = resolved;
       setAudiobookPath(resolved);
     }
 
+    if (oss !== undefined) {
+      if (!oss || typeof oss !== 'object') {
+        return res.status(400).json({ success: false, error: 'OSS 配置格式错误' });
+      }
+      currentConfig.oss = mergeOSSConfig(currentConfig.oss, oss);
+    }
+
+    if (conversion !== undefined) {
+      if (!conversion || typeof conversion !== 'object') {
+        return res.status(400).json({ success: false, error: '格式转换配置格式错误' });
+      }
+      try {
+        currentConfig.conversion = mergeConversionConfig(currentConfig.conversion, conversion);
+      } catch (e) {
+        return res.status(400).json({ success: false, error: e.message });
+      }
+    }
+
+    if (loudness !== undefined) {
+      if (!loudness || typeof loudness !== 'object') {
+        return res.status(400).json({ success: false, error: '响度分析配置格式错误' });
+      }
+      try {
+        currentConfig.loudness = mergeLoudnessConfig(currentConfig.loudness, loudness);
+      } catch (e) {
+        return res.status(400).json({ success: false, error: e.message });
+      }
+    }
+
     saveConfig(currentConfig);
-    res.json({ success: true, data: { ...currentConfig, audiobookPath: getAudiobookPath() } });
+    if (audiobookPath !== undefined || oss !== undefined) {
+      // 默认书库根目录或 OSS 存储桶变更：重建相应书库的索引
+      await library.ensureIndex();
+    }
+    if (getConversionConfig().cacheDir !== previousCacheDir) {
+      // 转换缓存目录变更：重新扫描，让每一集找到新目录中的副本
+      library.rescan({ full: true }).catch(e => console.error('Failed to rescan library:', e));
+    }
+    if (!wasAnalyzing && getLoudnessConfig().enabled) {
+      // 开启响度分析：已有的书加入任务队列（之后只在书籍变化时检查）
+      analyzeAllBooks().catch(e => console.error('Failed to queue loudness analysis:', e));
+    }
+    res.json({ success: true, data: toPublicConfig(currentConfig) });
   } catch (e) {
     console.error('Failed to update config:', e);
     res.status(500).json({ success: false, error: '更新配置失败' });
   }
 });
 
+/**
+ * POST /api/config/oss/test
+ * 用已保存的 OSS 配置测试连接（管理员）
+ */
+router.post('/oss/test', requireAdmin, async (req, res) => {
+  if (!isOSSConfigured()) {
+    return res.status(400).json({ success: false, error: 'OSS 未配置' });
+  }
+  try {
+    await testConnection();
+    res.json({ success: true });
+  } catch (e) {
+    console.error('OSS connection test failed:', e.message);
+    res.status(400).json({ success: false, error: `连接失败: ${e.message}` });
+  }
+});
+
 /**
  * GET /api/config/browse
- * 浏览服务器目录（用于选择有声书路径）
- * query: path - 要浏览的目录路径，默认为根目录
+ * 浏览服务器目录（用于选择有声书路径，管理员）
+ * 只能浏览允许的根目录之内（services/browseRoots.js）
+ * query: path - 要浏览的目录路径；为空时只有一个根目录则直接进入，否则列出所有根目录
  */
-router.get('/browse', (req, res) => {
+router.get('/browse', requireAdmin, (req, res) => {
   try {
-    let targetPath = req.query.path || '';
+    const roots = getBrowseRoots();
+    if (roots.length === 0) {
+      return res.status(404).json({ success: false, error: '没有可浏览的目录，请检查 BROWSE_ROOTS 配置' });
+    }
+    const rootPaths = roots.map(r => r.path);
 
-    // 默认起始目录
+    let targetPath = req.query.path || '';
     if (!targetPath) {
-      if (process.platform === 'win32') {
-        targetPath = 'C:\\';
-      } else {
-        targetPath = '/';
+      if (roots.length > 1) {
+        return res.json({
+          success: true,
+          data: {
+            current: '',
+            parent: null,
+            entries: roots.map(r => ({ name: r.path, path: r.path, readable: isReadableDir(r.path) })),
+            roots: rootPaths,
+            hasAudioContent: false,
+          },
+        });
       }
+      targetPath = roots[0].path;
     }
 
     const resolved = path.resolve(targetPath);
@@ -106,6 +336,11 @@ router.get('/browse', (req, res) => {
       return res.status(404).json({ success: false, error: '目录不存在' });
     }
 
+    const root = findRoot(resolved, roots);
+    if (!root) {
+      return res.status(403).json({ success: false, error: '不在允许浏览的目录范围内' });
+    }
+
     if (!fs.statSync(resolved).isDirectory()) {
       return res.status(400).json({ success: false, error: '不是目录' });
     }
@@ -140,18 +375,13 @@ router.get('/browse', (req, res) => {
         }
         if (!isDir) continue;
 
-        // 检查是否有读取权限
-        let readable = true;
-        try {
-          fs.accessSync(fullPath, fs.constants.R_OK | fs.constants.X_OK);
-        } catch {
-          readable = false;
-        }
+        // 指向根目录之外的符号链接不显示
+        if (!findRoot(fullPath, [root])) continue;
 
         entries.push({
           name,
           path: fullPath,
-          readable,
+          readable: isReadableDir(fullPath),
         });
       }
     } catch (e) {
@@ -161,33 +391,20 @@ router.get('/browse', (req, res) => {
     // 按名称排序
     entries.sort((a, b) => a.name.localeCompare(b.name));
 
-    // 计算父目录
-    const parentPath = path.dirname(resolved);
-    const hasParent = parentPath !== resolved; // 根目录时 dirname === 自身
+    // 计算父目录：位于根目录时返回根目录列表（''），只有一个根目录时没有上级
+    const atRoot = fs.realpathSync(resolved) === root.real;
+    const parentPath = atRoot ? (roots.length > 1 ? '' : null) : path.dirname(resolved);
 
     // 检查当前目录是否包含有声书（有子目录即可能含有声书）
     const hasAudioContent = entries.length > 0;
 
-    // Windows 下列出可用盘符
-    let drives = null;
-    if (process.platform === 'win32' && (resolved === path.parse(resolved).root)) {
-      drives = [];
-      for (let i = 65; i <= 90; i++) {
-        const letter = String.fromCharCode(i);
-        const drivePath = letter + ':\\';
-        if (fs.existsSync(drivePath)) {
-          drives.push({ name: letter + ':', path: drivePath });
-        }
-      }
-    }
-
     res.json({
       success: true,
       data: {
         current: resolved,
-        parent: hasParent ? parentPath : null,
+        parent: parentPath,
         entries,
-        drives,
+        roots: rootPaths,
         hasAudioContent,
       },
     });
@@ -0,0 +1,18 @@
+/**
+ * 服务器推送 API
+ * 事件类型与数据见 services/liveEvents.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const liveEvents = require('../services/liveEvents');
+
+/**
+ * GET /api/events
+ * 事件流（text/event-stream），客户端用 EventSource 连接
+ */
+router.get('/', (req, res) => {
+  liveEvents.subscribe(req, res);
+});
+
+module.exports = router;
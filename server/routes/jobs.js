@@ -0,0 +1,163 @@
+/**
+ * 后台任务队列 API（管理员）
+ * 查看任务与历史，全局或按书暂停/恢复，重试、取消、调整优先级
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobQueue = require('../services/jobQueue');
+
+function parsePriority(value) {
+  const priority = Number(value);
+  return Number.isInteger(priority) && Math.abs(priority) <= 1000 ? priority : null;
+}
+
+/**
+ * GET /api/jobs
+ * 队列概况和任务列表
+ * query: limit - 返回的历史任务数（默认 100）；bookId - 只看某本书
+ * 返回 { paused, pausedBooks, workers, counts, active: [], history: [] }
+ */
+router.get('/', (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const { active, history } = jobQueue.listJobs({ bookId: req.query.bookId || null, limit });
+    res.json({
+      success: true,
+      data: {
+        ...jobQueue.getQueueState(),
+        active: active.map(jobQueue.toPublicJob),
+        history: history.map(jobQueue.toPublicJob),
+      },
+    });
+  } catch (e) {
+    console.error('Failed to list jobs:', e);
+    res.status(500).json({ success: false, error: '获取任务列表失败' });
+  }
+});
+
+/**
+ * POST /api/jobs/pause
+ * 暂停整个队列（执行中的任务中止，恢复后从头开始）
+ */
+router.post('/pause', (req, res) => {
+  jobQueue.pause();
+  res.json({ success: true, data: jobQueue.getQueueState() });
+});
+
+/**
+ * POST /api/jobs/resume
+ * 恢复整个队列
+ */
+router.post('/resume', (req, res) => {
+  jobQueue.resume();
+  res.json({ success: true, data: jobQueue.getQueueState() });
+});
+
+/**
+ * DELETE /api/jobs/history
+ * 清空已结束任务的历史
+ */
+router.delete('/history', (req, res) => {
+  try {
+    const removed = jobQueue.clearHistory();
+    res.json({ success: true, data: { removed } });
+  } catch (e) {
+    console.error('Failed to clear job history:', e);
+    res.status(500).json({ success: false, error: '清空历史失败' });
+  }
+});
+
+// ========== 按书操作 ==========
+
+const BOOK_ACTIONS = {
+  pause: (bookId) => { jobQueue.pauseBook(bookId); return null; },
+  resume: (bookId) => { jobQueue.resumeBook(bookId); return null; },
+  retry: (bookId) => jobQueue.retryBook(bookId),
+  cancel: (bookId) => jobQueue.cancelBook(bookId),
+};
+
+/**
+ * POST /api/jobs/books/:bookId/:action
+ * action: pause | resume | retry（重试失败的任务）| cancel（取消未结束的任务）
+ * 返回 { count }：重试或取消的任务数（暂停/恢复为 null）
+ */
+router.post('/books/:bookId/:action', (req, res) => {
+  const action = BOOK_ACTIONS[req.params.action];
+  if (!action) {
+    return res.status(404).json({ success: false, error: '未知的操作' });
+  }
+  try {
+    const count = action(req.params.bookId);
+    res.json({ success: true, data: { count } });
+  } catch (e) {
+    console.error('Failed to update book jobs:', e);
+    res.status(500).json({ success: false, error: '操作失败' });
+  }
+});
+
+/**
+ * PUT /api/jobs/books/:bookId
+ * 修改一本书所有排队中任务的优先级：body { priority }（整数，越大越先执行）
+ */
+router.put('/books/:bookId', (req, res) => {
+  const priority = parsePriority(req.body?.priority);
+  if (priority === null) {
+    return res.status(400).json({ success: false, error: '优先级必须是 -1000 ~ 1000 的整数' });
+  }
+  const count = jobQueue.setBookPriority(req.params.bookId, priority);
+  res.json({ success: true, data: { count } });
+});
+
+// ========== 单个任务 ==========
+
+/**
+ * POST /api/jobs/:jobId/retry
+ * 重试失败或已取消的任务
+ */
+router.post('/:jobId/retry', (req, res) => {
+  const job = jobQueue.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ success: false, error: '任务不存在' });
+  }
+  if (!jobQueue.retryJob(job.id)) {
+    return res.status(409).json({ success: false, error: '只能重试失败或已取消的任务（同一文件没有更新的任务）' });
+  }
+  res.json({ success: true, data: jobQueue.toPublicJob(job) });
+});
+
+/**
+ * POST /api/jobs/:jobId/cancel
+ * 取消排队中或执行中的任务
+ */
+router.post('/:jobId/cancel', (req, res) => {
+  const job = jobQueue.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ success: false, error: '任务不存在' });
+  }
+  if (!jobQueue.cancelJob(job.id)) {
+    return res.status(409).json({ success: false, error: '任务已结束' });
+  }
+  res.json({ success: true, data: jobQueue.toPublicJob(job) });
+});
+
+/**
+ * PUT /api/jobs/:jobId
+ * 修改排队中任务的优先级：body { priority }
+ */
+router.put('/:jobId', (req, res) => {
+  const job = jobQueue.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ success: false, error: '任务不存在' });
+  }
+  const priority = parsePriority(req.body?.priority);
+  if (priority === null) {
+    return res.status(400).json({ success: false, error: '优先级必须是 -1000 ~ 1000 的整数' });
+  }
+  if (!jobQueue.setPriority(job.id, priority)) {
+    return res.status(409).json({ success: false, error: '只能调整排队中任务的优先级' });
+  }
+  res.json({ success: true, data: jobQueue.toPublicJob(job) });
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+/**
+ * 书库索引 API
+ * 查询扫描状态、手动触发重新扫描、管理多个书库
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const library = require('../services/library');
+const libraries = require('../services/libraries');
+const { requireAdmin, isAdmin } = require('../services/auth');
+const { isAllowedPath } = require('../services/browseRoots');
+const { isOSSConfigured } = require('../services/oss');
+const storage = require('../services/storage');
+
+/**
+ * 返回给普通听众的书库状态：不含根目录、存储位置和扫描错误（同 GET /api/config，只有管理员能看到）
+ */
+function toListenerStatus(status) {
+  const { rootPath, watching, libraries: list, ...rest } = status;
+  return {
+    ...rest,
+    libraries: list.map(({ id, name, source, bookCount, episodeCount, scanning, lastScanAt }) => ({
+      id, name, source, bookCount, episodeCount, scanning, lastScanAt,
+    })),
+  };
+}
+
+/**
+ * GET /api/library/status
+ * 获取书库状态（书籍数、上次扫描时间、是否在监听目录），libraries 为每个书库的状态
+ * 根目录、监听状态和扫描错误只返回给管理员
+ */
+router.get('/status', async (req, res) => {
+  try {
+    await library.ensureIndex();
+    const status = library.getStatus();
+    res.json({ success: true, data: isAdmin(req.user) ? status : toListenerStatus(status) });
+  } catch (e) {
+    console.error('Failed to get library status:', e);
+    res.status(500).json({ success: false, error: '获取书库状态失败' });
+  }
+});
+
+/**
+ * POST /api/library/rescan
+ * 重新扫描书库（管理员）
+ * body: { full: boolean, libraryId?: string }
+ * - full 为 true 时忽略目录签名，全部重新扫描
+ * - libraryId 为空时扫描所有书库
+ */
+router.post('/rescan', requireAdmin, async (req, res) => {
+  const { full, libraryId } = req.body || {};
+  if (libraryId && !libraries.getLibrary(libraryId)) {
+    return res.status(404).json({ success: false, error: '书库不存在' });
+  }
+  try {
+    const status = await library.rescan({ full: !!full, libraryId: libraryId || null });
+    res.json({ success: true, data: status });
+  } catch (e) {
+    console.error('Failed to rescan library:', e);
+    res.status(500).json({ success: false, error: '扫描书库失败' });
+  }
+});
+
+// ========== 书库管理 ==========
+
+/**
+ * GET /api/library/libraries
+ * 书库列表 [{ id, name, source, bookCount }]（书架的书库切换、上传目标）
+ */
+router.get('/libraries', async (req, res) => {
+  try {
+    await library.ensureIndex();
+    const list = library.getStatus().libraries.map(({ id, name, source, bookCount }) => ({ id, name, source, bookCount }));
+    res.json({ success: true, data: list });
+  } catch (e) {
+    console.error('Failed to get libraries:', e);
+    res.status(500).json({ success: false, error: '获取书库列表失败' });
+  }
+});
+
+/**
+ * 从请求中读取非本地书库的存储配置（只保留驱动需要的字段）
+ */
+function readStorageOptions(source, body) {
+  const text = value => String(value || '').trim();
+  if (source === 'oss') return { prefix: text(body.prefix) };
+  if (source === 's3') {
+    const s3 = body.s3 || {};
+    return {
+      endpoint: text(s3.endpoint),
+      region: text(s3.region),
+      bucket: text(s3.bucket),
+      accessKeyId: text(s3.accessKeyId),
+      secretAccessKey: text(s3.secretAccessKey),
+      prefix: text(s3.prefix),
+      pathStyle: !!s3.pathStyle,
+      streamMode: s3.streamMode === 'redirect' ? 'redirect' : 'proxy',
+    };
+  }
+  const webdav = body.webdav || {};
+  return { url: text(webdav.url), username: text(webdav.username), password: String(webdav.password || '') };
+}
+
+/**
+ * POST /api/library/libraries
+ * 添加书库并立即扫描（管理员）
+ * body: { name, path } - 本地目录，必须位于允许的根目录之内，且不能与已有书库重叠
+ *       { name, source: 'oss', prefix } - OSS 书库（需已配置 OSS）
+ *       { name, source: 's3', s3: { endpoint, region, bucket, accessKeyId, secretAccessKey, prefix, pathStyle, streamMode } }
+ *       { name, source: 'webdav', webdav: { url, username, password } }
+ * 非本地书库添加前先测试连接，且存储路径不能与其他书库重叠
+ */
+router.post('/libraries', requireAdmin, async (req, res) => {
+  const body = req.body || {};
+  const { name, source = 'local', path: libPath } = body;
+  let options;
+
+  if (source !== 'local') {
+    if (!storage.STORAGE_TYPES.includes(source)) {
+      return res.status(400).json({ success: false, error: '不支持的存储类型: ' + source });
+    }
+    if (source === 'oss' && !isOSSConfigured()) {
+      return res.status(400).json({ success: false, error: '请先在设置中配置 OSS' });
+    }
+    const storageOptions = readStorageOptions(source, body);
+    try {
+      await storage.createDriver(source, storageOptions).test();
+    } catch (e) {
+      return res.status(400).json({ success: false, error: '连接失败: ' + e.message });
+    }
+    const overlapping = libraries.findOverlappingRoot(storage.getRootUri(source, storageOptions));
+    if (overlapping) {
+      return res.status(400).json({ success: false, error: `与书库「${overlapping.name}」的存储路径重叠` });
+    }
+    options = { name, source, options: storageOptions };
+  } else {
+    if (!libPath) {
+      return res.status(400).json({ success: false, error: '请选择书库目录' });
+    }
+
+    const resolved = path.resolve(libPath);
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+      return res.status(400).json({ success: false, error: '目录不存在: ' + resolved });
+    }
+    if (!isAllowedPath(resolved)) {
+      return res.status(403).json({ success: false, error: '路径不在允许的目录范围内: ' + resolved });
+    }
+    const overlapping = libraries.findOverlappingLibrary(resolved);
+    if (overlapping) {
+      return res.status(400).json({ success: false, error: `与书库「${overlapping.name}」的目录重叠` });
+    }
+    options = { name, path: resolved };
+  }
+
+  let created;
+  try {
+    created = libraries.addLibrary(options);
+  } catch (e) {
+    return res.status(400).json({ success: false, error: e.message });
+  }
+
+  try {
+    await library.ensureIndex();
+    res.json({ success: true, data: library.getStatus().libraries.find(l => l.id === created.id) });
+  } catch (e) {
+    console.error('Failed to scan new library:', e);
+    res.status(500).json({ success: false, error: '扫描书库失败' });
+  }
+});
+
+/**
+ * DELETE /api/library/libraries/:libraryId
+ * 删除书库（管理员，只移出书库列表和索引，不删除文件；默认书库不能删除）
+ */
+router.delete('/libraries/:libraryId', requireAdmin, async (req, res) => {
+  try {
+    libraries.removeLibrary(req.params.libraryId);
+  } catch (e) {
+    return res.status(400).json({ success: false, error: e.message });
+  }
+
+  try {
+    await library.ensureIndex();
+    res.json({ success: true });
+  } catch (e) {
+    console.error('Failed to update library index:', e);
+    res.status(500).json({ success: false, error: '更新书库索引失败' });
+  }
+});
+
+module.exports = router;
@@ -7,7 +7,11 @@ const { execFile, execSync } = require('child_process');
 const { promisify } = require('util');
 const execFileAsync = promisify(execFile);
 const { getAudiobookPath } = require('../services/scanner');
-const { needsConversion, convertFile } = require('../services/converter');
+const { needsConversion, startBookConversion } = require('../services/converter');
+const { PRIORITY } = require('../services/jobQueue');
+const liveEvents = require('../services/liveEvents');
+const library = require('../services/library');
+const { DEFAULT_LIBRARY_ID } = require('../services/libraries');
 const { isAudioFile } = require('../utils/parser');
 
 const ARCHIVE_EXTS = new Set(['.zip', '.7z', '.rar']);
@@ -62,7 +66,8 @@ function isArchiveFile(filename) {
   return ARCHIVE_EXTS.has(path.extname(lower));
 }
 
-// Temp dir lives INSIDE the audiobook volume → same filesystem → rename works, no double space
+// Temp dir lives INSIDE the default audiobook volume → same filesystem → rename works, no double space
+// (uploads to other libraries are written through their storage driver from here)
 const storage = multer.diskStorage({
   destination(req, file, cb) {
     if (!req._tempDir) {
@@ -99,65 +104,53 @@ async function extractArchive(archivePath, outputDir) {
 
 // ========== Helpers ==========
 
-function moveFile(src, dest) {
-  try {
-    fs.renameSync(src, dest);
-  } catch (e) {
-    if (e.code === 'EXDEV') {
-      fs.copyFileSync(src, dest);
-      fs.unlinkSync(src);
-    } else {
-      throw e;
-    }
-  }
-}
-
-function moveDirContents(srcDir, destDir) {
-  fs.mkdirSync(destDir, { recursive: true });
+/**
+ * 将临时目录中的文件写入书库（destKey 为书库中的目标目录）
+ */
+async function putDirContents(driver, srcDir, destKey) {
   for (const entry of fs.readdirSync(srcDir)) {
     if (entry === '__MACOSX' || entry === '.DS_Store') continue;
     const srcPath = path.join(srcDir, entry);
-    const destPath = path.join(destDir, entry);
+    const key = `${destKey}/${entry}`;
     if (fs.statSync(srcPath).isDirectory()) {
-      moveDirContents(srcPath, destPath);
+      await putDirContents(driver, srcPath, key);
     } else {
-      fs.mkdirSync(path.dirname(destPath), { recursive: true });
-      moveFile(srcPath, destPath);
+      await driver.putFile(key, srcPath);
     }
   }
 }
 
-function collectFilesToConvert(dir) {
-  const results = [];
+function countFilesToConvert(dir) {
+  let count = 0;
   try {
     for (const entry of fs.readdirSync(dir)) {
       const full = path.join(dir, entry);
       try {
         const stat = fs.statSync(full);
         if (stat.isDirectory()) {
-          results.push(...collectFilesToConvert(full));
+          count += countFilesToConvert(full);
         } else if (isAudioFile(entry) && needsConversion(entry)) {
-          results.push(full);
+          count++;
         }
       } catch { /* skip */ }
     }
   } catch { /* skip */ }
-  return results;
+  return count;
 }
 
-function triggerConversion(dir) {
-  const toConvert = collectFilesToConvert(dir);
-  if (toConvert.length === 0) return 0;
-  console.log(`[Upload] ${toConvert.length} 个文件需要格式转换`);
-  (async () => {
-    for (const f of toConvert) {
-      try { await convertFile(f); } catch (e) {
-        console.error(`[Upload] 转换失败: ${path.basename(f)}: ${e.message}`);
-      }
-    }
-    console.log('[Upload] 上传后格式转换全部完成');
-  })();
-  return toConvert.length;
+/**
+ * 上传完成后刷新书库索引，推送 upload 事件，并在后台转换 WMA/APE（只支持本地书库，按设置的原文件处理方式）
+ * dirKey: 上传到的目录；bookName: 书籍文件夹名
+ * 转换任务以高优先级加入任务队列，全部结束后书库索引再次刷新
+ */
+function triggerConversion(driver, libraryId, dirKey, bookName) {
+  const count = driver.local ? countFilesToConvert(driver.resolve(dirKey)) : 0;
+  if (count > 0) console.log(`[Upload] ${count} 个文件需要格式转换`);
+  library.refreshBook(bookName, libraryId).then((book) => {
+    liveEvents.publish('upload', { libraryId, bookName, bookId: book ? book.id : null, convertingCount: count });
+    if (book && driver.local) startBookConversion(book, { priority: PRIORITY.high });
+  }).catch(() => {});
+  return count;
 }
 
 function cleanTemp(dir) {
@@ -173,6 +166,7 @@ function stripArchiveExt(name) {
 /**
  * POST /api/upload
  * mode: "files" | "folder" | "archive"
+ * library: 目标书库 ID（默认书库）
  */
 router.post('/', upload.array('files', 500), async (req, res) => {
   const tempDir = req._tempDir;
@@ -185,11 +179,16 @@ router.post('/', upload.array('files', 500), async (req, res) => {
     const mode = req.body.mode || 'files';
     const bookName = (req.body.bookName || '').trim();
     const seasonName = (req.body.seasonName || '').trim();
-    const audiobookPath = getAudiobookPath();
+    const libraryId = req.body.library || DEFAULT_LIBRARY_ID;
+    const driver = library.getStorage(libraryId);
+    if (!driver) {
+      cleanTemp(tempDir);
+      return res.status(400).json({ success: false, error: '书库不存在' });
+    }
 
     // Disk space check: files already written to temp, verify enough space remains for move/extract
     const totalUploadSize = req.files.reduce((sum, f) => sum + f.size, 0);
-    const available = getAvailableBytes(audiobookPath);
+    const available = driver.local ? getAvailableBytes(driver.rootUri) : -1;
     if (available >= 0 && available < totalUploadSize * 1.1) {
       cleanTemp(tempDir);
       return res.status(507).json({
@@ -226,9 +225,8 @@ router.post('/', upload.array('files', 500), async (req, res) => {
         if (!finalBookName) finalBookName = stripArchiveExt(origName);
       }
 
-      const destDir = path.join(audiobookPath, finalBookName);
-      moveDirContents(sourceDir, destDir);
-      const convertCount = triggerConversion(destDir);
+      await putDirContents(driver, sourceDir, finalBookName);
+      const convertCount = triggerConversion(driver, libraryId, finalBookName, finalBookName);
       cleanTemp(tempDir);
 
       console.log(`[Upload] 解压完成: "${finalBookName}"`);
@@ -260,13 +258,10 @@ router.post('/', upload.array('files', 500), async (req, res) => {
         // Strip the first segment (selected folder name) — we use finalBookName instead
         const innerPath = segments.length > 1 ? segments.slice(1).join('/') : segments[0];
 
-        const destPath = path.join(audiobookPath, finalBookName, innerPath);
-        fs.mkdirSync(path.dirname(destPath), { recursive: true });
-        moveFile(req.files[i].path, destPath);
+        await driver.putFile(`${finalBookName}/${innerPath}`, req.files[i].path);
       }
 
-      const destDir = path.join(audiobookPath, finalBookName);
-      const convertCount = triggerConversion(destDir);
+      const convertCount = triggerConversion(driver, libraryId, finalBookName, finalBookName);
       cleanTemp(tempDir);
 
       console.log(`[Upload] 文件夹上传完成: "${finalBookName}" (${req.files.length} 个文件)`);
@@ -282,19 +277,15 @@ router.post('/', upload.array('files', 500), async (req, res) => {
         return res.status(400).json({ success: false, error: '请输入书名' });
       }
 
-      let destDir = path.join(audiobookPath, bookName);
-      if (seasonName) destDir = path.join(destDir, seasonName);
-      fs.mkdirSync(destDir, { recursive: true });
-
+      const destKey = seasonName ? `${bookName}/${seasonName}` : bookName;
       const uploadedFiles = [];
       for (const file of req.files) {
         const originalName = Buffer.from(file.originalname, 'latin1').toString('utf8');
-        const destPath = path.join(destDir, originalName);
-        moveFile(file.path, destPath);
+        await driver.putFile(`${destKey}/${originalName}`, file.path);
         uploadedFiles.push(originalName);
       }
 
-      const convertCount = triggerConversion(destDir);
+      const convertCount = triggerConversion(driver, libraryId, destKey, bookName);
       cleanTemp(tempDir);
 
       console.log(`[Upload] 文件上传完成: "${bookName}" (${uploadedFiles.length} 个文件)`);
@@ -310,13 +301,20 @@ router.post('/', upload.array('files', 500), async (req, res) => {
   }
 });
 
+/**
+ * GET /api/upload/path
+ * query: library - 目标书库（默认书库）；非本地书库不检测剩余空间
+ */
 router.get('/path', (req, res) => {
-  const abPath = getAudiobookPath();
-  const available = getAvailableBytes(abPath);
+  const driver = library.getStorage(req.query.library || DEFAULT_LIBRARY_ID);
+  if (!driver) {
+    return res.status(404).json({ success: false, error: '书库不存在' });
+  }
+  const available = driver.local ? getAvailableBytes(driver.rootUri) : -1;
   res.json({
     success: true,
     data: {
-      path: abPath,
+      path: driver.rootUri,
       availableBytes: available,
       availableFormatted: formatBytes(available),
     },
@@ -1,43 +1,22 @@
 /**
  * 用户数据 API
- * 将收藏、播放进度、用户设置持久化到服务端
+ * 将收藏、播放进度、用户设置、书签持久化到服务端
  * 保证重部署 / 换设备 / 清浏览器缓存后数据不丢失
  *
- * 存储文件：user-data.json（通过 Docker volume 持久化）
- * 结构：
- * {
- *   favorites: { [bookId]: { ...bookInfo, addedAt } },
- *   progress:  { [bookId]: { seasonIndex, episodeIndex, currentTime, ... , updatedAt } },
- *   settings:  { resumeRewindSeconds, bookSortMode, ... }
- * }
+ * 所有接口都需要登录，数据按当前用户隔离（services/userData.js）
+ * 收听记录单独存放在同目录的 listening-history.json（services/stats.js）
  */
 
 const express = require('express');
 const router = express.Router();
-const fs = require('fs');
-const path = require('path');
-const { USER_DATA_FILE } = require('../utils/paths');
+const { loadUserData, saveUserData } = require('../services/userData');
+const { addSessions, getRecentSessions, computeStats } = require('../services/stats');
+const { requireUser } = require('../services/auth');
 
-// ========== 文件读写 ==========
+// 时区偏移上限（分钟）：最大的时区是 UTC+14 / UTC-12
+const MAX_TZ_OFFSET = 14 * 60;
 
-function loadUserData() {
-  try {
-    if (fs.existsSync(USER_DATA_FILE)) {
-      return JSON.parse(fs.readFileSync(USER_DATA_FILE, 'utf-8'));
-    }
-  } catch (e) {
-    console.error('Failed to load user data:', e.message);
-  }
-  return { favorites: {}, progress: {}, settings: {} };
-}
-
-function saveUserData(data) {
-  const dir = path.dirname(USER_DATA_FILE);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-  fs.writeFileSync(USER_DATA_FILE, JSON.stringify(data, null, 2), 'utf-8');
-}
+router.use(requireUser);
 
 // ========== 收藏 ==========
 
@@ -46,7 +25,7 @@ function saveUserData(data) {
  * 获取所有收藏
  */
 router.get('/favorites', (req, res) => {
-  const data = loadUserData();
+  const data = loadUserData(req.user.id);
   const list = Object.values(data.favorites || {});
   res.json({ success: true, data: list });
 });
@@ -56,14 +35,14 @@ router.get('/favorites', (req, res) => {
  * 添加/更新收藏
  */
 router.put('/favorites/:bookId', (req, res) => {
-  const data = loadUserData();
+  const data = loadUserData(req.user.id);
   if (!data.favorites) data.favorites = {};
   data.favorites[req.params.bookId] = {
     bookId: req.params.bookId,
     ...req.body,
     addedAt: req.body.addedAt || Date.now(),
   };
-  saveUserData(data);
+  saveUserData(req.user.id, data);
   res.json({ success: true });
 });
 
@@ -72,10 +51,10 @@ router.put('/favorites/:bookId', (req, res) => {
  * 删除收藏
  */
 router.delete('/favorites/:bookId', (req, res) => {
-  const data = loadUserData();
+  const data = loadUserData(req.user.id);
   if (data.favorites) {
     delete data.favorites[req.params.bookId];
-    saveUserData(data);
+    saveUserData(req.user.id, data);
   }
   res.json({ success: true });
 });
@@ -87,7 +66,7 @@ router.delete('/favorites/:bookId', (req, res) => {
  * 获取所有播放进度
  */
 router.get('/progress', (req, res) => {
-  const data = loadUserData();
+  const data = loadUserData(req.user.id);
   const list = Object.values(data.progress || {});
   res.json({ success: true, data: list });
 });
@@ -97,14 +76,14 @@ router.get('/progress', (req, res) => {
  * 保存/更新播放进度
  */
 router.put('/progress/:bookId', (req, res) => {
-  const data = loadUserData();
+  const data = loadUserData(req.user.id);
   if (!data.progress) data.progress = {};
   data.progress[req.params.bookId] = {
     bookId: req.params.bookId,
     ...req.body,
     updatedAt: req.body.updatedAt || Date.now(),
   };
-  saveUserData(data);
+  saveUserData(req.user.id, data);
   res.json({ success: true });
 });
 
@@ -115,7 +94,7 @@ router.put('/progress/:bookId', (req, res) => {
  * 获取用户设置
  */
 router.get('/settings', (req, res) => {
-  const data = loadUserData();
+  const data = loadUserData(req.user.id);
   res.json({ success: true, data: data.settings || {} });
 });
 
@@ -124,11 +103,119 @@ router.get('/settings', (req, res) => {
  * 更新用户设置（增量合并）
  */
 router.put('/settings', (req, res) => {
-  const data = loadUserData();
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({ success: false, error: '设置格式错误' });
+  }
+  const data = loadUserData(req.user.id);
   if (!data.settings) data.settings = {};
   Object.assign(data.settings, req.body);
-  saveUserData(data);
+  saveUserData(req.user.id, data);
   res.json({ success: true, data: data.settings });
 });
 
+// ========== 书签 ==========
+
+/**
+ * GET /api/user/bookmarks?bookId=xxx
+ * 获取书签（可按书籍过滤），按创建时间排序
+ */
+router.get('/bookmarks', (req, res) => {
+  const data = loadUserData(req.user.id);
+  let list = Object.values(data.bookmarks || {});
+  if (req.query.bookId) {
+    list = list.filter(b => b.bookId === req.query.bookId);
+  }
+  list.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  res.json({ success: true, data: list });
+});
+
+/**
+ * PUT /api/user/bookmarks/:bookmarkId
+ * 添加/更新书签
+ */
+router.put('/bookmarks/:bookmarkId', (req, res) => {
+  const { bookId, seasonId, episodeId, time } = req.body;
+  if (!bookId || !seasonId || !episodeId || typeof time !== 'number') {
+    return res.status(400).json({ success: false, error: '书签缺少书籍、集或时间信息' });
+  }
+
+  const data = loadUserData(req.user.id);
+  if (!data.bookmarks) data.bookmarks = {};
+  data.bookmarks[req.params.bookmarkId] = {
+    ...req.body,
+    id: req.params.bookmarkId,
+    createdAt: req.body.createdAt || Date.now(),
+    updatedAt: req.body.updatedAt || Date.now(),
+  };
+  saveUserData(req.user.id, data);
+  res.json({ success: true, data: data.bookmarks[req.params.bookmarkId] });
+});
+
+/**
+ * DELETE /api/user/bookmarks/:bookmarkId
+ * 删除书签
+ */
+router.delete('/bookmarks/:bookmarkId', (req, res) => {
+  const data = loadUserData(req.user.id);
+  if (data.bookmarks) {
+    delete data.bookmarks[req.params.bookmarkId];
+    saveUserData(req.user.id, data);
+  }
+  res.json({ success: true });
+});
+
+// ========== 收听记录与统计 ==========
+
+/**
+ * POST /api/user/sessions
+ * 上报收听记录 { sessions: [...] }（支持离线批量补传，按 id 去重）
+ */
+router.post('/sessions', (req, res) => {
+  try {
+    const sessions = Array.isArray(req.body.sessions) ? req.body.sessions : [req.body];
+    const added = addSessions(req.user.id, sessions);
+    res.json({ success: true, data: { added } });
+  } catch (e) {
+    console.error('Failed to save listening sessions:', e);
+    res.status(500).json({ success: false, error: '保存收听记录失败' });
+  }
+});
+
+/**
+ * GET /api/user/sessions?bookId=xxx&limit=50
+ * 最近的收听记录（新的在前）
+ */
+router.get('/sessions', (req, res) => {
+  try {
+    const limit = Math.min(500, parseInt(req.query.limit) || 50);
+    res.json({ success: true, data: getRecentSessions(req.user.id, { bookId: req.query.bookId, limit }) });
+  } catch (e) {
+    console.error('Failed to get listening sessions:', e);
+    res.status(500).json({ success: false, error: '获取收听记录失败' });
+  }
+});
+
+/**
+ * GET /api/user/stats?tz=-480&days=30&weeks=12
+ * 收听统计：每日/每周收听时长、连续天数、听完的书、每本书收听时长
+ * tz 为客户端 Date#getTimezoneOffset()，用于按本地日期统计（-840 到 840 分钟，即 UTC+14 到 UTC-14）
+ */
+router.get('/stats', (req, res) => {
+  const tzOffset = parseInt(req.query.tz) || 0;
+  if (Math.abs(tzOffset) > MAX_TZ_OFFSET) {
+    return res.status(400).json({ success: false, error: '时区偏移无效' });
+  }
+  try {
+    const stats = computeStats(req.user.id, {
+      tzOffset,
+      days: Math.min(365, parseInt(req.query.days) || 30),
+      weeks: Math.min(104, parseInt(req.query.weeks) || 12),
+    });
+    res.json({ success: true, data: stats });
+  } catch (e) {
+    console.error('Failed to compute stats:', e);
+    res.status(500).json({ success: false, error: '获取收听统计失败' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,435 @@
+/**
+ * 用户账号与登录会话
+ *
+ * 存储文件：users.json
+ * {
+ *   openMode: true,             // 开放模式：未登录的请求视为默认管理员（局域网内免登录）
+ *   profilePicker: true,        // 登录页显示用户列表（家庭局域网内快速切换）
+ *   allowRegistration: false,   // 关闭开放模式时，登录页可自行注册收听者（需设置密码）
+ *   users: [{ id, name, role, passwordHash, salt, avatarColor, createdAt }],
+ *   sessions: { [sha256(token)]: { userId, createdAt, lastUsedAt } }
+ * }
+ *
+ * - 角色：admin 可管理书库（配置、目录浏览、上传、元数据、封面）；listener 只能收听
+ * - 密码使用 scrypt + 随机盐哈希保存；开放模式下未设置密码的用户可在用户列表中直接进入，
+ *   关闭开放模式后未设置密码的用户不能登录（已有的会话也不再有效）
+ * - 登录后下发 HttpOnly Cookie，<audio>/<img> 请求也能自动携带；
+ *   脚本等第三方客户端也可使用 Authorization: Bearer <token>
+ * - 首次启动时创建默认用户（管理员），原有的全局收藏/进度/设置迁移到该用户
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { USERS_FILE } = require('../utils/paths');
+
+const SESSION_COOKIE = 'audiooook_session';
+const SESSION_MAX_AGE_MS = 180 * 24 * 60 * 60 * 1000;
+// lastUsedAt 最多每小时写一次文件
+const SESSION_TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_USER_ID = 'default';
+const ROLES = ['admin', 'listener'];
+const AVATAR_COLORS = ['#f59e0b', '#ef4444', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+
+// ========== 文件读写 ==========
+
+let store = null;
+
+function loadStore() {
+  if (store) return store;
+  try {
+    if (fs.existsSync(USERS_FILE)) {
+      store = JSON.parse(fs.readFileSync(USERS_FILE, 'utf-8'));
+    }
+  } catch (e) {
+    console.error('Failed to load users:', e.message);
+  }
+  if (!store) store = { openMode: true, profilePicker: true, users: [], sessions: {} };
+  if (!store.sessions) store.sessions = {};
+  // 升级前没有开放模式：保持原来免登录的行为
+  if (store.openMode === undefined) store.openMode = true;
+
+  // 首次启动：创建默认用户（原有数据归属该用户）
+  if (store.users.length === 0) {
+    store.users.push({
+      id: DEFAULT_USER_ID,
+      name: '默认用户',
+      role: 'admin',
+      passwordHash: null,
+      salt: null,
+      avatarColor: AVATAR_COLORS[0],
+      createdAt: Date.now(),
+    });
+    saveStore();
+  }
+
+  // 升级前没有角色：默认用户（或第一个用户）为管理员，其余为收听者
+  if (store.users.some(u => !u.role)) {
+    const adminId = findUserIn(store, DEFAULT_USER_ID) ? DEFAULT_USER_ID : store.users[0].id;
+    for (const u of store.users) {
+      if (!u.role) u.role = u.id === adminId ? 'admin' : 'listener';
+    }
+    saveStore();
+  }
+  return store;
+}
+
+function findUserIn(s, userId) {
+  return s.users.find(u => u.id === userId) || null;
+}
+
+function saveStore() {
+  const dir = path.dirname(USERS_FILE);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(USERS_FILE, JSON.stringify(store, null, 2), 'utf-8');
+}
+
+// ========== 密码 ==========
+
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+function verifyPassword(user, password) {
+  if (!user.passwordHash) return true;
+  if (typeof password !== 'string') return false;
+  const expected = Buffer.from(user.passwordHash, 'hex');
+  const actual = Buffer.from(hashPassword(password, user.salt), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function applyPassword(user, password) {
+  if (password) {
+    user.salt = crypto.randomBytes(16).toString('hex');
+    user.passwordHash = hashPassword(password, user.salt);
+  } else {
+    user.salt = null;
+    user.passwordHash = null;
+  }
+}
+
+// ========== 用户 ==========
+
+/**
+ * 对外公开的用户信息（不含密码哈希）
+ */
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    role: user.role,
+    avatarColor: user.avatarColor,
+    hasPassword: !!user.passwordHash,
+    createdAt: user.createdAt,
+  };
+}
+
+function getUsers() {
+  return loadStore().users;
+}
+
+function findUser(userId) {
+  return findUserIn(loadStore(), userId);
+}
+
+function findUserByName(name) {
+  const target = String(name || '').trim().toLowerCase();
+  return loadStore().users.find(u => u.name.toLowerCase() === target) || null;
+}
+
+function isAdmin(user) {
+  return !!user && user.role === 'admin';
+}
+
+function countAdmins(exceptUserId) {
+  return loadStore().users.filter(u => u.role === 'admin' && u.id !== exceptUserId).length;
+}
+
+/**
+ * 创建用户，名称重复时抛出错误（默认为收听者）
+ */
+function createUser({ name, password, role = 'listener' }) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('用户名不能为空');
+  if (trimmed.length > 32) throw new Error('用户名不能超过 32 个字符');
+  if (findUserByName(trimmed)) throw new Error('用户名已存在');
+  if (!ROLES.includes(role)) throw new Error('无效的角色');
+
+  const s = loadStore();
+  const user = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name: trimmed,
+    role,
+    passwordHash: null,
+    salt: null,
+    avatarColor: AVATAR_COLORS[s.users.length % AVATAR_COLORS.length],
+    createdAt: Date.now(),
+  };
+  applyPassword(user, password);
+  s.users.push(user);
+  saveStore();
+  return user;
+}
+
+/**
+ * 修改用户名/密码/角色（password 为空字符串时清除密码）
+ */
+function updateUser(userId, { name, password, role }) {
+  const user = findUser(userId);
+  if (!user) throw new Error('用户不存在');
+
+  if (name !== undefined) {
+    const trimmed = String(name).trim();
+    if (!trimmed) throw new Error('用户名不能为空');
+    const existing = findUserByName(trimmed);
+    if (existing && existing.id !== userId) throw new Error('用户名已存在');
+    user.name = trimmed;
+  }
+  if (role !== undefined && role !== user.role) {
+    if (!ROLES.includes(role)) throw new Error('无效的角色');
+    if (user.role === 'admin' && countAdmins(userId) === 0) throw new Error('至少需要保留一个管理员');
+    user.role = role;
+  }
+  if (password !== undefined) applyPassword(user, password);
+
+  saveStore();
+  return user;
+}
+
+/**
+ * 删除用户及其登录会话（至少保留一个管理员）
+ */
+function deleteUser(userId) {
+  const s = loadStore();
+  const user = findUser(userId);
+  if (!user) throw new Error('用户不存在');
+  if (user.role === 'admin' && countAdmins(userId) === 0) throw new Error('至少需要保留一个管理员');
+
+  s.users = s.users.filter(u => u.id !== userId);
+  for (const key of Object.keys(s.sessions)) {
+    if (s.sessions[key].userId === userId) delete s.sessions[key];
+  }
+  saveStore();
+}
+
+/**
+ * 用户是否可以不输入密码登录（用户列表中直接进入）
+ * 只在开放模式下可以；关闭开放模式后所有用户都必须使用密码登录
+ */
+function canLoginWithoutPassword(user) {
+  return isOpenMode() && isProfilePickerEnabled();
+}
+
+function isOpenMode() {
+  return loadStore().openMode !== false;
+}
+
+function setOpenMode(enabled) {
+  loadStore().openMode = !!enabled;
+  saveStore();
+}
+
+function isProfilePickerEnabled() {
+  return loadStore().profilePicker !== false;
+}
+
+function setProfilePicker(enabled) {
+  loadStore().profilePicker = !!enabled;
+  saveStore();
+}
+
+/**
+ * 登录页能否自行注册收听者：开放模式下可以，否则需管理员开启 allowRegistration（默认关闭）
+ */
+function isRegistrationAllowed() {
+  return isOpenMode() || getAllowRegistration();
+}
+
+function getAllowRegistration() {
+  return loadStore().allowRegistration === true;
+}
+
+function setAllowRegistration(enabled) {
+  loadStore().allowRegistration = !!enabled;
+  saveStore();
+}
+
+// ========== 登录会话 ==========
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 创建登录会话，返回原始 token（只保存其哈希）
+ */
+function createSession(userId) {
+  const s = loadStore();
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  s.sessions[hashToken(token)] = { userId, createdAt: now, lastUsedAt: now };
+
+  // 顺便清理过期会话
+  for (const key of Object.keys(s.sessions)) {
+    if (now - s.sessions[key].lastUsedAt > SESSION_MAX_AGE_MS) delete s.sessions[key];
+  }
+  saveStore();
+  return token;
+}
+
+function destroySession(token) {
+  if (!token) return;
+  const s = loadStore();
+  delete s.sessions[hashToken(token)];
+  saveStore();
+}
+
+/**
+ * 根据 token 获取登录用户，过期或用户已删除时返回 null
+ */
+function getSessionUser(token) {
+  if (!token) return null;
+  const s = loadStore();
+  const key = hashToken(token);
+  const session = s.sessions[key];
+  if (!session) return null;
+
+  const now = Date.now();
+  if (now - session.lastUsedAt > SESSION_MAX_AGE_MS) {
+    delete s.sessions[key];
+    saveStore();
+    return null;
+  }
+  const user = findUser(session.userId);
+  if (!user) return null;
+
+  if (now - session.lastUsedAt > SESSION_TOUCH_INTERVAL_MS) {
+    session.lastUsedAt = now;
+    saveStore();
+  }
+  return user;
+}
+
+// ========== Cookie / 中间件 ==========
+
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    const key = part.slice(0, index).trim();
+    try {
+      cookies[key] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      cookies[key] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim() || null;
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function setSessionCookie(res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    maxAge: SESSION_MAX_AGE_MS,
+    path: '/',
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+/**
+ * 开放模式下未登录请求使用的用户：默认用户（仍为管理员时），否则第一个管理员
+ */
+function getOpenModeUser() {
+  const s = loadStore();
+  const fallback = findUserIn(s, DEFAULT_USER_ID);
+  return isAdmin(fallback) ? fallback : s.users.find(isAdmin);
+}
+
+/**
+ * 按会话令牌解析当前用户，返回 { user, anonymous }（未登录时 user 为 null）
+ * 关闭开放模式后，未设置密码的用户的会话视为未登录；
+ * 开放模式下未登录视为默认管理员，anonymous = true
+ */
+function resolveUser(token) {
+  const user = getSessionUser(token);
+  if (user && (user.passwordHash || isOpenMode())) return { user, anonymous: false };
+  if (isOpenMode()) return { user: getOpenModeUser(), anonymous: true };
+  return { user: null, anonymous: false };
+}
+
+/**
+ * 解析当前登录用户到 req.user 和 req.anonymous（规则见 resolveUser）
+ */
+function attachUser(req, res, next) {
+  const { user, anonymous } = resolveUser(getRequestToken(req));
+  req.user = user;
+  req.anonymous = anonymous;
+  next();
+}
+
+/**
+ * 要求已登录（收听者或管理员）
+ */
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ success: false, error: '请先登录' });
+  }
+  next();
+}
+
+/**
+ * 要求管理员
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ success: false, error: '请先登录' });
+  }
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ success: false, error: '需要管理员权限' });
+  }
+  next();
+}
+
+module.exports = {
+  DEFAULT_USER_ID,
+  ROLES,
+  toPublicUser,
+  getUsers,
+  findUser,
+  findUserByName,
+  createUser,
+  updateUser,
+  deleteUser,
+  verifyPassword,
+  isAdmin,
+  canLoginWithoutPassword,
+  isOpenMode,
+  setOpenMode,
+  isProfilePickerEnabled,
+  setProfilePicker,
+  isRegistrationAllowed,
+  getAllowRegistration,
+  setAllowRegistration,
+  createSession,
+  destroySession,
+  getRequestToken,
+  resolveUser,
+  setSessionCookie,
+  clearSessionCookie,
+  attachUser,
+  requireUser,
+  requireAdmin,
+};
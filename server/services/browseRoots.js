@@ -0,0 +1,83 @@
+/**
+ * 目录浏览白名单
+ *
+ * 目录浏览器与有声书路径只能位于允许的根目录之内（例如 Docker 挂载的卷）
+ * 配置优先级：环境变量 BROWSE_ROOTS（逗号分隔）> config.json 的 browseRoots > 默认有声书目录
+ *
+ * 判断前会解析符号链接（realpath），防止通过符号链接跳出根目录
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_FILE } = require('../utils/paths');
+const { getDefaultAudiobookPath } = require('./scanner');
+
+function readConfiguredRoots() {
+  if (process.env.BROWSE_ROOTS) {
+    return process.env.BROWSE_ROOTS.split(',');
+  }
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+      if (Array.isArray(config.browseRoots) && config.browseRoots.length > 0) {
+        return config.browseRoots;
+      }
+    }
+  } catch { /* ignore */ }
+  return [getDefaultAudiobookPath()];
+}
+
+function realpathOrNull(p) {
+  try {
+    return fs.realpathSync(p);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 允许的根目录（已解析为真实路径，不存在的目录会被忽略）
+ * 返回 [{ path, real }]，path 为配置中的写法（绝对路径），real 为解析后的真实路径
+ */
+function getBrowseRoots() {
+  const roots = [];
+  const seen = new Set();
+  for (const raw of readConfiguredRoots()) {
+    const trimmed = String(raw || '').trim();
+    if (!trimmed) continue;
+    const resolved = path.resolve(trimmed);
+    const real = realpathOrNull(resolved);
+    if (!real || seen.has(real)) continue;
+    seen.add(real);
+    roots.push({ path: resolved, real });
+  }
+  return roots;
+}
+
+function isInside(child, parent) {
+  const relative = path.relative(parent, child);
+  return relative === ''
+    || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+/**
+ * 路径（解析符号链接后）所在的根目录，不在任何根目录内时返回 null
+ */
+function findRoot(targetPath, roots = getBrowseRoots()) {
+  const real = realpathOrNull(path.resolve(targetPath));
+  if (!real) return null;
+  return roots.find(root => isInside(real, root.real)) || null;
+}
+
+/**
+ * 路径是否位于允许的根目录之内
+ */
+function isAllowedPath(targetPath) {
+  return !!findRoot(targetPath);
+}
+
+module.exports = {
+  getBrowseRoots,
+  findRoot,
+  isAllowedPath,
+};
@@ -0,0 +1,131 @@
+/**
+ * 章节：内嵌章节（M4B 等单文件有声书）和 CUE 分轨（整轨 FLAC/APE/WAV + .cue）
+ *
+ * 章节来源（applyTags 时写入 episode.chapters，CUE 优先）：
+ * - 读取标签时由 FFmpeg 读出的内嵌章节（services/tags.js），两个以上章节才使用
+ * - 扫描时读取的同目录 CUE 文件（loadCueSheets，episode.cue = { sheet, tracks }），任何书库都可用
+ * 索引中仍是一个文件一集（格式转换、响度分析、ID 登记都按文件），
+ * 书籍详情中这样的集展开为多个虚拟的集：
+ *   id             「文件的集 ID-章节序号」
+ *   start / end    在文件中的起止位置（秒，end 为 null 时到文件结尾）
+ *   fileEpisodeId  内嵌章节：所在文件的集 ID。客户端请求整个文件（离线缓存也按文件），在文件内跳转
+ *   cueSheet       CUE 分轨：CUE 文件名。音频接口由 FFmpeg 只截取这一轨（播放、下载、离线缓存都按轨）
+ */
+
+const { decodeCueText, parseCueSheet } = require('../utils/cue');
+const { getExtension } = require('../utils/parser');
+
+// 超过这个大小的 .cue 不是索引文件，不读取
+const MAX_CUE_SIZE = 512 * 1024;
+
+/**
+ * 章节展开后的集 ID
+ */
+function toChapterId(episodeId, index) {
+  return `${episodeId}-${index + 1}`;
+}
+
+/**
+ * 把一集展开为章节（没有章节时原样返回 [episode]）
+ * episode 为对外的集数据（已去掉内部字段），source 为索引中的这一集
+ */
+function expandChapters(episode, source) {
+  const { chapters, cue } = source;
+  if (!chapters || chapters.length < 2) return [episode];
+  return chapters.map((chapter, index) => {
+    // 最后一章的结束位置以文件时长为准
+    const end = index === chapters.length - 1 && episode.duration ? episode.duration : chapter.end;
+    return {
+      ...episode,
+      id: toChapterId(episode.id, index),
+      name: chapter.title || `第 ${index + 1} 章`,
+      duration: end ? Math.max(0, Math.round((end - chapter.start) * 10) / 10) : null,
+      start: chapter.start,
+      end,
+      ...(cue ? { cueSheet: cue.sheet } : { fileEpisodeId: episode.id }),
+    };
+  });
+}
+
+/**
+ * 在季中按章节展开后的集 ID 查找所在文件的集 { episode, chapter }，找不到时返回 null
+ */
+function findChapterEpisode(season, episodeId) {
+  for (const episode of season.episodes) {
+    const index = (episode.chapters || []).findIndex((_, i) => toChapterId(episode.id, i) === episodeId);
+    if (index >= 0) return { episode, chapter: episode.chapters[index] };
+  }
+  return null;
+}
+
+// ========== CUE ==========
+
+/**
+ * 经由存储驱动读取小文件，超过 MAX_CUE_SIZE 时返回 null
+ */
+async function readSmallFile(driver, key) {
+  const { stream } = await driver.read(key);
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size > MAX_CUE_SIZE) {
+      stream.destroy();
+      return null;
+    }
+  }
+  return Buffer.concat(chunks);
+}
+
+const dirOf = key => key.slice(0, key.lastIndexOf('/') + 1);
+const stemOf = name => name.slice(0, name.length - getExtension(name).length).toLowerCase();
+
+/**
+ * CUE 中的 FILE 对应的集：同目录下同名的文件，其次同名不同扩展名（已转换格式、抓轨软件写的是 .wav），
+ * 其次与 .cue 同名的文件，最后目录中只有一个音频文件时就是它
+ */
+function matchCueFile(episodes, fileName, cueName, fileCount) {
+  const name = fileName.split(/[\\/]/).pop();
+  return episodes.find(ep => ep.fileName.toLowerCase() === name.toLowerCase())
+    || episodes.find(ep => stemOf(ep.fileName) === stemOf(name))
+    || (fileCount === 1 ? episodes.find(ep => stemOf(ep.fileName) === stemOf(cueName)) : null)
+    || (fileCount === 1 && episodes.length === 1 ? episodes[0] : null);
+}
+
+/**
+ * 读取书中的 CUE 文件，把分轨记录到对应的集（episode.cue = { sheet, tracks }，就地修改）
+ * files 为书籍目录下的文件（同 scanBookFiles），经由存储驱动读取；读取或解析失败的 CUE 忽略
+ */
+async function loadCueSheets(book, files, driver) {
+  const cueFiles = files.filter(f => getExtension(f.relPath) === '.cue'
+    && !f.relPath.split('/').some(part => part.startsWith('.'))
+    && !(f.size > MAX_CUE_SIZE));
+  if (cueFiles.length === 0) return;
+
+  const episodes = book.seasons.flatMap(s => s.episodes);
+  for (const f of cueFiles) {
+    let sheet;
+    try {
+      const buffer = await readSmallFile(driver, f.key);
+      if (!buffer) continue;
+      sheet = parseCueSheet(decodeCueText(buffer));
+    } catch (e) {
+      console.warn(`[Chapters] 无法读取 CUE: ${f.relPath}: ${e.message}`);
+      continue;
+    }
+
+    const cueName = f.relPath.split('/').pop();
+    const siblings = episodes.filter(ep => ep.key && dirOf(ep.key) === dirOf(f.key));
+    for (const { fileName, tracks } of sheet) {
+      const episode = matchCueFile(siblings, fileName, cueName, sheet.length);
+      if (episode && !episode.cue) episode.cue = { sheet: cueName, tracks };
+    }
+  }
+}
+
+module.exports = {
+  loadCueSheets,
+  expandChapters,
+  findChapterEpisode,
+};
@@ -2,70 +2,143 @@
  * 音频格式转换服务
  *
  * 架构：当检测到书籍包含 WMA/APE 文件时，后台全量转换为 AAC (.m4a)，
- * 转换完成后删除原始文件。之后播放直接读取 .m4a，无需在线转码。
+ * 之后播放直接读取 .m4a，无需在线转码。
  *
- * 转换参数：AAC 64kbps / 44.1kHz / mono（人声有声书最优平衡）
- * 性能保护：动态并发 + CPU/内存监控（不超过 85%）
+ * 原文件处理方式（config.json 的 conversion.policy > 环境变量 CONVERSION_POLICY）：
+ * - delete：转换完成后删除原始文件（默认）
+ * - keep：保留原始文件，.m4a 写在同一目录
+ * - cache：保留原始文件，.m4a 写到单独的缓存目录（conversion.cacheDir > CONVERSION_CACHE_DIR），
+ *   按「书库 ID/书库内路径」镜像书库的目录结构
+ * 保留原文件时，扫描（scanner.js）把转换后的副本挂到原文件那一集上，不会列出两集
+ *
+ * 转换参数由命名的转换配置（profile）决定：编码、码率、采样率、声道数、响度标准化。
+ * 内置 voice（AAC 64kbps / 44.1kHz / mono，人声有声书最优平衡）、stereo、compact，
+ * config.json 的 conversion.profiles 可新增或覆盖。
+ * 选用顺序：书籍元数据的 conversionProfile > conversion.libraryProfiles[书库 ID] > conversion.defaultProfile > voice
+ *
+ * 每个文件的转换是持久化任务队列（services/jobQueue.js）中的一个 convert 任务，
+ * 并发、暂停、取消、重试和优先级由队列处理；一本书的任务全部结束后书库索引刷新（见 services/library.js）
  */
 
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 const { spawn } = require('child_process');
-
-const SYSTEM_LOAD_LIMIT = 0.85;
-const MAX_CONCURRENCY = 10;
+const storage = require('./storage');
+const jobQueue = require('./jobQueue');
+const liveEvents = require('./liveEvents');
+const { isRemotePath } = require('./storage/utils');
+const { getBookMetadata } = require('./scanner');
+const { CONFIG_FILE, SERVER_DATA_DIR } = require('../utils/paths');
 
 // 需要转换的格式
 const CONVERT_EXTENSIONS = new Set(['.wma', '.ape']);
 
-// ========== 每本书的转换进度 ==========
-// bookId -> { total, completed, failed, failedFiles, currentFile, status: 'idle'|'converting'|'done'|'error' }
-const bookProgress = new Map();
+const CONVERSION_POLICIES = ['delete', 'keep', 'cache'];
+const DEFAULT_CACHE_DIR = path.join(SERVER_DATA_DIR, 'converted');
 
-// Permanently failed files — never retry these
-const permanentlyFailed = new Set();
-
-// 全局活跃 worker 数
-let activeWorkers = 0;
+// 编码 → FFmpeg 编码器与输出容器
+const CODECS = {
+  aac: { encoder: 'aac', ext: '.m4a', format: 'mp4' },
+  opus: { encoder: 'libopus', ext: '.opus', format: 'ogg' },
+  mp3: { encoder: 'libmp3lame', ext: '.mp3', format: 'mp3' },
+};
+const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+const DEFAULT_PROFILE = 'voice';
+// 同一本书的进度变化合并推送的间隔
+const CONVERSION_PUSH_DELAY_MS = 500;
+// 已提示过的无效配置（每次读取配置都会校验，只提示一次）
+const warnedProfiles = new Set();
+
+const BUILTIN_PROFILES = {
+  voice: { codec: 'aac', bitrate: '64k', sampleRate: 44100, channels: 1, loudnorm: false },
+  stereo: { codec: 'aac', bitrate: '128k', sampleRate: 44100, channels: 2, loudnorm: false },
+  compact: { codec: 'opus', bitrate: '32k', sampleRate: 48000, channels: 1, loudnorm: false },
+};
 
-// ========== 系统性能监控 ==========
+// ========== 原文件处理方式 ==========
 
-let lastCpuSnapshot = null;
+function readSavedConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8')).conversion || {};
+    }
+  } catch { /* ignore */ }
+  return {};
+}
 
-function getCpuSnapshot() {
-  const cpus = os.cpus();
-  let totalIdle = 0, totalTick = 0;
-  for (const cpu of cpus) {
-    for (const type in cpu.times) totalTick += cpu.times[type];
-    totalIdle += cpu.times.idle;
+/**
+ * 校验转换配置，未填写的字段取 voice 的值；无效时抛出
+ */
+function normalizeProfile(raw) {
+  const profile = { ...BUILTIN_PROFILES[DEFAULT_PROFILE], ...raw };
+  const { codec, bitrate, sampleRate, channels, loudnorm } = profile;
+  if (!CODECS[codec]) throw new Error(`不支持的编码: ${codec}`);
+  if (!/^\d+k$/.test(String(bitrate))) throw new Error(`码率格式错误: ${bitrate}`);
+  const rate = Number(sampleRate);
+  if (codec === 'opus' ? !OPUS_SAMPLE_RATES.includes(rate) : !(rate >= 8000 && rate <= 96000)) {
+    throw new Error(`采样率不支持: ${sampleRate}`);
   }
-  return { idle: totalIdle, total: totalTick };
+  if (![1, 2].includes(Number(channels))) throw new Error(`声道数只能为 1 或 2: ${channels}`);
+  return { codec, bitrate: String(bitrate), sampleRate: rate, channels: Number(channels), loudnorm: !!loudnorm };
 }
 
-function getCpuUsage() {
-  const current = getCpuSnapshot();
-  if (!lastCpuSnapshot) {
-    lastCpuSnapshot = current;
-    const loadAvg1m = os.loadavg()[0];
-    return Math.min(1, loadAvg1m / os.cpus().length);
+/**
+ * 所有转换配置（内置 + config.json），无效的配置跳过
+ */
+function getProfiles(saved = readSavedConfig()) {
+  const profiles = { ...BUILTIN_PROFILES };
+  for (const [name, raw] of Object.entries(saved.profiles || {})) {
+    try {
+      profiles[name] = normalizeProfile(raw);
+    } catch (e) {
+      if (!warnedProfiles.has(name)) console.warn(`[Converter] 转换配置 "${name}" 无效，已忽略: ${e.message}`);
+      warnedProfiles.add(name);
+    }
   }
-  const idleDiff = current.idle - lastCpuSnapshot.idle;
-  const totalDiff = current.total - lastCpuSnapshot.total;
-  lastCpuSnapshot = current;
-  return totalDiff === 0 ? 0 : 1 - (idleDiff / totalDiff);
+  return profiles;
 }
 
-function getMemUsage() {
-  return (os.totalmem() - os.freemem()) / os.totalmem();
+/**
+ * 转换配置 { policy, cacheDir, profiles, defaultProfile, libraryProfiles }
+ */
+function getConversionConfig() {
+  const saved = readSavedConfig();
+  const policy = saved.policy || process.env.CONVERSION_POLICY;
+  const profiles = getProfiles(saved);
+  return {
+    policy: CONVERSION_POLICIES.includes(policy) ? policy : 'delete',
+    cacheDir: path.resolve(saved.cacheDir || process.env.CONVERSION_CACHE_DIR || DEFAULT_CACHE_DIR),
+    profiles,
+    defaultProfile: profiles[saved.defaultProfile] ? saved.defaultProfile : DEFAULT_PROFILE,
+    libraryProfiles: saved.libraryProfiles || {},
+  };
 }
 
-function isSystemOverloaded() {
-  return getCpuUsage() > SYSTEM_LOAD_LIMIT || getMemUsage() > SYSTEM_LOAD_LIMIT;
+/**
+ * 一本书使用的转换配置名称（已不存在的配置跳过）
+ */
+function getBookProfileName(book, config = getConversionConfig()) {
+  const candidates = [getBookMetadata(book.id).conversionProfile, config.libraryProfiles[book.libraryId]];
+  return candidates.find(name => name && config.profiles[name]) || config.defaultProfile;
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * 书库的转换缓存目录（本地驱动，存储键与书库中的原文件相同，扩展名随编码）
+ */
+function getCacheStorage(libraryId) {
+  const { cacheDir } = getConversionConfig();
+  return storage.getDriver({ id: `converted:${libraryId}`, source: 'local', options: { path: path.join(cacheDir, libraryId) } });
+}
+
+/**
+ * 一集转换后的输出路径
+ */
+function getOutputPath(book, ep, { policy, cacheDir }, profile) {
+  const fileName = `${path.basename(ep.fileName, path.extname(ep.fileName))}${CODECS[profile.codec].ext}`;
+  if (policy !== 'cache') return path.join(path.dirname(ep.filePath), fileName);
+  const dir = path.relative(path.dirname(book.path), path.dirname(ep.filePath));
+  return path.join(cacheDir, book.libraryId, dir, fileName);
 }
 
 // ========== 判断文件是否需要转换 ==========
@@ -78,42 +151,82 @@ function needsConversion(filename) {
 // ========== 单文件转换 ==========
 
 /**
- * 将单个音频文件转换为 AAC (.m4a)
- * 成功后删除原始文件，返回新文件路径
+ * 读取 FFmpeg -progress pipe:1 的输出（out_time_us=微秒），按已知时长（秒）报告进度 onProgress(0 ~ 1)
  */
-function convertFile(inputPath) {
+function watchProgress(stdout, duration, onProgress) {
+  stdout.on('data', (chunk) => {
+    if (!onProgress || !(duration > 0)) return;
+    // 旧版 FFmpeg 的 out_time_ms 实际也是微秒
+    const matches = [...chunk.toString().matchAll(/out_time_(?:us|ms)=(\d+)/g)];
+    if (matches.length === 0) return;
+    const seconds = Number(matches[matches.length - 1][1]) / 1e6;
+    onProgress(Math.min(1, seconds / duration));
+  });
+}
+
+/**
+ * 按转换配置转换单个音频文件，默认写在原文件旁边
+ * deleteSource 为 true 时成功后删除原始文件；overwrite 为 true 时覆盖已有的输出（重新转换）
+ * signal 中止时终止 FFmpeg；已知时长（秒）时通过 onProgress(0 ~ 1) 报告进度
+ * 返回新文件路径
+ */
+function convertFile(inputPath, {
+  outputPath = null,
+  deleteSource = true,
+  profile = BUILTIN_PROFILES[DEFAULT_PROFILE],
+  overwrite = false,
+  signal = null,
+  duration = 0,
+  onProgress = null,
+} = {}) {
   return new Promise((resolve, reject) => {
-    const dir = path.dirname(inputPath);
-    const baseName = path.basename(inputPath, path.extname(inputPath));
-    const outputPath = path.join(dir, `${baseName}.m4a`);
+    const codec = CODECS[profile.codec];
+    if (!outputPath) {
+      const baseName = path.basename(inputPath, path.extname(inputPath));
+      outputPath = path.join(path.dirname(inputPath), `${baseName}${codec.ext}`);
+    }
     const tempPath = outputPath + '.tmp';
 
-    if (fs.existsSync(outputPath)) {
+    if (!overwrite && fs.existsSync(outputPath)) {
       try {
         const stat = fs.statSync(outputPath);
         if (stat.size > 1024) {
-          fs.unlinkSync(inputPath);
+          if (deleteSource) fs.unlinkSync(inputPath);
           return resolve(outputPath);
         }
         fs.unlinkSync(outputPath);
       } catch { /* continue to convert */ }
     }
 
+    try {
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    } catch (e) {
+      return reject(new Error(`无法创建输出目录: ${e.message}`));
+    }
+
     const startTime = Date.now();
     const stderrChunks = [];
 
     const ffmpeg = spawn('ffmpeg', [
       '-i', inputPath,
-      '-c:a', 'aac',
-      '-b:a', '64k',
-      '-ar', '44100',
-      '-ac', '1',
+      '-vn',
+      ...(profile.loudnorm ? ['-af', 'loudnorm=I=-16:TP=-1.5:LRA=11'] : []),
+      '-c:a', codec.encoder,
+      '-b:a', profile.bitrate,
+      '-ar', String(profile.sampleRate),
+      '-ac', String(profile.channels),
       '-y',
       '-v', 'error',
+      // 进度（out_time_us=微秒）按行写到 stdout
+      '-progress', 'pipe:1',
+      '-nostats',
+      // 临时文件的扩展名无法推断容器格式
+      '-f', codec.format,
       tempPath,
-    ]);
+    ], signal ? { signal } : {});
 
     ffmpeg.stderr.on('data', (chunk) => stderrChunks.push(chunk));
+    watchProgress(ffmpeg.stdout, duration, onProgress);
 
     ffmpeg.on('close', (code) => {
       if (code === 0 && fs.existsSync(tempPath)) {
@@ -124,9 +237,9 @@ function convertFile(inputPath) {
             return reject(new Error('转换输出文件过小，可能失败'));
           }
           fs.renameSync(tempPath, outputPath);
-          fs.unlinkSync(inputPath);
+          if (deleteSource) fs.unlinkSync(inputPath);
           const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-          console.log(`[Converter] ✓ ${path.basename(inputPath)} → .m4a (${elapsed}s)`);
+          console.log(`[Converter] ✓ ${path.basename(inputPath)} → ${codec.ext} (${elapsed}s)`);
           resolve(outputPath);
         } catch (e) {
           reject(new Error(`文件操作失败: ${e.message}`));
@@ -141,7 +254,7 @@ function convertFile(inputPath) {
 
     ffmpeg.on('error', (err) => {
       try { fs.unlinkSync(tempPath); } catch { /* ignore */ }
-      reject(err);
+      reject(err.name === 'AbortError' ? new Error('转换已中止') : err);
     });
   });
 }
@@ -149,121 +262,157 @@ function convertFile(inputPath) {
 // ========== 整本书转换 ==========
 
 /**
- * 收集一本书中所有需要转换的文件路径
+ * 这一集是否需要转换（已有转换后的副本时不需要）
+ * 非本地存储中的文件无法原地转换，跳过
  */
-function collectFilesToConvert(book) {
+function episodeNeedsConversion(ep) {
+  return !isRemotePath(ep.filePath) && !ep.converted && needsConversion(ep.fileName);
+}
+
+/**
+ * 已有副本的文件路径
+ */
+function getConvertedPath(book, ep) {
+  const { converted } = ep;
+  if (converted.cached) return getCacheStorage(book.libraryId).resolve(converted.key);
+  return path.join(path.dirname(ep.filePath), converted.fileName);
+}
+
+/**
+ * 收集一本书中所有需要转换的文件 [{ input, output, deleteSource, profile, overwrite, replaces, duration }]
+ * （按当前的原文件处理方式和这本书的转换配置）
+ * reconvert 为 true 时已有副本、原文件仍在的集也重新转换，覆盖或替换旧副本
+ */
+function collectFilesToConvert(book, { reconvert = false } = {}) {
   const files = [];
   if (!book.seasons) return files;
+  const config = getConversionConfig();
+  const profile = config.profiles[getBookProfileName(book, config)];
   for (const season of book.seasons) {
     for (const ep of season.episodes) {
-      if (needsConversion(ep.fileName)) {
-        files.push(ep.filePath);
-      }
+      const convertible = reconvert
+        ? !isRemotePath(ep.filePath) && needsConversion(ep.fileName)
+        : episodeNeedsConversion(ep);
+      if (!convertible) continue;
+      files.push({
+        input: ep.filePath,
+        output: getOutputPath(book, ep, config, profile),
+        deleteSource: config.policy === 'delete',
+        profile,
+        overwrite: reconvert,
+        replaces: ep.converted ? getConvertedPath(book, ep) : null,
+        duration: ep.duration || 0,
+      });
     }
   }
   return files;
 }
 
 /**
- * 启动一本书的全量格式转换
- * 如果已经在转换中则跳过
+ * 这本书是否还有排队中或正在转换的文件
  */
-function startBookConversion(book) {
-  if (!book || !book.id) return;
-
-  const existing = bookProgress.get(book.id);
-  if (existing && existing.status === 'converting') return;
-
-  const allFiles = collectFilesToConvert(book);
-  // Filter out files that have permanently failed — no point retrying
-  const files = allFiles.filter(f => !permanentlyFailed.has(f));
-  if (files.length === 0) return;
-
-  const progress = {
-    total: files.length,
-    completed: 0,
-    failed: 0,
-    failedFiles: [],
-    currentFile: '',
-    status: 'converting',
-    startedAt: Date.now(),
-  };
-  bookProgress.set(book.id, progress);
-
-  console.log(`[Converter] 开始转换: "${book.name}" (${files.length} 个文件)`);
-  runConversionQueue(book.id, files, progress);
+function isConverting(bookId) {
+  return jobQueue.hasActiveJobs(bookId, { type: 'convert' });
 }
 
 /**
- * 并发执行转换队列
+ * 把一本书需要转换的文件加入任务队列，返回加入的文件数
+ * 已在队列中的跳过；自动触发时上次失败或被取消的文件也跳过（在任务页面手动重试）
+ * reconvert: 用这本书当前的转换配置重新转换所有仍保留原文件的集（见 collectFilesToConvert）
+ * priority: 任务优先级（jobQueue.PRIORITY）
  */
-async function runConversionQueue(bookId, files, progress) {
-  const queue = [...files];
-  const cpuCores = os.cpus().length;
-  const maxWorkers = Math.max(1, Math.min(Math.floor(cpuCores / 2), MAX_CONCURRENCY));
-
-  const worker = async () => {
-    activeWorkers++;
-    while (queue.length > 0) {
-      // 系统过载时等待
-      let overloadRetries = 0;
-      while (isSystemOverloaded() && overloadRetries < 6) {
-        overloadRetries++;
-        console.log(`[Converter] 系统负载高，等待中... (${overloadRetries}/6)`);
-        await sleep(10000);
-      }
-      if (overloadRetries >= 6) {
-        console.log('[Converter] 系统持续过载，Worker 暂时退出');
-        break;
-      }
-
-      const filePath = queue.shift();
-      if (!filePath) break;
+function startBookConversion(book, { reconvert = false, priority = jobQueue.PRIORITY.normal } = {}) {
+  if (!book || !book.id) return 0;
 
-      progress.currentFile = path.basename(filePath);
-
-      try {
-        await convertFile(filePath);
-        progress.completed++;
-      } catch (e) {
-        progress.failed++;
-        progress.failedFiles.push({ file: path.basename(filePath), error: e.message });
-        permanentlyFailed.add(filePath);
-        console.error(`[Converter] ✗ ${path.basename(filePath)}: ${e.message}`);
-      }
-    }
-    activeWorkers--;
-  };
+  const files = collectFilesToConvert(book, { reconvert }).filter((task) => {
+    if (reconvert) return true;
+    const latest = jobQueue.findLatestJob(task.input);
+    return !latest || !['failed', 'cancelled'].includes(latest.status);
+  });
+  if (files.length === 0) return 0;
+
+  return jobQueue.enqueue(book, files.map(task => ({
+    type: 'convert',
+    file: path.basename(task.input),
+    target: task.input,
+    payload: task,
+  })), { priority });
+}
 
-  // 启动并发 worker
-  const workerCount = Math.min(maxWorkers - activeWorkers, files.length);
-  const workers = [];
-  for (let i = 0; i < Math.max(1, workerCount); i++) {
-    workers.push(worker());
+/**
+ * 执行一个转换任务
+ */
+async function runConvertJob(job, { signal, onProgress }) {
+  const task = job.payload;
+  await convertFile(task.input, {
+    outputPath: task.output,
+    deleteSource: task.deleteSource,
+    profile: task.profile,
+    overwrite: task.overwrite,
+    signal,
+    duration: task.duration,
+    onProgress,
+  });
+  // 换了编码（扩展名不同）时删除旧副本，避免同一集留下两个副本
+  if (task.replaces && task.replaces !== task.output) {
+    try { fs.unlinkSync(task.replaces); } catch { /* ignore */ }
   }
+}
 
-  await Promise.all(workers);
+jobQueue.registerHandler('convert', runConvertJob);
 
-  // 更新最终状态
-  progress.currentFile = '';
-  progress.finishedAt = Date.now();
-  if (progress.failed > 0 && progress.completed === 0) {
-    progress.status = 'error';
-  } else {
-    progress.status = 'done';
-  }
+/**
+ * 获取某本书最近一批转换的进度（见 jobQueue.getBookProgress），附带输出格式
+ */
+function getConversionProgress(bookId) {
+  const progress = jobQueue.getBookProgress(bookId, { type: 'convert' });
+  if (!progress) return null;
+  const { latestJob, ...rest } = progress;
+  const codec = CODECS[latestJob.payload?.profile?.codec];
+  return { ...rest, format: codec ? codec.ext.slice(1).toUpperCase() : null };
+}
 
-  const elapsed = ((progress.finishedAt - progress.startedAt) / 1000).toFixed(1);
-  console.log(`[Converter] 转换完成: "${bookId}" — 成功 ${progress.completed}, 失败 ${progress.failed}, 耗时 ${elapsed}s`);
+/**
+ * 某本书的转换状态（conversion-status 接口和 conversion 事件的数据，没有任务时为 null）
+ */
+function getConversionStatus(bookId) {
+  const progress = getConversionProgress(bookId);
+  if (!progress) return null;
+  return {
+    status: progress.status,
+    total: progress.total,
+    completed: progress.completed,
+    failed: progress.failed,
+    cancelled: progress.cancelled,
+    failedFiles: progress.failedFiles,
+    currentFile: progress.currentFile,
+    // 当前文件的进度（0 ~ 1，时长未知时为 null）
+    fileProgress: progress.progress,
+    format: progress.format,
+  };
 }
 
+// ========== 推送转换进度 ==========
+
+const pushTimers = new Map();
+
 /**
- * 获取某本书的转换进度
+ * 任务变化后推送这本书的转换状态（同一本书短时间内的变化合并为一次）
  */
-function getConversionProgress(bookId) {
-  return bookProgress.get(bookId) || null;
+function scheduleConversionPush(bookId) {
+  if (pushTimers.has(bookId)) return;
+  pushTimers.set(bookId, setTimeout(() => {
+    pushTimers.delete(bookId);
+    liveEvents.publish('conversion', { bookId, conversion: getConversionStatus(bookId) });
+  }, CONVERSION_PUSH_DELAY_MS));
 }
 
+jobQueue.events.on('change', ({ bookIds, job }) => {
+  // 其他类型的任务（响度分析）不影响转换进度
+  if (job && job.type !== 'convert') return;
+  bookIds.forEach(scheduleConversionPush);
+});
+
 /**
  * 检查一本书是否有需要转换的文件
  */
@@ -271,18 +420,25 @@ function bookNeedsConversion(book) {
   if (!book || !book.seasons) return false;
   for (const season of book.seasons) {
     for (const ep of season.episodes) {
-      if (needsConversion(ep.fileName)) return true;
+      if (episodeNeedsConversion(ep)) return true;
     }
   }
   return false;
 }
 
 module.exports = {
+  CONVERSION_POLICIES,
+  getConversionConfig,
+  getBookProfileName,
+  getCacheStorage,
+  isConverting,
   startBookConversion,
   getConversionProgress,
+  getConversionStatus,
   bookNeedsConversion,
   collectFilesToConvert,
   needsConversion,
   convertFile,
+  watchProgress,
   CONVERT_EXTENSIONS,
 };
@@ -0,0 +1,499 @@
+/**
+ * 书籍/季/集 ID 登记表
+ *
+ * ID 首次发现时按原规则生成（文件夹/文件名哈希，检查冲突），之后记录在 id-registry.json，位置不变就一直沿用。
+ * 文件夹或文件被重命名、移动后，按内容指纹（文件大小 + 开头 64KB 哈希 + 标签标题/时长）
+ * 匹配已经消失的旧位置并沿用旧 ID，播放进度、收藏、书签、元数据和自定义封面不会丢失。
+ *
+ * 先复制再删除原文件夹（跨磁盘移动）时，新位置会先拿到新 ID；原位置消失后将其并回旧 ID，
+ * 记录别名（新 ID → 旧 ID），并迁移 metadata.json、user-data.json 和收听记录中的键
+ *
+ * 结构：
+ * {
+ *   version: 1,
+ *   books: {
+ *     [bookId]: {
+ *       path, libraryId, firstSeenAt,
+ *       seasons: { [季目录（相对书籍目录，无季结构为 '.'）]: seasonId },
+ *       files:   { [音频文件相对路径]: { id, size, head, title, duration } }
+ *     }
+ *   },
+ *   aliases: { [旧 bookId]: bookId }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ID_REGISTRY_FILE } = require('../utils/paths');
+const { generateId } = require('../utils/parser');
+const { renameBookMetadata } = require('./scanner');
+const { isRemotePath } = require('./storage/utils');
+const userData = require('./userData');
+const stats = require('./stats');
+
+const REGISTRY_VERSION = 1;
+const HEAD_BYTES = 64 * 1024;
+// 至少一半的音频文件指纹相同才视为同一本书/同一季
+const MATCH_RATIO = 0.5;
+
+let registry = null;
+let dirty = false;
+// 书籍目录 → bookId
+const pathIndex = new Map();
+// 文件指纹 → Set(bookId)
+const contentIndex = new Map();
+// 书籍目录是否仍存在：true / false，无法判断时为 null
+// （非本地书库由 services/library.js 按最近一次列举结果判断，本进程还没列出过的书库为 null）
+let pathExists = p => fs.existsSync(p);
+
+// ========== 读写 ==========
+
+function contentKey(file) {
+  return file && file.head ? `${file.size}:${file.head}` : null;
+}
+
+function indexEntry(bookId) {
+  const entry = registry.books[bookId];
+  pathIndex.set(entry.path, bookId);
+  for (const file of Object.values(entry.files)) {
+    const key = contentKey(file);
+    if (!key) continue;
+    if (!contentIndex.has(key)) contentIndex.set(key, new Set());
+    contentIndex.get(key).add(bookId);
+  }
+}
+
+function unindexEntry(bookId) {
+  const entry = registry.books[bookId];
+  if (pathIndex.get(entry.path) === bookId) pathIndex.delete(entry.path);
+  for (const file of Object.values(entry.files)) {
+    contentIndex.get(contentKey(file))?.delete(bookId);
+  }
+}
+
+function getRegistry() {
+  if (registry) return registry;
+
+  try {
+    if (fs.existsSync(ID_REGISTRY_FILE)) {
+      const data = JSON.parse(fs.readFileSync(ID_REGISTRY_FILE, 'utf-8'));
+      if (data.version === REGISTRY_VERSION) registry = data;
+    }
+  } catch (e) {
+    console.error('Failed to load id registry:', e.message);
+  }
+  if (!registry) registry = { version: REGISTRY_VERSION, books: {}, aliases: {} };
+
+  for (const bookId of Object.keys(registry.books)) indexEntry(bookId);
+
+  // 上次合并后仍写入旧 ID 的数据（如离线客户端补传）
+  if (Object.keys(registry.aliases).length > 0) migrateBookKeys(registry.aliases);
+  return registry;
+}
+
+/**
+ * 有改动时写入 id-registry.json（随书库索引一起保存）
+ */
+function saveRegistry() {
+  if (!registry || !dirty) return;
+  try {
+    const dir = path.dirname(ID_REGISTRY_FILE);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(ID_REGISTRY_FILE, JSON.stringify(registry), 'utf-8');
+    dirty = false;
+  } catch (e) {
+    console.error('Failed to save id registry:', e.message);
+  }
+}
+
+/**
+ * 把 metadata.json、user-data.json、收听记录中的旧 bookId 改为新 ID
+ * mapping: { [旧 bookId]: 新 bookId }
+ */
+function migrateBookKeys(mapping) {
+  try {
+    const changed = [
+      renameBookMetadata(mapping),
+      userData.renameBookIds(mapping),
+      stats.renameBookIds(mapping),
+    ].some(Boolean);
+    if (changed) console.log(`[IdRegistry] 已迁移旧书籍 ID: ${Object.entries(mapping).map(([from, to]) => `${from} → ${to}`).join(', ')}`);
+  } catch (e) {
+    console.error('[IdRegistry] 迁移书籍 ID 失败:', e.message);
+  }
+}
+
+// ========== 指纹 ==========
+
+// 异步读取，扫描大书库时不阻塞事件循环（播放、事件推送）
+async function readFingerprint(filePath, stat) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(Math.min(HEAD_BYTES, stat.size));
+    await handle.read(buffer, 0, buffer.length, 0);
+    return {
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+      head: crypto.createHash('sha1').update(buffer).digest('hex').slice(0, 16),
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * 计算每一集的内容指纹（大小与修改时间未变时沿用旧索引中的指纹）
+ * 非本地存储（OSS / S3 / WebDAV）中的文件不下载内容，以 ETag 代替开头的哈希
+ */
+async function fingerprintEpisodes(book, previous) {
+  const previousByFile = new Map();
+  for (const season of previous?.seasons || []) {
+    for (const ep of season.episodes) {
+      if (ep.fingerprint) previousByFile.set(ep.filePath, ep.fingerprint);
+    }
+  }
+
+  for (const season of book.seasons) {
+    for (const ep of season.episodes) {
+      if (isRemotePath(ep.filePath)) {
+        ep.fingerprint = { size: ep.size, mtimeMs: ep.lastModified, head: ep.etag ? ep.etag.slice(0, 16).toLowerCase() : null };
+        continue;
+      }
+      try {
+        const stat = await fs.promises.stat(ep.filePath);
+        const cached = previousByFile.get(ep.filePath);
+        ep.fingerprint = cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs
+          ? cached
+          : await readFingerprint(ep.filePath, stat);
+      } catch {
+        ep.fingerprint = null;
+      }
+    }
+  }
+}
+
+function fileRecord(ep) {
+  return {
+    id: ep.id,
+    size: ep.fingerprint?.size ?? null,
+    head: ep.fingerprint?.head ?? null,
+    title: ep.tags?.title || null,
+    duration: ep.tags?.duration ? Math.round(ep.tags.duration) : null,
+  };
+}
+
+/**
+ * 两条文件记录的标签是否矛盾（都有标题/时长但不同）
+ */
+function tagsConflict(a, b) {
+  if (a.title && b.title && a.title !== b.title) return true;
+  return !!(a.duration && b.duration && Math.abs(a.duration - b.duration) > 1);
+}
+
+function episodeRecords(book) {
+  return book.seasons.flatMap(season => season.episodes.map(ep => fileRecord(ep)));
+}
+
+/**
+ * 按内容指纹找出最匹配的书（candidateFilter 过滤候选），匹配比例不足时返回 null
+ */
+function findContentMatch(records, candidateFilter) {
+  const keys = records.map(contentKey).filter(Boolean);
+  if (keys.length === 0) return null;
+
+  const hits = new Map();
+  for (const key of keys) {
+    for (const bookId of contentIndex.get(key) || []) {
+      hits.set(bookId, (hits.get(bookId) || 0) + 1);
+    }
+  }
+
+  let best = null;
+  let bestRatio = 0;
+  for (const [bookId, count] of hits) {
+    if (!candidateFilter(bookId)) continue;
+    const ratio = count / Math.max(keys.length, Object.keys(registry.books[bookId].files).length);
+    if (ratio >= MATCH_RATIO && ratio > bestRatio) {
+      best = bookId;
+      bestRatio = ratio;
+    }
+  }
+  return best;
+}
+
+// 确定已消失（无法判断时不算，避免别的书拿走它的 ID）
+function isMissing(bookId) {
+  const { path: bookPath, libraryId } = registry.books[bookId];
+  return pathExists(bookPath, libraryId) === false;
+}
+
+function isPresent(bookId) {
+  const { path: bookPath, libraryId } = registry.books[bookId];
+  return pathExists(bookPath, libraryId) === true;
+}
+
+/**
+ * 替换书籍目录存在性的判断（供非本地书库使用）
+ * check(path, libraryId) 返回 true / false，无法判断时返回 null
+ */
+function setPathExistsCheck(check) {
+  pathExists = check;
+}
+
+/**
+ * 冲突时在原 ID 后追加序号重新哈希
+ */
+function uniqueId(baseId, isTaken) {
+  let id = baseId;
+  for (let n = 1; isTaken(id); n++) {
+    id = generateId(`${baseId}#${n}`);
+  }
+  return id;
+}
+
+// ========== 分配 ID ==========
+
+/**
+ * 书籍 ID：同一目录沿用；新目录先按内容匹配已消失的书，否则使用按名称生成的 ID（冲突时改用新 ID）
+ */
+function resolveBookId(libraryId, book) {
+  const known = pathIndex.get(book.path);
+  if (known && registry.books[known]) return known;
+
+  const matched = findContentMatch(episodeRecords(book), isMissing);
+  if (matched) {
+    const entry = registry.books[matched];
+    console.log(`[IdRegistry] 识别到移动/重命名的书: ${entry.path} → ${book.path}`);
+    unindexEntry(matched);
+    entry.path = book.path;
+    entry.libraryId = libraryId;
+    indexEntry(matched);
+    return matched;
+  }
+
+  const id = uniqueId(book.id, candidate => !!registry.books[candidate] || !!registry.aliases[candidate]);
+  if (id !== book.id) {
+    console.warn(`[IdRegistry] 书籍 ID 冲突，已为 ${book.path} 分配新 ID: ${id}`);
+  }
+  registry.books[id] = { path: book.path, libraryId, firstSeenAt: Date.now(), seasons: {}, files: {} };
+  pathIndex.set(book.path, id);
+  return id;
+}
+
+/**
+ * 集 ID：同一文件沿用；新文件按指纹匹配本书中已消失的文件；同一季内不重复
+ */
+function assignEpisodeIds(entry, book, oldFiles) {
+  const presentFiles = new Set();
+  for (const season of book.seasons) {
+    for (const ep of season.episodes) presentFiles.add(path.relative(book.path, ep.filePath));
+  }
+
+  const missingByKey = new Map();
+  for (const [relPath, file] of Object.entries(oldFiles)) {
+    const key = contentKey(file);
+    if (presentFiles.has(relPath) || !key) continue;
+    if (!missingByKey.has(key)) missingByKey.set(key, []);
+    missingByKey.get(key).push(file);
+  }
+
+  const files = {};
+  for (const season of book.seasons) {
+    // 先保留已登记文件的 ID，新文件不能占用
+    const used = new Set();
+    const pending = [];
+    for (const ep of season.episodes) {
+      const relPath = path.relative(book.path, ep.filePath);
+      const known = oldFiles[relPath]?.id;
+      if (known && !used.has(known)) {
+        used.add(known);
+        ep.id = known;
+        files[relPath] = { ...fileRecord(ep), id: known };
+      } else {
+        pending.push({ ep, relPath });
+      }
+    }
+
+    for (const { ep, relPath } of pending) {
+      const record = fileRecord(ep);
+      const candidates = missingByKey.get(contentKey(record)) || [];
+      const index = candidates.findIndex(file => !tagsConflict(file, record) && !used.has(file.id));
+      const id = index >= 0
+        ? candidates.splice(index, 1)[0].id
+        : uniqueId(ep.id, candidate => used.has(candidate));
+
+      used.add(id);
+      ep.id = id;
+      files[relPath] = { ...record, id };
+    }
+  }
+  entry.files = files;
+}
+
+/**
+ * 季 ID：同一目录沿用；重命名的季目录按所含集 ID 匹配已消失的季
+ */
+function assignSeasonIds(entry, book, oldFiles) {
+  const seasonKey = season => path.relative(book.path, season.path) || '.';
+  const presentSeasons = new Set(book.seasons.map(seasonKey));
+
+  // 已消失的季目录 → 其中的集 ID
+  const missingSeasons = new Map();
+  for (const [relPath, file] of Object.entries(oldFiles)) {
+    const key = path.dirname(relPath);
+    if (presentSeasons.has(key) || !entry.seasons[key]) continue;
+    if (!missingSeasons.has(key)) missingSeasons.set(key, new Set());
+    missingSeasons.get(key).add(file.id);
+  }
+
+  const seasons = {};
+  const used = new Set(book.seasons.map(season => entry.seasons[seasonKey(season)]).filter(Boolean));
+  for (const season of book.seasons) {
+    const key = seasonKey(season);
+    let id = entry.seasons[key];
+
+    if (!id && season.episodes.length > 0) {
+      let bestKey = null;
+      let bestCount = 0;
+      for (const [missingKey, episodeIds] of missingSeasons) {
+        const count = season.episodes.filter(ep => episodeIds.has(ep.id)).length;
+        if (count > bestCount) {
+          bestKey = missingKey;
+          bestCount = count;
+        }
+      }
+      if (bestKey && bestCount / season.episodes.length >= MATCH_RATIO) {
+        id = entry.seasons[bestKey];
+        missingSeasons.delete(bestKey);
+      }
+    }
+    if (!id) id = uniqueId(season.id, candidate => used.has(candidate));
+
+    used.add(id);
+    season.id = id;
+    seasons[key] = id;
+  }
+  entry.seasons = seasons;
+}
+
+/**
+ * 为扫描出的书分配稳定的书籍/季/集 ID（直接修改 book）
+ * previous 为旧索引中的同一本书，用于沿用文件指纹
+ */
+async function assignIds(libraryId, book, previous) {
+  getRegistry();
+  // 指纹读完后再一次性分配，期间不会与其他书的分配交错
+  await fingerprintEpisodes(book, previous);
+
+  const bookId = resolveBookId(libraryId, book);
+  const entry = registry.books[bookId];
+  const oldFiles = entry.files;
+
+  unindexEntry(bookId);
+  book.id = bookId;
+  assignEpisodeIds(entry, book, oldFiles);
+  assignSeasonIds(entry, book, oldFiles);
+  indexEntry(bookId);
+  dirty = true;
+  return book;
+}
+
+/**
+ * 书籍目录已删除：若有更晚出现、内容相同的书（复制后删除原目录），将其并回旧 ID
+ * 返回被合并掉的新 ID（调用方需重新扫描那本书），否则返回 null
+ */
+function handleRemovedBook(bookId) {
+  getRegistry();
+  const removed = registry.books[bookId];
+  if (!removed || !isMissing(bookId)) return null;
+
+  const copyId = findContentMatch(
+    Object.values(removed.files),
+    candidate => candidate !== bookId
+      && registry.books[candidate].firstSeenAt > removed.firstSeenAt
+      && isPresent(candidate),
+  );
+  if (!copyId) return null;
+
+  const copy = registry.books[copyId];
+  unindexEntry(bookId);
+  unindexEntry(copyId);
+
+  // 新位置的文件沿用旧文件的集 ID，同名季目录沿用旧季 ID
+  const oldByKey = new Map();
+  for (const file of Object.values(removed.files)) {
+    const key = contentKey(file);
+    if (key && !oldByKey.has(key)) oldByKey.set(key, file.id);
+  }
+  const files = {};
+  for (const [relPath, file] of Object.entries(copy.files)) {
+    files[relPath] = { ...file, id: oldByKey.get(contentKey(file)) || file.id };
+  }
+
+  registry.books[bookId] = {
+    ...removed,
+    path: copy.path,
+    libraryId: copy.libraryId,
+    seasons: { ...copy.seasons, ...removed.seasons },
+    files,
+  };
+  delete registry.books[copyId];
+  for (const [alias, target] of Object.entries(registry.aliases)) {
+    if (target === copyId) registry.aliases[alias] = bookId;
+  }
+  registry.aliases[copyId] = bookId;
+  indexEntry(bookId);
+  dirty = true;
+
+  console.log(`[IdRegistry] ${copy.path} 与已删除的 ${removed.path} 内容相同，沿用原 ID ${bookId}`);
+  migrateBookKeys({ [copyId]: bookId });
+  return copyId;
+}
+
+/**
+ * 标签读取完成后记录标题/时长，供之后的匹配核对
+ */
+function recordTags(book) {
+  const entry = registry?.books[book.id];
+  if (!entry) return;
+  for (const season of book.seasons) {
+    for (const ep of season.episodes) {
+      const file = entry.files[path.relative(book.path, ep.filePath)];
+      if (!file || file.id !== ep.id) continue;
+      const { title, duration } = fileRecord(ep);
+      if (file.title !== title || file.duration !== duration) {
+        file.title = title;
+        file.duration = duration;
+        dirty = true;
+      }
+    }
+  }
+}
+
+/**
+ * 该书是否已按当前位置登记（未登记的书即使目录签名未变也需要重新扫描）
+ */
+function isRegistered(book) {
+  getRegistry();
+  return pathIndex.get(book.path) === book.id;
+}
+
+/**
+ * 合并后的旧 ID 对应的现行 ID（没有别名时原样返回）
+ */
+function resolveAlias(bookId) {
+  return getRegistry().aliases[bookId] || bookId;
+}
+
+module.exports = {
+  assignIds,
+  handleRemovedBook,
+  recordTags,
+  isRegistered,
+  resolveAlias,
+  saveRegistry,
+  setPathExistsCheck,
+};
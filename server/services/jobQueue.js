@@ -0,0 +1,596 @@
+/**
+ * 持久化任务队列（所有后台 FFmpeg 任务：WMA/APE 格式转换 convert，见 services/converter.js；
+ * 响度分析 loudness，见 services/loudness.js）
+ *
+ * 任务保存在 server/data/jobs.json，服务重启后继续执行；重启时正在执行的任务重新排队。
+ * 每个任务处理一个文件，按类型交给 registerHandler 注册的处理函数。
+ *
+ * - 优先级：数值大的先执行，相同时先加入的先执行
+ * - 暂停：全局暂停或暂停某本书，正在执行的任务中止并重新排队（从头开始）
+ * - 取消：排队中或执行中的任务标记为 cancelled
+ * - 重试：失败或已取消的任务重新排队
+ * - 历史：已结束的任务保留最近 HISTORY_LIMIT 个
+ *
+ * 并发数为 CPU 核数的一半（1 ~ MAX_CONCURRENCY），CPU 或内存超过 85% 时暂缓启动新任务
+ * 任务变化推送给管理员（jobs 事件，见 services/liveEvents.js）
+ *
+ * 任务结构：
+ * {
+ *   id, type, bookId, libraryId, folderName, bookName,
+ *   file,      // 显示用的文件名
+ *   target,    // 任务对象（如原文件路径），用于去重
+ *   payload,   // 交给处理函数的参数
+ *   batch,     // 同一本书同一类型同一次加入的任务共用，书籍进度按最近一批统计
+ *   priority, status: 'queued'|'running'|'done'|'failed'|'cancelled',
+ *   attempts, error, progress,
+ *   createdAt, queuedAt（最近一次排队，重试时更新）, startedAt, finishedAt
+ * }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const liveEvents = require('./liveEvents');
+const { JOBS_FILE } = require('../utils/paths');
+
+const JOBS_VERSION = 1;
+const HISTORY_LIMIT = 500;
+const SYSTEM_LOAD_LIMIT = 0.85;
+const MAX_CONCURRENCY = 10;
+const OVERLOAD_DELAY = 10000;
+
+// 常用优先级：后台扫描发现的任务为 normal，上传和手动重新转换为 high，自动响度分析为 low（排在转换之后）
+const PRIORITY = { low: -10, normal: 0, high: 10 };
+
+const ACTIVE_STATUSES = new Set(['queued', 'running']);
+
+// change（任务状态变化 { bookIds, job }，job 为 null 时是多个任务一起变化）、
+// bookFinished（一本书某一类型的任务全部结束 { bookId, libraryId, folderName, type }）
+const events = new EventEmitter();
+
+// type -> async (job, { signal, onProgress }) => void
+const handlers = new Map();
+// 执行中的任务 id -> AbortController
+const running = new Map();
+
+let store = null;
+let overloadTimer = null;
+
+// ========== 读写 ==========
+
+function loadStore() {
+  if (store) return store;
+  try {
+    if (fs.existsSync(JOBS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(JOBS_FILE, 'utf-8'));
+      if (data.version === JOBS_VERSION) store = data;
+    }
+  } catch (e) {
+    console.error('Failed to load job queue:', e.message);
+  }
+  if (!store) store = { version: JOBS_VERSION, paused: false, pausedBooks: [], jobs: [] };
+
+  // 上次退出时仍在执行的任务重新排队
+  for (const job of store.jobs) {
+    if (job.status === 'running') {
+      job.status = 'queued';
+      job.progress = null;
+    }
+  }
+  return store;
+}
+
+function saveStore() {
+  try {
+    fs.writeFileSync(JOBS_FILE, JSON.stringify(store), 'utf-8');
+  } catch (e) {
+    console.error('Failed to save job queue:', e.message);
+  }
+}
+
+/**
+ * 只保留最近 HISTORY_LIMIT 个已结束的任务
+ */
+function trimHistory() {
+  const finished = store.jobs.filter(job => !ACTIVE_STATUSES.has(job.status));
+  if (finished.length <= HISTORY_LIMIT) return;
+  const drop = new Set(finished
+    .sort((a, b) => (a.finishedAt || 0) - (b.finishedAt || 0))
+    .slice(0, finished.length - HISTORY_LIMIT));
+  store.jobs = store.jobs.filter(job => !drop.has(job));
+}
+
+/**
+ * 返回给客户端的任务（去掉服务器路径和处理参数）
+ */
+function toPublicJob({ target, payload, ...job }) {
+  return job;
+}
+
+/**
+ * 通知任务变化（同时推送给管理员的任务页面）
+ */
+function emitChange(bookIds, job = null) {
+  events.emit('change', { bookIds, job });
+  liveEvents.publish('jobs', { job: job && toPublicJob(job), state: getQueueState() }, { adminOnly: true });
+}
+
+function changed(bookIds, job = null) {
+  saveStore();
+  emitChange(bookIds, job);
+}
+
+/**
+ * 有未结束任务的书
+ */
+function activeBookIds() {
+  return [...new Set(store.jobs.filter(job => ACTIVE_STATUSES.has(job.status)).map(job => job.bookId))];
+}
+
+// ========== 系统性能监控 ==========
+
+let lastCpuSnapshot = null;
+
+function getCpuSnapshot() {
+  const cpus = os.cpus();
+  let totalIdle = 0, totalTick = 0;
+  for (const cpu of cpus) {
+    for (const type in cpu.times) totalTick += cpu.times[type];
+    totalIdle += cpu.times.idle;
+  }
+  return { idle: totalIdle, total: totalTick };
+}
+
+function getCpuUsage() {
+  const current = getCpuSnapshot();
+  if (!lastCpuSnapshot) {
+    lastCpuSnapshot = current;
+    const loadAvg1m = os.loadavg()[0];
+    return Math.min(1, loadAvg1m / os.cpus().length);
+  }
+  const idleDiff = current.idle - lastCpuSnapshot.idle;
+  const totalDiff = current.total - lastCpuSnapshot.total;
+  lastCpuSnapshot = current;
+  return totalDiff === 0 ? 0 : 1 - (idleDiff / totalDiff);
+}
+
+function getMemUsage() {
+  return (os.totalmem() - os.freemem()) / os.totalmem();
+}
+
+function isSystemOverloaded() {
+  return getCpuUsage() > SYSTEM_LOAD_LIMIT || getMemUsage() > SYSTEM_LOAD_LIMIT;
+}
+
+function getMaxWorkers() {
+  return Math.max(1, Math.min(Math.floor(os.cpus().length / 2), MAX_CONCURRENCY));
+}
+
+// ========== 调度 ==========
+
+function isBookPaused(bookId) {
+  return store.pausedBooks.includes(bookId);
+}
+
+/**
+ * 下一个可执行的任务（跳过已暂停的书）
+ */
+function nextJob() {
+  let best = null;
+  for (const job of store.jobs) {
+    // 被暂停的任务在 FFmpeg 退出之前仍占着位置
+    if (job.status !== 'queued' || running.has(job.id) || isBookPaused(job.bookId)) continue;
+    if (!best || job.priority > best.priority || (job.priority === best.priority && job.queuedAt < best.queuedAt)) {
+      best = job;
+    }
+  }
+  return best;
+}
+
+/**
+ * 在并发上限内启动排队中的任务
+ */
+function pump() {
+  loadStore();
+  if (store.paused || overloadTimer) return;
+  while (running.size < getMaxWorkers()) {
+    const job = nextJob();
+    if (!job) return;
+    if (isSystemOverloaded()) {
+      console.log('[Jobs] 系统负载高，稍后再启动新任务');
+      overloadTimer = setTimeout(() => {
+        overloadTimer = null;
+        pump();
+      }, OVERLOAD_DELAY);
+      return;
+    }
+    runJob(job);
+  }
+}
+
+async function runJob(job) {
+  const controller = new AbortController();
+  running.set(job.id, controller);
+  job.status = 'running';
+  job.attempts = (job.attempts || 0) + 1;
+  job.startedAt = Date.now();
+  job.progress = null;
+  job.error = null;
+  changed([job.bookId], job);
+
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) throw new Error(`未知的任务类型: ${job.type}`);
+    await handler(job, {
+      signal: controller.signal,
+      onProgress: (progress) => {
+        job.progress = progress;
+        emitChange([job.bookId], job);
+      },
+    });
+    // 执行期间被暂停或取消时状态已经改掉，保持不变
+    if (job.status === 'running') job.status = 'done';
+  } catch (e) {
+    if (job.status === 'running') {
+      job.status = 'failed';
+      job.error = e.message;
+      console.error(`[Jobs] ✗ ${job.file}: ${e.message}`);
+    }
+  }
+
+  running.delete(job.id);
+  if (job.status !== 'queued') job.finishedAt = Date.now();
+  job.progress = null;
+  trimHistory();
+  changed([job.bookId], job);
+  checkBookFinished(job);
+  pump();
+}
+
+/**
+ * 一本书这一类型的任务全部结束（没有排队或执行中的任务）时通知，用于刷新书库索引
+ */
+function checkBookFinished(job) {
+  const { bookId, type } = job;
+  if (hasActiveJobs(bookId, { type })) return;
+  const progress = getBookProgress(bookId, { type });
+  console.log(`[Jobs] "${job.bookName}" ${type} 任务结束 — 成功 ${progress.completed}, 失败 ${progress.failed}, 取消 ${progress.cancelled}`);
+  events.emit('bookFinished', { bookId, libraryId: job.libraryId, folderName: job.folderName, type });
+}
+
+/**
+ * 中止执行中的任务，并把状态改为 status（queued：重新排队；cancelled：取消）
+ */
+function stopJob(job, status) {
+  job.status = status;
+  job.progress = null;
+  if (status !== 'queued') job.finishedAt = Date.now();
+  running.get(job.id)?.abort();
+}
+
+// ========== 对外接口 ==========
+
+/**
+ * 注册任务类型的处理函数：async (job, { signal, onProgress }) => void
+ * signal 中止时处理函数应尽快结束（终止 FFmpeg 并清理临时文件）；onProgress(0 ~ 1) 报告单个任务的进度
+ */
+function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * 开始调度（服务启动后调用）
+ */
+function start() {
+  loadStore();
+  const queued = store.jobs.filter(job => job.status === 'queued').length;
+  if (queued > 0) console.log(`[Jobs] 恢复 ${queued} 个排队中的任务${store.paused ? '（队列已暂停）' : ''}`);
+  pump();
+}
+
+/**
+ * 某个任务对象（target）最近的一个任务
+ */
+function findLatestJob(target) {
+  loadStore();
+  let latest = null;
+  for (const job of store.jobs) {
+    if (job.target === target && (!latest || job.queuedAt >= latest.queuedAt)) latest = job;
+  }
+  return latest;
+}
+
+/**
+ * 书籍某一类型任务当前的批次：有未结束的任务时沿用，否则新建
+ */
+function getBookBatch(bookId, type) {
+  const active = store.jobs.find(job => job.bookId === bookId && job.type === type && ACTIVE_STATUSES.has(job.status));
+  return active ? active.batch : crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * 加入一本书的任务
+ * book: { id, libraryId, folderName, name }；items: [{ type, file, target, payload }]
+ * 同一 target 已有未结束的任务时跳过；返回新加入的任务数
+ */
+function enqueue(book, items, { priority = PRIORITY.normal } = {}) {
+  loadStore();
+  const batches = new Map();
+  const now = Date.now();
+  let count = 0;
+  for (const item of items) {
+    if (!batches.has(item.type)) batches.set(item.type, getBookBatch(book.id, item.type));
+    const latest = findLatestJob(item.target);
+    if (latest && ACTIVE_STATUSES.has(latest.status)) continue;
+    store.jobs.push({
+      id: crypto.randomBytes(6).toString('hex'),
+      type: item.type,
+      bookId: book.id,
+      libraryId: book.libraryId,
+      folderName: book.folderName,
+      bookName: book.name || book.folderName,
+      file: item.file,
+      target: item.target,
+      payload: item.payload,
+      batch: batches.get(item.type),
+      priority,
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      progress: null,
+      createdAt: now,
+      queuedAt: now,
+      startedAt: null,
+      finishedAt: null,
+    });
+    count++;
+  }
+  if (count > 0) {
+    console.log(`[Jobs] 加入 ${count} 个任务: "${book.name || book.folderName}"`);
+    changed([book.id]);
+    pump();
+  }
+  return count;
+}
+
+function getJob(jobId) {
+  loadStore();
+  return store.jobs.find(job => job.id === jobId) || null;
+}
+
+/**
+ * 任务列表：未结束的任务按执行顺序在前，已结束的按结束时间倒序
+ */
+function listJobs({ bookId = null, limit = 100 } = {}) {
+  loadStore();
+  const jobs = bookId ? store.jobs.filter(job => job.bookId === bookId) : store.jobs;
+  const active = jobs.filter(job => ACTIVE_STATUSES.has(job.status))
+    .sort((a, b) => (a.status === 'running') !== (b.status === 'running')
+      ? (a.status === 'running' ? -1 : 1)
+      : b.priority - a.priority || a.queuedAt - b.queuedAt);
+  const history = jobs.filter(job => !ACTIVE_STATUSES.has(job.status))
+    .sort((a, b) => (b.finishedAt || 0) - (a.finishedAt || 0))
+    .slice(0, limit);
+  return { active, history };
+}
+
+/**
+ * 队列概况 { paused, pausedBooks, workers, counts: { queued, running, done, failed, cancelled } }
+ */
+function getQueueState() {
+  loadStore();
+  const counts = { queued: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+  for (const job of store.jobs) counts[job.status]++;
+  return { paused: store.paused, pausedBooks: [...store.pausedBooks], workers: getMaxWorkers(), counts };
+}
+
+/**
+ * 一本书最近一批任务的进度（没有任务时返回 null），type 只统计这一类型的任务
+ * { total, completed, failed, cancelled, failedFiles, currentFile, progress, status, latestJob, startedAt, finishedAt }
+ * status: 'converting' | 'paused' | 'done' | 'error' | 'cancelled'
+ */
+function getBookProgress(bookId, { type = null } = {}) {
+  loadStore();
+  const bookJobs = store.jobs.filter(job => job.bookId === bookId && (!type || job.type === type));
+  if (bookJobs.length === 0) return null;
+  const latest = bookJobs.reduce((a, b) => (b.queuedAt > a.queuedAt ? b : a));
+  const jobs = bookJobs.filter(job => job.batch === latest.batch);
+
+  const count = status => jobs.filter(job => job.status === status).length;
+  const current = jobs.find(job => job.status === 'running');
+  const completed = count('done');
+  const failed = count('failed');
+  const cancelled = count('cancelled');
+  const active = jobs.length - completed - failed - cancelled;
+
+  let status;
+  if (active > 0) status = !current && (store.paused || isBookPaused(bookId)) ? 'paused' : 'converting';
+  else if (completed > 0) status = 'done';
+  else if (failed > 0) status = 'error';
+  else status = 'cancelled';
+
+  return {
+    total: jobs.length - cancelled,
+    completed,
+    failed,
+    cancelled,
+    failedFiles: jobs.filter(job => job.status === 'failed').map(job => ({ file: job.file, error: job.error })),
+    currentFile: current ? current.file : '',
+    progress: current ? current.progress : null,
+    status,
+    latestJob: latest,
+    startedAt: Math.min(...jobs.map(job => job.queuedAt)),
+    finishedAt: active > 0 ? null : Math.max(...jobs.map(job => job.finishedAt || 0)),
+  };
+}
+
+/**
+ * 这本书是否还有排队中或执行中的任务，type 只看这一类型
+ */
+function hasActiveJobs(bookId, { type = null } = {}) {
+  loadStore();
+  return store.jobs.some(job => job.bookId === bookId && (!type || job.type === type) && ACTIVE_STATUSES.has(job.status));
+}
+
+/**
+ * 全局暂停：执行中的任务中止并重新排队
+ */
+function pause() {
+  loadStore();
+  if (store.paused) return;
+  store.paused = true;
+  for (const job of store.jobs) {
+    if (job.status === 'running') stopJob(job, 'queued');
+  }
+  console.log('[Jobs] 队列已暂停');
+  changed(activeBookIds());
+}
+
+function resume() {
+  loadStore();
+  if (!store.paused) return;
+  store.paused = false;
+  console.log('[Jobs] 队列已恢复');
+  changed(activeBookIds());
+  pump();
+}
+
+function pauseBook(bookId) {
+  loadStore();
+  if (isBookPaused(bookId)) return;
+  store.pausedBooks.push(bookId);
+  for (const job of store.jobs) {
+    if (job.bookId === bookId && job.status === 'running') stopJob(job, 'queued');
+  }
+  changed([bookId]);
+}
+
+function resumeBook(bookId) {
+  loadStore();
+  if (!isBookPaused(bookId)) return;
+  store.pausedBooks = store.pausedBooks.filter(id => id !== bookId);
+  changed([bookId]);
+  pump();
+}
+
+/**
+ * 取消任务（排队中或执行中）；返回是否取消
+ */
+function cancelJob(jobId) {
+  const job = getJob(jobId);
+  if (!job || !ACTIVE_STATUSES.has(job.status)) return false;
+  stopJob(job, 'cancelled');
+  changed([job.bookId], job);
+  if (!running.has(job.id)) checkBookFinished(job);
+  return true;
+}
+
+/**
+ * 取消一本书所有未结束的任务；返回取消的任务数
+ */
+function cancelBook(bookId) {
+  loadStore();
+  const jobs = store.jobs.filter(job => job.bookId === bookId && ACTIVE_STATUSES.has(job.status));
+  if (jobs.length === 0) return 0;
+  jobs.forEach(job => stopJob(job, 'cancelled'));
+  changed([bookId]);
+  // 有执行中任务的类型在处理函数退出后再通知
+  const runningTypes = new Set(jobs.filter(job => running.has(job.id)).map(job => job.type));
+  for (const [type, job] of new Map(jobs.map(job => [job.type, job]))) {
+    if (!runningTypes.has(type)) checkBookFinished(job);
+  }
+  return jobs.length;
+}
+
+function requeue(jobs) {
+  const batches = new Map();
+  const now = Date.now();
+  for (const job of jobs) {
+    if (!batches.has(job.type)) batches.set(job.type, getBookBatch(job.bookId, job.type));
+    Object.assign(job, { status: 'queued', batch: batches.get(job.type), error: null, progress: null, queuedAt: now, startedAt: null, finishedAt: null });
+  }
+  changed([jobs[0].bookId], jobs.length === 1 ? jobs[0] : null);
+  pump();
+}
+
+/**
+ * 重试失败或已取消的任务；返回是否重新排队
+ */
+function retryJob(jobId) {
+  const job = getJob(jobId);
+  if (!job || ACTIVE_STATUSES.has(job.status) || job.status === 'done') return false;
+  // 同一文件已有新任务时不重复排队
+  if (findLatestJob(job.target) !== job) return false;
+  requeue([job]);
+  return true;
+}
+
+/**
+ * 重试一本书所有失败的任务；返回重新排队的任务数
+ */
+function retryBook(bookId) {
+  loadStore();
+  const jobs = store.jobs.filter(job => job.bookId === bookId && job.status === 'failed' && findLatestJob(job.target) === job);
+  if (jobs.length > 0) requeue(jobs);
+  return jobs.length;
+}
+
+/**
+ * 修改排队中任务的优先级
+ */
+function setPriority(jobId, priority) {
+  const job = getJob(jobId);
+  if (!job || job.status !== 'queued') return false;
+  job.priority = priority;
+  changed([job.bookId], job);
+  return true;
+}
+
+/**
+ * 修改一本书所有排队中任务的优先级；返回修改的任务数
+ */
+function setBookPriority(bookId, priority) {
+  loadStore();
+  const jobs = store.jobs.filter(job => job.bookId === bookId && job.status === 'queued');
+  jobs.forEach(job => { job.priority = priority; });
+  if (jobs.length > 0) changed([bookId]);
+  return jobs.length;
+}
+
+/**
+ * 清空已结束任务的历史（失败的任务一并清除，之后扫描时会重新加入）
+ */
+function clearHistory() {
+  loadStore();
+  const removed = store.jobs.filter(job => !ACTIVE_STATUSES.has(job.status));
+  store.jobs = store.jobs.filter(job => ACTIVE_STATUSES.has(job.status));
+  changed([...new Set(removed.map(job => job.bookId))]);
+  return removed.length;
+}
+
+module.exports = {
+  PRIORITY,
+  events,
+  toPublicJob,
+  registerHandler,
+  start,
+  enqueue,
+  findLatestJob,
+  getJob,
+  listJobs,
+  getQueueState,
+  getBookProgress,
+  hasActiveJobs,
+  pause,
+  resume,
+  pauseBook,
+  resumeBook,
+  cancelJob,
+  cancelBook,
+  retryJob,
+  retryBook,
+  setPriority,
+  setBookPriority,
+  clearHistory,
+};
@@ -0,0 +1,168 @@
+/**
+ * 书库列表
+ *
+ * config.json 的 libraries 保存多个命名书库：
+ * - 本地目录 { id, name, path }
+ * - 其他存储 { id, name, source: 'oss' | 's3' | 'webdav', options }，options 为驱动配置（见 services/storage）
+ * 默认书库（id 为 default）始终存在，路径即原有的有声书路径（getAudiobookPath），
+ * 书籍 ID 与只有一个书库时保持一致；其余书库的书籍 ID 带书库前缀，保证跨书库唯一
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG_FILE } = require('../utils/paths');
+const { getAudiobookPath } = require('./scanner');
+const { generateId } = require('../utils/parser');
+const { STORAGE_TYPES, getRootUri } = require('./storage');
+
+const DEFAULT_LIBRARY_ID = 'default';
+const DEFAULT_LIBRARY_NAME = '默认书库';
+
+function readConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+    }
+  } catch (e) {
+    console.error('Failed to load config:', e);
+  }
+  return {};
+}
+
+function writeConfig(config) {
+  const dir = path.dirname(CONFIG_FILE);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf-8');
+}
+
+/**
+ * 配置中的额外书库（不含默认书库）
+ */
+function readExtraLibraries(config = readConfig()) {
+  if (!Array.isArray(config.libraries)) return [];
+  return config.libraries.filter(lib => lib && lib.id && lib.id !== DEFAULT_LIBRARY_ID
+    && (lib.source && lib.source !== 'local' ? STORAGE_TYPES.includes(lib.source) : lib.path));
+}
+
+/**
+ * 书库的驱动配置（早期的 OSS 书库把 prefix 直接存在书库上）
+ */
+function getOptions(lib) {
+  if (!lib.source || lib.source === 'local') return { path: lib.path };
+  return lib.options || { prefix: lib.prefix };
+}
+
+/**
+ * 所有书库 [{ id, name, source, path, options }]，默认书库在最前
+ * path 为根目录的存储路径；options 含凭据，不能返回给客户端
+ */
+function getLibraries() {
+  const config = readConfig();
+  return [
+    { id: DEFAULT_LIBRARY_ID, name: DEFAULT_LIBRARY_NAME, source: 'local', path: getAudiobookPath() },
+    ...readExtraLibraries(config).map(lib => {
+      const source = lib.source || 'local';
+      const options = getOptions(lib);
+      return { id: lib.id, name: lib.name, source, path: getRootUri(source, options), options };
+    }),
+  ].map(lib => (lib.options ? lib : { ...lib, options: { path: lib.path } }));
+}
+
+function getLibrary(libraryId) {
+  return getLibraries().find(lib => lib.id === libraryId) || null;
+}
+
+function realpathOrSelf(p) {
+  try {
+    return fs.realpathSync(p);
+  } catch {
+    return path.resolve(p);
+  }
+}
+
+function isSameOrInside(a, b) {
+  const relative = path.relative(b, a);
+  return relative === ''
+    || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+/**
+ * 与指定目录重叠（相同、包含或被包含）的书库，避免同一本书被索引两次
+ */
+function findOverlappingLibrary(dirPath, exceptId = null) {
+  const real = realpathOrSelf(dirPath);
+  return getLibraries().find(lib => {
+    if (lib.id === exceptId || lib.source !== 'local') return false;
+    const libReal = realpathOrSelf(lib.path);
+    return isSameOrInside(real, libReal) || isSameOrInside(libReal, real);
+  }) || null;
+}
+
+/**
+ * 与指定存储路径重叠的非本地书库（同一存储中相同、包含或被包含的前缀）
+ */
+function findOverlappingRoot(rootUri, exceptId = null) {
+  const withSlash = p => (p.endsWith('/') ? p : `${p}/`);
+  return getLibraries().find(lib => lib.id !== exceptId && lib.source !== 'local'
+    && (withSlash(lib.path).startsWith(withSlash(rootUri)) || withSlash(rootUri).startsWith(withSlash(lib.path)))) || null;
+}
+
+/**
+ * 添加书库（路径或存储配置需已校验）
+ * source 为 local 时使用 path，否则使用 options
+ */
+function addLibrary({ name, source = 'local', path: libPath, options }) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('请输入书库名称');
+  if (trimmed.length > 32) throw new Error('书库名称不能超过 32 个字符');
+  if (getLibraries().some(lib => lib.name === trimmed)) throw new Error('书库名称已存在');
+
+  const config = readConfig();
+  const id = crypto.randomBytes(4).toString('hex');
+  const library = source === 'local'
+    ? { id, name: trimmed, path: libPath }
+    : { id, name: trimmed, source, options };
+  config.libraries = [...readExtraLibraries(config), library];
+  writeConfig(config);
+  console.log(`[Library] 已添加书库: ${trimmed} (${source === 'local' ? libPath : getRootUri(source, options)})`);
+  return library;
+}
+
+/**
+ * 删除书库（只从列表中移除，不删除磁盘上的文件）
+ */
+function removeLibrary(libraryId) {
+  if (libraryId === DEFAULT_LIBRARY_ID) throw new Error('默认书库不能删除');
+  const config = readConfig();
+  const libraries = readExtraLibraries(config);
+  const library = libraries.find(lib => lib.id === libraryId);
+  if (!library) throw new Error('书库不存在');
+
+  config.libraries = libraries.filter(lib => lib.id !== libraryId);
+  writeConfig(config);
+  console.log(`[Library] 已删除书库: ${library.name}`);
+  return library;
+}
+
+/**
+ * 书籍 ID：默认书库沿用文件夹名哈希，其他书库加上书库 ID 前缀
+ */
+function getBookId(libraryId, folderName) {
+  return libraryId === DEFAULT_LIBRARY_ID
+    ? generateId(folderName)
+    : generateId(`${libraryId}/${folderName}`);
+}
+
+module.exports = {
+  DEFAULT_LIBRARY_ID,
+  getLibraries,
+  getLibrary,
+  findOverlappingLibrary,
+  findOverlappingRoot,
+  addLibrary,
+  removeLibrary,
+  getBookId,
+};
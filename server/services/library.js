@@ -0,0 +1,709 @@
+/**
+ * 书库索引服务
+ *
+ * 扫描结果持久化到 library-index.json，路由只查询内存中的索引，
+ * 不再在每次请求（音频 Range、封面、详情）时遍历整个目录树。
+ * 每个书库（services/libraries.js）单独索引、单独监听，可单独重新扫描
+ *
+ * 刷新方式：
+ * - 文件系统监听：书籍目录有变动时，防抖后只重新扫描变动的书
+ * - 定时增量扫描：兜底 NAS/SMB 等收不到文件事件的挂载
+ * - 手动重新扫描：POST /api/library/rescan
+ *
+ * 增量扫描依据目录签名（书目录 + 季目录的 mtime），签名未变的书直接复用
+ *
+ * 音频标签（services/tags.js）在目录结构扫描之后由后台队列逐本读取，
+ * 未变化的文件沿用索引中已有的标签
+ *
+ * 书籍/季/集 ID 由 services/idRegistry.js 分配，重命名或移动后沿用原 ID
+ *
+ * 文件都经由书库的存储驱动（services/storage）列出：本地目录按书籍文件夹逐本列出；
+ * OSS / S3 / WebDAV 书库每次扫描列出根目录下的全部文件，按第一级目录分组为书，
+ * 没有文件系统监听和标签读取，依赖手动/定时扫描；文件列表签名（路径 + ETag）未变的书直接复用
+ *
+ * 本地书库保留原文件转换时（services/converter.js），转换缓存目录中的副本随书一起列出，播放时读取副本
+ *
+ * 书籍新增/删除/更新和扫描完成通过 services/liveEvents.js 推送给客户端（books、scan 事件）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  scanBookFiles,
+  getObjectSignature,
+  applyBookMetadata,
+  loadMetadata,
+} = require('./scanner');
+const { getLibraries, getBookId, DEFAULT_LIBRARY_ID } = require('./libraries');
+const { readAudioTags, isTagsFresh, applyTags, clearEmbeddedCover } = require('./tags');
+const { loadCueSheets, findChapterEpisode } = require('./chapters');
+const idRegistry = require('./idRegistry');
+const storage = require('./storage');
+const { getCacheStorage } = require('./converter');
+const jobQueue = require('./jobQueue');
+const liveEvents = require('./liveEvents');
+const { LIBRARY_INDEX_FILE } = require('../utils/paths');
+
+const INDEX_VERSION = 4;
+const WATCH_DEBOUNCE_MS = 2000;
+const CHANGE_PUSH_DELAY_MS = 500;
+const PERIODIC_RESCAN_MS = 10 * 60 * 1000;
+
+// 监听时忽略的顶层目录（上传临时目录等）
+const IGNORED_FOLDERS = new Set(['.upload_tmp']);
+
+// { version, libraries: { [libraryId]: { rootPath, lastScanAt, lastScanDuration, books: { [folderName]: book } } } }
+let index = null;
+// 每个书库的运行状态 { ready, scanPromise, watcher, watchedRoot, pendingFolders, debounceTimer }
+const states = new Map();
+let periodicTimer = null;
+// 待读取标签的书籍（键为 libraryId/folderName）
+const tagQueue = new Set();
+let tagging = false;
+// 非本地书库最近一次列出的书籍目录 libraryId → Set(书籍存储路径)（本进程中列出过才有）
+const remoteBookPaths = new Map();
+// 待推送的书籍变化 libraryId → { added, removed, updated }（Set of bookId）
+const pendingChanges = new Map();
+let changeTimer = null;
+// 书籍变化的订阅者（其他服务据此启动后台任务，如响度分析）
+const changeListeners = [];
+
+// 非本地书库重启后第一次列出完成前无法判断，返回 null（不当作已消失）
+idRegistry.setPathExistsCheck((p, libraryId) => {
+  if (!storage.isRemotePath(p)) return fs.existsSync(p);
+  const paths = remoteBookPaths.get(libraryId);
+  return paths ? paths.has(p) : null;
+});
+
+// ========== 推送书籍变化 ==========
+
+/**
+ * 记录书籍变化（kind: added | removed | updated），短时间内的变化合并为一次 books 事件
+ */
+function notifyBookChange(libraryId, kind, bookId) {
+  if (!pendingChanges.has(libraryId)) {
+    pendingChanges.set(libraryId, { added: new Set(), removed: new Set(), updated: new Set() });
+  }
+  pendingChanges.get(libraryId)[kind].add(bookId);
+  if (!changeTimer) changeTimer = setTimeout(flushBookChanges, CHANGE_PUSH_DELAY_MS);
+}
+
+function flushBookChanges() {
+  changeTimer = null;
+  for (const [libraryId, { added, removed, updated }] of pendingChanges) {
+    const changedIds = [...updated].filter(id => !added.has(id) && !removed.has(id));
+    liveEvents.publish('books', { libraryId, added: [...added], removed: [...removed], updated: changedIds });
+    for (const listener of changeListeners) listener({ libraryId, added: [...added], updated: changedIds });
+  }
+  pendingChanges.clear();
+}
+
+/**
+ * 订阅书籍变化：listener({ libraryId, added, updated })（书籍 ID 列表，与 books 事件同一批）
+ */
+function onBooksChanged(listener) {
+  changeListeners.push(listener);
+}
+
+function notifyScan(libraryId) {
+  const entry = index.libraries[libraryId];
+  if (!entry) return;
+  liveEvents.publish('scan', { libraryId, bookCount: Object.keys(entry.books).length, lastScanAt: entry.lastScanAt });
+}
+
+// ========== 索引读写 ==========
+
+function emptyEntry(rootPath) {
+  return { rootPath, lastScanAt: null, lastScanDuration: 0, books: {} };
+}
+
+/**
+ * 读取持久化索引
+ * 单书库时代的 v1 索引迁移为默认书库；v1/v2 中的书没有存储键（key / coverKey），v3 中没有 .m4b 和内嵌章节，
+ * 清空签名使后台增量扫描重新扫描每本书（ID 仍由 idRegistry 沿用）
+ */
+function loadIndex() {
+  try {
+    if (fs.existsSync(LIBRARY_INDEX_FILE)) {
+      const data = JSON.parse(fs.readFileSync(LIBRARY_INDEX_FILE, 'utf-8'));
+      if (data.version === INDEX_VERSION) return data;
+      let libraries = null;
+      if (data.version === 1) {
+        const { rootPath, lastScanAt, lastScanDuration, books } = data;
+        for (const book of Object.values(books)) book.libraryId = DEFAULT_LIBRARY_ID;
+        libraries = { [DEFAULT_LIBRARY_ID]: { rootPath, lastScanAt, lastScanDuration, books } };
+      } else if (data.version === 2 || data.version === 3) {
+        libraries = data.libraries;
+      }
+      if (libraries) {
+        for (const entry of Object.values(libraries)) {
+          for (const book of Object.values(entry.books)) book.signature = null;
+        }
+        return { version: INDEX_VERSION, libraries };
+      }
+    }
+  } catch (e) {
+    console.error('Failed to load library index:', e.message);
+  }
+  return null;
+}
+
+function saveIndex() {
+  try {
+    fs.writeFileSync(LIBRARY_INDEX_FILE, JSON.stringify(index), 'utf-8');
+  } catch (e) {
+    console.error('Failed to save library index:', e.message);
+  }
+  idRegistry.saveRegistry();
+}
+
+function getState(libraryId) {
+  if (!states.has(libraryId)) {
+    states.set(libraryId, {
+      ready: false,
+      scanPromise: null,
+      watcher: null,
+      watchedRoot: null,
+      pendingFolders: new Set(),
+      debounceTimer: null,
+    });
+  }
+  return states.get(libraryId);
+}
+
+/**
+ * 索引中所有书籍
+ */
+function allBooks() {
+  return index ? Object.values(index.libraries).flatMap(entry => Object.values(entry.books)) : [];
+}
+
+// ========== 标签 ==========
+
+/**
+ * 沿用旧索引中未变化文件的标签
+ */
+function carryOverTags(book, previous) {
+  if (!previous) return;
+  const tagsByFile = new Map();
+  for (const season of previous.seasons) {
+    for (const ep of season.episodes) {
+      if (ep.tags) tagsByFile.set(ep.filePath, ep.tags);
+    }
+  }
+  for (const season of book.seasons) {
+    for (const ep of season.episodes) {
+      const tags = tagsByFile.get(ep.filePath);
+      if (isTagsFresh(tags, ep.filePath)) ep.tags = tags;
+    }
+  }
+}
+
+function hasUntaggedEpisodes(book) {
+  // 非本地存储中的文件不读取标签
+  if (storage.isRemotePath(book.path)) return false;
+  return book.seasons.some(s => s.episodes.some(ep => !ep.tags));
+}
+
+function queueTagging(libraryId, folderName) {
+  tagQueue.add(`${libraryId}/${folderName}`);
+  if (!tagging) {
+    processTagQueue().catch(e => console.error('[Library] 读取标签失败:', e.message));
+  }
+}
+
+/**
+ * 后台逐本读取标签，每本书读完后合并并保存索引
+ */
+async function processTagQueue() {
+  tagging = true;
+  try {
+    while (tagQueue.size > 0) {
+      const key = tagQueue.values().next().value;
+      tagQueue.delete(key);
+      const separator = key.indexOf('/');
+      const libraryId = key.slice(0, separator);
+      const folderName = key.slice(separator + 1);
+
+      const book = index?.libraries[libraryId]?.books[folderName];
+      if (!book || !hasUntaggedEpisodes(book)) continue;
+
+      for (const season of book.seasons) {
+        for (const ep of season.episodes) {
+          if (!ep.tags) ep.tags = (await readAudioTags(ep.filePath)) || { error: true };
+        }
+      }
+
+      // 读取期间这本书可能已被重新扫描替换
+      if (index?.libraries[libraryId]?.books[folderName] !== book) continue;
+
+      const previousCover = book.embeddedCoverFile;
+      applyTags(book);
+      idRegistry.recordTags(book);
+      if (previousCover !== book.embeddedCoverFile) clearEmbeddedCover(book.id);
+      saveIndex();
+      notifyBookChange(libraryId, 'updated', book.id);
+    }
+  } finally {
+    tagging = false;
+  }
+}
+
+// ========== 扫描 ==========
+
+/**
+ * 书库的存储驱动（书库不存在时返回 null）
+ */
+function getStorage(libraryId) {
+  const library = getLibraries().find(lib => lib.id === libraryId);
+  return library ? storage.getDriver(library) : null;
+}
+
+/**
+ * 书籍目录的存储路径
+ */
+function toBookPath(rootPath, folderName) {
+  return storage.isRemotePath(rootPath) ? `${rootPath}/${folderName}` : path.join(rootPath, folderName);
+}
+
+/**
+ * 某一集的存储键（相对书库根目录）；旧索引中的本地书由文件路径推算
+ */
+function getEpisodeKey(book, episode) {
+  if (episode.key) return episode.key;
+  return path.relative(path.dirname(book.path), episode.filePath).split(path.sep).join('/');
+}
+
+/**
+ * 某一集实际播放的文件 { storage, key, fileName }：有转换后的副本时读取副本
+ */
+function getPlaybackSource(book, episode) {
+  const { converted } = episode;
+  if (!converted) {
+    return { storage: getStorage(book.libraryId), key: getEpisodeKey(book, episode), fileName: episode.fileName };
+  }
+  return {
+    storage: converted.cached ? getCacheStorage(book.libraryId) : getStorage(book.libraryId),
+    key: converted.key,
+    fileName: converted.fileName,
+  };
+}
+
+/**
+ * 把驱动列出的文件（key 相对书库根目录）转换为相对书籍目录的 relPath
+ */
+function toBookFiles(folderName, files) {
+  const prefix = `${folderName}/`;
+  return files
+    .filter(f => f.key.startsWith(prefix))
+    .map(f => ({ ...f, relPath: f.key.slice(prefix.length) }));
+}
+
+/**
+ * 扫描书库中的指定书籍文件夹并写入索引（不存在或无音频时从索引移除）
+ * files 为已列出的书籍文件（整库扫描时传入），为空时由驱动列出
+ * 列出失败（网络等）时保留索引中的旧数据
+ */
+async function refreshFolder(libraryId, folderName, files = null) {
+  const entry = index.libraries[libraryId];
+  if (!entry) return null;
+  const previous = entry.books[folderName];
+  let driver;
+  let convertedFiles = [];
+  try {
+    driver = getStorage(libraryId);
+    if (!driver) return null;
+    if (!files) files = toBookFiles(folderName, await driver.list(folderName));
+    if (driver.local) convertedFiles = toBookFiles(folderName, await getCacheStorage(libraryId).list(folderName));
+  } catch (e) {
+    console.error(`[Library] 扫描失败: ${folderName}: ${e.message}`);
+    return previous || null;
+  }
+
+  const bookPath = toBookPath(entry.rootPath, folderName);
+  const book = scanBookFiles(bookPath, folderName, files, getBookId(libraryId, folderName), convertedFiles);
+  if (book) {
+    await loadCueSheets(book, files, driver);
+    book.libraryId = libraryId;
+    book.signature = driver.local ? driver.getSignature(folderName) : getObjectSignature(files);
+    carryOverTags(book, previous);
+    await idRegistry.assignIds(libraryId, book, previous);
+    applyTags(book);
+    entry.books[folderName] = book;
+    if (hasUntaggedEpisodes(book)) queueTagging(libraryId, folderName);
+    if (previous && previous.id !== book.id) notifyBookChange(libraryId, 'removed', previous.id);
+    notifyBookChange(libraryId, previous && previous.id === book.id ? 'updated' : 'added', book.id);
+  } else {
+    delete entry.books[folderName];
+    if (previous) {
+      notifyBookChange(libraryId, 'removed', previous.id);
+      await refreshMergedCopy(idRegistry.handleRemovedBook(previous.id));
+    }
+  }
+  return book;
+}
+
+/**
+ * 列出书库中的书籍文件夹
+ * 本地书库返回 { folders }；其余书库一次列出全部文件，返回 { folders, files: Map(folderName → 书籍文件) }
+ */
+async function listLibraryFolders(driver) {
+  if (driver.local) {
+    const folders = (await driver.listFolders()).filter(name => !IGNORED_FOLDERS.has(name));
+    return { folders, files: null };
+  }
+
+  const files = new Map();
+  for (const file of await driver.list('')) {
+    const separator = file.key.indexOf('/');
+    // 根目录下的文件不属于任何书
+    if (separator <= 0) continue;
+    const folderName = file.key.slice(0, separator);
+    if (folderName.startsWith('.') || IGNORED_FOLDERS.has(folderName)) continue;
+    if (!files.has(folderName)) files.set(folderName, []);
+    files.get(folderName).push({ ...file, relPath: file.key.slice(separator + 1) });
+  }
+  return { folders: [...files.keys()], files };
+}
+
+/**
+ * 书籍目录删除后，内容相同的副本被并回原 ID：重新扫描副本以更新索引中的 ID
+ */
+async function refreshMergedCopy(copyId) {
+  if (!copyId) return;
+  for (const [libraryId, entry] of Object.entries(index.libraries)) {
+    const folderName = Object.keys(entry.books).find(name => entry.books[name].id === copyId);
+    if (folderName) await refreshFolder(libraryId, folderName);
+  }
+}
+
+/**
+ * 扫描单个书库
+ * full = false 时只重新扫描签名有变化的书
+ */
+async function scanLibrary(library, { full = false } = {}) {
+  const state = getState(library.id);
+  if (state.scanPromise) return state.scanPromise;
+
+  state.scanPromise = (async () => {
+    const rootPath = library.path;
+    let entry = index.libraries[library.id];
+    if (!entry || entry.rootPath !== rootPath) {
+      entry = emptyEntry(rootPath);
+      index.libraries[library.id] = entry;
+      full = true;
+    }
+
+    const startTime = Date.now();
+    let driver;
+    let folders;
+    let folderFiles;
+    try {
+      driver = storage.getDriver(library);
+      ({ folders, files: folderFiles } = await listLibraryFolders(driver));
+      entry.lastError = null;
+    } catch (e) {
+      // 列出失败（配置不完整、网络等）时保留现有索引，等待下次扫描
+      entry.lastError = e.message;
+      console.error(`[Library] ${library.name}: 列出书籍失败: ${e.message}`);
+      return;
+    }
+    if (!driver.local) {
+      remoteBookPaths.set(library.id, new Set(folders.map(name => toBookPath(rootPath, name))));
+    }
+    const folderSet = new Set(folders);
+    let scanned = 0;
+
+    const removedIds = [];
+    for (const folderName of Object.keys(entry.books)) {
+      if (folderSet.has(folderName)) continue;
+      removedIds.push(entry.books[folderName].id);
+      notifyBookChange(library.id, 'removed', entry.books[folderName].id);
+      delete entry.books[folderName];
+    }
+
+    for (const folderName of folders) {
+      const existing = entry.books[folderName];
+      const files = folderFiles ? folderFiles.get(folderName) : null;
+      const signature = files ? getObjectSignature(files) : driver.getSignature(folderName);
+      if (!full && existing && idRegistry.isRegistered(existing) && existing.signature === signature) {
+        continue;
+      }
+      await refreshFolder(library.id, folderName, files);
+      scanned++;
+    }
+
+    // 新位置都登记之后再处理已删除的书（复制后删除原目录的情况）
+    for (const bookId of removedIds) {
+      await refreshMergedCopy(idRegistry.handleRemovedBook(bookId));
+    }
+
+    entry.lastScanAt = Date.now();
+    entry.lastScanDuration = entry.lastScanAt - startTime;
+    saveIndex();
+
+    // 旧索引中尚未读取标签的书
+    for (const folderName in entry.books) {
+      if (hasUntaggedEpisodes(entry.books[folderName])) queueTagging(library.id, folderName);
+    }
+
+    console.log(`[Library] ${library.name}: ${full ? '全量' : '增量'}扫描完成: ${Object.keys(entry.books).length} 本书, 重新扫描 ${scanned} 本, 耗时 ${entry.lastScanDuration}ms`);
+    notifyScan(library.id);
+  })();
+
+  try {
+    await state.scanPromise;
+  } finally {
+    state.scanPromise = null;
+  }
+}
+
+/**
+ * 扫描书库
+ * libraryId 为空时依次扫描所有书库；full = false 时只重新扫描签名有变化的书
+ */
+async function rescan({ full = false, libraryId = null } = {}) {
+  await ensureIndex();
+  const libraries = getLibraries().filter(lib => !libraryId || lib.id === libraryId);
+  if (libraryId && libraries.length === 0) throw new Error('书库不存在');
+
+  for (const library of libraries) {
+    await scanLibrary(library, { full });
+  }
+  return getStatus();
+}
+
+/**
+ * 确保索引与书库列表一致
+ * 首次调用：有持久化索引的书库直接使用并后台增量扫描；否则同步等待全量扫描（并发的调用等待同一次扫描）
+ * 新增或路径变更的书库全量扫描，已删除的书库从索引中移除
+ */
+async function ensureIndex() {
+  if (!index) index = loadIndex() || { version: INDEX_VERSION, libraries: {} };
+
+  const libraries = getLibraries();
+  const libraryIds = new Set(libraries.map(lib => lib.id));
+  for (const libraryId of Object.keys(index.libraries)) {
+    if (libraryIds.has(libraryId)) continue;
+    for (const book of Object.values(index.libraries[libraryId].books)) notifyBookChange(libraryId, 'removed', book.id);
+    delete index.libraries[libraryId];
+    stopWatcher(libraryId);
+    states.delete(libraryId);
+    remoteBookPaths.delete(libraryId);
+    saveIndex();
+  }
+
+  for (const library of libraries) {
+    const state = getState(library.id);
+    if (!state.ready && state.scanPromise) {
+      // 全量扫描进行中：scanLibrary 开始时就建好了空的索引条目，不能当作持久化索引直接返回
+      await state.scanPromise;
+      state.ready = true;
+      startWatcher(library.id);
+      continue;
+    }
+    const entry = index.libraries[library.id];
+    if (entry && entry.rootPath === library.path) {
+      if (state.ready) continue;
+      // 持久化索引：先用旧数据，后台增量扫描
+      state.ready = true;
+      startWatcher(library.id);
+      scanLibrary(library).catch(e => console.error('[Library] 后台扫描失败:', e.message));
+      continue;
+    }
+
+    // 新书库、根目录变更或无可用索引：扫描完成前同时到达的请求也等待这次扫描
+    state.ready = false;
+    await scanLibrary(library, { full: true });
+    state.ready = true;
+    startWatcher(library.id);
+  }
+  return index;
+}
+
+// ========== 文件系统监听 ==========
+
+function scheduleRefresh(libraryId, folderName) {
+  if (!folderName || folderName.startsWith('.') || IGNORED_FOLDERS.has(folderName)) return;
+  const state = getState(libraryId);
+  state.pendingFolders.add(folderName);
+  if (state.debounceTimer) clearTimeout(state.debounceTimer);
+  state.debounceTimer = setTimeout(() => {
+    flushPending(libraryId).catch(e => console.error('[Library] 更新失败:', e.message));
+  }, WATCH_DEBOUNCE_MS);
+}
+
+async function flushPending(libraryId) {
+  const state = getState(libraryId);
+  state.debounceTimer = null;
+  const entry = index?.libraries[libraryId];
+  if (!entry || state.pendingFolders.size === 0) return;
+
+  const folders = [...state.pendingFolders];
+  state.pendingFolders.clear();
+  for (const folderName of folders) {
+    await refreshFolder(libraryId, folderName);
+  }
+  entry.lastScanAt = Date.now();
+  saveIndex();
+  console.log(`[Library] 检测到目录变动，已更新: ${folders.join(', ')}`);
+  notifyScan(libraryId);
+}
+
+function stopWatcher(libraryId) {
+  const state = states.get(libraryId);
+  if (!state) return;
+  if (state.watcher) {
+    try { state.watcher.close(); } catch { /* ignore */ }
+    state.watcher = null;
+  }
+  if (state.debounceTimer) {
+    clearTimeout(state.debounceTimer);
+    state.debounceTimer = null;
+  }
+  state.watchedRoot = null;
+}
+
+function startWatcher(libraryId) {
+  const rootPath = index?.libraries[libraryId]?.rootPath;
+  const state = getState(libraryId);
+  if (!rootPath || state.watchedRoot === rootPath) return;
+  stopWatcher(libraryId);
+
+  // 非本地书库没有文件事件，只靠定时扫描
+  if (storage.isRemotePath(rootPath)) {
+    state.watchedRoot = rootPath;
+  } else {
+    try {
+      state.watcher = fs.watch(rootPath, { recursive: true }, (eventType, filename) => {
+        if (!filename) return;
+        const folderName = filename.toString().split(/[/\\]/)[0];
+        scheduleRefresh(libraryId, folderName);
+      });
+      state.watcher.on('error', (e) => {
+        console.warn(`[Library] 目录监听中断: ${e.message}`);
+        stopWatcher(libraryId);
+      });
+      state.watchedRoot = rootPath;
+    } catch (e) {
+      console.warn(`[Library] 无法监听目录 ${rootPath}（将依赖定时扫描）: ${e.message}`);
+    }
+  }
+
+  if (!periodicTimer) {
+    periodicTimer = setInterval(() => {
+      rescan().catch(e => console.error('[Library] 定时扫描失败:', e.message));
+    }, PERIODIC_RESCAN_MS);
+    periodicTimer.unref();
+  }
+}
+
+// ========== 查询 ==========
+
+/**
+ * 获取所有书籍（已合并元数据），可按书库过滤
+ */
+async function getBooks({ libraryId = null } = {}) {
+  await ensureIndex();
+  const metadata = loadMetadata();
+  return allBooks()
+    .filter(book => !libraryId || book.libraryId === libraryId)
+    .map(book => applyBookMetadata(book, metadata[book.id]));
+}
+
+/**
+ * 获取单本书（已合并元数据），合并前的旧 ID 也能找到
+ */
+async function getBook(bookId) {
+  await ensureIndex();
+  const id = idRegistry.resolveAlias(bookId);
+  const book = allBooks().find(b => b.id === id);
+  if (!book) return null;
+  return applyBookMetadata(book, loadMetadata()[id]);
+}
+
+/**
+ * 查找某一集，同时返回实际播放的文件（见 getPlaybackSource）
+ * episodeId 也可以是内嵌章节展开的集 ID：返回所在文件的集，chapter 为对应章节
+ */
+async function findEpisode(bookId, seasonId, episodeId) {
+  const book = await getBook(bookId);
+  if (!book) return { error: '书籍不存在' };
+
+  const season = book.seasons.find(s => s.id === seasonId);
+  if (!season) return { error: '季不存在' };
+
+  const episode = season.episodes.find(e => e.id === episodeId);
+  if (episode) return { book, season, episode, chapter: null, ...getPlaybackSource(book, episode) };
+
+  // 内嵌章节展开的集：返回所在文件的集和章节
+  const found = findChapterEpisode(season, episodeId);
+  if (!found) return { error: '集不存在' };
+  return { book, season, ...found, ...getPlaybackSource(book, found.episode) };
+}
+
+/**
+ * 立即重新扫描指定书籍（上传、格式转换完成后调用，默认书库）
+ */
+async function refreshBook(folderName, libraryId = DEFAULT_LIBRARY_ID) {
+  await ensureIndex();
+  const book = await refreshFolder(libraryId, folderName);
+  const entry = index.libraries[libraryId];
+  if (entry) entry.lastScanAt = Date.now();
+  saveIndex();
+  return book;
+}
+
+// 一本书的转换任务全部结束后刷新，列出转换后的文件
+jobQueue.events.on('bookFinished', ({ folderName, libraryId, type }) => {
+  if (type !== 'convert') return;
+  refreshBook(folderName, libraryId).catch(e => console.error('[Library] 转换后刷新失败:', e.message));
+});
+
+/**
+ * 书库状态（汇总 + 每个书库）
+ */
+function getStatus() {
+  const libraries = getLibraries().map(library => {
+    const entry = index?.libraries[library.id];
+    const state = states.get(library.id);
+    const books = entry ? Object.values(entry.books) : [];
+    return {
+      id: library.id,
+      name: library.name,
+      source: library.source,
+      rootPath: library.path,
+      bookCount: books.length,
+      episodeCount: books.reduce((sum, b) => sum + b.totalEpisodes, 0),
+      lastScanAt: entry?.lastScanAt || null,
+      lastScanDuration: entry?.lastScanDuration || 0,
+      scanning: !!state?.scanPromise,
+      watching: !!state?.watcher,
+      error: entry?.lastError || null,
+    };
+  });
+
+  return {
+    rootPath: libraries[0].rootPath,
+    bookCount: libraries.reduce((sum, l) => sum + l.bookCount, 0),
+    episodeCount: libraries.reduce((sum, l) => sum + l.episodeCount, 0),
+    lastScanAt: Math.max(0, ...libraries.map(l => l.lastScanAt || 0)) || null,
+    lastScanDuration: libraries.reduce((sum, l) => sum + l.lastScanDuration, 0),
+    scanning: libraries.some(l => l.scanning),
+    watching: libraries.filter(l => l.source === 'local').every(l => l.watching),
+    readingTags: tagging || tagQueue.size > 0,
+    libraries,
+  };
+}
+
+module.exports = {
+  ensureIndex,
+  rescan,
+  getBooks,
+  getBook,
+  findEpisode,
+  refreshBook,
+  getStorage,
+  getStatus,
+  onBooksChanged,
+};
@@ -0,0 +1,81 @@
+/**
+ * 服务器推送（Server-Sent Events，GET /api/events）
+ *
+ * 客户端保持一个 EventSource 连接，服务端有变化时推送，不再轮询：
+ * - books：书籍新增、删除或更新 { libraryId, added, removed, updated }（书籍 ID 列表）
+ * - scan：书库扫描完成 { libraryId, bookCount, lastScanAt }
+ * - conversion：一本书的格式转换进度 { bookId, conversion }（同 conversion-status 接口，任务清空后为 null）
+ * - upload：上传完成 { libraryId, bookName, bookId, convertingCount }
+ * - jobs：后台任务变化（仅管理员）{ job, state }
+ *
+ * 每 25 秒发送一行注释保持连接（反向代理的空闲超时）
+ * 推送时按连接的会话令牌重新解析用户：退出登录、会话失效或用户被删除后关闭连接，
+ * 降级为收听者后不再收到仅管理员的事件
+ */
+
+const { isAdmin, getRequestToken, resolveUser } = require('./auth');
+
+const HEARTBEAT_INTERVAL = 25000;
+
+// { res, token }
+const clients = new Set();
+let heartbeatTimer = null;
+
+function startHeartbeat() {
+  if (heartbeatTimer) return;
+  heartbeatTimer = setInterval(() => {
+    for (const client of clients) client.res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL);
+  heartbeatTimer.unref();
+}
+
+/**
+ * 把请求转为事件流，直到客户端断开
+ */
+function subscribe(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // 关闭 nginx 的响应缓冲
+    'X-Accel-Buffering': 'no',
+  });
+  // 断线后浏览器 5 秒后重连
+  res.write('retry: 5000\n\n');
+
+  const client = { res, token: getRequestToken(req) };
+  clients.add(client);
+  startHeartbeat();
+
+  req.on('close', () => {
+    clients.delete(client);
+    if (clients.size === 0 && heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+  });
+}
+
+/**
+ * 推送事件给所有连接（adminOnly 为 true 时只推送给管理员）
+ */
+function publish(type, data, { adminOnly = false } = {}) {
+  if (clients.size === 0) return;
+  const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const client of clients) {
+    const { user } = resolveUser(client.token);
+    if (!user) {
+      // 连接断开时的清理见 subscribe 的 close 事件
+      client.res.end();
+      clients.delete(client);
+      continue;
+    }
+    if (adminOnly && !isAdmin(user)) continue;
+    client.res.write(message);
+  }
+}
+
+module.exports = {
+  subscribe,
+  publish,
+};
@@ -0,0 +1,285 @@
+/**
+ * 响度分析服务（EBU R128）
+ *
+ * 每集由 FFmpeg 的 loudnorm 滤镜测量整体响度（LUFS）、真峰值（dBTP）和响度范围（LU），
+ * 结果保存在 server/data/loudness.json，按书籍 + 集 ID 存放，记录分析时的文件（source），
+ * 文件被替换（格式转换、重新上传）后需要重新分析。
+ * 客户端播放时按 gain（目标响度 - 测得响度，受真峰值限制）调整音量，不同演播者的音量一致
+ *
+ * 配置（config.json 的 loudness）：{ enabled: 是否自动分析, target: 目标响度 LUFS }
+ * 开启后本地书库的书在启动、开启设置以及书籍新增或变化时自动以低优先级加入任务队列（loudness 任务）；
+ * 任何书库都可以在书籍详情中手动分析
+ */
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+const jobQueue = require('./jobQueue');
+const library = require('./library');
+const { watchProgress } = require('./converter');
+const { isRemotePath } = require('./storage/utils');
+const { CONFIG_FILE, LOUDNESS_FILE } = require('../utils/paths');
+
+const LOUDNESS_VERSION = 1;
+const DEFAULT_TARGET = -16;
+const TARGET_RANGE = [-30, -10];
+// 增益上限（dB）：几乎无声的录音不无限放大
+const MAX_GAIN = 12;
+// 提升音量后真峰值不超过 -1 dBTP
+const TRUE_PEAK_LIMIT = -1;
+
+let store = null;
+
+// ========== 配置 ==========
+
+/**
+ * 响度分析配置 { enabled, target }
+ */
+function getLoudnessConfig() {
+  let saved = {};
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      saved = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8')).loudness || {};
+    }
+  } catch { /* ignore */ }
+  const target = Number(saved.target);
+  return {
+    enabled: !!saved.enabled,
+    target: target >= TARGET_RANGE[0] && target <= TARGET_RANGE[1] ? target : DEFAULT_TARGET,
+  };
+}
+
+// ========== 读写 ==========
+
+function loadStore() {
+  if (store) return store;
+  try {
+    if (fs.existsSync(LOUDNESS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(LOUDNESS_FILE, 'utf-8'));
+      if (data.version === LOUDNESS_VERSION) store = data;
+    }
+  } catch (e) {
+    console.error('Failed to load loudness data:', e.message);
+  }
+  if (!store) store = { version: LOUDNESS_VERSION, episodes: {} };
+  return store;
+}
+
+function saveStore() {
+  try {
+    fs.writeFileSync(LOUDNESS_FILE, JSON.stringify(store), 'utf-8');
+  } catch (e) {
+    console.error('Failed to save loudness data:', e.message);
+  }
+}
+
+function episodeKey(bookId, episodeId) {
+  return `${bookId}/${episodeId}`;
+}
+
+/**
+ * 一集实际播放的文件的标识（有转换后的副本时为副本），文件变化后分析结果作废
+ */
+function getSourceSignature(episode) {
+  const { converted } = episode;
+  if (converted) return `${converted.key}:${converted.size}`;
+  return `${episode.key || episode.filePath}:${episode.etag || `${episode.size}@${episode.lastModified}`}`;
+}
+
+function getFreshEntry(bookId, episode) {
+  const entry = loadStore().episodes[episodeKey(bookId, episode.id)];
+  return entry && entry.source === getSourceSignature(episode) ? entry : null;
+}
+
+/**
+ * 一集的响度和播放增益 { gain, integrated, truePeak, lra }，未分析或文件已变化时返回 null
+ * 无声的文件（响度为 -inf）增益为 0
+ */
+function getEpisodeLoudness(bookId, episode, target = getLoudnessConfig().target) {
+  const entry = getFreshEntry(bookId, episode);
+  if (!entry) return null;
+  const { integrated, truePeak, lra } = entry;
+  let gain = 0;
+  if (integrated !== null) {
+    gain = Math.max(-MAX_GAIN, Math.min(MAX_GAIN, target - integrated));
+    if (truePeak !== null) gain = Math.min(gain, Math.max(0, TRUE_PEAK_LIMIT - truePeak));
+  }
+  return { gain: Math.round(gain * 10) / 10, integrated, truePeak, lra };
+}
+
+// ========== 分析 ==========
+
+/**
+ * loudnorm 输出的数值（"-inf" 等非数值为 null）
+ */
+function toNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * 测量音频文件的响度
+ * input 为本地文件路径；为 null 时从 source（可读流）读取
+ * 返回 { integrated, truePeak, lra, threshold }
+ */
+function measureLoudness(input, { source = null, signal = null, duration = 0, onProgress = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const { target } = getLoudnessConfig();
+    // loudnorm 的测量结果在 info 级别输出，不能用 -v error
+    const ffmpeg = spawn('ffmpeg', [
+      '-hide_banner',
+      '-nostats',
+      '-i', input || 'pipe:0',
+      '-vn',
+      '-map', '0:a:0',
+      '-af', `loudnorm=I=${target}:TP=-1.5:LRA=11:print_format=json`,
+      '-progress', 'pipe:1',
+      '-f', 'null',
+      '-',
+    ], signal ? { signal } : {});
+
+    const stderrChunks = [];
+    ffmpeg.stderr.on('data', (chunk) => stderrChunks.push(chunk));
+    watchProgress(ffmpeg.stdout, duration, onProgress);
+    // 从存储读取失败（远程存储断开等）：结束 FFmpeg，以读取错误作为失败原因
+    let sourceError = null;
+    if (source) {
+      ffmpeg.stdin.on('error', () => {});
+      source.on('error', (err) => {
+        sourceError = err;
+        ffmpeg.stdin.destroy();
+        if (ffmpeg.exitCode === null) ffmpeg.kill('SIGKILL');
+      });
+      source.pipe(ffmpeg.stdin);
+    }
+
+    ffmpeg.on('close', (code) => {
+      if (source) source.destroy();
+      if (sourceError) return reject(new Error(`读取音频失败: ${sourceError.message}`));
+      const stderrStr = Buffer.concat(stderrChunks).toString();
+      if (code !== 0) {
+        const detail = stderrStr.trim().split('\n').pop();
+        return reject(new Error(`FFmpeg exit code ${code}${detail ? ': ' + detail : ''}`));
+      }
+      const json = stderrStr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+      if (!json) return reject(new Error('未找到响度测量结果'));
+      try {
+        const result = JSON.parse(json[0]);
+        resolve({
+          integrated: toNumber(result.input_i),
+          truePeak: toNumber(result.input_tp),
+          lra: toNumber(result.input_lra),
+          threshold: toNumber(result.input_thresh),
+        });
+      } catch (e) {
+        reject(new Error(`响度测量结果格式错误: ${e.message}`));
+      }
+    });
+
+    ffmpeg.on('error', (err) => {
+      if (source) source.destroy();
+      reject(err.name === 'AbortError' ? new Error('分析已中止') : err);
+    });
+  });
+}
+
+/**
+ * 执行一个响度分析任务：分析这一集当前播放的文件（本地文件直接读取，其余存储经由驱动读取）
+ */
+async function runLoudnessJob(job, { signal, onProgress }) {
+  const { bookId, seasonId, episodeId } = job.payload;
+  const result = await library.findEpisode(bookId, seasonId, episodeId);
+  if (result.error) throw new Error(result.error);
+  const { episode, storage: driver, key } = result;
+  if (!driver) throw new Error('书库不存在');
+
+  const source = driver.local ? null : (await driver.read(key)).stream;
+  const measured = await measureLoudness(source ? null : driver.resolve(key), {
+    source,
+    signal,
+    duration: episode.duration || 0,
+    onProgress,
+  });
+
+  loadStore().episodes[episodeKey(bookId, episodeId)] = {
+    source: getSourceSignature(episode),
+    ...measured,
+    analyzedAt: Date.now(),
+  };
+  saveStore();
+}
+
+jobQueue.registerHandler('loudness', runLoudnessJob);
+
+/**
+ * 把一本书未分析（或文件已变化）的集加入任务队列，返回加入的集数
+ * 自动触发（manual 为 false）时跳过非本地书库、等待格式转换的集，以及上次分析失败或被取消的集
+ */
+function startBookAnalysis(book, { manual = false, priority = jobQueue.PRIORITY.low } = {}) {
+  if (!book || !book.seasons) return 0;
+  if (!manual && isRemotePath(book.path)) return 0;
+
+  const items = [];
+  for (const season of book.seasons) {
+    for (const ep of season.episodes) {
+      if (getFreshEntry(book.id, ep)) continue;
+      if (!manual && ep.needsTranscode) continue;
+      const target = `loudness:${episodeKey(book.id, ep.id)}`;
+      if (!manual) {
+        const latest = jobQueue.findLatestJob(target);
+        if (latest && ['failed', 'cancelled'].includes(latest.status)) continue;
+      }
+      items.push({
+        type: 'loudness',
+        file: ep.fileName,
+        target,
+        payload: { bookId: book.id, seasonId: season.id, episodeId: ep.id },
+      });
+    }
+  }
+  return items.length > 0 ? jobQueue.enqueue(book, items, { priority }) : 0;
+}
+
+/**
+ * 开启自动分析时把所有书未分析的集加入任务队列（启动时和开启设置时），返回加入的集数
+ */
+async function analyzeAllBooks() {
+  if (!getLoudnessConfig().enabled) return 0;
+  let count = 0;
+  for (const book of await library.getBooks()) count += startBookAnalysis(book);
+  return count;
+}
+
+// 书籍新增或变化（扫描、上传、格式转换完成）时只检查这些书，书籍列表接口不再逐本检查
+library.onBooksChanged(async ({ added, updated }) => {
+  if (!getLoudnessConfig().enabled) return;
+  try {
+    for (const bookId of [...added, ...updated]) startBookAnalysis(await library.getBook(bookId));
+  } catch (e) {
+    console.error('Failed to queue loudness analysis:', e.message);
+  }
+});
+
+/**
+ * 一本书已分析的集数 { analyzed, total }
+ */
+function getBookAnalysis(book) {
+  let analyzed = 0;
+  let total = 0;
+  for (const season of book.seasons || []) {
+    for (const ep of season.episodes) {
+      total++;
+      if (getFreshEntry(book.id, ep)) analyzed++;
+    }
+  }
+  return { analyzed, total };
+}
+
+module.exports = {
+  TARGET_RANGE,
+  getLoudnessConfig,
+  getEpisodeLoudness,
+  getBookAnalysis,
+  startBookAnalysis,
+  analyzeAllBooks,
+  measureLoudness,
+};
@@ -1,117 +1,187 @@
 /**
  * 阿里云OSS服务
- * 支持从OSS读取有声书文件
+ * OSS 客户端与配置；书库通过 services/storage/oss.js 驱动访问
+ *
+ * 配置优先级：config.json 的 oss（设置页填写）> 环境变量 OSS_*
+ * endpoint 可指向本地兼容 OSS API 的替身服务（如 http://localhost:9000），
+ * 开启 pathStyle 后以 /bucket/key 的路径形式访问，而不是 bucket.endpoint 子域名
  */
 
+const fs = require('fs');
+const { CONFIG_FILE } = require('../utils/paths');
+
+// 书库中 OSS 对象的存储路径前缀：oss://bucket/key
+const OSS_PATH_PREFIX = 'oss://';
+
 let OSSClient = null;
+let clientConfigKey = null;
+
+function readSavedConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8')).oss || {};
+    }
+  } catch { /* ignore */ }
+  return {};
+}
 
 function getOSSConfig() {
+  const saved = readSavedConfig();
+  const pick = (key, envKey, fallback = '') => saved[key] || process.env[envKey] || fallback;
   return {
-    region: process.env.OSS_REGION || '',
-    accessKeyId: process.env.OSS_ACCESS_KEY_ID || '',
-    accessKeySecret: process.env.OSS_ACCESS_KEY_SECRET || '',
-    bucket: process.env.OSS_BUCKET || '',
-    prefix: process.env.OSS_PREFIX || 'audiobooks/',
+    region: pick('region', 'OSS_REGION'),
+    endpoint: pick('endpoint', 'OSS_ENDPOINT'),
+    accessKeyId: pick('accessKeyId', 'OSS_ACCESS_KEY_ID'),
+    accessKeySecret: pick('accessKeySecret', 'OSS_ACCESS_KEY_SECRET'),
+    bucket: pick('bucket', 'OSS_BUCKET'),
+    prefix: pick('prefix', 'OSS_PREFIX', 'audiobooks/'),
+    pathStyle: saved.pathStyle ?? process.env.OSS_PATH_STYLE === 'true',
+    // proxy：服务端代理（支持 Range）；redirect：302 跳转到签名 URL
+    streamMode: pick('streamMode', 'OSS_STREAM_MODE', 'proxy'),
   };
 }
 
+/**
+ * 返回给客户端的配置（不含 AccessKey Secret）
+ */
+function getPublicOSSConfig() {
+  const { accessKeySecret, ...config } = getOSSConfig();
+  return { ...config, hasSecret: !!accessKeySecret };
+}
+
 function isOSSConfigured() {
   const config = getOSSConfig();
-  return !!(config.region && config.accessKeyId && config.accessKeySecret && config.bucket);
+  return !!((config.region || config.endpoint) && config.accessKeyId && config.accessKeySecret && config.bucket);
 }
 
 function getClient() {
   if (!isOSSConfigured()) {
     throw new Error('OSS is not configured');
   }
-  
-  if (!OSSClient) {
+
+  // 配置修改后重新创建客户端
+  const config = getOSSConfig();
+  const configKey = JSON.stringify(config);
+  if (!OSSClient || clientConfigKey !== configKey) {
     const OSS = require('ali-oss');
-    const config = getOSSConfig();
     OSSClient = new OSS({
-      region: config.region,
+      region: config.region || undefined,
+      endpoint: config.endpoint || undefined,
       accessKeyId: config.accessKeyId,
       accessKeySecret: config.accessKeySecret,
       bucket: config.bucket,
+      sldEnable: config.pathStyle,
     });
+    clientConfigKey = configKey;
   }
-  
+
   return OSSClient;
 }
 
 /**
- * 列出OSS上的有声书文件
+ * 规范化前缀：去掉开头的 /，非空时以 / 结尾
+ */
+function normalizePrefix(prefix) {
+  const trimmed = String(prefix || '').trim().replace(/^\/+/, '');
+  return trimmed && !trimmed.endsWith('/') ? `${trimmed}/` : trimmed;
+}
+
+/**
+ * 书库根目录的存储路径（oss://bucket/prefix，不带结尾的 /）
  */
-async function listOSSBooks() {
-  if (!isOSSConfigured()) return [];
-  
+function toOSSPath(prefix) {
+  return `${OSS_PATH_PREFIX}${getOSSConfig().bucket}/${normalizePrefix(prefix)}`.replace(/\/$/, '');
+}
+
+/**
+ * 列出前缀下的所有对象（自动翻页）
+ * 返回 [{ key, size, lastModified, etag }]
+ */
+async function listObjects(prefix) {
   const client = getClient();
-  const config = getOSSConfig();
-  const prefix = config.prefix;
-  
-  try {
-    const result = await client.list({
-      prefix,
-      delimiter: '/',
-    });
-    
-    const books = [];
-    if (result.prefixes) {
-      for (const bookPrefix of result.prefixes) {
-        const bookName = bookPrefix.replace(prefix, '').replace(/\/$/, '');
-        if (bookName) {
-          books.push({
-            name: bookName,
-            prefix: bookPrefix,
-            source: 'oss',
-          });
-        }
-      }
+  const objects = [];
+  let marker = null;
+  do {
+    const result = await client.list({ prefix: normalizePrefix(prefix), marker, 'max-keys': 1000 });
+    for (const obj of result.objects || []) {
+      objects.push({
+        key: obj.name,
+        size: obj.size,
+        lastModified: Date.parse(obj.lastModified) || 0,
+        etag: String(obj.etag || '').replace(/"/g, ''),
+      });
     }
-    
-    return books;
-  } catch (e) {
-    console.error('Failed to list OSS books:', e);
-    return [];
-  }
+    marker = result.isTruncated ? result.nextMarker : null;
+  } while (marker);
+  return objects;
 }
 
 /**
  * 获取OSS文件的签名URL（用于音频流）
+ * filename 不为空时以附件形式下载
  */
-async function getSignedUrl(objectKey, expires = 3600) {
-  if (!isOSSConfigured()) return null;
-  
+function getSignedUrl(objectKey, { expires = 3600, filename = null } = {}) {
   const client = getClient();
-  try {
-    const url = client.signatureUrl(objectKey, { expires });
-    return url;
-  } catch (e) {
-    console.error('Failed to generate signed URL:', e);
-    return null;
-  }
+  const response = filename
+    ? { 'content-disposition': `attachment; filename="${encodeURIComponent(filename)}"` }
+    : undefined;
+  return client.signatureUrl(objectKey, { expires, response });
 }
 
 /**
  * 获取OSS文件流
+ * range 为请求中的 Range 头（可选），返回 { stream, status, headers }
  */
-async function getStream(objectKey) {
-  if (!isOSSConfigured()) return null;
-  
+async function getStream(objectKey, range = null) {
+  const client = getClient();
+  const result = await client.getStream(objectKey, range ? { headers: { Range: range } } : {});
+  return { stream: result.stream, status: result.res.status, headers: result.res.headers };
+}
+
+/**
+ * 对象信息，不存在时返回 null
+ */
+async function headObject(objectKey) {
   const client = getClient();
   try {
-    const result = await client.getStream(objectKey);
-    return result.stream;
+    const { res } = await client.head(objectKey);
+    return {
+      size: Number(res.headers['content-length']) || 0,
+      lastModified: Date.parse(res.headers['last-modified']) || 0,
+      etag: String(res.headers.etag || '').replace(/"/g, ''),
+    };
   } catch (e) {
-    console.error('Failed to get OSS stream:', e);
-    return null;
+    if (e.status === 404) return null;
+    throw e;
   }
 }
 
+/**
+ * 上传本地文件
+ */
+async function putFile(objectKey, localFile) {
+  const client = getClient();
+  await client.put(objectKey, localFile);
+}
+
+/**
+ * 测试连接（列举一个对象）
+ */
+async function testConnection() {
+  const client = getClient();
+  await client.list({ prefix: normalizePrefix(getOSSConfig().prefix), 'max-keys': 1 });
+}
+
 module.exports = {
   isOSSConfigured,
-  listOSSBooks,
+  getOSSConfig,
+  getPublicOSSConfig,
+  normalizePrefix,
+  toOSSPath,
+  listObjects,
+  headObject,
   getSignedUrl,
   getStream,
-  getOSSConfig,
+  putFile,
+  testConnection,
 };
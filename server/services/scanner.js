@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { 
   isAudioFile, 
   extractSortNumber, 
@@ -15,6 +16,7 @@ const {
   needsTranscode 
 } = require('../utils/parser');
 
+const { isRemotePath } = require('./storage/utils');
 const { CONFIG_FILE, METADATA_FILE, SERVER_DATA_DIR } = require('../utils/paths');
 const DATA_DIR = SERVER_DATA_DIR;
 
@@ -38,16 +40,23 @@ function getAudiobookPath() {
     }
   } catch { /* ignore */ }
 
-  const defaultPath = process.env.NODE_ENV === 'production'
-    ? '/data/audiooook_web'
-    : path.join(__dirname, '..', '..', 'audiobooks');
-  const resolved = process.env.AUDIOBOOK_PATH || defaultPath;
+  const resolved = getDefaultAudiobookPath();
   if (!fs.existsSync(resolved)) {
     fs.mkdirSync(resolved, { recursive: true });
   }
   return resolved;
 }
 
+/**
+ * 默认有声书目录：环境变量 AUDIOBOOK_PATH > 内置默认路径
+ */
+function getDefaultAudiobookPath() {
+  const defaultPath = process.env.NODE_ENV === 'production'
+    ? '/data/audiooook_web'
+    : path.join(__dirname, '..', '..', 'audiobooks');
+  return process.env.AUDIOBOOK_PATH || defaultPath;
+}
+
 /**
  * 动态设置有声书根目录
  */
@@ -90,6 +99,23 @@ function updateBookMetadata(bookId, updates) {
   return metadata[bookId];
 }
 
+/**
+ * 书籍 ID 变更后迁移元数据键 mapping: { [旧 ID]: 新 ID }（新 ID 已有的字段优先）
+ * 返回是否有改动
+ */
+function renameBookMetadata(mapping) {
+  const metadata = loadMetadata();
+  let changed = false;
+  for (const [fromId, toId] of Object.entries(mapping)) {
+    if (!metadata[fromId]) continue;
+    metadata[toId] = { ...metadata[fromId], ...(metadata[toId] || {}) };
+    delete metadata[fromId];
+    changed = true;
+  }
+  if (changed) saveMetadata(metadata);
+  return changed;
+}
+
 /**
  * 获取书籍元数据
  */
@@ -98,31 +124,32 @@ function getBookMetadata(bookId) {
   return metadata[bookId] || {};
 }
 
+const COVER_NAMES = ['cover', 'Cover', 'COVER', 'folder', 'Folder', 'poster', 'thumb'];
+const IMAGE_EXTS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.bmp'];
+
+/**
+ * 从文件名列表中挑选封面图片（优先 cover/folder 等命名，其次任意图片）
+ */
+function pickCoverFile(files) {
+  // 优先查找命名为cover的文件
+  for (const name of COVER_NAMES) {
+    for (const ext of IMAGE_EXTS) {
+      const coverFile = files.find(f => f.toLowerCase() === `${name}${ext}`);
+      if (coverFile) return coverFile;
+    }
+  }
+
+  // 查找任何图片文件
+  return files.find(f => IMAGE_EXTS.includes(path.extname(f).toLowerCase())) || null;
+}
+
 /**
  * 查找封面图片
  */
 function findCoverImage(dirPath) {
-  const coverNames = ['cover', 'Cover', 'COVER', 'folder', 'Folder', 'poster', 'thumb'];
-  const imageExts = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.bmp'];
-  
   try {
-    const files = fs.readdirSync(dirPath);
-    
-    // 优先查找命名为cover的文件
-    for (const name of coverNames) {
-      for (const ext of imageExts) {
-        const coverFile = files.find(f => f.toLowerCase() === `${name}${ext}`);
-        if (coverFile) return path.join(dirPath, coverFile);
-      }
-    }
-    
-    // 查找任何图片文件
-    for (const file of files) {
-      const ext = path.extname(file).toLowerCase();
-      if (imageExts.includes(ext)) {
-        return path.join(dirPath, file);
-      }
-    }
+    const coverFile = pickCoverFile(fs.readdirSync(dirPath));
+    if (coverFile) return path.join(dirPath, coverFile);
   } catch (e) {
     // ignore
   }
@@ -131,170 +158,228 @@ function findCoverImage(dirPath) {
 }
 
 /**
- * 扫描有声书目录
+ * 列出根目录下的书籍文件夹
  */
-function scanAudiobooks() {
-  const rootPath = getAudiobookPath();
-  const metadata = loadMetadata();
-  const books = [];
-
+function listBookFolders(rootPath) {
   if (!fs.existsSync(rootPath)) {
     console.warn(`Audiobook path does not exist: ${rootPath}`);
     fs.mkdirSync(rootPath, { recursive: true });
-    return books;
+    return [];
   }
 
-  const entries = fs.readdirSync(rootPath, { withFileTypes: true });
-  
-  for (const entry of entries) {
-    if (!entry.isDirectory()) continue;
-    if (entry.name.startsWith('.')) continue;
-
-    const bookPath = path.join(rootPath, entry.name);
-    const bookId = generateId(entry.name);
-    const bookMeta = metadata[bookId] || {};
-    
-    const book = {
-      id: bookId,
-      folderName: entry.name,
-      name: bookMeta.customName || cleanName(entry.name),
-      description: bookMeta.description || '',
-      cover: bookMeta.customCover || null,
-      hasCoverFile: !!findCoverImage(bookPath),
-      skipIntro: bookMeta.skipIntro || 0,
-      skipOutro: bookMeta.skipOutro || 0,
-      seasons: [],
-      totalEpisodes: 0,
-      path: bookPath,
-    };
+  return fs.readdirSync(rootPath, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map(entry => entry.name);
+}
 
-    // 扫描季/章节目录
+/**
+ * 计算书籍目录签名（书目录 + 一级子目录的 mtime）
+ * 增删/重命名文件会改变所在目录的 mtime，据此判断是否需要重新扫描
+ */
+function getBookSignature(bookPath) {
+  try {
+    const parts = [fs.statSync(bookPath).mtimeMs];
     const subEntries = fs.readdirSync(bookPath, { withFileTypes: true });
-    
-    // 检查是否直接包含音频文件（无季结构）
-    const directAudioFiles = subEntries.filter(e => e.isFile() && isAudioFile(e.name));
-    const subDirs = subEntries.filter(e => e.isDirectory() && !e.name.startsWith('.'));
-
-    if (subDirs.length === 0 && directAudioFiles.length > 0) {
-      // 没有子目录，直接包含音频文件 -> 视为单季
-      const episodes = directAudioFiles.map(f => ({
-        id: generateId(f.name),
-        name: cleanName(f.name.replace(/\.[^.]+$/, '')),
-        fileName: f.name,
-        filePath: path.join(bookPath, f.name),
-        sortIndex: extractEpisodeNumber(f.name),
-        format: getExtension(f.name),
-        needsTranscode: needsTranscode(f.name),
-      })).sort((a, b) => a.sortIndex - b.sortIndex);
+    for (const entry of subEntries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+      try {
+        parts.push(`${entry.name}:${fs.statSync(path.join(bookPath, entry.name)).mtimeMs}`);
+      } catch { /* ignore */ }
+    }
+    return parts.join('|');
+  } catch {
+    return null;
+  }
+}
 
-      book.seasons.push({
-        id: generateId(entry.name + '_s1'),
-        name: '全集',
-        folderName: entry.name,
-        sortIndex: 1,
-        episodes,
-        path: bookPath,
-      });
-      book.totalEpisodes = episodes.length;
-    } else {
-      // 有子目录 -> 每个子目录为一季
-      for (const subDir of subDirs) {
-        const seasonPath = path.join(bookPath, subDir.name);
-        const seasonId = generateId(subDir.name);
-        
-        let audioFiles;
-        try {
-          audioFiles = fs.readdirSync(seasonPath)
-            .filter(f => {
-              try {
-                return fs.statSync(path.join(seasonPath, f)).isFile() && isAudioFile(f);
-              } catch { return false; }
-            });
-        } catch (e) {
-          continue;
-        }
-
-        if (audioFiles.length === 0) continue;
-
-        const episodes = audioFiles.map(f => ({
-          id: generateId(f),
-          name: cleanName(f.replace(/\.[^.]+$/, '')),
-          fileName: f,
-          filePath: path.join(seasonPath, f),
-          sortIndex: extractEpisodeNumber(f),
-          format: getExtension(f),
-          needsTranscode: needsTranscode(f),
-        })).sort((a, b) => a.sortIndex - b.sortIndex);
-
-        book.seasons.push({
-          id: seasonId,
-          name: cleanName(subDir.name),
-          folderName: subDir.name,
-          sortIndex: extractSortNumber(subDir.name),
-          episodes,
-          path: seasonPath,
-        });
-        book.totalEpisodes += episodes.length;
-      }
+/**
+ * 由音频文件名构造一集
+ */
+function toEpisode(fileName, filePath) {
+  return {
+    id: generateId(fileName),
+    name: cleanName(fileName.replace(/\.[^.]+$/, '')),
+    fileName,
+    filePath,
+    sortIndex: extractEpisodeNumber(fileName),
+    format: getExtension(fileName),
+    needsTranscode: needsTranscode(fileName),
+  };
+}
 
-      // 排序季
-      book.seasons.sort((a, b) => a.sortIndex - b.sortIndex);
-    }
+/**
+ * 由存储驱动列出的文件构造一本书（不含元数据）
+ * bookPath 为书籍目录的存储路径（本地为绝对路径，其余如 oss://bucket/prefix/书名），
+ * files 为该目录下的文件 [{ relPath（相对书籍目录）, key（相对书库根目录）, size, lastModified, etag }]
+ * 直接包含音频文件且无子目录时视为单季「全集」，否则每个子目录为一季
+ * 没有任何音频文件时返回 null
+ * bookId 默认为文件夹名哈希（多书库时由 services/libraries.js 生成）
+ * convertedFiles 为转换缓存目录中这本书的文件（格式同 files，见 services/converter.js）
+ */
+function scanBookFiles(bookPath, folderName, files, bookId = generateId(folderName), convertedFiles = []) {
+  const join = isRemotePath(bookPath) ? (dir, name) => `${dir}/${name}` : path.join;
+  const isHidden = f => !f.relPath || f.relPath.split('/').some(part => part.startsWith('.'));
+  const stem = relPath => relPath.replace(/\.[^./]+$/, '');
+  const isPlayable = f => isAudioFile(f.relPath) && !needsTranscode(f.relPath);
 
-    // 同时检查季目录中的封面
-    if (!book.hasCoverFile) {
-      for (const season of book.seasons) {
-        if (findCoverImage(season.path)) {
-          book.hasCoverFile = true;
-          break;
-        }
-      }
+  // 需要转换的文件（WMA/APE）已有转换后的副本时，这一集播放副本：
+  // 同目录下同名的可播放文件优先，其次是转换缓存目录中的对应文件；同目录的副本不再单独列为一集
+  const sources = new Set(files.filter(f => !isHidden(f) && isAudioFile(f.relPath) && needsTranscode(f.relPath)).map(f => stem(f.relPath)));
+  const copies = new Map();
+  for (const f of convertedFiles) {
+    if (!isHidden(f) && isPlayable(f) && sources.has(stem(f.relPath))) copies.set(stem(f.relPath), { ...f, cached: true });
+  }
+  const siblings = files.filter(f => !isHidden(f) && isPlayable(f) && sources.has(stem(f.relPath)));
+  for (const f of siblings) copies.set(stem(f.relPath), { ...f, cached: false });
+
+  const visible = files.filter(f => !isHidden(f) && !siblings.includes(f));
+  const directFiles = visible.filter(f => !f.relPath.includes('/'));
+  const subDirs = [...new Set(
+    visible
+      .filter(f => f.relPath.includes('/'))
+      .map(f => f.relPath.split('/')[0]),
+  )];
+
+  const baseName = f => f.relPath.split('/').pop();
+  const toFileEpisode = (f, seasonPath) => {
+    const fileName = baseName(f);
+    const episode = {
+      ...toEpisode(fileName, join(seasonPath, fileName)),
+      key: f.key,
+      size: f.size,
+      lastModified: f.lastModified,
+      etag: f.etag || null,
+    };
+    const copy = episode.needsTranscode ? copies.get(stem(f.relPath)) : null;
+    if (copy) {
+      episode.format = getExtension(copy.key);
+      episode.needsTranscode = false;
+      episode.converted = { key: copy.key, fileName: baseName(copy), size: copy.size, cached: copy.cached };
     }
+    return episode;
+  };
+  const coverKeyIn = (list) => {
+    const coverFile = pickCoverFile(list.map(baseName));
+    return coverFile ? list.find(f => baseName(f) === coverFile).key : null;
+  };
+
+  const book = {
+    id: bookId,
+    folderName,
+    coverKey: coverKeyIn(directFiles),
+    seasons: [],
+    totalEpisodes: 0,
+    path: bookPath,
+  };
 
-    if (book.seasons.length > 0) {
-      books.push(book);
+  const directAudio = directFiles.filter(f => isAudioFile(f.relPath));
+  if (subDirs.length === 0 && directAudio.length > 0) {
+    // 没有子目录，直接包含音频文件 -> 视为单季
+    const episodes = directAudio
+      .map(f => toFileEpisode(f, bookPath))
+      .sort((a, b) => a.sortIndex - b.sortIndex);
+
+    book.seasons.push({
+      id: generateId(folderName + '_s1'),
+      name: '全集',
+      folderName,
+      sortIndex: 1,
+      episodes,
+      path: bookPath,
+    });
+    book.totalEpisodes = episodes.length;
+  } else {
+    // 有子目录 -> 每个子目录为一季
+    for (const subDir of subDirs) {
+      const seasonPath = join(bookPath, subDir);
+      const seasonFiles = visible.filter(f => {
+        const parts = f.relPath.split('/');
+        return parts.length === 2 && parts[0] === subDir;
+      });
+      const audioFiles = seasonFiles.filter(f => isAudioFile(f.relPath));
+      if (audioFiles.length === 0) continue;
+
+      const episodes = audioFiles
+        .map(f => toFileEpisode(f, seasonPath))
+        .sort((a, b) => a.sortIndex - b.sortIndex);
+
+      book.seasons.push({
+        id: generateId(subDir),
+        name: cleanName(subDir),
+        folderName: subDir,
+        sortIndex: extractSortNumber(subDir),
+        episodes,
+        path: seasonPath,
+      });
+      book.totalEpisodes += episodes.length;
+      // 同时检查季目录中的封面
+      if (!book.coverKey) book.coverKey = coverKeyIn(seasonFiles);
     }
+
+    // 排序季
+    book.seasons.sort((a, b) => a.sortIndex - b.sortIndex);
   }
 
-  return books;
+  book.hasCoverFile = !!book.coverKey;
+  return book.seasons.length > 0 ? book : null;
 }
 
 /**
- * 获取单本书详情
+ * 文件列表签名（路径 + ETag，无 ETag 时用大小和修改时间），用于判断远程存储中的书是否有变化
  */
-function getBookDetail(bookId) {
-  const books = scanAudiobooks();
-  return books.find(b => b.id === bookId) || null;
+function getObjectSignature(files) {
+  const parts = files.map(f => `${f.relPath}:${f.etag || `${f.size}@${f.lastModified}`}`).sort();
+  return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+}
+
+/**
+ * 将元数据（自定义名称、简介、跳过片头片尾等）合并到扫描结果
+ */
+function applyBookMetadata(book, bookMeta = {}) {
+  return {
+    ...book,
+    name: bookMeta.customName || cleanName(book.folderName),
+    description: bookMeta.description || '',
+    cover: bookMeta.customCover || null,
+    skipIntro: bookMeta.skipIntro || 0,
+    skipOutro: bookMeta.skipOutro || 0,
+    conversionProfile: bookMeta.conversionProfile || null,
+  };
 }
 
 /**
  * 获取封面文件路径
  */
-function getCoverPath(bookId) {
-  const book = getBookDetail(bookId);
+function getCoverPath(book) {
   if (!book) return null;
-  
-  const meta = getBookMetadata(bookId);
+
+  const meta = getBookMetadata(book.id);
   if (meta.customCover) return meta.customCover;
-  
+
   // 在书籍目录和季目录中查找
   let coverPath = findCoverImage(book.path);
   if (coverPath) return coverPath;
-  
+
   for (const season of book.seasons) {
     coverPath = findCoverImage(season.path);
     if (coverPath) return coverPath;
   }
-  
+
   return null;
 }
 
 module.exports = {
-  scanAudiobooks,
-  getBookDetail,
+  listBookFolders,
+  getBookSignature,
+  scanBookFiles,
+  getObjectSignature,
+  applyBookMetadata,
   getCoverPath,
+  loadMetadata,
   updateBookMetadata,
+  renameBookMetadata,
   getBookMetadata,
   getAudiobookPath,
+  getDefaultAudiobookPath,
   setAudiobookPath,
 };
@@ -0,0 +1,241 @@
+/**
+ * 收听记录与统计服务
+ *
+ * 客户端每段连续播放上报一条收听记录（session），保存在 listening-history.json：
+ * { sessions: [{ id, userId, bookId, bookName, seasonId, episodeId, episodeName,
+ *                startPosition, endPosition, startedAt, endedAt, duration, playbackRate, completedBook }] }
+ *
+ * duration 为实际经过的时间（秒），统计均基于它；startPosition/endPosition 为音频内的位置
+ * 多用户之前的记录没有 userId，视为默认用户的记录
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LISTENING_HISTORY_FILE } = require('../utils/paths');
+const { DEFAULT_USER_ID } = require('./auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 单条记录最长 24 小时，超出视为异常数据
+const MAX_SESSION_SECONDS = 24 * 60 * 60;
+
+// ========== 文件读写 ==========
+
+function loadHistory() {
+  try {
+    if (fs.existsSync(LISTENING_HISTORY_FILE)) {
+      return JSON.parse(fs.readFileSync(LISTENING_HISTORY_FILE, 'utf-8'));
+    }
+  } catch (e) {
+    console.error('Failed to load listening history:', e.message);
+  }
+  return { sessions: [] };
+}
+
+function saveHistory(history) {
+  const dir = path.dirname(LISTENING_HISTORY_FILE);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(LISTENING_HISTORY_FILE, JSON.stringify(history), 'utf-8');
+}
+
+/**
+ * 某个用户的收听记录
+ */
+function loadUserSessions(userId) {
+  return loadHistory().sessions.filter(s => (s.userId || DEFAULT_USER_ID) === userId);
+}
+
+// ========== 收听记录 ==========
+
+function isValidSession(s) {
+  return s
+    && typeof s.id === 'string'
+    && typeof s.bookId === 'string'
+    && Number.isFinite(s.startedAt)
+    && Number.isFinite(s.endedAt)
+    && s.endedAt > s.startedAt
+    && Number.isFinite(s.duration)
+    && s.duration > 0
+    && s.duration <= MAX_SESSION_SECONDS;
+}
+
+/**
+ * 追加收听记录（按 id 去重，离线补传时可能重复）
+ * 返回实际新增的条数
+ */
+function addSessions(userId, sessions) {
+  const history = loadHistory();
+  const existing = new Set(history.sessions.map(s => s.id));
+  let added = 0;
+
+  for (const s of sessions) {
+    if (!isValidSession(s) || existing.has(s.id)) continue;
+    history.sessions.push({
+      id: s.id,
+      userId,
+      bookId: s.bookId,
+      bookName: s.bookName || '',
+      seasonId: s.seasonId || null,
+      episodeId: s.episodeId || null,
+      episodeName: s.episodeName || '',
+      startPosition: Number(s.startPosition) || 0,
+      endPosition: Number(s.endPosition) || 0,
+      startedAt: s.startedAt,
+      endedAt: s.endedAt,
+      duration: Math.round(s.duration),
+      playbackRate: Number(s.playbackRate) || 1,
+      completedBook: !!s.completedBook,
+    });
+    existing.add(s.id);
+    added++;
+  }
+
+  if (added > 0) {
+    history.sessions.sort((a, b) => a.startedAt - b.startedAt);
+    saveHistory(history);
+  }
+  return added;
+}
+
+/**
+ * 最近的收听记录（新的在前）
+ */
+function getRecentSessions(userId, { bookId, limit = 50 } = {}) {
+  let sessions = loadUserSessions(userId);
+  if (bookId) sessions = sessions.filter(s => s.bookId === bookId);
+  return sessions.slice(-limit).reverse();
+}
+
+// ========== 统计 ==========
+
+/**
+ * 时间戳 → 客户端本地日期 YYYY-MM-DD
+ * tzOffset 为客户端 Date#getTimezoneOffset()（分钟，UTC+8 为 -480）
+ */
+function toLocalDate(timestamp, tzOffset) {
+  return new Date(timestamp - tzOffset * 60000).toISOString().slice(0, 10);
+}
+
+function addDays(dateStr, days) {
+  return new Date(Date.parse(`${dateStr}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 所在周的周一
+ */
+function weekStart(dateStr) {
+  const day = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  return addDays(dateStr, -((day + 6) % 7));
+}
+
+/**
+ * 计算统计数据
+ * - daily：最近 days 天每天收听秒数
+ * - weekly：最近 weeks 周（周一开始）每周收听秒数
+ * - streak：连续收听天数（今天还没听时从昨天算起）与历史最长
+ * - booksFinished：听完最后一集的书
+ * - books：每本书累计收听时间
+ */
+function computeStats(userId, { tzOffset = 0, days = 30, weeks = 12, now = Date.now() } = {}) {
+  const sessions = loadUserSessions(userId);
+  const today = toLocalDate(now, tzOffset);
+
+  const byDate = {};
+  const byBook = {};
+  const finished = {};
+  let totalSeconds = 0;
+
+  for (const s of sessions) {
+    const date = toLocalDate(s.startedAt, tzOffset);
+    byDate[date] = (byDate[date] || 0) + s.duration;
+    totalSeconds += s.duration;
+
+    const book = byBook[s.bookId] || (byBook[s.bookId] = {
+      bookId: s.bookId,
+      bookName: s.bookName,
+      seconds: 0,
+      sessionCount: 0,
+      lastListenedAt: 0,
+    });
+    book.seconds += s.duration;
+    book.sessionCount++;
+    if (s.endedAt > book.lastListenedAt) {
+      book.lastListenedAt = s.endedAt;
+      if (s.bookName) book.bookName = s.bookName;
+    }
+
+    if (s.completedBook && !finished[s.bookId]) {
+      finished[s.bookId] = { bookId: s.bookId, bookName: s.bookName, finishedAt: s.endedAt };
+    }
+  }
+
+  const daily = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = addDays(today, -i);
+    daily.push({ date, seconds: byDate[date] || 0 });
+  }
+
+  const weekly = [];
+  const thisWeek = weekStart(today);
+  for (let i = weeks - 1; i >= 0; i--) {
+    const start = addDays(thisWeek, -7 * i);
+    let seconds = 0;
+    for (let d = 0; d < 7; d++) seconds += byDate[addDays(start, d)] || 0;
+    weekly.push({ weekStart: start, seconds });
+  }
+
+  // 连续天数
+  let current = 0;
+  let cursor = byDate[today] ? today : addDays(today, -1);
+  while (byDate[cursor]) {
+    current++;
+    cursor = addDays(cursor, -1);
+  }
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  for (const date of Object.keys(byDate).sort()) {
+    run = prev && addDays(prev, 1) === date ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = date;
+  }
+
+  const booksFinished = Object.values(finished).sort((a, b) => b.finishedAt - a.finishedAt);
+
+  return {
+    totalSeconds,
+    sessionCount: sessions.length,
+    todaySeconds: byDate[today] || 0,
+    thisWeekSeconds: weekly[weekly.length - 1]?.seconds || 0,
+    daily,
+    weekly,
+    streak: { current, longest },
+    booksFinishedCount: booksFinished.length,
+    booksFinished,
+    books: Object.values(byBook).sort((a, b) => b.seconds - a.seconds),
+  };
+}
+
+/**
+ * 书籍 ID 变更后迁移收听记录 mapping: { [旧 ID]: 新 ID }，返回是否有改动
+ */
+function renameBookIds(mapping) {
+  const history = loadHistory();
+  let changed = false;
+  for (const session of history.sessions) {
+    if (mapping[session.bookId]) {
+      session.bookId = mapping[session.bookId];
+      changed = true;
+    }
+  }
+  if (changed) saveHistory(history);
+  return changed;
+}
+
+module.exports = {
+  addSessions,
+  renameBookIds,
+  getRecentSessions,
+  computeStats,
+};
@@ -0,0 +1,72 @@
+/**
+ * 存储驱动
+ *
+ * 每个书库（services/libraries.js）通过一个存储驱动访问文件，扫描、播放、下载、封面和上传都经由驱动：
+ * - local：服务器本地目录（支持目录签名增量扫描和文件系统监听）
+ * - oss：阿里云 OSS，凭据为全局配置（services/oss.js）
+ * - s3：S3 兼容存储（AWS S3、MinIO 等），凭据随书库保存
+ * - webdav：WebDAV（NAS 等），凭据随书库保存
+ *
+ * 驱动接口（key 为相对书库根目录、以 / 分隔的路径）：
+ *   rootUri                 书库根目录的存储路径（本地为绝对路径，其余为 scheme://...）
+ *   local                   是否为本地目录（标签读取、格式转换只支持本地文件）
+ *   list(prefix)            递归列出目录下的所有文件 [{ key, size, lastModified, etag }]
+ *   stat(key)               文件信息 { size, lastModified, etag }，不存在时返回 null
+ *   read(key, { start, end })  按范围读取（end 可省略，含 end），返回 { stream, size, start, end }
+ *                           不存在时抛出 code 为 ENOENT 的错误，范围无效时为 ERANGE
+ *   putFile(key, localFile) 写入本地临时文件（本地驱动直接移动，其余上传；调用方负责清理临时目录）
+ *   test()                  测试能否访问
+ *   getRedirectUrl(key, { filename })  可选：返回签名直链（播放方式为 redirect 时），否则为 null
+ * 本地驱动另有 resolve(key)、listFolders()、getSignature(folderName)
+ */
+
+const { isRemotePath } = require('./utils');
+
+const DRIVERS = {
+  local: require('./local'),
+  oss: require('./oss'),
+  s3: require('./s3'),
+  webdav: require('./webdav'),
+};
+
+const STORAGE_TYPES = Object.keys(DRIVERS);
+
+// libraryId → { configKey, driver }
+const cache = new Map();
+
+/**
+ * 书库根目录的存储路径（不连接存储）
+ */
+function getRootUri(source, options) {
+  return DRIVERS[source].getRootUri(options);
+}
+
+/**
+ * 按存储类型和配置创建驱动（配置不完整时抛出）
+ */
+function createDriver(source, options) {
+  const driver = DRIVERS[source];
+  if (!driver) throw new Error(`不支持的存储类型: ${source}`);
+  return driver.createDriver(options);
+}
+
+/**
+ * 书库的存储驱动（配置未变时复用）
+ */
+function getDriver(library) {
+  const configKey = JSON.stringify([library.source, library.options]);
+  const cached = cache.get(library.id);
+  if (cached && cached.configKey === configKey) return cached.driver;
+
+  const driver = createDriver(library.source, library.options);
+  cache.set(library.id, { configKey, driver });
+  return driver;
+}
+
+module.exports = {
+  STORAGE_TYPES,
+  isRemotePath,
+  getRootUri,
+  createDriver,
+  getDriver,
+};
@@ -0,0 +1,124 @@
+/**
+ * 本地目录驱动
+ * 书库根目录为服务器上的绝对路径；额外提供目录签名，用于增量扫描和文件系统监听
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listBookFolders, getBookSignature } = require('../scanner');
+const { joinKey, storageError } = require('./utils');
+
+/**
+ * 移动文件（跨文件系统时复制后删除）
+ */
+function moveFile(src, dest) {
+  try {
+    fs.renameSync(src, dest);
+  } catch (e) {
+    if (e.code === 'EXDEV') {
+      fs.copyFileSync(src, dest);
+      fs.unlinkSync(src);
+    } else {
+      throw e;
+    }
+  }
+}
+
+function getRootUri({ path: rootPath }) {
+  return rootPath;
+}
+
+function createDriver({ path: rootPath }) {
+  /**
+   * 存储键 → 绝对路径（不允许 .. 跳出书库根目录）
+   */
+  const resolve = (key = '') => {
+    const segments = key.split('/').filter(s => s && s !== '.');
+    if (segments.includes('..')) throw storageError('EACCES', `非法路径: ${key}`);
+    return path.join(rootPath, ...segments);
+  };
+
+  /**
+   * 递归列出目录下的文件（跳过隐藏目录）
+   */
+  const walk = (dirKey, files) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(resolve(dirKey), { withFileTypes: true });
+    } catch (e) {
+      if (e.code === 'ENOENT' || e.code === 'ENOTDIR') return files;
+      throw e;
+    }
+    for (const entry of entries) {
+      const key = joinKey(dirKey, entry.name);
+      try {
+        const stat = fs.statSync(resolve(key));
+        if (stat.isDirectory()) {
+          if (!entry.name.startsWith('.')) walk(key, files);
+        } else if (stat.isFile()) {
+          files.push({ key, size: stat.size, lastModified: stat.mtimeMs, etag: null });
+        }
+      } catch { /* 读取期间被删除等，跳过 */ }
+    }
+    return files;
+  };
+
+  return {
+    type: 'local',
+    rootUri: rootPath,
+    local: true,
+    resolve,
+
+    async list(prefix = '') {
+      return walk(prefix, []);
+    },
+
+    async stat(key) {
+      try {
+        const stat = fs.statSync(resolve(key));
+        return stat.isFile() ? { size: stat.size, lastModified: stat.mtimeMs, etag: null } : null;
+      } catch {
+        return null;
+      }
+    },
+
+    async read(key, { start = 0, end } = {}) {
+      const filePath = resolve(key);
+      let stat;
+      try {
+        stat = fs.statSync(filePath);
+      } catch {
+        throw storageError('ENOENT', `文件不存在: ${key}`);
+      }
+      const last = Math.min(end ?? stat.size - 1, stat.size - 1);
+      if (start > last) throw storageError('ERANGE', `请求范围无效: ${start}-${end ?? ''}`);
+      return { stream: fs.createReadStream(filePath, { start, end: last }), size: stat.size, start, end: last };
+    },
+
+    async putFile(key, localFile) {
+      const dest = resolve(key);
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      moveFile(localFile, dest);
+    },
+
+    async test() {
+      fs.accessSync(rootPath, fs.constants.R_OK);
+    },
+
+    // ---- 仅本地驱动 ----
+
+    async listFolders() {
+      return listBookFolders(rootPath);
+    },
+
+    getSignature(folderName) {
+      return getBookSignature(resolve(folderName));
+    },
+  };
+}
+
+module.exports = {
+  getRootUri,
+  createDriver,
+  moveFile,
+};
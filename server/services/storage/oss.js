@@ -0,0 +1,66 @@
+/**
+ * 阿里云 OSS 驱动
+ * 凭据与存储桶为全局配置（设置页或环境变量，见 services/oss.js），书库只保存前缀
+ */
+
+const oss = require('../oss');
+const { dirPrefix, storageError, toRangeHeader, parseRangeResponse } = require('./utils');
+
+function getRootUri({ prefix }) {
+  return oss.toOSSPath(prefix);
+}
+
+function createDriver({ prefix }) {
+  const base = oss.normalizePrefix(prefix);
+
+  return {
+    type: 'oss',
+    // 存储桶可在设置页修改，每次读取时计算
+    get rootUri() {
+      return oss.toOSSPath(prefix);
+    },
+    local: false,
+
+    async list(subPrefix = '') {
+      const objects = await oss.listObjects(base + dirPrefix(subPrefix));
+      return objects
+        .filter(obj => !obj.key.endsWith('/'))
+        .map(obj => ({ ...obj, key: obj.key.slice(base.length) }));
+    },
+
+    async stat(key) {
+      return oss.headObject(base + key);
+    },
+
+    async read(key, range = {}) {
+      let result;
+      try {
+        result = await oss.getStream(base + key, toRangeHeader(range));
+      } catch (e) {
+        if (e.status === 404) throw storageError('ENOENT', `文件不存在: ${key}`);
+        if (e.status === 416) throw storageError('ERANGE', `请求范围无效: ${toRangeHeader(range)}`);
+        throw e;
+      }
+      const { stream, headers } = result;
+      return { stream, ...parseRangeResponse(headers['content-range'], headers['content-length']) };
+    },
+
+    async putFile(key, localFile) {
+      await oss.putFile(base + key, localFile);
+    },
+
+    async test() {
+      await oss.testConnection();
+    },
+
+    getRedirectUrl(key, { filename = null } = {}) {
+      if (oss.getOSSConfig().streamMode !== 'redirect') return null;
+      return oss.getSignedUrl(base + key, { filename });
+    },
+  };
+}
+
+module.exports = {
+  getRootUri,
+  createDriver,
+};
@@ -0,0 +1,130 @@
+/**
+ * S3 兼容存储驱动（AWS S3、MinIO 等）
+ * 凭据随书库保存：{ endpoint, region, bucket, accessKeyId, secretAccessKey, prefix, pathStyle, streamMode }
+ * MinIO 等自建服务需要开启 pathStyle（以 /bucket/key 的路径形式访问）
+ */
+
+const fs = require('fs');
+const {
+  S3Client,
+  ListObjectsV2Command,
+  HeadObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { normalizePrefix } = require('../oss');
+const { dirPrefix, storageError, toRangeHeader, parseRangeResponse } = require('./utils');
+
+const SIGNED_URL_EXPIRES = 3600;
+
+function getRootUri({ bucket, prefix }) {
+  return `s3://${bucket}/${normalizePrefix(prefix)}`.replace(/\/$/, '');
+}
+
+function isNotFound(e) {
+  return e.name === 'NotFound' || e.name === 'NoSuchKey' || e.$metadata?.httpStatusCode === 404;
+}
+
+function createDriver(options) {
+  const { endpoint, region, bucket, accessKeyId, secretAccessKey, prefix, pathStyle, streamMode } = options;
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 配置不完整：需要 bucket、accessKeyId 和 secretAccessKey');
+  }
+
+  const base = normalizePrefix(prefix);
+  const client = new S3Client({
+    endpoint: endpoint || undefined,
+    region: region || 'us-east-1',
+    forcePathStyle: !!pathStyle,
+    credentials: { accessKeyId, secretAccessKey },
+    // 只在必需时计算校验和：很多 S3 兼容服务不支持带校验和尾部的分块上传
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED',
+  });
+
+  return {
+    type: 's3',
+    rootUri: getRootUri(options),
+    local: false,
+
+    async list(subPrefix = '') {
+      const files = [];
+      let token;
+      do {
+        const result = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: base + dirPrefix(subPrefix),
+          ContinuationToken: token,
+          MaxKeys: 1000,
+        }));
+        for (const obj of result.Contents || []) {
+          if (obj.Key.endsWith('/')) continue;
+          files.push({
+            key: obj.Key.slice(base.length),
+            size: obj.Size,
+            lastModified: obj.LastModified ? obj.LastModified.getTime() : 0,
+            etag: String(obj.ETag || '').replace(/"/g, ''),
+          });
+        }
+        token = result.IsTruncated ? result.NextContinuationToken : undefined;
+      } while (token);
+      return files;
+    },
+
+    async stat(key) {
+      try {
+        const result = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: base + key }));
+        return {
+          size: result.ContentLength,
+          lastModified: result.LastModified ? result.LastModified.getTime() : 0,
+          etag: String(result.ETag || '').replace(/"/g, ''),
+        };
+      } catch (e) {
+        if (isNotFound(e)) return null;
+        throw e;
+      }
+    },
+
+    async read(key, range = {}) {
+      let result;
+      try {
+        result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: base + key, Range: toRangeHeader(range) }));
+      } catch (e) {
+        if (isNotFound(e)) throw storageError('ENOENT', `文件不存在: ${key}`);
+        if (e.name === 'InvalidRange' || e.$metadata?.httpStatusCode === 416) {
+          throw storageError('ERANGE', `请求范围无效: ${toRangeHeader(range)}`);
+        }
+        throw e;
+      }
+      return { stream: result.Body, ...parseRangeResponse(result.ContentRange, result.ContentLength) };
+    },
+
+    async putFile(key, localFile) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: base + key,
+        Body: fs.createReadStream(localFile),
+        ContentLength: fs.statSync(localFile).size,
+      }));
+    },
+
+    async test() {
+      await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: base, MaxKeys: 1 }));
+    },
+
+    getRedirectUrl(key, { filename = null } = {}) {
+      if (streamMode !== 'redirect') return null;
+      return getSignedUrl(client, new GetObjectCommand({
+        Bucket: bucket,
+        Key: base + key,
+        ResponseContentDisposition: filename ? `attachment; filename="${encodeURIComponent(filename)}"` : undefined,
+      }), { expiresIn: SIGNED_URL_EXPIRES });
+    },
+  };
+}
+
+module.exports = {
+  getRootUri,
+  createDriver,
+};
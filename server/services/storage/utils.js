@@ -0,0 +1,61 @@
+/**
+ * 存储驱动共用的小工具
+ */
+
+/**
+ * 是否为非本地存储路径（scheme://...）
+ */
+function isRemotePath(p) {
+  return typeof p === 'string' && /^[a-z][a-z0-9+.-]*:\/\//i.test(p);
+}
+
+/**
+ * 拼接存储键（忽略空段）
+ */
+function joinKey(...parts) {
+  return parts.filter(Boolean).join('/');
+}
+
+/**
+ * 目录前缀：非空时以 / 结尾
+ */
+function dirPrefix(key) {
+  return key && !key.endsWith('/') ? `${key}/` : key || '';
+}
+
+/**
+ * 带 fs 风格 code 的错误：ENOENT 不存在，ERANGE 请求范围无效
+ */
+function storageError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Range 读取请求头（end 可省略）
+ */
+function toRangeHeader({ start = 0, end } = {}) {
+  return `bytes=${start}-${end ?? ''}`;
+}
+
+/**
+ * 由响应的 Content-Range / Content-Length 计算 { size, start, end }
+ */
+function parseRangeResponse(contentRange, contentLength) {
+  const match = /bytes (\d+)-(\d+)\/(\d+)/.exec(contentRange || '');
+  if (match) {
+    return { start: Number(match[1]), end: Number(match[2]), size: Number(match[3]) };
+  }
+  const size = Number(contentLength) || 0;
+  return { start: 0, end: size - 1, size };
+}
+
+module.exports = {
+  isRemotePath,
+  joinKey,
+  dirPrefix,
+  storageError,
+  toRangeHeader,
+  parseRangeResponse,
+};
@@ -0,0 +1,101 @@
+/**
+ * WebDAV 驱动（NAS 等）
+ * 凭据随书库保存：{ url, username, password }，url 指向书库根目录
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('webdav');
+const { joinKey, storageError } = require('./utils');
+
+function getRootUri({ url }) {
+  const parsed = new URL(url);
+  parsed.username = '';
+  parsed.password = '';
+  return parsed.toString().replace(/\/$/, '');
+}
+
+function toFileInfo(item) {
+  return {
+    size: item.size || 0,
+    lastModified: Date.parse(item.lastmod) || 0,
+    etag: item.etag ? String(item.etag).replace(/"/g, '') : null,
+  };
+}
+
+function createDriver(options) {
+  const { url, username, password } = options;
+  if (!url) throw new Error('WebDAV 配置不完整：需要 url');
+
+  const client = createClient(url, username ? { username, password } : {});
+  const remotePath = key => `/${key}`;
+
+  const stat = async (key) => {
+    try {
+      const item = await client.stat(remotePath(key));
+      return item.type === 'file' ? toFileInfo(item) : null;
+    } catch (e) {
+      if (e.status === 404) return null;
+      throw e;
+    }
+  };
+
+  return {
+    type: 'webdav',
+    rootUri: getRootUri(options),
+    local: false,
+
+    // 逐层 PROPFIND（Depth: 1），很多服务器不支持 Depth: infinity
+    async list(prefix = '') {
+      const files = [];
+      const walk = async (dirKey) => {
+        let items;
+        try {
+          items = await client.getDirectoryContents(remotePath(dirKey));
+        } catch (e) {
+          if (e.status === 404) return;
+          throw e;
+        }
+        for (const item of items) {
+          const key = joinKey(dirKey, item.basename);
+          if (item.type === 'directory') {
+            if (!item.basename.startsWith('.')) await walk(key);
+          } else {
+            files.push({ key, ...toFileInfo(item) });
+          }
+        }
+      };
+      await walk(prefix);
+      return files;
+    },
+
+    stat,
+
+    async read(key, { start = 0, end } = {}) {
+      const info = await stat(key);
+      if (!info) throw storageError('ENOENT', `文件不存在: ${key}`);
+      const last = Math.min(end ?? info.size - 1, info.size - 1);
+      if (start > last) throw storageError('ERANGE', `请求范围无效: ${start}-${end ?? ''}`);
+      const stream = client.createReadStream(remotePath(key), { range: { start, end: last } });
+      return { stream, size: info.size, start, end: last };
+    },
+
+    async putFile(key, localFile) {
+      const dir = path.posix.dirname(remotePath(key));
+      if (dir !== '/') await client.createDirectory(dir, { recursive: true });
+      await client.putFileContents(remotePath(key), fs.createReadStream(localFile), {
+        overwrite: true,
+        contentLength: fs.statSync(localFile).size,
+      });
+    },
+
+    async test() {
+      await client.getDirectoryContents('/');
+    },
+  };
+}
+
+module.exports = {
+  getRootUri,
+  createDriver,
+};
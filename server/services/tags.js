@@ -0,0 +1,347 @@
+/**
+ * 音频标签读取服务（music-metadata）
+ *
+ * 索引时读取 ID3 / MP4 / Vorbis / ASF 标签：标题、专辑、艺术家/演播、音轨号、时长、码率、内嵌封面。
+ * 文件名解析（cleanName / extractEpisodeNumber）作为标签缺失或乱码时的回退；
+ * 标签中没有时长时用 ffprobe 计算。
+ * 内嵌章节（MP4 章节、ID3 CHAP 帧、Matroska 章节）由 FFmpeg 读取，见 services/chapters.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { COVERS_DIR } = require('../utils/paths');
+
+const EMBEDDED_COVERS_DIR = path.join(COVERS_DIR, 'embedded');
+
+// 标签格式版本：读取的内容变化（如增加章节）后旧索引中的标签需要重新读取
+const TAGS_VERSION = 3;
+
+// music-metadata 是 ESM 包，CommonJS 中通过动态 import 加载
+let mmPromise = null;
+function loadMusicMetadata() {
+  if (!mmPromise) mmPromise = import('music-metadata');
+  return mmPromise;
+}
+
+/**
+ * 标签文本是否可用（过滤空值和 GBK 被误读为 Latin-1 的乱码）
+ * 乱码的特征：含 C1 控制字符、连续 3 个以上 Latin-1 字符，或 Latin-1 字符占了一半以上；
+ * 「Café Müller」这类夹在英文字母中的重音字母不算乱码
+ */
+function isReadableTag(value) {
+  if (typeof value !== 'string') return false;
+  const trimmed = value.trim();
+  if (!trimmed) return false;
+  if (trimmed.includes('\uFFFD')) return false;
+  if (/[\u0080-\u009f]/.test(trimmed) || /[\u00a0-\u00ff]{3,}/.test(trimmed)) return false;
+  const latin1 = (trimmed.match(/[\u00a0-\u00ff]/g) || []).length;
+  if (latin1 >= 2 && latin1 * 2 > trimmed.replace(/\s/g, '').length) return false;
+  return true;
+}
+
+function pickTag(value) {
+  const v = Array.isArray(value) ? value[0] : value;
+  return isReadableTag(v) ? v.trim() : null;
+}
+
+/**
+ * 在原生标签中查找演播者（MP4 ©nrt、ID3 TXXX:NARRATOR 等）
+ */
+function findNarrator(native) {
+  for (const tagType in native) {
+    for (const tag of native[tagType]) {
+      const id = String(tag.id);
+      if (id === '©nrt' || /narrat/i.test(id)) {
+        const value = typeof tag.value === 'object' && tag.value !== null ? tag.value.text : tag.value;
+        const picked = pickTag(value);
+        if (picked) return picked;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 用 ffprobe 计算时长（标签中没有时长或解析失败时的回退）
+ * ffprobe 不可用时返回 null
+ */
+function probeDuration(filePath) {
+  return new Promise((resolve) => {
+    execFile('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      filePath,
+    ], { timeout: 15000 }, (err, stdout) => {
+      if (err) return resolve(null);
+      const duration = parseFloat(stdout);
+      resolve(isFinite(duration) && duration > 0 ? Math.round(duration * 10) / 10 : null);
+    });
+  });
+}
+
+/**
+ * 解析 FFmpeg 元数据文件（-f ffmetadata）中的章节，时间换算为秒
+ * 值中的 = ; # \ 和换行以反斜杠转义
+ */
+function parseChapters(text) {
+  const chapters = [];
+  let current = null;
+  for (const line of text.split('\n')) {
+    if (line.startsWith('[')) {
+      current = line.trim() === '[CHAPTER]' ? { timebase: 1 / 1000 } : null;
+      if (current) chapters.push(current);
+      continue;
+    }
+    const match = current && /^((?:[^\\=]|\\.)*)=(.*)$/.exec(line);
+    if (!match) continue;
+    const key = match[1].replace(/\\(.)/g, '$1');
+    const value = match[2].replace(/\\(.)/g, '$1');
+    if (key === 'TIMEBASE') {
+      const [num, den] = value.split('/').map(Number);
+      if (num > 0 && den > 0) current.timebase = num / den;
+    } else if (key === 'START' || key === 'END') {
+      current[key.toLowerCase()] = Number(value);
+    } else if (key === 'title') {
+      current.title = value;
+    }
+  }
+
+  const round = n => Math.round(n * 1000) / 1000;
+  return chapters
+    .map(c => ({ title: pickTag(c.title), start: round(c.start * c.timebase), end: round(c.end * c.timebase) }))
+    .filter(c => isFinite(c.start) && isFinite(c.end) && c.end > c.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+// 可能带章节的容器（MP4 章节、Matroska 章节）
+const CHAPTER_CONTAINERS = new Set(['.m4b', '.m4a', '.mp4', '.mka', '.mkv']);
+// 其他格式时长超过这个值（秒）时当作整本书，也读取章节
+const WHOLE_BOOK_DURATION = 3 * 3600;
+// ID3 标签中最多检查的字节数（内嵌封面可能很大）
+const MAX_ID3_SCAN = 16 * 1024 * 1024;
+
+/**
+ * MP3 的 ID3v2 标签中是否有 CHAP 帧（只读文件开头，不启动 FFmpeg）
+ */
+function hasId3Chapters(filePath) {
+  let fd = null;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const header = Buffer.alloc(10);
+    if (fs.readSync(fd, header, 0, 10, 0) < 10 || header.toString('latin1', 0, 3) !== 'ID3') return false;
+    // 标签大小为 syncsafe 整数（每字节 7 位）
+    const size = ((header[6] & 0x7f) << 21) | ((header[7] & 0x7f) << 14) | ((header[8] & 0x7f) << 7) | (header[9] & 0x7f);
+    const tag = Buffer.alloc(Math.min(size, MAX_ID3_SCAN));
+    const read = fs.readSync(fd, tag, 0, tag.length, 10);
+    return tag.subarray(0, read).includes('CHAP');
+  } catch {
+    return false;
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+}
+
+/**
+ * 文件是否可能带内嵌章节：MP4/Matroska 容器、ID3 中有 CHAP 帧的 MP3，或时长像整本书的文件
+ * 其余文件不启动 FFmpeg，避免索引时为每个文件多开一个进程
+ */
+function mayHaveChapters(filePath, duration) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (CHAPTER_CONTAINERS.has(ext)) return true;
+  if (ext === '.mp3' && hasId3Chapters(filePath)) return true;
+  return duration >= WHOLE_BOOK_DURATION;
+}
+
+/**
+ * 用 FFmpeg 读取内嵌章节 [{ title, start, end }]（秒）
+ * 不可能带章节（见 mayHaveChapters）、FFmpeg 不可用或读取失败时返回空数组
+ */
+function readChapters(filePath, duration) {
+  if (!mayHaveChapters(filePath, duration)) return Promise.resolve([]);
+  return new Promise((resolve) => {
+    execFile('ffmpeg', [
+      '-v', 'error',
+      '-i', filePath,
+      '-f', 'ffmetadata',
+      '-',
+    ], { timeout: 15000, maxBuffer: 4 * 1024 * 1024 }, (err, stdout) => {
+      resolve(err ? [] : parseChapters(stdout));
+    });
+  });
+}
+
+/**
+ * 读取单个音频文件的标签
+ * 文件不存在时返回 null；解析失败（文件损坏、格式不支持）时返回 { error: true }，避免反复重试
+ */
+async function readAudioTags(filePath) {
+  const { parseFile } = await loadMusicMetadata();
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch {
+    return null;
+  }
+
+  try {
+    const { common, format, native } = await parseFile(filePath, { skipPostHeaders: true });
+    const duration = isFinite(format.duration) && format.duration > 0
+      ? Math.round(format.duration * 10) / 10
+      : await probeDuration(filePath);
+    return {
+      title: pickTag(common.title),
+      album: pickTag(common.album),
+      artist: pickTag(common.artist) || pickTag(common.albumartist),
+      narrator: findNarrator(native) || pickTag(common.composer),
+      track: common.track?.no || null,
+      duration,
+      bitrate: format.bitrate ? Math.round(format.bitrate) : null,
+      hasCover: !!(common.picture && common.picture.length > 0),
+      chapters: await readChapters(filePath, duration),
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+      version: TAGS_VERSION,
+    };
+  } catch (e) {
+    console.warn(`[Tags] 无法读取标签: ${path.basename(filePath)}: ${e.message}`);
+    const duration = await probeDuration(filePath);
+    return {
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+      duration,
+      chapters: await readChapters(filePath, duration),
+      version: TAGS_VERSION,
+      error: true,
+    };
+  }
+}
+
+/**
+ * 标签是否仍然有效（文件未被替换，且是当前版本读取的）
+ */
+function isTagsFresh(tags, filePath) {
+  if (!tags || tags.version !== TAGS_VERSION) return false;
+  try {
+    const stat = fs.statSync(filePath);
+    return stat.size === tags.size && stat.mtimeMs === tags.mtimeMs;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 将标签合并到书籍结构（就地修改）
+ * - 集名称：标签标题优先，否则保留文件名解析结果
+ * - 集排序：同一季所有集都有且互不相同的音轨号时按音轨号排序
+ * - 书籍：专辑、艺术家、演播、内嵌封面来源文件
+ * - 时长：每集时长，季/书总时长，以及时长未知的集数
+ * - 章节：内嵌章节展开后的总集数
+ */
+function applyTags(book) {
+  const counts = { album: {}, artist: {}, narrator: {} };
+  let coverFile = null;
+
+  for (const season of book.seasons) {
+    for (const ep of season.episodes) {
+      if (!ep.fileNameDerived) {
+        ep.fileNameDerived = { name: ep.name, sortIndex: ep.sortIndex };
+      }
+      const tags = ep.tags && !ep.tags.error ? ep.tags : null;
+
+      ep.name = tags?.title || ep.fileNameDerived.name;
+      ep.duration = ep.tags?.duration || null;
+      ep.bitrate = tags?.bitrate || null;
+      // 有 CUE 分轨或两个以上内嵌章节的文件展开为多集（见 services/chapters.js）
+      ep.chapters = ep.cue?.tracks || (ep.tags?.chapters?.length >= 2 ? ep.tags.chapters : null);
+
+      if (tags) {
+        for (const key of Object.keys(counts)) {
+          if (tags[key]) counts[key][tags[key]] = (counts[key][tags[key]] || 0) + 1;
+        }
+        if (!coverFile && tags.hasCover) coverFile = ep.filePath;
+      }
+    }
+
+    const tracks = season.episodes.map(ep => ep.tags?.track);
+    const useTracks = tracks.every(Boolean) && new Set(tracks).size === tracks.length;
+    for (const ep of season.episodes) {
+      ep.sortIndex = useTracks ? ep.tags.track : ep.fileNameDerived.sortIndex;
+    }
+    season.episodes.sort((a, b) => a.sortIndex - b.sortIndex);
+
+    // 季总时长（只累加已知时长的集）
+    season.totalDuration = Math.round(season.episodes.reduce((sum, ep) => sum + (ep.duration || 0), 0));
+  }
+
+  const mostCommon = (map) => {
+    let best = null;
+    for (const value in map) {
+      if (!best || map[value] > map[best]) best = value;
+    }
+    return best;
+  };
+
+  book.album = mostCommon(counts.album);
+  book.artist = mostCommon(counts.artist);
+  book.narrator = mostCommon(counts.narrator);
+  book.embeddedCoverFile = coverFile;
+  book.totalDuration = book.seasons.reduce((sum, s) => sum + s.totalDuration, 0);
+  book.totalEpisodes = book.seasons.reduce(
+    (sum, s) => sum + s.episodes.reduce((n, ep) => n + (ep.chapters?.length || 1), 0), 0
+  );
+  book.unknownDurations = book.seasons.reduce(
+    (sum, s) => sum + s.episodes.filter(ep => !ep.duration).length, 0
+  );
+  return book;
+}
+
+/**
+ * 获取内嵌封面（首次提取后缓存到 covers/embedded/）
+ */
+async function getEmbeddedCoverPath(book) {
+  if (!book?.embeddedCoverFile) return null;
+
+  if (!fs.existsSync(EMBEDDED_COVERS_DIR)) {
+    fs.mkdirSync(EMBEDDED_COVERS_DIR, { recursive: true });
+  }
+  const cached = fs.readdirSync(EMBEDDED_COVERS_DIR).find(f => f.startsWith(`${book.id}.`));
+  if (cached) return path.join(EMBEDDED_COVERS_DIR, cached);
+
+  try {
+    const { parseFile, selectCover } = await loadMusicMetadata();
+    const { common } = await parseFile(book.embeddedCoverFile, { skipPostHeaders: true });
+    const picture = selectCover(common.picture);
+    if (!picture) return null;
+
+    const subtype = (picture.format || 'image/jpeg').split('/')[1] || 'jpeg';
+    const ext = subtype === 'jpeg' ? 'jpg' : subtype;
+    const coverFile = path.join(EMBEDDED_COVERS_DIR, `${book.id}.${ext}`);
+    fs.writeFileSync(coverFile, picture.data);
+    return coverFile;
+  } catch (e) {
+    console.warn(`[Tags] 提取内嵌封面失败: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * 删除缓存的内嵌封面（书籍封面来源变化时调用）
+ */
+function clearEmbeddedCover(bookId) {
+  try {
+    if (!fs.existsSync(EMBEDDED_COVERS_DIR)) return;
+    for (const f of fs.readdirSync(EMBEDDED_COVERS_DIR)) {
+      if (f.startsWith(`${bookId}.`)) fs.unlinkSync(path.join(EMBEDDED_COVERS_DIR, f));
+    }
+  } catch { /* ignore */ }
+}
+
+module.exports = {
+  readAudioTags,
+  isTagsFresh,
+  applyTags,
+  getEmbeddedCoverPath,
+  clearEmbeddedCover,
+};
@@ -0,0 +1,61 @@
+/**
+ * 实时转码服务
+ *
+ * 浏览器无法直接播放的格式（WMA/APE，见 utils/parser.js 的 needsTranscode）在后台转换完成之前、
+ * 或转换失败之后，由 FFmpeg 实时转成 MP3 边转边传（routes/audio.js 的 /transcode）。
+ * CUE 分轨（services/chapters.js）也由这里截取整轨文件中的一段输出。
+ * 转码流没有长度，不支持 Range：拖动进度时客户端带上 start 重新请求，从该位置开始转码
+ */
+
+const { spawn } = require('child_process');
+
+// 音质档位：移动网络下客户端选用低码率
+const TRANSCODE_QUALITIES = {
+  high: { bitrate: '128k', sampleRate: 44100, channels: 2 },
+  medium: { bitrate: '64k', sampleRate: 44100, channels: 1 },
+  low: { bitrate: '32k', sampleRate: 22050, channels: 1 },
+};
+
+const DEFAULT_QUALITY = 'medium';
+
+/**
+ * 规范化音质档位名称（未知时使用默认档位）
+ */
+function getQualityName(name) {
+  return Object.prototype.hasOwnProperty.call(TRANSCODE_QUALITIES, name) ? name : DEFAULT_QUALITY;
+}
+
+/**
+ * 启动 FFmpeg，把音频转成 MP3 写到 stdout
+ * input 为本地文件路径；为 null 时从 stdin 读取（非本地存储中的文件，由调用方写入）
+ * start 为开始位置（秒），duration 为输出时长（秒，null 时到文件结尾）
+ */
+function spawnTranscode(input, { start = 0, duration = null, quality = DEFAULT_QUALITY } = {}) {
+  const { bitrate, sampleRate, channels } = TRANSCODE_QUALITIES[getQualityName(quality)];
+  const seek = start > 0 ? ['-ss', start.toFixed(3)] : [];
+  const limit = duration !== null ? ['-t', Math.max(0, duration).toFixed(3)] : [];
+
+  return spawn('ffmpeg', [
+    '-v', 'error',
+    // 本地文件在 -i 之前定位（直接跳到附近的位置）；管道输入只能解码后丢弃前面的部分
+    ...(input ? seek : []),
+    '-i', input || 'pipe:0',
+    ...(input ? [] : seek),
+    ...limit,
+    '-vn',
+    '-map', '0:a:0',
+    '-c:a', 'libmp3lame',
+    '-b:a', bitrate,
+    '-ar', String(sampleRate),
+    '-ac', String(channels),
+    '-f', 'mp3',
+    'pipe:1',
+  ]);
+}
+
+module.exports = {
+  TRANSCODE_QUALITIES,
+  DEFAULT_QUALITY,
+  getQualityName,
+  spawnTranscode,
+};
@@ -0,0 +1,138 @@
+/**
+ * 用户数据存储（收藏、播放进度、用户设置、书签），按用户隔离
+ *
+ * 存储文件：user-data.json（通过 Docker volume 持久化）
+ * 结构：
+ * {
+ *   version: 2,
+ *   users: {
+ *     [userId]: {
+ *       favorites: { [bookId]: { ...bookInfo, addedAt } },
+ *       progress:  { [bookId]: { seasonIndex, episodeIndex, currentTime, ... , updatedAt } },
+ *       settings:  { resumeRewindSeconds, bookSortMode, ... },
+ *       bookmarks: { [bookmarkId]: { bookId, seasonId, episodeId, time, title, note, ..., updatedAt } }
+ *     }
+ *   }
+ * }
+ *
+ * 旧版（单用户）文件的顶层 favorites/progress/settings/bookmarks 会迁移到默认用户
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { USER_DATA_FILE } = require('../utils/paths');
+const { DEFAULT_USER_ID } = require('./auth');
+
+const DATA_VERSION = 2;
+
+function emptyUserData() {
+  return { favorites: {}, progress: {}, settings: {}, bookmarks: {} };
+}
+
+function loadAll() {
+  let data = null;
+  try {
+    if (fs.existsSync(USER_DATA_FILE)) {
+      data = JSON.parse(fs.readFileSync(USER_DATA_FILE, 'utf-8'));
+    }
+  } catch (e) {
+    console.error('Failed to load user data:', e.message);
+  }
+  if (!data) return { version: DATA_VERSION, users: {} };
+
+  // 旧版单用户数据迁移到默认用户
+  if (!data.users) {
+    const legacy = data;
+    data = {
+      version: DATA_VERSION,
+      users: {
+        [DEFAULT_USER_ID]: {
+          favorites: legacy.favorites || {},
+          progress: legacy.progress || {},
+          settings: legacy.settings || {},
+          bookmarks: legacy.bookmarks || {},
+        },
+      },
+    };
+    saveAll(data);
+    console.log('[UserData] 已将原有数据迁移到默认用户');
+  }
+  return data;
+}
+
+function saveAll(data) {
+  const dir = path.dirname(USER_DATA_FILE);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(USER_DATA_FILE, JSON.stringify(data, null, 2), 'utf-8');
+}
+
+/**
+ * 读取某个用户的数据
+ */
+function loadUserData(userId) {
+  const data = loadAll().users[userId];
+  return { ...emptyUserData(), ...data };
+}
+
+/**
+ * 保存某个用户的数据
+ */
+function saveUserData(userId, userData) {
+  const data = loadAll();
+  data.users[userId] = userData;
+  saveAll(data);
+}
+
+/**
+ * 删除某个用户的全部数据
+ */
+function deleteUserData(userId) {
+  const data = loadAll();
+  if (data.users[userId]) {
+    delete data.users[userId];
+    saveAll(data);
+  }
+}
+
+/**
+ * 书籍 ID 变更后迁移所有用户的收藏、进度和书签 mapping: { [旧 ID]: 新 ID }
+ * 两个 ID 下都有记录时保留较新的一条；返回是否有改动
+ */
+function renameBookIds(mapping) {
+  const data = loadAll();
+  let changed = false;
+  const timeOf = item => item.updatedAt || item.addedAt || 0;
+
+  for (const user of Object.values(data.users)) {
+    for (const store of ['favorites', 'progress']) {
+      const items = user[store] || {};
+      for (const [fromId, toId] of Object.entries(mapping)) {
+        const item = items[fromId];
+        if (!item) continue;
+        delete items[fromId];
+        if (!items[toId] || timeOf(item) > timeOf(items[toId])) {
+          items[toId] = { ...item, bookId: toId };
+        }
+        changed = true;
+      }
+    }
+    for (const bookmark of Object.values(user.bookmarks || {})) {
+      if (mapping[bookmark.bookId]) {
+        bookmark.bookId = mapping[bookmark.bookId];
+        changed = true;
+      }
+    }
+  }
+
+  if (changed) saveAll(data);
+  return changed;
+}
+
+module.exports = {
+  loadUserData,
+  saveUserData,
+  deleteUserData,
+  renameBookIds,
+};
@@ -0,0 +1,104 @@
+/**
+ * CUE 索引文件解析工具
+ *
+ * 整轨抓取的专辑（一个 FLAC/APE/WAV + .cue）由 CUE 描述每一轨：
+ * FILE "专辑.flac" WAVE
+ *   TRACK 01 AUDIO
+ *     TITLE "第一回"
+ *     INDEX 01 00:00:00
+ * INDEX 时间为 分:秒:帧（每秒 75 帧）
+ */
+
+const FRAMES_PER_SECOND = 75;
+
+/**
+ * 解码 CUE 文件内容：UTF-8（含 BOM）、UTF-16（有 BOM），否则按 GBK（老的中文抓轨软件默认编码）
+ */
+function decodeCueText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('gbk').decode(buffer);
+  }
+}
+
+/**
+ * 解析命令行的参数（支持双引号包裹含空格的值）
+ */
+function splitArgs(line) {
+  const args = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    args.push(match[1] !== undefined ? match[1] : match[2]);
+  }
+  return args;
+}
+
+/**
+ * 分:秒:帧 → 秒，格式错误时返回 null
+ */
+function parseIndexTime(value) {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2})$/.exec(value || '');
+  if (!match) return null;
+  const [, m, s, f] = match.map(Number);
+  return Math.round((m * 60 + s + f / FRAMES_PER_SECOND) * 1000) / 1000;
+}
+
+/**
+ * 解析 CUE 文本，返回 [{ fileName, tracks: [{ title, start, end }] }]
+ * start 为 INDEX 01（没有时用 INDEX 00），end 为同一文件中下一轨的开始，最后一轨为 null（到文件结尾）
+ * 没有轨道的 FILE 不返回
+ */
+function parseCueSheet(text) {
+  const files = [];
+  let file = null;
+  let track = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const [command, ...args] = splitArgs(rawLine.trim());
+    if (!command) continue;
+    switch (command.toUpperCase()) {
+      case 'FILE':
+        file = { fileName: args[0], tracks: [] };
+        files.push(file);
+        track = null;
+        break;
+      case 'TRACK':
+        if (!file) break;
+        track = { title: null, index0: null, index1: null };
+        file.tracks.push(track);
+        break;
+      case 'TITLE':
+        if (track) track.title = args[0] || null;
+        break;
+      case 'INDEX':
+        if (!track) break;
+        if (args[0] === '00') track.index0 = parseIndexTime(args[1]);
+        if (args[0] === '01') track.index1 = parseIndexTime(args[1]);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return files
+    .map(({ fileName, tracks }) => {
+      const timed = tracks
+        .map(t => ({ title: t.title, start: t.index1 ?? t.index0 }))
+        .filter(t => t.start !== null)
+        .sort((a, b) => a.start - b.start);
+      return {
+        fileName,
+        tracks: timed.map((t, i) => ({ ...t, end: i < timed.length - 1 ? timed[i + 1].start : null })),
+      };
+    })
+    .filter(f => f.fileName && f.tracks.length > 0);
+}
+
+module.exports = {
+  decodeCueText,
+  parseCueSheet,
+};
@@ -15,7 +15,7 @@
 
 // 支持的音频格式
 const AUDIO_EXTENSIONS = new Set([
-  '.mp3', '.wma', '.wav', '.flac', '.aac', '.ogg', '.m4a', '.opus', '.ape', '.alac'
+  '.mp3', '.wma', '.wav', '.flac', '.aac', '.ogg', '.m4a', '.m4b', '.opus', '.ape', '.alac'
 ]);
 
 // 需要转换的格式（浏览器不原生支持，将被永久转换为 AAC/.m4a）
@@ -1,9 +1,9 @@
 /**
  * 统一路径管理
  *
- * Dev 环境：config.json / metadata.json / user-data.json 放在项目根目录，方便编辑
+ * Dev 环境：config.json / metadata.json / id-registry.json / user-data.json / listening-history.json / users.json 放在项目根目录，方便编辑
  * Production 环境：放在 server/data/ 下，通过 Docker volume 持久化
- * 封面等数据始终放在 server/data/
+ * 封面、书库索引、任务队列等数据始终放在 server/data/
  */
 
 const path = require('path');
@@ -24,10 +24,28 @@ const METADATA_FILE = IS_PRODUCTION
 
 const COVERS_DIR = path.join(SERVER_DATA_DIR, 'covers');
 
+// 书籍/季/集 ID 登记表（与 metadata.json 放在同一目录，删除后重命名过的书会丢失原 ID）
+const ID_REGISTRY_FILE = path.join(path.dirname(METADATA_FILE), 'id-registry.json');
+
+// 书库索引（扫描结果缓存，可随时删除重建）
+const LIBRARY_INDEX_FILE = path.join(SERVER_DATA_DIR, 'library-index.json');
+
+// 后台任务队列（格式转换等，含任务历史）
+const JOBS_FILE = path.join(SERVER_DATA_DIR, 'jobs.json');
+
+// 每集的响度分析结果（EBU R128，可随时删除重新分析）
+const LOUDNESS_FILE = path.join(SERVER_DATA_DIR, 'loudness.json');
+
 const USER_DATA_FILE = IS_PRODUCTION
   ? path.join(SERVER_DATA_DIR, 'user-data.json')
   : path.join(PROJECT_ROOT, 'user-data.json');
 
+// 收听记录（与 user-data.json 放在同一目录）
+const LISTENING_HISTORY_FILE = path.join(path.dirname(USER_DATA_FILE), 'listening-history.json');
+
+// 用户账号与登录会话（与 user-data.json 放在同一目录）
+const USERS_FILE = path.join(path.dirname(USER_DATA_FILE), 'users.json');
+
 function ensureDirs() {
   for (const dir of [SERVER_DATA_DIR, COVERS_DIR]) {
     if (!fs.existsSync(dir)) {
@@ -45,5 +63,11 @@ module.exports = {
   CONFIG_FILE,
   METADATA_FILE,
   COVERS_DIR,
+  ID_REGISTRY_FILE,
+  LIBRARY_INDEX_FILE,
+  JOBS_FILE,
+  LOUDNESS_FILE,
   USER_DATA_FILE,
+  LISTENING_HISTORY_FILE,
+  USERS_FILE,
 };